@@ -0,0 +1,43 @@
+const express = require("express");
+const cors = require("cors");
+
+// Import routes
+const authRoutes = require("./routes/auth");
+const petRoutes = require("./routes/pet");
+const matchRoutes = require("./routes/match");
+const chatRoutes = require("./routes/chat");
+const blockRoutes = require("./routes/block");
+const reportRoutes = require("./routes/report");
+const playdateRoutes = require("./routes/playdate");
+const adminRoutes = require("./routes/admin");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+
+// Initialize Express app - no database connection or listening here, so
+// tests can mount it on their own server
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Routes
+app.use("/api/auth", authRoutes);
+app.use("/api/pets", petRoutes);
+app.use("/api/matches", matchRoutes);
+app.use("/api/chats", chatRoutes);
+app.use("/api/blocks", blockRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/playdates", playdateRoutes);
+app.use("/api/admin", adminRoutes);
+
+// Basic route
+app.get("/", (req, res) => {
+    res.send("BoopSnoot API is running");
+});
+
+// Error handling - must come after all routes
+app.use("/api", notFound);
+app.use(errorHandler);
+
+module.exports = app;
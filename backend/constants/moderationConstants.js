@@ -0,0 +1,33 @@
+/**
+ * Moderation constants shared between frontend and backend
+ */
+
+// Why a user or pet was reported
+const REPORT_REASONS = {
+    HARASSMENT: "harassment",
+    INAPPROPRIATE_CONTENT: "inappropriate_content",
+    SPAM: "spam",
+    SCAM: "scam",
+    FAKE_PROFILE: "fake_profile",
+    ANIMAL_WELFARE: "animal_welfare",
+    OTHER: "other",
+};
+
+// Where a report is in the moderation queue
+const REPORT_STATUSES = {
+    PENDING: "pending",
+    RESOLVED: "resolved",
+    DISMISSED: "dismissed",
+};
+
+const REPORT_LIMITS = {
+    MAX_DETAILS_LENGTH: 1000,
+    // Messages a reporter can attach as evidence
+    MAX_EVIDENCE_MESSAGES: 20,
+};
+
+module.exports = {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    REPORT_LIMITS,
+};
@@ -29,6 +29,23 @@ const ACTIVITY_LEVELS = {
     HIGH: "high",
 };
 
+// Age classes used by playmate preferences ("Kittens", "Adult Cats"...)
+const AGE_CLASSES = {
+    YOUNG: "young",
+    ADULT: "adult",
+};
+
+// Pets younger than this (in years) count as puppies/kittens
+const ADULT_AGE = 1;
+
+// How strictly the discovery feed applies playmate preferences
+const PLAYMATE_MODES = {
+    // Both pets must accept each other's size and age class
+    STRICT: "strict",
+    // Preferences only lower the compatibility score
+    RELAXED: "relaxed",
+};
+
 // Vaccination status
 const VACCINATION_STATUS = {
     YES: "yes",
@@ -49,13 +66,25 @@ const DOG_PLAYMATE_PREFERENCES = [
 // Common preferred playmates for cats
 const CAT_PLAYMATE_PREFERENCES = ["Kittens", "Adult Cats", "All Cats"];
 
+// Bounds for the discovery filters saved on each pet
+const DISCOVERY_FILTER_LIMITS = {
+    MIN_DISTANCE_KM: 1,
+    MAX_DISTANCE_KM: 100,
+    DEFAULT_DISTANCE_KM: 25,
+    MAX_AGE: 40,
+};
+
 module.exports = {
     PET_TYPES,
     GENDER_OPTIONS,
     SIZE_OPTIONS,
     ACTIVITY_LEVELS,
+    AGE_CLASSES,
+    ADULT_AGE,
+    PLAYMATE_MODES,
     VACCINATION_STATUS,
     TEMPERAMENTS,
     DOG_PLAYMATE_PREFERENCES,
     CAT_PLAYMATE_PREFERENCES,
+    DISCOVERY_FILTER_LIMITS,
 };
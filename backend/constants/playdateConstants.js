@@ -0,0 +1,40 @@
+/**
+ * Playdate constants shared between frontend and backend
+ */
+
+// Where a playdate stands. A counter-proposal keeps it "proposed", now
+// waiting on the other owner
+const PLAYDATE_STATUSES = {
+    PROPOSED: "proposed",
+    ACCEPTED: "accepted",
+    DECLINED: "declined",
+    CANCELLED: "cancelled",
+    COMPLETED: "completed",
+};
+
+// Statuses a playdate can still change from
+const OPEN_PLAYDATE_STATUSES = [PLAYDATE_STATUSES.PROPOSED, PLAYDATE_STATUSES.ACCEPTED];
+
+// What happened to a playdate, sent along with every change
+const PLAYDATE_ACTIONS = {
+    PROPOSE: "propose",
+    COUNTER: "counter",
+    ACCEPT: "accept",
+    DECLINE: "decline",
+    CANCEL: "cancel",
+    COMPLETE: "complete",
+};
+
+const PLAYDATE_LIMITS = {
+    MAX_PLACE_NAME_LENGTH: 120,
+    MAX_NOTE_LENGTH: 500,
+    // How far ahead a playdate can be planned
+    MAX_DAYS_AHEAD: 90,
+};
+
+module.exports = {
+    PLAYDATE_STATUSES,
+    OPEN_PLAYDATE_STATUSES,
+    PLAYDATE_ACTIONS,
+    PLAYDATE_LIMITS,
+};
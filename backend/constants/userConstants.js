@@ -0,0 +1,25 @@
+/**
+ * User roles and suspension limits, used by the backend only (the app has no
+ * admin screens, so there is no frontend counterpart)
+ */
+
+// What a user may do beyond the app itself. Moderators work the report
+// queue and suspend users; admins can also change roles
+const USER_ROLES = {
+    USER: "user",
+    MODERATOR: "moderator",
+    ADMIN: "admin",
+};
+
+// Staff roles that can use the admin API
+const STAFF_ROLES = [USER_ROLES.MODERATOR, USER_ROLES.ADMIN];
+
+const SUSPENSION_LIMITS = {
+    MAX_REASON_LENGTH: 500,
+};
+
+module.exports = {
+    USER_ROLES,
+    STAFF_ROLES,
+    SUSPENSION_LIMITS,
+};
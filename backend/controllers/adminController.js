@@ -0,0 +1,289 @@
+const User = require("../models/User");
+const Pet = require("../models/Pet");
+const Report = require("../models/Report");
+const adminService = require("../services/adminService");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+const { USER_ROLES } = require("../constants/userConstants");
+const { REPORT_STATUSES } = require("../constants/moderationConstants");
+
+// Load a user for a staff action, refusing actions on the acting account
+const findTargetUser = async (userId, actingUser) => {
+    if (userId === actingUser.id) {
+        throw new BadRequestError("You can't do that to your own account", {
+            code: "TARGET_IS_SELF",
+        });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    return user;
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (moderator, admin)
+exports.getUsers = asyncHandler(async (req, res) => {
+    const { items, total, page, pages } = await adminService.searchUsers(req.query);
+
+    res.json({
+        success: true,
+        count: items.length,
+        total,
+        page,
+        pages,
+        users: items,
+    });
+});
+
+// @desc    Get a user with their pets and report history
+// @route   GET /api/admin/users/:id
+// @access  Private (moderator, admin)
+exports.getUser = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).select("-password");
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    const [pets, reportsAgainst, reportsFiled] = await Promise.all([
+        Pet.find({ owner: user._id }).select("-dislikedPets -discoveryFilters -location"),
+        Report.countDocuments({ reportedUser: user._id }),
+        Report.countDocuments({ reporter: user._id }),
+    ]);
+
+    res.json({
+        success: true,
+        user,
+        pets,
+        reports: {
+            against: reportsAgainst,
+            filed: reportsFiled,
+        },
+    });
+});
+
+// @desc    Suspend a user, for a while or until lifted
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private (moderator, admin)
+exports.suspendUser = asyncHandler(async (req, res) => {
+    const { reason, until } = req.body;
+    const user = await findTargetUser(req.params.id, req.user);
+
+    // Staff accounts can only be suspended by an admin, and admins not at all
+    if (
+        user.role === USER_ROLES.ADMIN ||
+        (user.role !== USER_ROLES.USER && req.user.role !== USER_ROLES.ADMIN)
+    ) {
+        throw new ForbiddenError("You can't suspend this account", {
+            code: "INSUFFICIENT_ROLE",
+        });
+    }
+
+    const sessionIds = await adminService.suspendUser(user, {
+        reason,
+        until,
+        suspendedBy: req.user.id,
+    });
+
+    // Drop the user's live sockets along with their sessions
+    if (global.io && sessionIds.length > 0) {
+        const { disconnectSessions } = require("../services/socketService");
+        disconnectSessions(user._id, sessionIds).catch((error) => {
+            console.error("Error disconnecting suspended user:", error);
+        });
+    }
+
+    res.json({
+        success: true,
+        user: {
+            _id: user._id,
+            name: user.name,
+            suspension: user.suspension,
+        },
+    });
+});
+
+// @desc    Lift a user's suspension
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Private (moderator, admin)
+exports.unsuspendUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req.params.id, req.user);
+
+    if (!user.isSuspended()) {
+        throw new ConflictError("This user is not suspended", {
+            code: "NOT_SUSPENDED",
+        });
+    }
+
+    user.suspension = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+        success: true,
+        message: "Suspension lifted",
+    });
+});
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private (admin)
+exports.updateUserRole = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req.params.id, req.user);
+
+    user.role = req.body.role;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+        success: true,
+        user: {
+            _id: user._id,
+            name: user.name,
+            role: user.role,
+        },
+    });
+});
+
+// @desc    List and search pets
+// @route   GET /api/admin/pets
+// @access  Private (moderator, admin)
+exports.getPets = asyncHandler(async (req, res) => {
+    const { items, total, page, pages } = await adminService.searchPets(req.query);
+
+    res.json({
+        success: true,
+        count: items.length,
+        total,
+        page,
+        pages,
+        pets: items,
+    });
+});
+
+// @desc    Remove a photo from a pet's profile
+// @route   DELETE /api/admin/pets/:petId/photos
+// @access  Private (moderator, admin)
+exports.removePetPhoto = asyncHandler(async (req, res) => {
+    const { photo } = req.body;
+
+    const pet = await Pet.findOneAndUpdate(
+        { _id: req.params.petId, photos: photo },
+        { $pull: { photos: photo } },
+        { new: true }
+    ).select("-dislikedPets -discoveryFilters -location");
+
+    if (!pet) {
+        throw new NotFoundError("Photo not found on this pet", {
+            code: "PHOTO_NOT_FOUND",
+        });
+    }
+
+    res.json({
+        success: true,
+        pet,
+    });
+});
+
+// @desc    Get the moderation queue, oldest first
+// @route   GET /api/admin/reports
+// @access  Private (moderator, admin)
+exports.getReports = asyncHandler(async (req, res) => {
+    const { status = REPORT_STATUSES.PENDING, reason, page = 1, limit = 20 } = req.query;
+    const query = { status, ...(reason && { reason }) };
+
+    const [reports, total] = await Promise.all([
+        Report.find(query)
+            .sort({ createdAt: 1, _id: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select("-evidence")
+            .populate("reporter", "name email")
+            .populate("reportedUser", "name email suspension")
+            .populate("reportedPet", "name photos"),
+        Report.countDocuments(query),
+    ]);
+
+    res.json({
+        success: true,
+        count: reports.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        reports,
+    });
+});
+
+// @desc    Get a report with its evidence
+// @route   GET /api/admin/reports/:id
+// @access  Private (moderator, admin)
+exports.getReport = asyncHandler(async (req, res) => {
+    const report = await Report.findById(req.params.id)
+        .populate("reporter", "name email")
+        .populate("reportedUser", "name email suspension")
+        .populate("reportedPet", "name photos")
+        .populate("reviewedBy", "name");
+
+    if (!report) {
+        throw new NotFoundError("Report not found");
+    }
+
+    res.json({
+        success: true,
+        report,
+    });
+});
+
+// @desc    Resolve or dismiss a pending report
+// @route   PATCH /api/admin/reports/:id
+// @access  Private (moderator, admin)
+exports.reviewReport = asyncHandler(async (req, res) => {
+    const { status, resolutionNote } = req.body;
+
+    // Only pending reports can be reviewed, so two moderators can't both
+    // close the same one
+    const report = await Report.findOneAndUpdate(
+        { _id: req.params.id, status: REPORT_STATUSES.PENDING },
+        {
+            $set: {
+                status,
+                resolutionNote,
+                reviewedBy: req.user.id,
+                reviewedAt: new Date(),
+            },
+        },
+        { new: true }
+    );
+
+    if (!report) {
+        if (await Report.exists({ _id: req.params.id })) {
+            throw new ConflictError("This report has already been reviewed", {
+                code: "REPORT_ALREADY_REVIEWED",
+            });
+        }
+        throw new NotFoundError("Report not found");
+    }
+
+    res.json({
+        success: true,
+        report,
+    });
+});
+
+// @desc    Get totals and daily signups, matches and messages
+// @route   GET /api/admin/stats
+// @access  Private (moderator, admin)
+exports.getStats = asyncHandler(async (req, res) => {
+    const stats = await adminService.getStats({ days: req.query.days });
+
+    res.json({
+        success: true,
+        ...stats,
+    });
+});
@@ -2,280 +2,604 @@
 require('dotenv').config();
 
 const User = require("../models/User");
+const Session = require("../models/Session");
+const Pet = require("../models/Pet");
+const mailService = require("../services/mailService");
+const googleAuthService = require("../services/googleAuthService");
+const { accountSuspendedError } = require("../middleware/auth");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+    BadRequestError,
+    UnauthorizedError,
+    NotFoundError,
+    ConflictError,
+} = require("../utils/errors");
+
+// Start a new session for a user and issue its access/refresh token pair
+const createSession = async (user, req) => {
+    if (user.isSuspended()) {
+        throw accountSuspendedError(user);
+    }
+
+    const session = new Session({
+        user: user._id,
+        userAgent: req.headers["user-agent"],
+        ipAddress: req.ip,
+    });
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    return {
+        token: user.generateAuthToken(session._id),
+        refreshToken,
+    };
+};
+
+// Email a fresh verification token - failures are logged, not surfaced
+const sendVerificationEmail = async (user) => {
+    try {
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save({ validateBeforeSave: false });
+        await mailService.sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+        console.error("Verification email error:", error);
+    }
+};
+
+// Disconnect live sockets opened with revoked sessions
+const disconnectRevokedSessions = (userId, sessionIds) => {
+    if (!global.io || sessionIds.length === 0) return;
+
+    const { disconnectSessions } = require("../services/socketService");
+    disconnectSessions(userId, sessionIds).catch((error) => {
+        console.error("Error disconnecting revoked sessions:", error);
+    });
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
-exports.register = async (req, res) => {
-    try {
-        const { name, email, password } = req.body;
-
-        // Check if user exists
-        const userExists = await User.findOne({ email });
-        if (userExists) {
-            return res.status(400).json({
-                success: false,
-                message: "User already exists",
-            });
-        }
+exports.register = asyncHandler(async (req, res) => {
+    const { name, email, password } = req.body;
 
-        // Create user
-        const user = await User.create({
-            name,
-            email,
-            password,
-        });
-
-        // Generate token
-        const token = user.generateAuthToken();
-
-        res.status(201).json({
-            success: true,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-            },
-            token,
-        });
-    } catch (error) {
-        console.error("Registration error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
+    // Check if user exists
+    const userExists = await User.findOne({ email });
+    if (userExists) {
+        throw new ConflictError("User already exists", { errorType: "email" });
     }
-};
+
+    // Create user
+    const user = await User.create({
+        name,
+        email,
+        password,
+    });
+
+    // Ask the user to confirm they own the email address
+    await sendVerificationEmail(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+        success: true,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            emailVerified: user.emailVerified,
+        },
+        token,
+        refreshToken,
+    });
+});
 
 // @desc    Authenticate user & get token
 // @route   POST /api/auth/login
 // @access  Public
-exports.login = async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        // Check if user exists
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: "Account not found",
-                errorType: "email"
-            });
-        }
-
-        // Check if password matches
-        const isMatch = await user.comparePassword(password);
-        if (!isMatch) {
-            return res.status(401).json({
-                success: false,
-                message: "Incorrect password",
-                errorType: "password"
-            });
-        }
+exports.login = asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    // Check if user exists
+    const user = await User.findOne({ email });
+    if (!user) {
+        throw new NotFoundError("Account not found", { errorType: "email" });
+    }
 
-        // Generate token
-        const token = user.generateAuthToken();
-
-        res.json({
-            success: true,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-            },
-            token,
-        });
-    } catch (error) {
-        console.error("Login error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
+    // Check if password matches
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+        throw new UnauthorizedError("Incorrect password", { errorType: "password" });
     }
-};
 
-// @desc    Authenticate with Google (legacy direct token method)
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+        success: true,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+        },
+        token,
+        refreshToken,
+    });
+});
+
+// @desc    Authenticate with a Google ID token
 // @route   POST /api/auth/google/token
 // @access  Public
-exports.googleAuth = async (req, res) => {
+exports.googleAuth = asyncHandler(async (req, res) => {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+        throw new BadRequestError("Google ID token is required");
+    }
+
+    let identity;
     try {
-        const { accessToken } = req.body;
+        identity = await googleAuthService.verifyIdToken(idToken);
+    } catch (googleError) {
+        console.error("Google token verification failed:", googleError.message);
+        throw new UnauthorizedError("Failed to verify Google token");
+    }
 
-        if (!accessToken) {
-            return res.status(400).json({
-                success: false,
-                message: "Access token is required",
-            });
-        }
+    const { googleId, email, emailVerified, name, picture } = identity;
 
-        // Log platform for debugging
-        const platform = req.headers['user-agent'] ? 
-            (req.headers['user-agent'].includes('Android') ? 'Android' : 'Other') : 'Unknown';
-        console.log(`Processing Google auth request from platform: ${platform}`);
-        console.log(`Using access token: ${accessToken.substring(0, 10)}...`);
+    if (!email || !emailVerified) {
+        throw new UnauthorizedError(
+            "Your Google account email is not verified",
+            { errorType: "email" }
+        );
+    }
 
-        try {
-            // Use the access token to get user info from Google
-            const response = await fetch(
-                `https://www.googleapis.com/oauth2/v3/userinfo?access_token=${accessToken}`
-            );
-
-            if (!response.ok) {
-                console.error("Google API error:", await response.text());
-                throw new Error(`Failed to fetch user data from Google: ${response.status} ${response.statusText}`);
-            }
+    // Check if user exists
+    let user = await User.findOne({ googleId });
 
-            const payload = await response.json();
-            console.log("Google user info received:", JSON.stringify(payload).substring(0, 100) + "...");
-            const { sub: googleId, email, name, picture } = payload;
-
-            // Check if user exists
-            let user = await User.findOne({ googleId });
-
-            if (!user) {
-                // Check if email exists
-                const existingEmail = await User.findOne({ email });
-
-                if (existingEmail) {
-                    // Link Google account to existing email account
-                    existingEmail.googleId = googleId;
-                    existingEmail.isGoogleUser = true;
-                    existingEmail.profilePicture = existingEmail.profilePicture || picture;
-                    await existingEmail.save();
-                    user = existingEmail;
-                    console.log(`Linked Google account to existing email: ${email}`);
-                } else {
-                    // Create new user with Google data
-                    user = await User.create({
-                        name,
-                        email,
-                        googleId,
-                        isGoogleUser: true,
-                        profilePicture: picture,
-                    });
-                    console.log(`Created new user from Google auth: ${email}`);
-                }
+    if (!user) {
+        const existingEmail = await User.findOne({ email });
+
+        if (existingEmail) {
+            // Only link silently when both sides have proven ownership of
+            // the address; otherwise whoever registered it first could
+            // take over the Google user's account
+            if (!existingEmail.emailVerified || existingEmail.googleId) {
+                throw new ConflictError(
+                    "An account with this email already exists. Log in with your password and link Google from Settings.",
+                    { errorType: "account_exists" }
+                );
             }
 
-            // Generate token
-            const token = user.generateAuthToken();
-
-            res.status(200).json({
-                success: true,
-                user: {
-                    id: user._id,
-                    name: user.name,
-                    email: user.email,
-                    profilePicture: user.profilePicture,
-                },
-                token,
-            });
-        } catch (googleError) {
-            console.error("Error during Google user data fetch:", googleError);
-            return res.status(401).json({
-                success: false,
-                message: "Failed to verify Google token",
-                error: googleError.message,
+            existingEmail.googleId = googleId;
+            existingEmail.isGoogleUser = true;
+            existingEmail.profilePicture = existingEmail.profilePicture || picture;
+            await existingEmail.save();
+            user = existingEmail;
+            console.log(`Linked Google account to verified email: ${email}`);
+        } else {
+            // Create new user with Google data
+            user = await User.create({
+                name,
+                email,
+                googleId,
+                isGoogleUser: true,
+                emailVerified: true,
+                profilePicture: picture,
             });
+            console.log(`Created new user from Google auth: ${email}`);
         }
-    } catch (error) {
-        console.error("Google authentication error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Google authentication failed",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
     }
-};
 
-// @desc    Update user location
-// @route   PUT /api/auth/update-location
+    // Generate tokens
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+        success: true,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            profilePicture: user.profilePicture,
+        },
+        token,
+        refreshToken,
+    });
+});
+
+// @desc    Link a Google account to the current user
+// @route   POST /api/auth/google/link
 // @access  Private
-exports.updateLocation = async (req, res) => {
+exports.linkGoogle = asyncHandler(async (req, res) => {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+        throw new BadRequestError("Google ID token is required");
+    }
+
+    let identity;
     try {
-        const { location } = req.body;
+        identity = await googleAuthService.verifyIdToken(idToken);
+    } catch (googleError) {
+        console.error("Google token verification failed:", googleError.message);
+        throw new UnauthorizedError("Failed to verify Google token");
+    }
 
-        if (!location || !location.coordinates || location.coordinates.length !== 2) {
-            return res.status(400).json({
-                success: false,
-                message: "Valid location coordinates are required",
-            });
-        }
+    if (!identity.emailVerified) {
+        throw new UnauthorizedError("Your Google account email is not verified");
+    }
 
-        // Update user with new location data
-        const user = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { location } },
-            { new: true }
-        ).select("-password");
-
-        res.json({
-            success: true,
-            user,
-        });
-    } catch (error) {
-        console.error("Update location error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
+    const owner = await User.findOne({ googleId: identity.googleId });
+    if (owner && owner._id.toString() !== req.user.id) {
+        throw new ConflictError("This Google account is already linked to another user");
     }
-};
+
+    const user = await User.findById(req.user.id);
+    user.googleId = identity.googleId;
+    user.isGoogleUser = true;
+    user.profilePicture = user.profilePicture || identity.picture;
+    // Matching Google's verified address proves ownership of ours too
+    if (identity.email === user.email) {
+        user.emailVerified = true;
+    }
+    await user.save();
+
+    res.json({
+        success: true,
+        message: "Google account linked",
+    });
+});
+
+// @desc    Unlink the Google account from the current user
+// @route   DELETE /api/auth/google/link
+// @access  Private
+exports.unlinkGoogle = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (!user.googleId) {
+        throw new BadRequestError("No Google account is linked");
+    }
+
+    // Without a password the user would have no way to log in again
+    if (!user.password) {
+        throw new BadRequestError("Set a password before unlinking Google");
+    }
+
+    user.googleId = undefined;
+    user.isGoogleUser = false;
+    await user.save();
+
+    res.json({
+        success: true,
+        message: "Google account unlinked",
+    });
+});
+
+// @desc    Update user location
+// @route   PUT /api/auth/update-location
+// @access  Private
+exports.updateLocation = asyncHandler(async (req, res) => {
+    const { location } = req.body;
+
+    if (!location || !location.coordinates || location.coordinates.length !== 2) {
+        throw new BadRequestError("Valid location coordinates are required");
+    }
+
+    // Update user with new location data
+    const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: { location } },
+        { new: true }
+    ).select("-password");
+
+    // Pets carry a copy of the owner's location for the discovery feed
+    await Pet.syncOwnerLocation(user._id, user.location);
+
+    res.json({
+        success: true,
+        user,
+    });
+});
 
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
-exports.getMe = async (req, res) => {
-    try {
-        const user = await User.findById(req.user.id).select("-password");
-        res.json({
-            success: true,
-            user,
-        });
-    } catch (error) {
-        console.error("Get user error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
-    }
-};
+exports.getMe = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");
+    res.json({
+        success: true,
+        user,
+    });
+});
 
 // @desc    Store push notification token
 // @route   POST /api/auth/push-token
 // @access  Private
-exports.storePushToken = async (req, res) => {
-    try {
-        const { token } = req.body;
+exports.storePushToken = asyncHandler(async (req, res) => {
+    const { token } = req.body;
 
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: "Push notification token is required",
-            });
+    if (!token) {
+        throw new BadRequestError("Push notification token is required");
+    }
+
+    // Update user with new push token
+    const user = await User.findByIdAndUpdate(
+        req.user.id,
+        { $set: { pushToken: token } },
+        { new: true }
+    ).select("-password");
+
+    res.status(200).json({
+        success: true,
+        message: "Push notification token stored successfully",
+    });
+});
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res) => {
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+        throw new UnauthorizedError("Valid refresh token is required");
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session || !session.isActive()) {
+        throw new UnauthorizedError("Session expired or revoked");
+    }
+
+    // A rotated-out token being replayed means it was stolen - kill the session
+    if (!session.matchesRefreshToken(parsed.secret)) {
+        await session.revoke();
+        disconnectRevokedSessions(session.user, [session._id]);
+        throw new UnauthorizedError("Refresh token reuse detected, session revoked");
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user) {
+        await session.revoke();
+        throw new UnauthorizedError("Not authorized, user not found");
+    }
+
+    if (user.isSuspended()) {
+        throw accountSuspendedError(user);
+    }
+
+    // Rotate the refresh token
+    const refreshToken = session.rotateRefreshToken();
+    session.userAgent = req.headers["user-agent"] || session.userAgent;
+    session.ipAddress = req.ip;
+    await session.save();
+
+    res.json({
+        success: true,
+        token: user.generateAuthToken(session._id),
+        refreshToken,
+    });
+});
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = asyncHandler(async (req, res) => {
+    await Session.updateOne(
+        { _id: req.sessionId, user: req.user.id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    disconnectRevokedSessions(req.user.id, [req.sessionId]);
+
+    res.json({
+        success: true,
+        message: "Logged out successfully",
+    });
+});
+
+// @desc    List active sessions for the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map((session) => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            isCurrent: session._id.toString() === req.sessionId,
+        })),
+    });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res) => {
+    const session = await Session.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+    });
+
+    if (!session) {
+        throw new NotFoundError("Session not found");
+    }
+
+    await session.revoke();
+    disconnectRevokedSessions(req.user.id, [session._id]);
+
+    res.json({
+        success: true,
+        message: "Session revoked",
+    });
+});
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        _id: { $ne: req.sessionId },
+        revokedAt: null,
+    }).select("_id");
+    const sessionIds = sessions.map((session) => session._id);
+
+    await Session.updateMany(
+        { _id: { $in: sessionIds } },
+        { $set: { revokedAt: new Date() } }
+    );
+    disconnectRevokedSessions(req.user.id, sessionIds);
+
+    res.json({
+        success: true,
+        count: sessionIds.length,
+        message: "Other sessions revoked",
+    });
+});
+
+// @desc    Email a password reset token
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        throw new BadRequestError("Email is required");
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    // Only password accounts can be reset; the response never reveals
+    // whether the email is registered
+    if (user && user.password) {
+        const resetToken = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        // A failed send is logged, not surfaced: an error here would
+        // give registered emails away
+        try {
+            await mailService.sendPasswordResetEmail(user, resetToken);
+        } catch (mailError) {
+            console.error("Password reset email error:", mailError);
+            user.passwordResetTokenHash = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save({ validateBeforeSave: false });
         }
+    }
 
-        // Update user with new push token
-        const user = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { pushToken: token } },
-            { new: true }
-        ).select("-password");
-
-        res.status(200).json({
-            success: true,
-            message: "Push notification token stored successfully",
-        });
-    } catch (error) {
-        console.error("Store push token error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error: process.env.NODE_ENV === "development" ? error.message : undefined,
-        });
+    res.json({
+        success: true,
+        message:
+            "If an account exists for that email, a reset code has been sent",
+    });
+});
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        throw new BadRequestError("Reset token and new password are required");
+    }
+
+    const user = await User.findOne({
+        passwordResetTokenHash: User.hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new BadRequestError(
+            "Reset code is invalid or has expired",
+            { errorType: "token" }
+        );
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the code proves ownership of the mailbox
+    user.emailVerified = true;
+    await user.save();
+
+    // Sign out everywhere - whoever knew the old password loses access
+    const sessions = await Session.find({
+        user: user._id,
+        revokedAt: null,
+    }).select("_id");
+    const sessionIds = sessions.map((session) => session._id);
+    await Session.updateMany(
+        { _id: { $in: sessionIds } },
+        { $set: { revokedAt: new Date() } }
+    );
+    disconnectRevokedSessions(user._id, sessionIds);
+
+    res.json({
+        success: true,
+        message: "Password has been reset, please log in",
+    });
+});
+
+// @desc    Verify an email address using a verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        throw new BadRequestError("Verification token is required");
     }
-};
\ No newline at end of file
+
+    const user = await User.findOne({
+        emailVerificationTokenHash: User.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+        throw new BadRequestError(
+            "Verification code is invalid or has expired",
+            { errorType: "token" }
+        );
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+        success: true,
+        message: "Email verified successfully",
+    });
+});
+
+// @desc    Send a new email verification token
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+        throw new BadRequestError("Email is already verified");
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+        success: true,
+        message: "Verification email sent",
+    });
+});
@@ -2,237 +2,274 @@ const Chat = require("../models/Chat");
 const Message = require("../models/Message");
 const Match = require("../models/Match");
 const Pet = require("../models/Pet");
+const {
+    findChatForParticipant,
+    attachmentFolder,
+    validateMessagePayload,
+    createMessage,
+    formatMessage,
+    editMessage,
+    deleteMessage,
+    reactToMessage,
+    markMessagesRead,
+    getUnreadCounts,
+    getMessagesAround,
+    searchMessages,
+} = require("../services/messageService");
+const imageService = require("../services/imageService");
+const asyncHandler = require("../utils/asyncHandler");
+const {
+    AppError,
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+} = require("../utils/errors");
+
+// Messages as a chat screen shows them, with the viewer's read status
+const formatChatMessages = (messages, userId) =>
+    messages.map((message) => {
+        const isCurrentUser = message.sender._id.toString() === userId;
+        const readBy = message.readBy || [];
+        const isRead = isCurrentUser ||
+            readBy.some(read => read.user.toString() === userId);
+
+        return {
+            ...formatMessage(message, userId),
+            read: isRead,
+            // Own messages: whether the other owner has seen them
+            seen: isCurrentUser && readBy.some(read => read.user.toString() !== userId),
+        };
+    });
 
 // @desc    Get all chats for the current user
 // @route   GET /api/chats
 // @access  Private
-exports.getUserChats = async (req, res) => {
-    try {
-        // Find all chats where the user is a participant
-        const chats = await Chat.find({
-            participants: req.user.id,
-            isActive: true,
+exports.getUserChats = asyncHandler(async (req, res) => {
+    // Find all chats where the user is a participant
+    const chats = await Chat.find({
+        participants: req.user.id,
+        isActive: true,
+    })
+        .populate("match")
+        .populate({
+            path: "lastMessage",
+            select: "content attachments deletedAt createdAt",
         })
-            .populate("match")
-            .populate({
-                path: "lastMessage",
-                select: "content createdAt sender readBy",
-            })
-            .sort({ "lastMessage.createdAt": -1 });
-
-        // Prepare response data
-        const chatData = await Promise.all(
-            chats.map(async (chat) => {
-                try {
-                    // Find the other participant
-                    const otherParticipantId = chat.participants.find(
-                        (p) => p.toString() !== req.user.id
-                    );
+        .sort({ "lastMessage.createdAt": -1 });
+
+    // Unread counts for every chat, counted the same way as everywhere else
+    const { chats: unreadCounts } = await getUnreadCounts(req.user.id);
+
+    // Prepare response data
+    const chatData = await Promise.all(
+        chats.map(async (chat) => {
+            try {
+                // Find the other participant
+                const otherParticipantId = chat.participants.find(
+                    (p) => p.toString() !== req.user.id
+                );
+
+                if (!chat.match) {
+                    console.error("Match not found for chat:", chat._id);
+                    return null;
+                }
 
-                    if (!chat.match) {
-                        console.error("Match not found for chat:", chat._id);
-                        return null;
-                    }
+                // Get match data and pet info with owner fields
+                const match = await Match.findById(chat.match)
+                    .populate("pet1", "name photos owner")
+                    .populate("pet2", "name photos owner");
 
-                    // Get match data and pet info with owner fields
-                    const match = await Match.findById(chat.match)
-                        .populate("pet1", "name photos owner")
-                        .populate("pet2", "name photos owner");
+                if (!match) {
+                    console.error(
+                        "Match could not be populated:",
+                        chat.match
+                    );
+                    return null;
+                }
 
-                    if (!match) {
-                        console.error(
-                            "Match could not be populated:",
-                            chat.match
-                        );
-                        return null;
-                    }
+                if (!match.pet1 || !match.pet2) {
+                    console.error(
+                        "One or both pets missing from match:",
+                        match._id
+                    );
+                    return null;
+                }
 
-                    if (!match.pet1 || !match.pet2) {
-                        console.error(
-                            "One or both pets missing from match:",
-                            match._id
-                        );
-                        return null;
-                    }
+                // Get pet owner details directly from Pet model if needed
+                let myPet, otherPet;
 
-                    // Get pet owner details directly from Pet model if needed
-                    let myPet, otherPet;
-
-                    // Find which pet belongs to which user
-                    if (match.pet1.owner && match.pet2.owner) {
-                        // If owner is populated as an object (referenced)
-                        if (typeof match.pet1.owner === "object") {
-                            myPet =
-                                match.pet1.owner._id.toString() === req.user.id
-                                    ? match.pet1
-                                    : match.pet2;
-                            otherPet =
-                                match.pet1.owner._id.toString() === req.user.id
-                                    ? match.pet2
-                                    : match.pet1;
-                        } else {
-                            // If owner is a string (ObjectID)
-                            myPet =
-                                match.pet1.owner.toString() === req.user.id
-                                    ? match.pet1
-                                    : match.pet2;
-                            otherPet =
-                                match.pet1.owner.toString() === req.user.id
-                                    ? match.pet2
-                                    : match.pet1;
-                        }
+                // Find which pet belongs to which user
+                if (match.pet1.owner && match.pet2.owner) {
+                    // If owner is populated as an object (referenced)
+                    if (typeof match.pet1.owner === "object") {
+                        myPet =
+                            match.pet1.owner._id.toString() === req.user.id
+                                ? match.pet1
+                                : match.pet2;
+                        otherPet =
+                            match.pet1.owner._id.toString() === req.user.id
+                                ? match.pet2
+                                : match.pet1;
                     } else {
-                        // Fallback: fetch pets directly with owner info
-                        const pet1 = await Pet.findById(match.pet1._id).select(
-                            "name photos owner"
-                        );
-                        const pet2 = await Pet.findById(match.pet2._id).select(
-                            "name photos owner"
-                        );
-
-                        if (!pet1 || !pet2) {
-                            console.error("Could not retrieve pet information");
-                            return null;
-                        }
-
+                        // If owner is a string (ObjectID)
                         myPet =
-                            pet1.owner.toString() === req.user.id ? pet1 : pet2;
+                            match.pet1.owner.toString() === req.user.id
+                                ? match.pet1
+                                : match.pet2;
                         otherPet =
-                            pet1.owner.toString() === req.user.id ? pet2 : pet1;
+                            match.pet1.owner.toString() === req.user.id
+                                ? match.pet2
+                                : match.pet1;
                     }
+                } else {
+                    // Fallback: fetch pets directly with owner info
+                    const pet1 = await Pet.findById(match.pet1._id).select(
+                        "name photos owner"
+                    );
+                    const pet2 = await Pet.findById(match.pet2._id).select(
+                        "name photos owner"
+                    );
 
-                    // Check for unread messages in this chat
-                    let hasUnreadMessages = false;
-                    if (chat.lastMessage) {
-                        // Check if current user has read the last message
-                        hasUnreadMessages = chat.lastMessage.sender.toString() !== req.user.id && 
-                            (!chat.lastMessage.readBy || 
-                             !chat.lastMessage.readBy.some(read => read.user.toString() === req.user.id));
+                    if (!pet1 || !pet2) {
+                        console.error("Could not retrieve pet information");
+                        return null;
                     }
 
-                    // Count the number of unread messages
-                    const unreadCount = hasUnreadMessages ? 
-                        await Message.countDocuments({
-                            chat: chat._id,
-                            sender: { $ne: req.user.id },
-                            "readBy.user": { $ne: req.user.id }
-                        }) : 0;
-
-                    return {
-                        _id: chat._id,
-                        matchId: chat.match._id,
-                        participants: [
-                            {
-                                pet: {
-                                    _id: myPet._id,
-                                    name: myPet.name,
-                                    photos: myPet.photos,
-                                },
-                                isCurrentUser: true,
+                    myPet =
+                        pet1.owner.toString() === req.user.id ? pet1 : pet2;
+                    otherPet =
+                        pet1.owner.toString() === req.user.id ? pet2 : pet1;
+                }
+
+                // Count the number of unread messages
+                const unreadCount = unreadCounts[chat._id.toString()] || 0;
+                const hasUnreadMessages = unreadCount > 0;
+
+                return {
+                    _id: chat._id,
+                    matchId: chat.match._id,
+                    participants: [
+                        {
+                            userId: req.user.id,
+                            pet: {
+                                _id: myPet._id,
+                                name: myPet.name,
+                                photos: myPet.photos,
                             },
-                            {
-                                pet: {
-                                    _id: otherPet._id,
-                                    name: otherPet.name,
-                                    photos: otherPet.photos,
-                                },
-                                isCurrentUser: false,
+                            isCurrentUser: true,
+                        },
+                        {
+                            userId: otherParticipantId,
+                            pet: {
+                                _id: otherPet._id,
+                                name: otherPet.name,
+                                photos: otherPet.photos,
                             },
-                        ],
-                        lastMessage: chat.lastMessage
-                            ? {
-                                  content: chat.lastMessage.content,
-                                  createdAt: chat.lastMessage.createdAt,
-                                  unread: hasUnreadMessages,
-                                  unreadCount: unreadCount,
-                              }
-                            : null,
-                        createdAt: chat.createdAt,
-                    };
-                } catch (error) {
-                    console.error("Error processing chat:", error);
-                    return null;
-                }
-            })
-        );
+                            isCurrentUser: false,
+                        },
+                    ],
+                    lastMessage: chat.lastMessage
+                        ? {
+                              content: chat.lastMessage.content,
+                              attachments: chat.lastMessage.attachments || [],
+                              deleted: Boolean(chat.lastMessage.deletedAt),
+                              createdAt: chat.lastMessage.createdAt,
+                              unread: hasUnreadMessages,
+                              unreadCount: unreadCount,
+                          }
+                        : null,
+                    createdAt: chat.createdAt,
+                };
+            } catch (error) {
+                console.error("Error processing chat:", error);
+                return null;
+            }
+        })
+    );
 
-        // Filter out any nulls (in case a match was deleted or there was an error)
-        const validChats = chatData.filter((chat) => chat !== null);
+    // Filter out any nulls (in case a match was deleted or there was an error)
+    const validChats = chatData.filter((chat) => chat !== null);
 
-        res.json({
-            success: true,
-            count: validChats.length,
-            chats: validChats,
-        });
-    } catch (error) {
-        console.error("Get chats error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error:
-                process.env.NODE_ENV === "development"
-                    ? error.message
-                    : undefined,
-        });
-    }
-};
+    res.json({
+        success: true,
+        count: validChats.length,
+        chats: validChats,
+    });
+});
+
+// @desc    Search the current user's messages across their chats
+// @route   GET /api/chats/search
+// @access  Private
+exports.searchMessages = asyncHandler(async (req, res) => {
+    const { q, limit = 20 } = req.query;
+    const results = await searchMessages(req.user.id, q, { limit });
+
+    res.json({
+        success: true,
+        count: results.length,
+        results,
+    });
+});
 
 // @desc    Get single chat by ID with messages
 // @route   GET /api/chats/:id
 // @access  Private
-exports.getChatById = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { limit = 20, before } = req.query;
-
-        // Find chat and ensure user is a participant
-        const chat = await Chat.findOne({
-            _id: id,
-            participants: req.user.id,
-        }).populate("match");
-
-        if (!chat) {
-            return res.status(404).json({
-                success: false,
-                message: "Chat not found or you are not a participant",
-            });
-        }
+exports.getChatById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 20, before, around } = req.query;
+
+    // Find chat and ensure user is a participant
+    const chat = await Chat.findOne({
+        _id: id,
+        participants: req.user.id,
+        isActive: true,
+    }).populate("match");
+
+    if (!chat) {
+        throw new NotFoundError("Chat not found or you are not a participant");
+    }
 
-        // Get match data with pets
-        const match = await Match.findById(chat.match)
-            .populate("pet1", "name photos owner")
-            .populate("pet2", "name photos owner");
+    // Get match data with pets
+    const match = await Match.findById(chat.match)
+        .populate("pet1", "name photos owner")
+        .populate("pet2", "name photos owner");
 
-        if (!match) {
-            return res.status(404).json({
-                success: false,
-                message: "Match associated with this chat not found",
-            });
-        }
+    if (!match) {
+        throw new NotFoundError("Match associated with this chat not found");
+    }
 
-        // Determine which pet belongs to which user
-        let myPet, otherPet;
-
-        // Get pet owner details directly from Pet model if needed
-        const pet1 = await Pet.findById(match.pet1._id).select(
-            "name photos owner"
-        );
-        const pet2 = await Pet.findById(match.pet2._id).select(
-            "name photos owner"
-        );
-
-        if (!pet1 || !pet2) {
-            return res.status(404).json({
-                success: false,
-                message: "Pet information not found",
-            });
-        }
+    // Determine which pet belongs to which user
+    let myPet, otherPet;
 
-        myPet = pet1.owner.toString() === req.user.id ? pet1 : pet2;
-        otherPet = pet1.owner.toString() === req.user.id ? pet2 : pet1;
+    // Get pet owner details directly from Pet model if needed
+    const pet1 = await Pet.findById(match.pet1._id).select(
+        "name photos owner"
+    );
+    const pet2 = await Pet.findById(match.pet2._id).select(
+        "name photos owner"
+    );
 
-        // Build query for messages
-        let messagesQuery = Message.find({ chat: id });
+    if (!pet1 || !pet2) {
+        throw new NotFoundError("Pet information not found");
+    }
+
+    myPet = pet1.owner.toString() === req.user.id ? pet1 : pet2;
+    otherPet = pet1.owner.toString() === req.user.id ? pet2 : pet1;
+
+    let messages;
+
+    if (around) {
+        // A page centred on one message, e.g. a search result
+        messages = await getMessagesAround(id, req.user.id, around, Number(limit));
+
+        if (!messages) {
+            throw new NotFoundError("Message not found in this chat", {
+                code: "MESSAGE_NOT_FOUND",
+            });
+        }
+    } else {
+        // Build query for messages, leaving out those the user deleted for themselves
+        let messagesQuery = Message.find({ chat: id, deletedFor: { $ne: req.user.id } });
 
         // If before parameter is provided, get messages before that date
         if (before) {
@@ -242,288 +279,365 @@ exports.getChatById = async (req, res) => {
         }
 
         // Get messages
-        const messages = await messagesQuery
+        messages = await messagesQuery
             .sort({ createdAt: -1 })
             .limit(Number(limit))
             .populate("sender", "name profilePicture");
+    }
 
-        // Count unread messages before marking as read
-        const unreadCount = await Message.countDocuments({
-            chat: id,
-            sender: { $ne: req.user.id },
-            "readBy.user": { $ne: req.user.id }
-        });
+    // Count unread messages; they stay unread until the client marks them
+    const { total: unreadCount } = await getUnreadCounts(req.user.id, {
+        chatIds: [id],
+    });
 
-        // Format messages with sender info and read status
-        const formattedMessages = messages.reverse().map((message) => {
-            const isCurrentUser = message.sender._id.toString() === req.user.id;
-            const isRead = isCurrentUser || 
-                (message.readBy && message.readBy.some(read => read.user.toString() === req.user.id));
-            
-            return {
-                _id: message._id,
-                content: message.content,
-                createdAt: message.createdAt,
-                sender: {
-                    isCurrentUser: isCurrentUser,
-                },
-                read: isRead,
-                attachments: message.attachments || [],
-            };
-        });
+    // Format messages with sender info and read status
+    const formattedMessages = formatChatMessages(messages.reverse(), req.user.id);
 
-        // Mark messages as read
-        await Message.updateMany(
-            {
-                chat: id,
-                sender: { $ne: req.user.id },
-                "readBy.user": { $ne: req.user.id },
-            },
-            {
-                $push: {
-                    readBy: {
-                        user: req.user.id,
-                        readAt: new Date(),
+    res.json({
+        success: true,
+        chat: {
+            _id: chat._id,
+            match: match._id,
+            participants: [
+                {
+                    userId: req.user.id,
+                    pet: {
+                        _id: myPet._id,
+                        name: myPet.name,
+                        photos: myPet.photos,
                     },
+                    isCurrentUser: true,
                 },
-            }
-        );
-
-        res.json({
-            success: true,
-            chat: {
-                _id: chat._id,
-                participants: [
-                    {
-                        pet: {
-                            _id: myPet._id,
-                            name: myPet.name,
-                            photos: myPet.photos,
-                        },
-                        isCurrentUser: true,
-                    },
-                    {
-                        pet: {
-                            _id: otherPet._id,
-                            name: otherPet.name,
-                            photos: otherPet.photos,
-                        },
-                        isCurrentUser: false,
+                {
+                    userId: otherPet.owner,
+                    pet: {
+                        _id: otherPet._id,
+                        name: otherPet.name,
+                        photos: otherPet.photos,
                     },
-                ],
-                createdAt: chat.createdAt,
-                unreadCount: unreadCount,
-            },
-            messages: formattedMessages,
-        });
-    } catch (error) {
-        console.error("Get chat error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error:
-                process.env.NODE_ENV === "development"
-                    ? error.message
-                    : undefined,
-        });
+                    isCurrentUser: false,
+                },
+            ],
+            createdAt: chat.createdAt,
+            unreadCount: unreadCount,
+        },
+        messages: formattedMessages,
+    });
+});
+
+// @desc    Get unread message counts for the current user's chats
+// @route   GET /api/chats/unread
+// @access  Private
+exports.getUnreadCounts = asyncHandler(async (req, res) => {
+    const { total, chats } = await getUnreadCounts(req.user.id);
+
+    res.json({
+        success: true,
+        total,
+        chats,
+    });
+});
+
+// @desc    Mark messages in a chat as read, up to a message
+// @route   POST /api/chats/:id/read
+// @access  Private
+exports.markChatRead = asyncHandler(async (req, res) => {
+    const chat = await findChatForParticipant(req.params.id, req.user.id);
+
+    if (!chat) {
+        throw new NotFoundError("Chat not found or you are not a participant");
     }
-};
+
+    const receipt = await markMessagesRead(chat, req.user.id, req.body.messageId);
+
+    if (!receipt) {
+        throw new NotFoundError("Message not found in this chat");
+    }
+
+    if (receipt.count > 0 && global.io) {
+        try {
+            const { emitMessagesRead } = require("../services/socketService");
+            emitMessagesRead(chat, req.user.id, receipt);
+        } catch (notificationError) {
+            console.error("Error broadcasting read receipt:", notificationError);
+            // Non-critical error, continue execution
+        }
+    }
+
+    res.json({
+        success: true,
+        ...receipt,
+    });
+});
 
 // @desc    Send a message in a chat
 // @route   POST /api/chats/:id/messages
 // @access  Private
-exports.sendMessage = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { content, attachments } = req.body;
-
-        // Validate input
-        if (!content && (!attachments || attachments.length === 0)) {
-            return res.status(400).json({
-                success: false,
-                message: "Message must have content or attachments",
-            });
+exports.sendMessage = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { content, attachments, clientId } = req.body;
+
+    // Validate input
+    validateMessagePayload(id, req.body);
+
+    // Find chat and ensure user is a participant
+    const chat = await findChatForParticipant(id, req.user.id);
+
+    if (!chat) {
+        throw new NotFoundError("Chat not found or you are not a participant");
+    }
+
+    // Create message and update last message in chat
+    const savedMessage = await createMessage(chat, req.user.id, {
+        content,
+        attachments,
+        clientId,
+    });
+
+    // Deliver the stored message to connected participants
+    if (global.io) {
+        try {
+            const { emitNewMessage } = require("../services/socketService");
+            emitNewMessage(chat, savedMessage);
+        } catch (notificationError) {
+            console.error("Error broadcasting message:", notificationError);
+            // Non-critical error, continue execution
         }
+    }
 
-        // Find chat and ensure user is a participant
-        const chat = await Chat.findOne({
-            _id: id,
-            participants: req.user.id,
-        });
+    res.status(201).json({
+        success: true,
+        message: formatMessage(savedMessage, req.user.id),
+    });
+});
 
-        if (!chat) {
-            return res.status(404).json({
-                success: false,
-                message: "Chat not found or you are not a participant",
-            });
+// Load a chat the current user takes part in, or 404
+const findParticipantChat = async (chatId, userId) => {
+    const chat = await findChatForParticipant(chatId, userId);
+
+    if (!chat) {
+        throw new NotFoundError("Chat not found or you are not a participant");
+    }
+
+    return chat;
+};
+
+// Show a changed message to both participants' live devices
+const broadcastMessageUpdate = (chat, message) => {
+    if (!global.io) return;
+
+    try {
+        const { emitMessageUpdated } = require("../services/socketService");
+        emitMessageUpdated(chat, message);
+    } catch (notificationError) {
+        console.error("Error broadcasting message update:", notificationError);
+        // Non-critical error, continue execution
+    }
+};
+
+// @desc    Edit the text of your own message, shortly after sending it
+// @route   PATCH /api/chats/:id/messages/:messageId
+// @access  Private
+exports.editMessage = asyncHandler(async (req, res) => {
+    const chat = await findParticipantChat(req.params.id, req.user.id);
+    const message = await editMessage(chat, req.user.id, req.params.messageId, req.body.content);
+
+    broadcastMessageUpdate(chat, message);
+
+    res.json({
+        success: true,
+        message: formatMessage(message, req.user.id),
+    });
+});
+
+// @desc    Delete a message for yourself, or your own message for everyone
+// @route   DELETE /api/chats/:id/messages/:messageId
+// @access  Private
+exports.deleteMessage = asyncHandler(async (req, res) => {
+    const forEveryone = req.body?.forEveryone === true;
+    const chat = await findParticipantChat(req.params.id, req.user.id);
+    const message = await deleteMessage(chat, req.user.id, req.params.messageId, {
+        forEveryone,
+    });
+
+    if (forEveryone) {
+        broadcastMessageUpdate(chat, message);
+    } else if (global.io) {
+        try {
+            const { emitMessageDeleted } = require("../services/socketService");
+            emitMessageDeleted(req.user.id, chat._id, message._id);
+        } catch (notificationError) {
+            console.error("Error broadcasting message deletion:", notificationError);
+            // Non-critical error, continue execution
         }
+    }
 
-        // Create message
-        const message = new Message({
-            chat: id,
-            sender: req.user.id,
-            content: content || "",
-            attachments: attachments || [],
-            readBy: [
-                {
-                    user: req.user.id,
-                    readAt: new Date(),
-                },
-            ],
-        });
+    res.json({
+        success: true,
+        messageId: message._id,
+        forEveryone,
+    });
+});
+
+// @desc    Set or remove your reaction to a message
+// @route   PUT|DELETE /api/chats/:id/messages/:messageId/reaction
+// @access  Private
+exports.reactToMessage = asyncHandler(async (req, res) => {
+    const emoji = req.method === "DELETE" ? null : req.body.emoji;
+    const chat = await findParticipantChat(req.params.id, req.user.id);
+    const message = await reactToMessage(chat, req.user.id, req.params.messageId, emoji);
 
-        const savedMessage = await message.save();
+    broadcastMessageUpdate(chat, message);
 
-        // Update last message in chat
-        chat.lastMessage = savedMessage._id;
-        await chat.save();
+    res.json({
+        success: true,
+        message: formatMessage(message, req.user.id),
+    });
+});
 
-        // Format response
-        const messageResponse = {
-            _id: savedMessage._id,
-            content: savedMessage.content,
-            createdAt: savedMessage.createdAt,
-            sender: {
-                isCurrentUser: true,
-            },
-            attachments: savedMessage.attachments || [],
-        };
+// @desc    Upload a photo to send in a chat
+// @route   POST /api/chats/:id/attachments
+// @access  Private
+exports.uploadAttachment = asyncHandler(async (req, res) => {
+    const chat = await findChatForParticipant(req.params.id, req.user.id);
 
-        res.status(201).json({
-            success: true,
-            message: messageResponse,
+    if (!chat) {
+        throw new NotFoundError("Chat not found or you are not a participant");
+    }
+
+    if (!req.file) {
+        throw new BadRequestError("No file uploaded", { code: "NO_FILE" });
+    }
+
+    // Each chat's photos are kept together so they can be cleaned up with it
+    let result;
+    try {
+        result = await imageService.uploadImage(req.file, {
+            folder: attachmentFolder(chat._id),
         });
     } catch (error) {
-        console.error("Send message error:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error:
-                process.env.NODE_ENV === "development"
-                    ? error.message
-                    : undefined,
+        console.error(`Chat attachment upload error (${imageService.provider}):`, error);
+        throw new AppError("Image upload failed", {
+            statusCode: 502,
+            code: "UPLOAD_FAILED",
         });
     }
-};
+
+    res.status(201).json({
+        success: true,
+        imageUrl: result.url,
+        publicId: result.publicId,
+    });
+});
 
 // @desc    Get or create a chat for a specific match
 // @route   POST /api/chats/for-match
 // @access  Private
-exports.getChatForMatch = async (req, res) => {
-    try {
-        const { matchId } = req.body;
-
-        if (!matchId) {
-            return res.status(400).json({
-                success: false,
-                message: "Match ID is required",
-            });
-        }
+exports.getChatForMatch = asyncHandler(async (req, res) => {
+    const { matchId } = req.body;
 
-        // First, check if a chat already exists for this match
-        let chat = await Chat.findOne({
-            match: matchId,
-            isActive: true,
-        });
+    if (!matchId) {
+        throw new BadRequestError("Match ID is required");
+    }
 
-        if (!chat) {
-            // If no chat exists, get the match to create one
-            const match = await Match.findById(matchId);
+    // First, check if a chat already exists for this match
+    let chat = await Chat.findOne({
+        match: matchId,
+        isActive: true,
+    });
 
-            if (!match) {
-                return res.status(404).json({
-                    success: false,
-                    message: "Match not found",
-                });
-            }
+    if (chat && !chat.participants.some((p) => p.toString() === req.user.id)) {
+        throw new ForbiddenError("You are not a participant in this match");
+    }
 
-            // Ensure current user is a participant in this match
-            if (!match.participants.includes(req.user.id)) {
-                return res.status(403).json({
-                    success: false,
-                    message: "You are not a participant in this match",
-                });
-            }
+    if (!chat) {
+        // If no chat exists, get the match to create one
+        const match = await Match.findById(matchId)
+            .populate("pet1", "owner")
+            .populate("pet2", "owner");
 
-            // Create a new chat for this match
-            chat = new Chat({
-                match: matchId,
-                participants: match.participants,
-                isActive: true,
-            });
+        if (!match || !match.isMatch || !match.pet1 || !match.pet2) {
+            throw new NotFoundError("Match not found");
+        }
 
-            await chat.save();
+        // Ensure current user owns one of the matched pets
+        const participants = [match.pet1.owner, match.pet2.owner];
+        if (!participants.some((p) => p.toString() === req.user.id)) {
+            throw new ForbiddenError("You are not a participant in this match");
         }
 
-        // Get full chat details with participants
-        const populatedChat = await Chat.findById(chat._id)
-            .populate("match")
-            .populate({
-                path: "lastMessage",
-                select: "content createdAt sender",
-            });
+        // Create a new chat for this match
+        chat = new Chat({
+            match: matchId,
+            participants,
+            isActive: true,
+        });
 
-        // Format response similar to the getChats endpoint
-        const otherParticipantId = populatedChat.participants.find(
-            (p) => p.toString() !== req.user.id
-        );
+        await chat.save();
+    }
 
-        // Get user's pet info
-        const myPet = await Pet.findOne({ owner: req.user.id });
+    // Get full chat details with participants
+    const populatedChat = await Chat.findById(chat._id)
+        .populate("match")
+        .populate({
+            path: "lastMessage",
+            select: "content attachments deletedAt createdAt sender",
+        });
 
-        // Get other user's pet info
-        const otherPet = await Pet.findOne({ owner: otherParticipantId });
+    // Format response similar to the getChats endpoint
+    const otherParticipantId = populatedChat.participants.find(
+        (p) => p.toString() !== req.user.id
+    );
 
-        const chatData = {
-            _id: populatedChat._id,
-            matchId: populatedChat.match._id,
-            participants: [
-                {
-                    pet: {
-                        _id: myPet._id,
-                        name: myPet.name,
-                        photos: myPet.photos,
-                    },
-                    isCurrentUser: true,
-                },
-                {
-                    pet: {
-                        _id: otherPet._id,
-                        name: otherPet.name,
-                        photos: otherPet.photos,
-                    },
-                    isCurrentUser: false,
-                },
-            ],
-            lastMessage: populatedChat.lastMessage
-                ? {
-                      content: populatedChat.lastMessage.content,
-                      createdAt: populatedChat.lastMessage.createdAt,
-                      unread: false,
-                  }
-                : null,
-            createdAt: populatedChat.createdAt,
-        };
+    // Get user's pet info
+    const myPet = await Pet.findOne({ owner: req.user.id });
 
-        // Get messages
-        const messages = await Message.find({ chat: chat._id })
-            .sort({ createdAt: -1 })
-            .limit(20);
+    // Get other user's pet info
+    const otherPet = await Pet.findOne({ owner: otherParticipantId });
 
-        res.json({
-            success: true,
-            chat: chatData,
-            messages: messages.reverse(), // reverse to get chronological order
-        });
-    } catch (error) {
-        console.error("Error in get/create chat for match:", error);
-        res.status(500).json({
-            success: false,
-            message: "Server error",
-            error:
-                process.env.NODE_ENV === "development"
-                    ? error.message
-                    : undefined,
-        });
-    }
-};
+    const chatData = {
+        _id: populatedChat._id,
+        matchId: populatedChat.match._id,
+        participants: [
+            {
+                pet: {
+                    _id: myPet._id,
+                    name: myPet.name,
+                    photos: myPet.photos,
+                },
+                isCurrentUser: true,
+            },
+            {
+                pet: {
+                    _id: otherPet._id,
+                    name: otherPet.name,
+                    photos: otherPet.photos,
+                },
+                isCurrentUser: false,
+            },
+        ],
+        lastMessage: populatedChat.lastMessage
+            ? {
+                  content: populatedChat.lastMessage.content,
+                  attachments: populatedChat.lastMessage.attachments || [],
+                  deleted: Boolean(populatedChat.lastMessage.deletedAt),
+                  createdAt: populatedChat.lastMessage.createdAt,
+                  unread: false,
+              }
+            : null,
+        createdAt: populatedChat.createdAt,
+    };
+
+    // Get messages, leaving out those the user deleted for themselves
+    const messages = await Message.find({ chat: chat._id, deletedFor: { $ne: req.user.id } })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate("sender", "name profilePicture");
+
+    res.json({
+        success: true,
+        chat: chatData,
+        // reverse to get chronological order
+        messages: formatChatMessages(messages.reverse(), req.user.id),
+    });
+});
@@ -1,597 +1,603 @@
-const mongoose = require("mongoose");
 const Pet = require("../models/Pet");
 const Match = require("../models/Match");
 const Chat = require("../models/Chat");
 const User = require("../models/User");
+const Message = require("../models/Message");
+const Swipe = require("../models/Swipe");
+const Playdate = require("../models/Playdate");
+const discoveryService = require("../services/discoveryService");
+const superLikeService = require("../services/superLikeService");
+const { isBlockedBetween } = require("../services/blockService");
+const asyncHandler = require("../utils/asyncHandler");
+const { NotFoundError, ConflictError } = require("../utils/errors");
 
 // Helper functions
-const errorResponse = (res, status, message, error) => {
-    return res.status(status).json({
-        success: false,
-        message,
-        error:
-            process.env.NODE_ENV === "development" ? error?.message : undefined,
-    });
-};
-
-const validateUserPet = async (petId, userId) => {
+const findUserPet = async (petId, userId) => {
     const pet = await Pet.findOne({
         _id: petId,
         owner: userId,
     });
+
+    if (!pet) {
+        throw new NotFoundError("Pet not found or does not belong to you");
+    }
+
     return pet;
 };
 
-const calculateDistance = (coords1, coords2) => {
-    if (!coords1 || !coords2) return 0.1;
-
-    const [long1, lat1] = coords1;
-    const [long2, lat2] = coords2;
-
-    // Simple distance calculation (approximation)
-    const R = 6371; // Radius of earth in km
-    const dLat = ((lat2 - lat1) * Math.PI) / 180;
-    const dLon = ((long2 - long1) * Math.PI) / 180;
-    const a =
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos((lat1 * Math.PI) / 180) *
-            Math.cos((lat2 * Math.PI) / 180) *
-            Math.sin(dLon / 2) *
-            Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c; // Distance in km
-};
+// Remember the time zone the app reports, so daily limits follow the user
+const loadUserWithTimezone = async (userId, timezone) => {
+    const user = await User.findById(userId).select("timezone superLikeUsage");
 
-const addDistanceInfo = async (pets, ownerCoordinates) => {
-    return Promise.all(
-        pets.map(async (pet) => {
-            const petOwnerInfo = await User.findById(pet.owner);
-            if (petOwnerInfo?.location?.coordinates) {
-                const distance = calculateDistance(
-                    ownerCoordinates,
-                    petOwnerInfo.location.coordinates
-                );
-                // Include owner location coordinates for reverse geocoding on frontend
-                return { 
-                    ...pet, 
-                    distance,
-                    ownerLocation: {
-                        coordinates: petOwnerInfo.location.coordinates
-                    }
-                };
-            }
-            return { ...pet, distance: 0.1 };
-        })
-    );
-};
+    if (user && timezone && timezone !== user.timezone) {
+        user.timezone = timezone;
+        await user.save();
+    }
 
-const isValidLocation = (location) => {
-    return (
-        location &&
-        location.coordinates &&
-        location.coordinates.length === 2 &&
-        (location.coordinates[0] !== 0 || location.coordinates[1] !== 0)
-    );
+    return user;
 };
 
-// @desc    Get potential matches for a pet
-// @route   GET /api/matches/potential/:petId
-// @access  Private
-exports.getPotentialMatches = async (req, res) => {
-    try {
-        const { petId } = req.params;
-        const { limit = 10, skip = 0, maxDistance = 100 } = req.query;
-        const limitNum = Number(limit);
-        const skipNum = Number(skip);
-        const maxDistanceNum = Number(maxDistance);
+/**
+ * Record a like or pass of one pet by another, opening a chat when it makes a
+ * match. Shared by the discovery feed and the likes-received inbox
+ * @param {string} userId - The acting user, who owns `pet`
+ * @param {Object} pet - The swiping pet
+ * @param {Object} likedPet - The pet being liked or passed
+ * @param {Object} options - { isLiked, superLike, timezone }
+ * @returns {Promise<Object>} - { match, superLikes }
+ */
+const recordSwipe = async (userId, pet, likedPet, options) => {
+    const { isLiked, superLike = false, timezone } = options;
+    const petId = pet._id.toString();
+    const likedPetId = likedPet._id.toString();
+
+    // Find or create a match record - always store with pet1 having the lower ObjectId
+    const [petWithLowerId, petWithHigherId] =
+        petId < likedPetId ? [petId, likedPetId] : [likedPetId, petId];
+
+    // Is the current pet pet1 or pet2?
+    const isPet1 = petId === petWithLowerId;
+
+    let match = await Match.findOne({
+        pet1: petWithLowerId,
+        pet2: petWithHigherId,
+    });
 
-        // Verify the pet exists and belongs to the user
-        const pet = await validateUserPet(petId, req.user.id);
-        if (!pet) {
-            return errorResponse(
-                res,
-                404,
-                "Pet not found or does not belong to you"
-            );
-        }
+    // Our flag before this swipe, so a rewind can restore it
+    const previousChoice = match
+        ? isPet1
+            ? match.pet1LikedPet2
+            : match.pet2LikedPet1
+        : null;
+
+    const superLikeField = isPet1 ? "pet1SuperLikedPet2" : "pet2SuperLikedPet1";
+    const alreadySuperLiked = Boolean(match && match[superLikeField]);
+
+    // Only a new super like costs quota; this throws once it is used up
+    let superLikes;
+    if (superLike && !alreadySuperLiked) {
+        const user = await loadUserWithTimezone(userId, timezone);
+        superLikes = await superLikeService.consumeSuperLike(user);
+    }
 
-        // Find matches that this pet has already interacted with
-        const matches = await Match.find({
-            $or: [{ pet1: pet._id }, { pet2: pet._id }],
+    if (match) {
+        // Update existing match
+        if (isPet1) {
+            match.pet1LikedPet2 = isLiked;
+        } else {
+            match.pet2LikedPet1 = isLiked;
+        }
+    } else {
+        // Create new match
+        match = new Match({
+            pet1: petWithLowerId,
+            pet2: petWithHigherId,
+            pet1LikedPet2: isPet1 ? isLiked : null,
+            pet2LikedPet1: isPet1 ? null : isLiked,
         });
+    }
 
-        // Create pet ID lists for filtering
-        const excludedPetIds = [];
-        const likedByPetIds = [];
-        const alreadyLikedPetIds = [];
-
-        matches.forEach((match) => {
-            const isPet1 = match.pet1.toString() === pet._id.toString();
-            const otherPetId = isPet1 ? match.pet2 : match.pet1;
-
-            // If it's already a match or the current pet rejected the other pet, exclude it
-            if (
-                match.isMatch ||
-                (isPet1 && match.pet1LikedPet2 === false) ||
-                (!isPet1 && match.pet2LikedPet1 === false)
-            ) {
-                excludedPetIds.push(otherPetId);
-            }
-            // If the other pet likes this pet but this pet hasn't acted yet, prioritize showing it
-            else if (
-                (isPet1 &&
-                    match.pet2LikedPet1 === true &&
-                    match.pet1LikedPet2 === null) ||
-                (!isPet1 &&
-                    match.pet1LikedPet2 === true &&
-                    match.pet2LikedPet1 === null)
-            ) {
-                likedByPetIds.push(otherPetId);
-            }
-            // If this pet likes the other pet but hasn't been liked back yet, don't show again
-            else if (
-                (isPet1 && match.pet1LikedPet2 === true) ||
-                (!isPet1 && match.pet2LikedPet1 === true)
-            ) {
-                alreadyLikedPetIds.push(otherPetId);
-            }
+    // A pass takes back an earlier super like along with the like
+    match[superLikeField] = isLiked && (superLike || alreadySuperLiked);
+
+    // Save the match and check if it's a mutual like
+    const previousIsMatch = match.isMatch;
+    const savedMatch = await match.save();
+    savedMatch.checkMatch();
+
+    await Swipe.create({
+        pet: pet._id,
+        targetPet: likedPet._id,
+        match: savedMatch._id,
+        action: isLiked ? "like" : "pass",
+        superLike: Boolean(superLikes),
+        previousChoice,
+        createdMatch: !previousIsMatch && savedMatch.isMatch,
+    });
+
+    // If it's a new match (it wasn't a match before, but now it is)
+    if (!previousIsMatch && savedMatch.isMatch) {
+        // Create a chat for the matched pets
+        const [pet1Owner, pet2Owner] = await Promise.all([
+            Pet.findById(petWithLowerId)
+                .select("owner name photos")
+                .populate("owner", "id"),
+            Pet.findById(petWithHigherId)
+                .select("owner name photos")
+                .populate("owner", "id"),
+        ]);
+
+        const chat = await Chat.create({
+            match: savedMatch._id,
+            participants: [pet1Owner.owner._id, pet2Owner.owner._id],
         });
 
-        // Don't show the pet to itself
-        excludedPetIds.push(pet._id);
-
-        // Combine exclusion lists for the query
-        const allExcludedIds = [...excludedPetIds, ...alreadyLikedPetIds];
-
-        let potentialMatches = [];
-        let petsWhoLikedMe = [];
-        let newPets = [];
-
-        // Get the user's location
-        const petOwner = await User.findById(req.user.id);
-        const hasValidLocation = isValidLocation(petOwner?.location);
-
-        // STEP 1: First priority - fetch pets who have already liked this pet
-        if (likedByPetIds.length > 0) {
-            if (hasValidLocation) {
-                try {
-                    // First find the owners of these pets
-                    const petsWhoLikedMeData = await Pet.find({
-                        _id: { $in: likedByPetIds },
-                        type: pet.type,
-                    }).select("owner _id");
-
-                    const ownerIds = petsWhoLikedMeData.map((p) => p.owner);
-
-                    // Find nearby owners from this set
-                    const nearbyOwners = await User.find({
-                        _id: { $in: ownerIds },
-                        location: {
-                            $near: {
-                                $geometry: {
-                                    type: "Point",
-                                    coordinates: petOwner.location.coordinates,
-                                },
-                                $maxDistance: maxDistanceNum * 1000, // Convert km to meters
-                            },
-                        },
-                    }).select("_id");
-
-                    const nearbyOwnerIds = nearbyOwners.map((user) =>
-                        user._id.toString()
-                    );
-
-                    // Filter to pets whose owners are nearby
-                    const nearbyLikedPetIds = petsWhoLikedMeData
-                        .filter((pet) =>
-                            nearbyOwnerIds.includes(pet.owner.toString())
-                        )
-                        .map((pet) => pet._id);
-
-                    // Finally get the full pet details
-                    if (nearbyLikedPetIds.length > 0) {
-                        petsWhoLikedMe = await Pet.find({
-                            _id: { $in: nearbyLikedPetIds },
-                        }).lean();
-
-                        // Add distance information to each pet
-                        petsWhoLikedMe = await addDistanceInfo(
-                            petsWhoLikedMe,
-                            petOwner.location.coordinates
-                        );
-                    }
-                } catch (error) {
-                    console.error(
-                        "Error finding nearby pets who liked me:",
-                        error
-                    );
-                    // Fallback to non-location query
-                    petsWhoLikedMe = await Pet.find({
-                        _id: { $in: likedByPetIds },
-                        type: pet.type,
-                    });
-                }
-            } else {
-                // No location filtering if user doesn't have location
-                petsWhoLikedMe = await Pet.find({
-                    _id: { $in: likedByPetIds },
-                    type: pet.type,
-                });
+        // Mark the match date and save again if this is a new match
+        savedMatch.matchDate = new Date();
+        await savedMatch.save();
+        
+        // Get the other pet and owner to send notification to
+        const currentPet = petId === pet1Owner._id.toString() ? pet1Owner : pet2Owner;
+        const otherPet = petId === pet1Owner._id.toString() ? pet2Owner : pet1Owner;
+        const otherUserId = otherPet.owner._id;
+        
+        // Send match notification via socket ONLY to the other user 
+        // (the one who was liked and doesn't know about the match yet)
+        if (global.io && otherUserId) {
+            try {
+                // Import the function to emit match notification
+                const { emitMatchNotification } = require('../services/socketService');
+                
+                // Prepare match notification data
+                const matchNotificationData = {
+                    matchId: savedMatch._id,
+                    chatId: chat._id,
+                    pet: {
+                        _id: currentPet._id,
+                        name: currentPet.name,
+                        photos: currentPet.photos
+                    },
+                    matchedPet: {
+                        _id: otherPet._id,
+                        name: otherPet.name,
+                        photos: otherPet.photos
+                    },
+                    timestamp: new Date()
+                };
+                
+                // Only emit to the other user (who was liked and doesn't know about the match yet)
+                // NOT to the current user (who just swiped and knows they have a match)
+                emitMatchNotification(otherUserId, matchNotificationData);
+                
+                console.log(`Match notification emitted to user ${otherUserId} who was liked by ${userId}`);
+            } catch (notificationError) {
+                console.error('Error sending match notification:', notificationError);
+                // Non-critical error, continue execution
             }
         }
+    }
 
-        // STEP 2: Second priority - fetch pets that haven't interacted yet
-        // Calculate how many additional pets we need
-        const needMorePets = limitNum - petsWhoLikedMe.length;
+    // A super like is announced right away - unless it just made a match,
+    // which sends its own notification
+    if (superLikes && !savedMatch.isMatch && global.io) {
+        try {
+            const { emitSuperLikeNotification } = require('../services/socketService');
+
+            emitSuperLikeNotification(likedPet.owner, {
+                matchId: savedMatch._id,
+                pet: {
+                    _id: pet._id,
+                    name: pet.name,
+                    photos: pet.photos,
+                },
+                likedPet: {
+                    _id: likedPet._id,
+                    name: likedPet.name,
+                },
+                timestamp: new Date(),
+            });
+        } catch (notificationError) {
+            console.error('Error sending super like notification:', notificationError);
+            // Non-critical error, continue execution
+        }
+    }
 
-        if (needMorePets > 0) {
-            const baseQuery = {
-                type: pet.type,
-                owner: { $ne: req.user.id },
-                _id: { $nin: allExcludedIds },
-            };
+    return { match: savedMatch, superLikes };
+};
 
-            if (hasValidLocation) {
-                try {
-                    // Find nearby users
-                    const nearbyUsers = await User.find({
-                        _id: { $ne: req.user.id },
-                        location: {
-                            $near: {
-                                $geometry: {
-                                    type: "Point",
-                                    coordinates: petOwner.location.coordinates,
-                                },
-                                $maxDistance: maxDistanceNum * 1000, // Convert km to meters
-                            },
-                        },
-                    }).select("_id");
-
-                    const nearbyUserIds = nearbyUsers.map((user) => user._id);
-
-                    // Find pets belonging to those users
-                    if (nearbyUserIds.length > 0) {
-                        newPets = await Pet.find({
-                            ...baseQuery,
-                            owner: { $in: nearbyUserIds },
-                        })
-                            .sort({ createdAt: -1 })
-                            .limit(needMorePets)
-                            .skip(skipNum)
-                            .lean();
-
-                        // Add distance information to each pet
-                        newPets = await addDistanceInfo(
-                            newPets,
-                            petOwner.location.coordinates
-                        );
-                    }
-                } catch (error) {
-                    console.error("Error finding nearby pets:", error);
-                    // Fallback to non-location query
-                    newPets = await Pet.find(baseQuery)
-                        .sort({ createdAt: -1 })
-                        .limit(needMorePets)
-                        .skip(skipNum);
-                }
-            } else {
-                // No location filtering if user doesn't have location
-                newPets = await Pet.find(baseQuery)
-                    .sort({ createdAt: -1 })
-                    .limit(needMorePets)
-                    .skip(skipNum);
-            }
+// @desc    Get potential matches for a pet
+// @route   GET /api/matches/potential/:petId
+// @access  Private
+exports.getPotentialMatches = asyncHandler(async (req, res) => {
+    const { petId } = req.params;
+    const { limit = 10, cursor, maxDistance } = req.query;
+
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
+    const owner = await User.findById(req.user.id).select("location");
+
+    const { pets, nextCursor } = await discoveryService.getPotentialMatches(
+        pet,
+        owner,
+        {
+            limit: Number(limit),
+            cursor,
+            // Overrides the pet's saved filter radius when given
+            maxDistance: maxDistance ? Number(maxDistance) : undefined,
         }
+    );
 
-        // Combine results with priority to pets who liked this pet
-        potentialMatches = [...petsWhoLikedMe, ...newPets];
+    res.json({
+        success: true,
+        count: pets.length,
+        pets,
+        nextCursor,
+    });
+});
+
+// @desc    Like or dislike another pet
+// @route   POST /api/matches/like
+// @access  Private
+exports.likePet = asyncHandler(async (req, res) => {
+    const { petId, likedPetId, isLiked, superLike, timezone } = req.body;
 
-        // Ensure no duplicates
-        potentialMatches = potentialMatches.filter(
-            (pet, index, self) =>
-                index ===
-                self.findIndex((p) => p._id.toString() === pet._id.toString())
-        );
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
 
-        res.json({
-            success: true,
-            count: potentialMatches.length,
-            pets: potentialMatches,
-        });
-    } catch (error) {
-        console.error("Get potential matches error:", error);
-        return errorResponse(res, 500, "Server error", error);
+    // Check if the liked pet exists; pets of blocked owners look missing
+    const likedPet = await Pet.findById(likedPetId);
+    if (!likedPet || (await isBlockedBetween(req.user.id, likedPet.owner))) {
+        throw new NotFoundError("Liked pet not found");
     }
-};
 
-// @desc    Like or dislike another pet
-// @route   POST /api/matches/like
+    const { match, superLikes } = await recordSwipe(req.user.id, pet, likedPet, {
+        isLiked,
+        superLike,
+        timezone,
+    });
+
+    res.json({
+        success: true,
+        match,
+        isMatch: match.isMatch,
+        ...(superLikes && { superLikes }),
+    });
+});
+
+// @desc    Get pets that liked a pet and are waiting for an answer
+// @route   GET /api/matches/:petId/likes-received
 // @access  Private
-exports.likePet = async (req, res) => {
-    try {
-        const { petId, likedPetId, isLiked } = req.body;
+exports.getLikesReceived = asyncHandler(async (req, res) => {
+    const { petId } = req.params;
+    const { limit = 10, cursor } = req.query;
 
-        // Verify the pet exists and belongs to the user
-        const pet = await validateUserPet(petId, req.user.id);
-        if (!pet) {
-            return errorResponse(
-                res,
-                404,
-                "Pet not found or does not belong to you"
-            );
-        }
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
 
-        // Check if the liked pet exists
-        const likedPet = await Pet.findById(likedPetId);
-        if (!likedPet) {
-            return errorResponse(res, 404, "Liked pet not found");
-        }
+    const { likes, total, nextCursor } = await discoveryService.getLikesReceived(
+        pet,
+        { limit: Number(limit), cursor }
+    );
 
-        // Find or create a match record - always store with pet1 having the lower ObjectId
-        const [petWithLowerId, petWithHigherId] =
-            petId.toString() < likedPetId.toString()
-                ? [petId, likedPetId]
-                : [likedPetId, petId];
+    res.json({
+        success: true,
+        count: likes.length,
+        total,
+        likes,
+        nextCursor,
+    });
+});
 
-        // Is the current pet pet1 or pet2?
-        const isPet1 = petId.toString() === petWithLowerId.toString();
+// Answer a pending like from the inbox the same way a swipe would
+const respondToLike = (isLiked) =>
+    asyncHandler(async (req, res) => {
+        const { petId, likerPetId } = req.params;
 
-        let match = await Match.findOne({
-            pet1: petWithLowerId,
-            pet2: petWithHigherId,
-        });
+        // Verify the pet exists and belongs to the user
+        const pet = await findUserPet(petId, req.user.id);
 
-        if (match) {
-            // Update existing match
-            if (isPet1) {
-                match.pet1LikedPet2 = isLiked;
-            } else {
-                match.pet2LikedPet1 = isLiked;
-            }
-        } else {
-            // Create new match
-            match = new Match({
+        const likerPet = await Pet.findById(likerPetId);
+        let pendingLike = null;
+
+        if (likerPet) {
+            // Order the pair by the stored ids, as recordSwipe does; the
+            // params may spell the same id differently (e.g. in upper case)
+            const ownId = pet._id.toString();
+            const likerId = likerPet._id.toString();
+            const [petWithLowerId, petWithHigherId] =
+                ownId < likerId ? [ownId, likerId] : [likerId, ownId];
+            const isPet1 = ownId === petWithLowerId;
+
+            pendingLike = await Match.exists({
                 pet1: petWithLowerId,
                 pet2: petWithHigherId,
-                pet1LikedPet2: isPet1 ? isLiked : null,
-                pet2LikedPet1: isPet1 ? null : isLiked,
+                isMatch: false,
+                [isPet1 ? "pet2LikedPet1" : "pet1LikedPet2"]: true,
+                [isPet1 ? "pet1LikedPet2" : "pet2LikedPet1"]: null,
             });
         }
 
-        // Save the match and check if it's a mutual like
-        const previousIsMatch = match.isMatch;
-        const savedMatch = await match.save();
-        savedMatch.checkMatch();
-
-        // If it's a new match (it wasn't a match before, but now it is)
-        if (!previousIsMatch && savedMatch.isMatch) {
-            // Create a chat for the matched pets
-            const [pet1Owner, pet2Owner] = await Promise.all([
-                Pet.findById(petWithLowerId)
-                    .select("owner name photos")
-                    .populate("owner", "id"),
-                Pet.findById(petWithHigherId)
-                    .select("owner name photos")
-                    .populate("owner", "id"),
-            ]);
-
-            const chat = await Chat.create({
-                match: savedMatch._id,
-                participants: [pet1Owner.owner._id, pet2Owner.owner._id],
+        if (!pendingLike) {
+            throw new NotFoundError("This like is no longer waiting for an answer", {
+                code: "LIKE_NOT_FOUND",
             });
-
-            // Mark the match date and save again if this is a new match
-            savedMatch.matchDate = new Date();
-            await savedMatch.save();
-            
-            // Get the other pet and owner to send notification to
-            const currentPet = petId === pet1Owner._id.toString() ? pet1Owner : pet2Owner;
-            const otherPet = petId === pet1Owner._id.toString() ? pet2Owner : pet1Owner;
-            const otherUserId = otherPet.owner._id;
-            
-            // Send match notification via socket ONLY to the other user 
-            // (the one who was liked and doesn't know about the match yet)
-            if (global.io && otherUserId) {
-                try {
-                    // Import the function to emit match notification
-                    const { emitMatchNotification } = require('../services/socketService');
-                    
-                    // Prepare match notification data
-                    const matchNotificationData = {
-                        matchId: savedMatch._id,
-                        chatId: chat._id,
-                        pet: {
-                            _id: currentPet._id,
-                            name: currentPet.name,
-                            photos: currentPet.photos
-                        },
-                        matchedPet: {
-                            _id: otherPet._id,
-                            name: otherPet.name,
-                            photos: otherPet.photos
-                        },
-                        timestamp: new Date()
-                    };
-                    
-                    // Only emit to the other user (who was liked and doesn't know about the match yet)
-                    // NOT to the current user (who just swiped and knows they have a match)
-                    emitMatchNotification(otherUserId, matchNotificationData);
-                    
-                    console.log(`Match notification emitted to user ${otherUserId} who was liked by ${req.user.id}`);
-                } catch (notificationError) {
-                    console.error('Error sending match notification:', notificationError);
-                    // Non-critical error, continue execution
-                }
-            }
         }
 
+        const { match } = await recordSwipe(req.user.id, pet, likerPet, { isLiked });
+
         res.json({
             success: true,
-            match: savedMatch,
-            isMatch: savedMatch.isMatch,
+            match,
+            isMatch: match.isMatch,
         });
-    } catch (error) {
-        console.error("Like pet error:", error);
-        return errorResponse(res, 500, "Server error", error);
-    }
-};
+    });
 
-// @desc    Get all matches for a pet
-// @route   GET /api/matches/:petId
+// @desc    Like back a pet that liked ours
+// @route   POST /api/matches/:petId/likes-received/:likerPetId/accept
 // @access  Private
-exports.getPetMatches = async (req, res) => {
-    try {
-        const { petId } = req.params;
+exports.acceptLike = respondToLike(true);
 
-        // Verify the pet exists and belongs to the user
-        const pet = await validateUserPet(petId, req.user.id);
-        if (!pet) {
-            return errorResponse(
-                res,
-                404,
-                "Pet not found or does not belong to you"
-            );
-        }
+// @desc    Pass on a pet that liked ours
+// @route   POST /api/matches/:petId/likes-received/:likerPetId/decline
+// @access  Private
+exports.declineLike = respondToLike(false);
 
-        // Find matches ensuring both pets exist
-        const matches = await Match.find({
-            $or: [{ pet1: pet._id }, { pet2: pet._id }],
-            isMatch: true,
-        })
-            .populate({
-                path: "pet1",
-                select: "name breed photos",
-                match: { _id: { $exists: true } }, // Only populate if pet exists
-            })
-            .populate({
-                path: "pet2",
-                select: "name breed photos",
-                match: { _id: { $exists: true } }, // Only populate if pet exists
-            })
-            .sort({ matchDate: -1 });
-
-        // Filter out matches where either pet no longer exists
-        const validMatches = matches.filter(
-            (match) => match.pet1 && match.pet2
-        );
+// @desc    Get today's super like quota
+// @route   GET /api/matches/super-likes
+// @access  Private
+exports.getSuperLikeQuota = asyncHandler(async (req, res) => {
+    const user = await loadUserWithTimezone(req.user.id, req.query.timezone);
 
-        res.json({
-            success: true,
-            count: validMatches.length,
-            matches: validMatches.map((match) => {
-                const matchedPet =
-                    match.pet1._id.toString() === pet._id.toString()
-                        ? match.pet2
-                        : match.pet1;
-
-                return {
-                    matchId: match._id,
-                    matchDate: match.matchDate,
-                    pet: matchedPet,
-                };
-            }),
-        });
-    } catch (error) {
-        console.error("Get matches error:", error);
-        return errorResponse(res, 500, "Server error", error);
-    }
-};
+    res.json({
+        success: true,
+        superLikes: superLikeService.getQuota(user),
+    });
+});
 
-// @desc    Unmatch with a pet
-// @route   POST /api/matches/unmatch
+// @desc    Undo the most recent like or pass of a pet
+// @route   POST /api/matches/rewind
 // @access  Private
-exports.unmatchPet = async (req, res) => {
-    try {
-        const { petId, unmatchedPetId } = req.body;
+exports.rewindSwipe = asyncHandler(async (req, res) => {
+    const { petId } = req.body;
 
-        // Verify the pet exists and belongs to the user
-        const pet = await validateUserPet(petId, req.user.id);
-        if (!pet) {
-            return errorResponse(
-                res,
-                404,
-                "Pet not found or does not belong to you"
-            );
-        }
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
 
-        // Check if the unmatched pet exists
-        const unmatchedPet = await Pet.findById(unmatchedPetId);
-        if (!unmatchedPet) {
-            return errorResponse(res, 404, "Unmatched pet not found");
-        }
+    const swipe = await Swipe.findOne({ pet: pet._id, undoneAt: null }).sort({
+        createdAt: -1,
+        _id: -1,
+    });
 
-        // Find the match record - always stored with pet1 having the lower ObjectId
-        const [petWithLowerId, petWithHigherId] =
-            petId.toString() < unmatchedPetId.toString()
-                ? [petId, unmatchedPetId]
-                : [unmatchedPetId, petId];
+    if (!swipe) {
+        throw new NotFoundError("There is no swipe to undo", {
+            code: "NOTHING_TO_REWIND",
+        });
+    }
 
-        let match = await Match.findOne({
-            pet1: petWithLowerId,
-            pet2: petWithHigherId,
+    const match = await Match.findById(swipe.match);
+    const isPet1 = Boolean(match) && match.pet1.equals(pet._id);
+    const currentChoice = match && (isPet1 ? match.pet1LikedPet2 : match.pet2LikedPet1);
+
+    // The pair was unmatched or deleted since; there is nothing to restore
+    if (!match || currentChoice !== (swipe.action === "like")) {
+        throw new ConflictError("This swipe can no longer be undone", {
+            code: "SWIPE_SUPERSEDED",
         });
+    }
+
+    let removedChat = null;
 
-        if (!match) {
-            return errorResponse(res, 404, "Match not found");
+    // Only the swipe that made the match takes it apart again; undoing a
+    // later swipe on an already matched pair leaves the match alone
+    if (swipe.createdMatch && match.isMatch) {
+        // Once the owners have talked or planned a playdate, the match is
+        // no longer ours to undo
+        const chat = await Chat.findOne({ match: match._id });
+        const hasActivity =
+            (chat && (await Message.exists({ chat: chat._id }))) ||
+            (await Playdate.exists({ match: match._id }));
+
+        if (hasActivity) {
+            throw new ConflictError(
+                "This match already has messages or playdates and can't be undone",
+                { code: "MATCH_HAS_ACTIVITY" }
+            );
+        }
+
+        if (chat) {
+            removedChat = chat;
+            await chat.deleteOne();
         }
 
-        // Update match record to remove the match and set as disliked for both
         match.isMatch = false;
         match.matchDate = null;
-        
-        // Set dislike flags based on which pet is which
-        if (petId.toString() === petWithLowerId.toString()) {
-            match.pet1LikedPet2 = false;
-        } else {
-            match.pet2LikedPet1 = false;
-        }
-        
+    }
+
+    if (isPet1) {
+        match.pet1LikedPet2 = swipe.previousChoice;
+    } else {
+        match.pet2LikedPet1 = swipe.previousChoice;
+    }
+
+    if (swipe.superLike) {
+        match[isPet1 ? "pet1SuperLikedPet2" : "pet2SuperLikedPet1"] = false;
+    }
+
+    // Nothing left to remember about this pair
+    if (match.pet1LikedPet2 === null && match.pet2LikedPet1 === null) {
+        await match.deleteOne();
+    } else {
         await match.save();
+    }
 
-        // Find and delete any related chat
-        const chat = await Chat.findOne({ match: match._id });
-        if (chat) {
-            // Get the other user's ID (the owner of the unmatched pet)
-            const otherPet = await Pet.findById(unmatchedPetId).populate('owner', '_id');
-            const otherUserId = otherPet?.owner?._id;
-            
-            const chatId = chat._id;
-            await chat.deleteOne();
+    swipe.undoneAt = new Date();
+    await swipe.save();
+
+    // A rewound super like goes back into today's quota
+    if (swipe.superLike) {
+        const user = await User.findById(req.user.id).select("timezone");
+        await superLikeService.refundSuperLike(user, swipe.createdAt);
+    }
 
-            // Send chat removal notification via socket to both users
-            if (global.io) {
-                try {
-                    // Import the function to emit chat removal notification
-                    const { emitChatRemovalNotification } = require('../services/socketService');
-                    
-                    // Notify current user
-                    emitChatRemovalNotification(req.user.id, chatId);
-                    
-                    // Notify other user
-                    if (otherUserId) {
-                        emitChatRemovalNotification(otherUserId, chatId);
-                    }
-                    
-                    console.log(`Chat removal notification emitted for chat ${chatId}`);
-                } catch (notificationError) {
-                    console.error('Error sending chat removal notification:', notificationError);
-                    // Non-critical error, continue execution
+    // The other owner may already have been told about the match
+    if (removedChat && global.io) {
+        try {
+            const { emitChatRemovalNotification } = require('../services/socketService');
+
+            removedChat.participants.forEach((userId) =>
+                emitChatRemovalNotification(userId, removedChat._id)
+            );
+        } catch (notificationError) {
+            console.error('Error sending chat removal notification:', notificationError);
+            // Non-critical error, continue execution
+        }
+    }
+
+    // Send the pet back so the app can put it on top of the deck again
+    const targetPet = await Pet.findById(swipe.targetPet).select(
+        "-dislikedPets -discoveryFilters -location"
+    );
+
+    res.json({
+        success: true,
+        swipe,
+        pet: targetPet,
+    });
+});
+
+// @desc    Get all matches for a pet
+// @route   GET /api/matches/:petId
+// @access  Private
+exports.getPetMatches = asyncHandler(async (req, res) => {
+    const { petId } = req.params;
+
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
+
+    // Find matches ensuring both pets exist
+    const matches = await Match.find({
+        $or: [{ pet1: pet._id }, { pet2: pet._id }],
+        isMatch: true,
+    })
+        .populate({
+            path: "pet1",
+            select: "name breed photos",
+            match: { _id: { $exists: true } }, // Only populate if pet exists
+        })
+        .populate({
+            path: "pet2",
+            select: "name breed photos",
+            match: { _id: { $exists: true } }, // Only populate if pet exists
+        })
+        .sort({ matchDate: -1 });
+
+    // Filter out matches where either pet no longer exists
+    const validMatches = matches.filter(
+        (match) => match.pet1 && match.pet2
+    );
+
+    res.json({
+        success: true,
+        count: validMatches.length,
+        matches: validMatches.map((match) => {
+            const matchedPet =
+                match.pet1._id.toString() === pet._id.toString()
+                    ? match.pet2
+                    : match.pet1;
+
+            return {
+                matchId: match._id,
+                matchDate: match.matchDate,
+                pet: matchedPet,
+            };
+        }),
+    });
+});
+
+// @desc    Unmatch with a pet
+// @route   POST /api/matches/unmatch
+// @access  Private
+exports.unmatchPet = asyncHandler(async (req, res) => {
+    const { petId, unmatchedPetId } = req.body;
+
+    // Verify the pet exists and belongs to the user
+    const pet = await findUserPet(petId, req.user.id);
+
+    // Check if the unmatched pet exists
+    const unmatchedPet = await Pet.findById(unmatchedPetId);
+    if (!unmatchedPet) {
+        throw new NotFoundError("Unmatched pet not found");
+    }
+
+    // Find the match record - always stored with pet1 having the lower ObjectId
+    const [petWithLowerId, petWithHigherId] =
+        pet._id.toString() < unmatchedPet._id.toString()
+            ? [pet._id, unmatchedPet._id]
+            : [unmatchedPet._id, pet._id];
+
+    let match = await Match.findOne({
+        pet1: petWithLowerId,
+        pet2: petWithHigherId,
+    });
+
+    if (!match) {
+        throw new NotFoundError("Match not found");
+    }
+
+    // Update match record to remove the match and set as disliked for both
+    match.isMatch = false;
+    match.matchDate = null;
+    
+    // Set dislike flags based on which pet is which
+    if (pet._id.equals(petWithLowerId)) {
+        match.pet1LikedPet2 = false;
+    } else {
+        match.pet2LikedPet1 = false;
+    }
+    
+    await match.save();
+
+    // Playdates still being planned are off
+    await Playdate.cancelOpenForMatches([match._id]);
+
+    // Find and delete any related chat
+    const chat = await Chat.findOne({ match: match._id });
+    if (chat) {
+        // Get the other user's ID (the owner of the unmatched pet)
+        const otherUserId = unmatchedPet.owner;
+        
+        const chatId = chat._id;
+        await chat.deleteOne();
+
+        // Send chat removal notification via socket to both users
+        if (global.io) {
+            try {
+                // Import the function to emit chat removal notification
+                const { emitChatRemovalNotification } = require('../services/socketService');
+                
+                // Notify current user
+                emitChatRemovalNotification(req.user.id, chatId);
+                
+                // Notify other user
+                if (otherUserId) {
+                    emitChatRemovalNotification(otherUserId, chatId);
                 }
+                
+                console.log(`Chat removal notification emitted for chat ${chatId}`);
+            } catch (notificationError) {
+                console.error('Error sending chat removal notification:', notificationError);
+                // Non-critical error, continue execution
             }
         }
+    }
 
-        // Add unmatched pet to disliked pets for current pet
-        await Pet.findByIdAndUpdate(petId, {
-            $addToSet: { dislikedPets: unmatchedPetId }
-        });
+    // Add unmatched pet to disliked pets for current pet
+    await Pet.findByIdAndUpdate(pet._id, {
+        $addToSet: { dislikedPets: unmatchedPet._id }
+    });
 
-        res.json({
-            success: true,
-            message: "Successfully unmatched with pet"
-        });
-    } catch (error) {
-        console.error("Unmatch pet error:", error);
-        return errorResponse(res, 500, "Server error", error);
-    }
-};
+    res.json({
+        success: true,
+        message: "Successfully unmatched with pet"
+    });
+});
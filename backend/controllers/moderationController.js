@@ -0,0 +1,158 @@
+const Block = require("../models/Block");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const Pet = require("../models/Pet");
+const Report = require("../models/Report");
+const blockService = require("../services/blockService");
+const asyncHandler = require("../utils/asyncHandler");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
+
+// Block a user and take the chats this closed off both users' devices
+const blockAndNotify = async (blockerId, blockedId) => {
+    const { block, closedChats } = await blockService.blockUser(blockerId, blockedId);
+
+    if (closedChats.length > 0 && global.io) {
+        try {
+            const { emitChatsClosed } = require('../services/socketService');
+            emitChatsClosed(closedChats);
+        } catch (notificationError) {
+            console.error('Error sending chat removal notification:', notificationError);
+            // Non-critical error, continue execution
+        }
+    }
+
+    return block;
+};
+
+// @desc    Get the users the current user has blocked
+// @route   GET /api/blocks
+// @access  Private
+exports.getBlockedUsers = asyncHandler(async (req, res) => {
+    const blocks = await Block.find({ blocker: req.user.id })
+        .populate("blocked", "name")
+        .sort({ createdAt: -1 });
+
+    // Pets help the user recognise who they blocked
+    const pets = await Pet.find({
+        owner: { $in: blocks.map((block) => block.blocked?._id).filter(Boolean) },
+    }).select("owner name photos");
+
+    res.json({
+        success: true,
+        count: blocks.length,
+        blocks: blocks
+            // The blocked account may have been deleted since
+            .filter((block) => block.blocked)
+            .map((block) => ({
+                _id: block._id,
+                user: block.blocked,
+                pets: pets.filter((pet) => pet.owner.equals(block.blocked._id)),
+                createdAt: block.createdAt,
+            })),
+    });
+});
+
+// @desc    Block a user, or the owner of a pet
+// @route   POST /api/blocks
+// @access  Private
+exports.blockUser = asyncHandler(async (req, res) => {
+    const { user } = await blockService.findTargetUser(req.body, req.user.id);
+
+    const block = await blockAndNotify(req.user.id, user._id);
+
+    res.status(201).json({
+        success: true,
+        block: {
+            _id: block._id,
+            user,
+            createdAt: block.createdAt,
+        },
+    });
+});
+
+// @desc    Unblock a user
+// @route   DELETE /api/blocks/:userId
+// @access  Private
+exports.unblockUser = asyncHandler(async (req, res) => {
+    const unblocked = await blockService.unblockUser(req.user.id, req.params.userId);
+
+    if (!unblocked) {
+        throw new NotFoundError("You have not blocked this user", {
+            code: "BLOCK_NOT_FOUND",
+        });
+    }
+
+    res.json({
+        success: true,
+        message: "User unblocked",
+    });
+});
+
+// @desc    Report a user or pet, optionally with chat messages as evidence
+// @route   POST /api/reports
+// @access  Private
+exports.createReport = asyncHandler(async (req, res) => {
+    const { reason, details, chatId, messageIds = [], block } = req.body;
+    const { user, pet } = await blockService.findTargetUser(req.body, req.user.id);
+
+    // The chat must be one between the two users. Chats closed by a block
+    // still count, so users can block first and report afterwards
+    let chat = null;
+    if (chatId) {
+        chat = await Chat.findOne({
+            _id: chatId,
+            participants: { $all: [req.user.id, user._id] },
+        });
+
+        if (!chat) {
+            throw new NotFoundError("Chat not found");
+        }
+    }
+
+    // Evidence is copied, so it survives the messages being changed later
+    const uniqueMessageIds = [...new Set(messageIds)];
+    const messages =
+        uniqueMessageIds.length > 0
+            ? await Message.find({
+                  _id: { $in: uniqueMessageIds },
+                  chat: chat._id,
+              }).sort({ createdAt: 1 })
+            : [];
+
+    if (messages.length !== uniqueMessageIds.length) {
+        throw new BadRequestError("Evidence must be messages from the reported chat", {
+            code: "INVALID_EVIDENCE",
+        });
+    }
+
+    const report = await Report.create({
+        reporter: req.user.id,
+        reportedUser: user._id,
+        reportedPet: pet?._id,
+        reason,
+        details,
+        chat: chat?._id,
+        evidence: messages.map((message) => ({
+            message: message._id,
+            sender: message.sender,
+            content: message.content,
+            attachments: message.attachments,
+            sentAt: message.createdAt,
+        })),
+    });
+
+    if (block) {
+        await blockAndNotify(req.user.id, user._id);
+    }
+
+    res.status(201).json({
+        success: true,
+        report: {
+            _id: report._id,
+            reason: report.reason,
+            status: report.status,
+            createdAt: report.createdAt,
+        },
+        blocked: Boolean(block),
+    });
+});
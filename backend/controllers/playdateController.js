@@ -0,0 +1,111 @@
+const playdateService = require("../services/playdateService");
+const asyncHandler = require("../utils/asyncHandler");
+const { PLAYDATE_ACTIONS } = require("../constants/playdateConstants");
+
+// Tell both owners about a change, without failing the request
+const notifyPlaydateUpdate = (playdate, action, actorId) => {
+    if (!global.io) return;
+
+    try {
+        const { emitPlaydateUpdate } = require('../services/socketService');
+        emitPlaydateUpdate(playdate, action, actorId);
+    } catch (notificationError) {
+        console.error('Error sending playdate notification:', notificationError);
+        // Non-critical error, continue execution
+    }
+};
+
+// The time and place fields of a proposal from the request body
+const proposalFrom = ({ scheduledAt, location, placeName, note }) => ({
+    scheduledAt,
+    location: { type: "Point", coordinates: location.coordinates },
+    placeName,
+    note,
+});
+
+// @desc    Get the current user's playdates
+// @route   GET /api/playdates
+// @access  Private
+exports.getPlaydates = asyncHandler(async (req, res) => {
+    const playdates = await playdateService.getPlaydates(req.user.id, req.query);
+
+    res.json({
+        success: true,
+        count: playdates.length,
+        playdates,
+    });
+});
+
+// @desc    Propose a playdate to a match
+// @route   POST /api/playdates
+// @access  Private
+exports.createPlaydate = asyncHandler(async (req, res) => {
+    const playdate = await playdateService.proposePlaydate(
+        req.user.id,
+        req.body.matchId,
+        proposalFrom(req.body)
+    );
+    await playdate.populate("pets", "name photos");
+
+    notifyPlaydateUpdate(playdate, PLAYDATE_ACTIONS.PROPOSE, req.user.id);
+
+    res.status(201).json({
+        success: true,
+        playdate,
+    });
+});
+
+// @desc    Get a playdate
+// @route   GET /api/playdates/:id
+// @access  Private
+exports.getPlaydate = asyncHandler(async (req, res) => {
+    const playdate = await playdateService.findPlaydateForUser(req.params.id, req.user.id);
+
+    res.json({
+        success: true,
+        playdate,
+    });
+});
+
+// Change a playdate's status and let both owners know
+const respondToPlaydate = (action) =>
+    asyncHandler(async (req, res) => {
+        const playdate = await playdateService.updatePlaydate(
+            req.params.id,
+            req.user.id,
+            action,
+            action === PLAYDATE_ACTIONS.COUNTER ? proposalFrom(req.body) : undefined
+        );
+
+        notifyPlaydateUpdate(playdate, action, req.user.id);
+
+        res.json({
+            success: true,
+            playdate,
+        });
+    });
+
+// @desc    Accept a proposed playdate
+// @route   POST /api/playdates/:id/accept
+// @access  Private
+exports.acceptPlaydate = respondToPlaydate(PLAYDATE_ACTIONS.ACCEPT);
+
+// @desc    Decline a proposed playdate
+// @route   POST /api/playdates/:id/decline
+// @access  Private
+exports.declinePlaydate = respondToPlaydate(PLAYDATE_ACTIONS.DECLINE);
+
+// @desc    Suggest another time or place
+// @route   POST /api/playdates/:id/counter
+// @access  Private
+exports.counterPlaydate = respondToPlaydate(PLAYDATE_ACTIONS.COUNTER);
+
+// @desc    Cancel a proposed or accepted playdate
+// @route   POST /api/playdates/:id/cancel
+// @access  Private
+exports.cancelPlaydate = respondToPlaydate(PLAYDATE_ACTIONS.CANCEL);
+
+// @desc    Mark an accepted playdate as done
+// @route   POST /api/playdates/:id/complete
+// @access  Private
+exports.completePlaydate = respondToPlaydate(PLAYDATE_ACTIONS.COMPLETE);
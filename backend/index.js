@@ -1,23 +1,15 @@
-const express = require("express");
 const mongoose = require("mongoose");
-const cors = require("cors");
 const dotenv = require("dotenv");
 const http = require("http");
 const { Server } = require("socket.io");
-// Import the socket service
-const { setupSocketIO } = require("./services/socketService");
-
-// Import routes
-const authRoutes = require("./routes/auth");
-const petRoutes = require("./routes/pet");
-const matchRoutes = require("./routes/match");
-const chatRoutes = require("./routes/chat");
 
 // Load environment variables
 dotenv.config();
 
-// Initialize Express app
-const app = express();
+const app = require("./app");
+// Import the socket service
+const { setupSocketIO } = require("./services/socketService");
+
 const server = http.createServer(app);
 const io = new Server(server, {
     cors: {
@@ -26,11 +18,6 @@ const io = new Server(server, {
     },
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
 // MongoDB Connection
 mongoose
     .connect(process.env.MONGO_URI || "mongodb://localhost:27017/boopsnoot")
@@ -41,17 +28,6 @@ mongoose
         console.error("MongoDB connection error:", error);
     });
 
-// Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/pets", petRoutes);
-app.use("/api/matches", matchRoutes);
-app.use("/api/chats", chatRoutes);
-
-// Basic route
-app.get("/", (req, res) => {
-    res.send("BoopSnoot API is running");
-});
-
 // Initialize socket service
 setupSocketIO(io);
 
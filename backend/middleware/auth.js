@@ -3,51 +3,174 @@ require('dotenv').config();
 
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+// setTimeout delays are capped at a signed 32-bit integer
+const MAX_TIMER_DELAY = 2147483647;
+
+// Verify a JWT and load the user it was issued for
+// Access tokens are only valid while the session they belong to is active
+const getUserFromToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        throw new Error("Session revoked or expired");
+    }
+
+    const user = await User.findById(decoded.id).select("-password");
+    return { decoded, user };
+};
+
+// Error for a suspended user, saying until when if the suspension ends
+const accountSuspendedError = (user) => {
+    const { until } = user.suspension || {};
+
+    return new ForbiddenError(
+        until
+            ? `Your account is suspended until ${until.toISOString()}`
+            : "Your account has been suspended",
+        { code: "ACCOUNT_SUSPENDED" }
+    );
+};
 
 // Middleware to protect routes
 const protect = async (req, res, next) => {
-    let token;
-
     // Check if token exists in headers
     if (
-        req.headers.authorization &&
-        req.headers.authorization.startsWith("Bearer")
+        !req.headers.authorization ||
+        !req.headers.authorization.startsWith("Bearer")
     ) {
-        try {
-            // Get token from header
-            token = req.headers.authorization.split(" ")[1];
-
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-            // Get user from the token
-            req.user = await User.findById(decoded.id).select("-password");
-
-            if (!req.user) {
-                return res.status(401).json({
-                    success: false,
-                    message: "Not authorized, user not found",
-                });
-            }
-
-            next();
-        } catch (error) {
-            console.error("Auth error:", error);
-            return res.status(401).json({
-                success: false,
-                message: "Not authorized, invalid token",
-            });
-        }
+        return next(
+            new UnauthorizedError("Not authorized, no token", {
+                code: "TOKEN_MISSING",
+            })
+        );
+    }
+
+    let auth;
+    try {
+        // Get token from header
+        const token = req.headers.authorization.split(" ")[1];
+
+        // Verify token and get user from it
+        auth = await getUserFromToken(token);
+    } catch (error) {
+        console.error("Auth error:", error.message);
+        return next(
+            new UnauthorizedError("Not authorized, invalid token", {
+                code:
+                    error.name === "TokenExpiredError"
+                        ? "TOKEN_EXPIRED"
+                        : "TOKEN_INVALID",
+            })
+        );
+    }
+
+    if (!auth.user) {
+        return next(new UnauthorizedError("Not authorized, user not found"));
+    }
+
+    if (auth.user.isSuspended()) {
+        return next(accountSuspendedError(auth.user));
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.decoded.sid;
+    next();
+};
+
+// Restrict a route to users with one of the given roles - use after protect
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(
+            new ForbiddenError("Not authorized to access this resource", {
+                code: "INSUFFICIENT_ROLE",
+            })
+        );
+    }
+
+    next();
+};
+
+// Socket.io handshake middleware - binds the socket to the user in the JWT
+const protectSocket = async (socket, next) => {
+    const { auth = {}, headers = {} } = socket.handshake;
+    let token = auth.token;
+
+    // Fall back to the Authorization header for non-browser clients
+    if (!token && headers.authorization && headers.authorization.startsWith("Bearer")) {
+        token = headers.authorization.split(" ")[1];
     }
 
     if (!token) {
-        return res.status(401).json({
-            success: false,
-            message: "Not authorized, no token",
-        });
+        return next(new Error("Not authorized, no token"));
+    }
+
+    try {
+        const { decoded, user } = await getUserFromToken(token);
+
+        if (!user) {
+            return next(new Error("Not authorized, user not found"));
+        }
+
+        if (user.isSuspended()) {
+            return next(new Error("Account suspended"));
+        }
+
+        // Identity is taken from the token only, never from event payloads
+        socket.user = user;
+        socket.userId = user._id.toString();
+        // Kept in socket.data so it is visible to fetchSockets()
+        socket.data.sessionId = decoded.sid;
+        socket.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+
+        next();
+    } catch (error) {
+        console.error("Socket auth error:", error.message);
+        next(new Error("Not authorized, invalid token"));
     }
 };
 
+// Disconnect a socket once the token it authenticated with expires
+const scheduleSocketExpiry = (socket) => {
+    if (!socket.tokenExpiresAt) return;
+
+    const remaining = socket.tokenExpiresAt - Date.now();
+
+    if (remaining <= 0) {
+        socket.emit("token_expired");
+        socket.disconnect(true);
+        return;
+    }
+
+    socket.expiryTimer = setTimeout(
+        () => scheduleSocketExpiry(socket),
+        Math.min(remaining, MAX_TIMER_DELAY)
+    );
+};
+
+// Per-event guard - rejects events from sockets whose token has expired
+const requireActiveSocket = (socket) => (packet, next) => {
+    if (!socket.userId) {
+        return next(new Error("Not authorized"));
+    }
+
+    if (socket.tokenExpiresAt && socket.tokenExpiresAt <= Date.now()) {
+        socket.emit("token_expired");
+        socket.disconnect(true);
+        return next(new Error("Token expired"));
+    }
+
+    next();
+};
+
 module.exports = {
     protect,
+    authorize,
+    accountSuspendedError,
+    protectSocket,
+    scheduleSocketExpiry,
+    requireActiveSocket,
 };
@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { AppError, NotFoundError } = require("../utils/errors");
+
+const MULTER_ERROR_CODES = {
+    LIMIT_FILE_SIZE: { statusCode: 413, code: "FILE_TOO_LARGE", message: "File is too large" },
+    LIMIT_FILE_COUNT: { statusCode: 400, code: "TOO_MANY_FILES", message: "Too many files" },
+    LIMIT_UNEXPECTED_FILE: { statusCode: 400, code: "UNEXPECTED_FILE", message: "Unexpected file field" },
+};
+
+/**
+ * Translate library errors into AppErrors with stable codes
+ * @param {Error} err - The error raised by a route
+ * @returns {AppError} - The error to report
+ */
+const normalizeError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((fieldError) => ({
+            field: fieldError.path,
+            location: "body",
+            message: fieldError.message,
+        }));
+        return new AppError(errors[0]?.message || "Validation failed", {
+            statusCode: 422,
+            code: "VALIDATION_ERROR",
+            errorType: "validation",
+            errors,
+        });
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new AppError(`Invalid ${err.path}`, {
+            statusCode: 400,
+            code: "INVALID_ID",
+            errors: [{ field: err.path, location: "params", message: `Invalid ${err.path}` }],
+        });
+    }
+
+    // Unique index violation
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+        return new AppError(field ? `${field} already exists` : "Duplicate value", {
+            statusCode: 409,
+            code: "DUPLICATE_KEY",
+            errors: field ? [{ field, location: "body", message: `${field} already exists` }] : undefined,
+        });
+    }
+
+    if (err instanceof multer.MulterError) {
+        const mapped = MULTER_ERROR_CODES[err.code] || {
+            statusCode: 400,
+            code: "UPLOAD_ERROR",
+            message: err.message,
+        };
+        return new AppError(mapped.message, {
+            statusCode: mapped.statusCode,
+            code: mapped.code,
+        });
+    }
+
+    // Malformed JSON body from express.json()
+    if (err.type === "entity.parse.failed") {
+        return new AppError("Malformed JSON body", {
+            statusCode: 400,
+            code: "INVALID_JSON",
+        });
+    }
+
+    return new AppError("Server error");
+};
+
+// Catch-all for unknown API routes
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, {
+        code: "ROUTE_NOT_FOUND",
+    }));
+};
+
+// Final error middleware - keeps every error in the standard envelope.
+// Express only treats it as an error handler because it takes four arguments
+const errorHandler = (err, req, res, next) => {
+    const error = normalizeError(err);
+
+    if (error.statusCode >= 500) {
+        console.error(`${req.method} ${req.originalUrl} error:`, err);
+    }
+
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        errorType: error.errorType,
+        errors: error.errors,
+        error:
+            process.env.NODE_ENV === "development" && error.statusCode >= 500
+                ? err.message
+                : undefined,
+    });
+};
+
+module.exports = {
+    normalizeError,
+    notFound,
+    errorHandler,
+};
@@ -1,4 +1,5 @@
 const multer = require("multer");
+const { AppError } = require("../utils/errors");
 
 // Use memory storage instead of disk storage
 // This keeps files in memory rather than writing to disk
@@ -8,7 +9,13 @@ const storage = multer.memoryStorage();
 const fileFilter = (req, file, cb) => {
     // Accept images only
     if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
-        return cb(new Error("Only image files are allowed!"), false);
+        return cb(
+            new AppError("Only image files are allowed!", {
+                statusCode: 415,
+                code: "INVALID_FILE_TYPE",
+            }),
+            false
+        );
     }
     cb(null, true);
 };
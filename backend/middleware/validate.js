@@ -0,0 +1,84 @@
+const { checkSchema, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Raise a 422 ValidationError when any validation chain attached to the
+ * route failed. Errors are reported once per field so clients can map them
+ * onto inputs: errors: [{ field, location, message }]
+ */
+const handleValidationErrors = (req, res, next) => {
+    const result = validationResult(req);
+
+    if (result.isEmpty()) {
+        return next();
+    }
+
+    const errors = result
+        .array({ onlyFirstError: true })
+        .map((error) => ({
+            field: error.type === "field" ? error.path : error.type,
+            location: error.location,
+            message: error.msg,
+        }));
+
+    return next(new ValidationError(errors[0].message, errors));
+};
+
+/**
+ * Build route middleware from a declarative express-validator schema
+ * @param {Object} schema - checkSchema() field definitions
+ * @param {Array<string>} locations - Request locations to look in by default
+ * @returns {Array<Function>} - Validation chains followed by the error handler
+ */
+const validate = (schema, locations = ["body"]) => [
+    ...checkSchema(schema, locations),
+    handleValidationErrors,
+];
+
+// Reusable rule for fields holding a Mongo document id
+const objectIdField = (label, options = {}) => {
+    const rule = {};
+
+    if (options.in) {
+        rule.in = options.in;
+    }
+
+    if (options.optional) {
+        rule.optional = true;
+    } else {
+        rule.exists = { errorMessage: `${label} is required` };
+    }
+
+    rule.isMongoId = { errorMessage: `${label} must be a valid id` };
+    return rule;
+};
+
+// Body fields naming another user directly or through one of their pets;
+// exactly one of userId / petId must be given
+const targetUserFields = () => ({
+    userId: {
+        custom: {
+            options: (value, { req }) =>
+                (value === undefined) !== (req.body.petId === undefined),
+            errorMessage: "Give either a user ID or a pet ID",
+            bail: true,
+        },
+        isMongoId: {
+            if: (value) => value !== undefined,
+            errorMessage: "User ID must be a valid id",
+        },
+    },
+    petId: objectIdField("Pet ID", { optional: true }),
+});
+
+// Validates the common `/:id` style route parameter
+const validateIdParam = (param = "id", label = "ID") =>
+    validate({ [param]: objectIdField(label, { in: ["params"] }) });
+
+module.exports = {
+    validate,
+    validateIdParam,
+    objectIdField,
+    targetUserFields,
+    handleValidationErrors,
+};
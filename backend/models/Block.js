@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One user blocking another. A block works both ways: neither user sees the
+// other's pets, and they can no longer match or chat
+const BlockSchema = new mongoose.Schema(
+    {
+        blocker: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        blocked: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+    },
+    { timestamps: true }
+);
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+// Who blocked a given user
+BlockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model("Block", BlockSchema);
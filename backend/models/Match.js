@@ -20,6 +20,16 @@ const MatchSchema = new mongoose.Schema(
             type: Boolean,
             default: null,
         },
+        // A super like is a like that also jumps the queue in the other
+        // pet's feed
+        pet1SuperLikedPet2: {
+            type: Boolean,
+            default: false,
+        },
+        pet2SuperLikedPet1: {
+            type: Boolean,
+            default: false,
+        },
         isMatch: {
             type: Boolean,
             default: false,
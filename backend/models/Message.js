@@ -16,12 +16,52 @@ const MessageSchema = new mongoose.Schema(
             type: String,
             trim: true,
         },
+        // Client-generated temp ID, used to reconcile optimistic messages
+        clientId: {
+            type: String,
+            trim: true,
+        },
         attachments: [
             {
                 type: String,
                 trim: true,
             },
         ],
+        // Set when the sender edits the text
+        editedAt: {
+            type: Date,
+        },
+        // Deleted for everyone: content and attachments are cleared and the
+        // message stays behind as a tombstone
+        deletedAt: {
+            type: Date,
+        },
+        // Users who deleted the message for themselves only
+        deletedFor: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        // One reaction per user
+        reactions: [
+            {
+                _id: false,
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User",
+                    required: true,
+                },
+                emoji: {
+                    type: String,
+                    required: true,
+                },
+                createdAt: {
+                    type: Date,
+                    default: Date.now,
+                },
+            },
+        ],
         readBy: [
             {
                 user: {
@@ -42,4 +82,14 @@ const MessageSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+// Idempotent sends: a client's temp ID is stored at most once per chat and
+// sender. Messages without one are left out of the index.
+MessageSchema.index(
+    { chat: 1, sender: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+// Full-text message search
+MessageSchema.index({ content: "text" });
+
 module.exports = mongoose.model("Message", MessageSchema);
@@ -4,8 +4,14 @@ const {
     GENDER_OPTIONS,
     SIZE_OPTIONS,
     ACTIVITY_LEVELS,
+    AGE_CLASSES,
+    PLAYMATE_MODES,
     VACCINATION_STATUS,
+    DISCOVERY_FILTER_LIMITS,
 } = require("../constants/petConstants");
+const {
+    normalizePlaymatePreferences,
+} = require("../utils/playmatePreferences");
 
 const PetSchema = new mongoose.Schema(
     {
@@ -68,13 +74,59 @@ const PetSchema = new mongoose.Schema(
                 type: String,
             },
         ],
+        // Sizes and age classes this pet wants to play with; empty lists
+        // mean "any". Labels from the app are normalized before validation
         preferredPlaymates: {
             size: [
                 {
                     type: String,
+                    enum: Object.values(SIZE_OPTIONS),
+                },
+            ],
+            ageClass: [
+                {
+                    type: String,
+                    enum: Object.values(AGE_CLASSES),
                 },
             ],
         },
+        // Copy of the owner's location so the discovery feed can run a single
+        // $geoNear over pets. Kept in sync by authController.updateLocation
+        location: {
+            type: {
+                type: String,
+                enum: ["Point"],
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined,
+            },
+        },
+        // Saved search preferences for this pet's discovery feed. Empty lists
+        // mean "any"; with no types the feed shows the pet's own type
+        discoveryFilters: {
+            maxDistance: {
+                type: Number,
+                min: DISCOVERY_FILTER_LIMITS.MIN_DISTANCE_KM,
+                max: DISCOVERY_FILTER_LIMITS.MAX_DISTANCE_KM,
+                default: DISCOVERY_FILTER_LIMITS.DEFAULT_DISTANCE_KM,
+            },
+            types: [{ type: String, enum: Object.values(PET_TYPES) }],
+            sizes: [{ type: String, enum: Object.values(SIZE_OPTIONS) }],
+            genders: [{ type: String, enum: Object.values(GENDER_OPTIONS) }],
+            minAge: { type: Number, min: 0 },
+            maxAge: { type: Number, min: 0 },
+            activityLevels: [
+                { type: String, enum: Object.values(ACTIVITY_LEVELS) },
+            ],
+            vaccinatedOnly: { type: Boolean, default: false },
+            temperaments: [{ type: String }],
+            playmateMode: {
+                type: String,
+                enum: Object.values(PLAYMATE_MODES),
+                default: PLAYMATE_MODES.STRICT,
+            },
+        },
         dislikedPets: [
             {
                 type: mongoose.Schema.Types.ObjectId,
@@ -89,4 +141,43 @@ const PetSchema = new mongoose.Schema(
     { timestamps: true }
 );
 
+// Older profiles hold free-text playmate labels; store the enums instead
+PetSchema.pre("validate", function (next) {
+    if (this.isNew || this.isModified("preferredPlaymates")) {
+        this.preferredPlaymates = normalizePlaymatePreferences(
+            this.toObject().preferredPlaymates
+        );
+    }
+    next();
+});
+
+// Index for the discovery feed's $geoNear
+PetSchema.index({ location: "2dsphere" });
+
+// Build the GeoJSON point stored on pets from a user location; [0, 0] is the
+// User default and means "unknown"
+PetSchema.statics.pointFromLocation = function (location) {
+    const coordinates = location && location.coordinates;
+
+    if (
+        !Array.isArray(coordinates) ||
+        coordinates.length !== 2 ||
+        (coordinates[0] === 0 && coordinates[1] === 0)
+    ) {
+        return undefined;
+    }
+
+    return { type: "Point", coordinates: [coordinates[0], coordinates[1]] };
+};
+
+// Copy an owner's location onto all of their pets
+PetSchema.statics.syncOwnerLocation = function (ownerId, location) {
+    const point = this.pointFromLocation(location);
+
+    return this.updateMany(
+        { owner: ownerId },
+        point ? { $set: { location: point } } : { $unset: { location: 1 } }
+    );
+};
+
 module.exports = mongoose.model("Pet", PetSchema);
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const {
+    PLAYDATE_STATUSES,
+    OPEN_PLAYDATE_STATUSES,
+    PLAYDATE_LIMITS,
+} = require("../constants/playdateConstants");
+
+const PointSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ["Point"],
+            default: "Point",
+        },
+        // GeoJSON order: [longitude, latitude]
+        coordinates: {
+            type: [Number],
+            required: true,
+        },
+    },
+    { _id: false }
+);
+
+// One time and place suggested by one of the owners
+const ProposalSchema = new mongoose.Schema(
+    {
+        proposedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        scheduledAt: {
+            type: Date,
+            required: true,
+        },
+        location: {
+            type: PointSchema,
+            required: true,
+        },
+        placeName: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: PLAYDATE_LIMITS.MAX_PLACE_NAME_LENGTH,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: PLAYDATE_LIMITS.MAX_NOTE_LENGTH,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+// A meetup between two matched pets. The latest proposal is also kept at the
+// top level (proposedBy, scheduledAt, location, placeName, note) so lists can
+// sort and filter on it; `proposals` holds the whole back and forth
+const PlaydateSchema = new mongoose.Schema(
+    {
+        match: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Match",
+            required: true,
+        },
+        // The chat the playdate is shown in
+        chat: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Chat",
+        },
+        // The two pets' owners
+        participants: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        ],
+        pets: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Pet",
+            },
+        ],
+        status: {
+            type: String,
+            enum: Object.values(PLAYDATE_STATUSES),
+            default: PLAYDATE_STATUSES.PROPOSED,
+        },
+        proposedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        scheduledAt: {
+            type: Date,
+            required: true,
+        },
+        location: {
+            type: PointSchema,
+            required: true,
+        },
+        placeName: {
+            type: String,
+            trim: true,
+            required: true,
+            maxlength: PLAYDATE_LIMITS.MAX_PLACE_NAME_LENGTH,
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxlength: PLAYDATE_LIMITS.MAX_NOTE_LENGTH,
+        },
+        proposals: [ProposalSchema],
+        // Who accepted, declined, cancelled or completed it last
+        respondedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        respondedAt: {
+            type: Date,
+        },
+    },
+    { timestamps: true }
+);
+
+// Playdates shown in a chat, in the order they were suggested
+PlaydateSchema.index({ match: 1, createdAt: 1 });
+// A user's upcoming playdates
+PlaydateSchema.index({ participants: 1, scheduledAt: 1 });
+
+// Cancel the playdates still open on some matches, e.g. when they end
+PlaydateSchema.statics.cancelOpenForMatches = function (matchIds) {
+    return this.updateMany(
+        { match: { $in: matchIds }, status: { $in: OPEN_PLAYDATE_STATUSES } },
+        { $set: { status: PLAYDATE_STATUSES.CANCELLED, respondedAt: new Date() } }
+    );
+};
+
+module.exports = mongoose.model("Playdate", PlaydateSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    REPORT_LIMITS,
+} = require("../constants/moderationConstants");
+
+// Copy of a reported chat message, kept as it was when reported
+const EvidenceSchema = new mongoose.Schema(
+    {
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Message",
+        },
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        content: String,
+        attachments: [String],
+        sentAt: Date,
+    },
+    { _id: false }
+);
+
+// A report about a user (and optionally one of their pets). Reports form the
+// moderation queue: they stay pending until a moderator resolves or
+// dismisses them
+const ReportSchema = new mongoose.Schema(
+    {
+        reporter: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        reportedUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        reportedPet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Pet",
+        },
+        reason: {
+            type: String,
+            enum: Object.values(REPORT_REASONS),
+            required: true,
+        },
+        details: {
+            type: String,
+            trim: true,
+            maxlength: REPORT_LIMITS.MAX_DETAILS_LENGTH,
+        },
+        chat: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Chat",
+        },
+        evidence: [EvidenceSchema],
+        status: {
+            type: String,
+            enum: Object.values(REPORT_STATUSES),
+            default: REPORT_STATUSES.PENDING,
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        resolutionNote: {
+            type: String,
+            trim: true,
+        },
+    },
+    { timestamps: true }
+);
+
+// Moderation queue, oldest pending first
+ReportSchema.index({ status: 1, createdAt: 1 });
+ReportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Report", ReportSchema);
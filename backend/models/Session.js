@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_BYTES = 48;
+
+// Default lifetime of a refresh token, in days
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+const SessionSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        // Only a hash of the current refresh token is stored
+        refreshTokenHash: {
+            type: String,
+            required: true,
+        },
+        userAgent: {
+            type: String,
+            trim: true,
+        },
+        ipAddress: {
+            type: String,
+            trim: true,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+    crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTokenLifetimeMs = () =>
+    (Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) ||
+        DEFAULT_REFRESH_TOKEN_DAYS) *
+    24 *
+    60 *
+    60 *
+    1000;
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without scanning every hash
+SessionSchema.statics.parseRefreshToken = function (refreshToken) {
+    if (typeof refreshToken !== "string") return null;
+
+    const [sessionId, secret] = refreshToken.split(".");
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    return { sessionId, secret };
+};
+
+// Method to check whether the session can still be used
+SessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to issue a new refresh token, invalidating the previous one
+SessionSchema.methods.rotateRefreshToken = function () {
+    const secret = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("hex");
+
+    this.refreshTokenHash = hashToken(secret);
+    this.lastUsedAt = new Date();
+    this.expiresAt = new Date(Date.now() + refreshTokenLifetimeMs());
+
+    return `${this._id}.${secret}`;
+};
+
+// Method to compare a presented refresh token secret
+SessionSchema.methods.matchesRefreshToken = function (secret) {
+    const presented = Buffer.from(hashToken(secret));
+    const stored = Buffer.from(this.refreshTokenHash);
+
+    return (
+        presented.length === stored.length &&
+        crypto.timingSafeEqual(presented, stored)
+    );
+};
+
+// Method to revoke the session
+SessionSchema.methods.revoke = function () {
+    this.revokedAt = this.revokedAt || new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
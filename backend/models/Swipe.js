@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const SWIPE_ACTIONS = {
+    LIKE: "like",
+    PASS: "pass",
+};
+
+// One like/pass made from the discovery feed. Kept so the latest swipe of a
+// pet can be rewound: `previousChoice` is what the pet's flag on the Match
+// held before this swipe, and `undoneAt` is set once it has been rewound
+const SwipeSchema = new mongoose.Schema(
+    {
+        pet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Pet",
+            required: true,
+        },
+        targetPet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Pet",
+            required: true,
+        },
+        match: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Match",
+            required: true,
+        },
+        action: {
+            type: String,
+            enum: Object.values(SWIPE_ACTIONS),
+            required: true,
+        },
+        // A like sent as a super like, which used up daily quota
+        superLike: {
+            type: Boolean,
+            default: false,
+        },
+        previousChoice: {
+            type: Boolean,
+            default: null,
+        },
+        // Whether this swipe turned the pair into a match
+        createdMatch: {
+            type: Boolean,
+            default: false,
+        },
+        undoneAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+// Latest swipes of a pet first
+SwipeSchema.index({ pet: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Swipe", SwipeSchema);
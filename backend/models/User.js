@@ -1,6 +1,11 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const { USER_ROLES, SUSPENSION_LIMITS } = require("../constants/userConstants");
+
+const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 const UserSchema = new mongoose.Schema(
     {
@@ -29,6 +34,27 @@ const UserSchema = new mongoose.Schema(
             },
             minlength: [6, "Password must be at least 6 characters"],
         },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        // Single-use tokens are stored hashed, never in plain text
+        emailVerificationTokenHash: {
+            type: String,
+            select: false,
+        },
+        emailVerificationExpires: {
+            type: Date,
+            select: false,
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false,
+        },
         googleId: {
             type: String,
             unique: true,
@@ -61,6 +87,45 @@ const UserSchema = new mongoose.Schema(
         pushToken: {
             type: String,
         },
+        // IANA time zone reported by the app, used for daily limits
+        timezone: {
+            type: String,
+            default: "UTC",
+        },
+        // Super likes spent since `startedAt`; the count starts over once
+        // `resetAt` (the local midnight after the first one) has passed
+        superLikeUsage: {
+            count: {
+                type: Number,
+                default: 0,
+            },
+            startedAt: Date,
+            resetAt: Date,
+        },
+        // Set when the user's last live socket disconnects
+        lastSeen: {
+            type: Date,
+        },
+        role: {
+            type: String,
+            enum: Object.values(USER_ROLES),
+            default: USER_ROLES.USER,
+        },
+        // A suspended user can't sign in or use the API until `until`
+        // passes, or for good when `until` is empty
+        suspension: {
+            suspendedAt: Date,
+            until: Date,
+            reason: {
+                type: String,
+                trim: true,
+                maxlength: SUSPENSION_LIMITS.MAX_REASON_LENGTH,
+            },
+            suspendedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+        },
         createdAt: {
             type: Date,
             default: Date.now,
@@ -83,11 +148,50 @@ UserSchema.pre("save", async function (next) {
     next();
 });
 
-// Method to generate JWT token
-UserSchema.methods.generateAuthToken = function () {
-    return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN,
-    });
+// Method to generate a short-lived access token bound to a session
+UserSchema.methods.generateAuthToken = function (sessionId) {
+    return jwt.sign(
+        { id: this._id, sid: sessionId },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
+        }
+    );
+};
+
+// Hash a raw single-use token for storage or lookup
+UserSchema.statics.hashToken = function (token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Method to create a password reset token - returns the raw token
+UserSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    this.passwordResetTokenHash = this.constructor.hashToken(token);
+    this.passwordResetExpires = new Date(
+        Date.now() + PASSWORD_RESET_TOKEN_TTL_MS
+    );
+
+    return token;
+};
+
+// Method to create an email verification token - returns the raw token
+UserSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    this.emailVerificationTokenHash = this.constructor.hashToken(token);
+    this.emailVerificationExpires = new Date(
+        Date.now() + EMAIL_VERIFICATION_TOKEN_TTL_MS
+    );
+
+    return token;
+};
+
+// Whether the user is suspended at the given time
+UserSchema.methods.isSuspended = function (now = new Date()) {
+    const { suspendedAt, until } = this.suspension || {};
+    return Boolean(suspendedAt) && (!until || until > now);
 };
 
 // Method to compare password
@@ -0,0 +1,242 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/auth");
+const {
+    validate,
+    validateIdParam,
+    objectIdField,
+} = require("../middleware/validate");
+const adminController = require("../controllers/adminController");
+const {
+    USER_ROLES,
+    STAFF_ROLES,
+    SUSPENSION_LIMITS,
+} = require("../constants/userConstants");
+const {
+    REPORT_REASONS,
+    REPORT_STATUSES,
+} = require("../constants/moderationConstants");
+const { PET_TYPES } = require("../constants/petConstants");
+
+// Optional filter that must be one of the values of `options`
+const oneOf = (label, options) => ({
+    optional: true,
+    isIn: {
+        options: [Object.values(options)],
+        errorMessage: `${label} must be one of: ${Object.values(options).join(", ")}`,
+    },
+});
+
+// Query string of a page/limit paged list
+const pageQuery = {
+    page: {
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: "Page must be 1 or more" },
+        toInt: true,
+    },
+    limit: {
+        optional: true,
+        isInt: {
+            options: { min: 1, max: 100 },
+            errorMessage: "Limit must be between 1 and 100",
+        },
+        toInt: true,
+    },
+};
+
+const searchQuery = {
+    optional: true,
+    isString: { errorMessage: "Search must be text", bail: true },
+    trim: true,
+    isLength: {
+        options: { max: 100 },
+        errorMessage: "Search is too long",
+    },
+};
+
+// Every admin route needs a signed in staff member
+router.use(protect, authorize(...STAFF_ROLES));
+
+// @route   GET /api/admin/stats
+// @desc    Get totals and daily signups, matches and messages
+// @access  Private (moderator, admin)
+router.get(
+    "/stats",
+    validate(
+        {
+            days: {
+                optional: true,
+                isInt: {
+                    options: { min: 1, max: 90 },
+                    errorMessage: "Days must be between 1 and 90",
+                },
+                toInt: true,
+            },
+        },
+        ["query"]
+    ),
+    adminController.getStats
+);
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Private (moderator, admin)
+router.get(
+    "/users",
+    validate(
+        {
+            ...pageQuery,
+            search: searchQuery,
+            role: oneOf("Role", USER_ROLES),
+            suspended: {
+                optional: true,
+                isBoolean: { errorMessage: "Suspended must be true or false" },
+                toBoolean: true,
+            },
+        },
+        ["query"]
+    ),
+    adminController.getUsers
+);
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their pets and report history
+// @access  Private (moderator, admin)
+router.get("/users/:id", validateIdParam("id", "User ID"), adminController.getUser);
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user, for a while or until lifted
+// @access  Private (moderator, admin)
+router.post(
+    "/users/:id/suspend",
+    validateIdParam("id", "User ID"),
+    validate({
+        reason: {
+            isString: { errorMessage: "Reason is required", bail: true },
+            trim: true,
+            notEmpty: { errorMessage: "Reason is required", bail: true },
+            isLength: {
+                options: { max: SUSPENSION_LIMITS.MAX_REASON_LENGTH },
+                errorMessage: `Reason cannot be more than ${SUSPENSION_LIMITS.MAX_REASON_LENGTH} characters`,
+            },
+        },
+        until: {
+            optional: { options: { values: "null" } },
+            isISO8601: { errorMessage: "Until must be a valid date", bail: true },
+            custom: {
+                options: (value) => new Date(value) > new Date(),
+                errorMessage: "Until must be in the future",
+            },
+            toDate: true,
+        },
+    }),
+    adminController.suspendUser
+);
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a user's suspension
+// @access  Private (moderator, admin)
+router.post(
+    "/users/:id/unsuspend",
+    validateIdParam("id", "User ID"),
+    adminController.unsuspendUser
+);
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.patch(
+    "/users/:id/role",
+    authorize(USER_ROLES.ADMIN),
+    validateIdParam("id", "User ID"),
+    validate({
+        role: {
+            isIn: {
+                options: [Object.values(USER_ROLES)],
+                errorMessage: `Role must be one of: ${Object.values(USER_ROLES).join(", ")}`,
+            },
+        },
+    }),
+    adminController.updateUserRole
+);
+
+// @route   GET /api/admin/pets
+// @desc    List and search pets
+// @access  Private (moderator, admin)
+router.get(
+    "/pets",
+    validate(
+        {
+            ...pageQuery,
+            search: searchQuery,
+            type: oneOf("Type", PET_TYPES),
+            owner: objectIdField("Owner ID", { optional: true }),
+        },
+        ["query"]
+    ),
+    adminController.getPets
+);
+
+// @route   DELETE /api/admin/pets/:petId/photos
+// @desc    Remove a photo from a pet's profile
+// @access  Private (moderator, admin)
+router.delete(
+    "/pets/:petId/photos",
+    validateIdParam("petId", "Pet ID"),
+    validate({
+        photo: {
+            isString: { errorMessage: "Photo URL is required", bail: true },
+            notEmpty: { errorMessage: "Photo URL is required" },
+        },
+    }),
+    adminController.removePetPhoto
+);
+
+// @route   GET /api/admin/reports
+// @desc    Get the moderation queue, oldest first
+// @access  Private (moderator, admin)
+router.get(
+    "/reports",
+    validate(
+        {
+            ...pageQuery,
+            status: oneOf("Status", REPORT_STATUSES),
+            reason: oneOf("Reason", REPORT_REASONS),
+        },
+        ["query"]
+    ),
+    adminController.getReports
+);
+
+// @route   GET /api/admin/reports/:id
+// @desc    Get a report with its evidence
+// @access  Private (moderator, admin)
+router.get("/reports/:id", validateIdParam("id", "Report ID"), adminController.getReport);
+
+// @route   PATCH /api/admin/reports/:id
+// @desc    Resolve or dismiss a pending report
+// @access  Private (moderator, admin)
+router.patch(
+    "/reports/:id",
+    validateIdParam("id", "Report ID"),
+    validate({
+        status: {
+            isIn: {
+                options: [[REPORT_STATUSES.RESOLVED, REPORT_STATUSES.DISMISSED]],
+                errorMessage: "Status must be resolved or dismissed",
+            },
+        },
+        resolutionNote: {
+            optional: true,
+            isString: { errorMessage: "Resolution note must be text", bail: true },
+            trim: true,
+            isLength: {
+                options: { max: 1000 },
+                errorMessage: "Resolution note cannot be more than 1000 characters",
+            },
+        },
+    }),
+    adminController.reviewReport
+);
+
+module.exports = router;
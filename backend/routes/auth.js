@@ -2,17 +2,153 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
 const { protect } = require("../middleware/auth");
+const { validate, validateIdParam } = require("../middleware/validate");
+
+// Shared field rules
+const emailField = {
+    trim: true,
+    toLowerCase: true,
+    notEmpty: { errorMessage: "Email is required", bail: true },
+    isEmail: { errorMessage: "Please provide a valid email" },
+};
+
+const newPasswordField = {
+    isString: { errorMessage: "Password is required", bail: true },
+    isLength: {
+        options: { min: 6 },
+        errorMessage: "Password must be at least 6 characters",
+    },
+};
+
+const requiredString = (message) => ({
+    isString: { errorMessage: message, bail: true },
+    trim: true,
+    notEmpty: { errorMessage: message },
+});
+
+const registerSchema = {
+    name: {
+        isString: { errorMessage: "Name is required", bail: true },
+        trim: true,
+        notEmpty: { errorMessage: "Name is required", bail: true },
+        isLength: {
+            options: { max: 50 },
+            errorMessage: "Name cannot be more than 50 characters",
+        },
+    },
+    email: emailField,
+    password: newPasswordField,
+};
+
+const loginSchema = {
+    email: emailField,
+    password: {
+        isString: { errorMessage: "Password is required", bail: true },
+        notEmpty: { errorMessage: "Password is required" },
+    },
+};
+
+const locationSchema = {
+    location: {
+        isObject: { errorMessage: "Valid location coordinates are required" },
+    },
+    "location.coordinates": {
+        isArray: {
+            options: { min: 2, max: 2 },
+            errorMessage: "Valid location coordinates are required",
+        },
+    },
+    // GeoJSON order: [longitude, latitude]
+    "location.coordinates[0]": {
+        isFloat: {
+            options: { min: -180, max: 180 },
+            errorMessage: "Longitude must be between -180 and 180",
+        },
+        toFloat: true,
+    },
+    "location.coordinates[1]": {
+        isFloat: {
+            options: { min: -90, max: 90 },
+            errorMessage: "Latitude must be between -90 and 90",
+        },
+        toFloat: true,
+    },
+};
 
 // Public routes
-router.post("/register", authController.register);
-router.post("/login", authController.login);
+router.post("/register", validate(registerSchema), authController.register);
+router.post("/login", validate(loginSchema), authController.login);
+router.post(
+    "/refresh",
+    validate({ refreshToken: requiredString("Refresh token is required") }),
+    authController.refreshToken
+);
+router.post(
+    "/forgot-password",
+    validate({ email: emailField }),
+    authController.forgotPassword
+);
+router.post(
+    "/reset-password",
+    validate({
+        token: requiredString("Reset code is required"),
+        password: newPasswordField,
+    }),
+    authController.resetPassword
+);
+router.post(
+    "/verify-email",
+    validate({ token: requiredString("Verification code is required") }),
+    authController.verifyEmail
+);
 
 // Google OAuth routes
-router.post("/google/token", authController.googleAuth);
+const googleTokenSchema = {
+    idToken: requiredString("Google ID token is required"),
+};
+
+router.post(
+    "/google/token",
+    validate(googleTokenSchema),
+    authController.googleAuth
+);
+router.post(
+    "/google/link",
+    protect,
+    validate(googleTokenSchema),
+    authController.linkGoogle
+);
+router.delete("/google/link", protect, authController.unlinkGoogle);
 
 // Protected routes
 router.get("/me", protect, authController.getMe);
-router.put("/update-location", protect, authController.updateLocation);
-router.post("/push-token", protect, authController.storePushToken);
+router.put(
+    "/update-location",
+    protect,
+    validate(locationSchema),
+    authController.updateLocation
+);
+router.post(
+    "/push-token",
+    protect,
+    validate({ token: requiredString("Push token is required") }),
+    authController.storePushToken
+);
+router.post("/logout", protect, authController.logout);
+router.post(
+    "/verify-email/resend",
+    protect,
+    authController.resendVerificationEmail
+);
+
+// Session management
+router.get("/sessions", protect, authController.getSessions);
+router.delete("/sessions", protect, authController.revokeOtherSessions);
+router.delete(
+    "/sessions/:id",
+    protect,
+    validateIdParam("id", "Session ID"),
+    authController.revokeSession
+);
 
 module.exports = router;
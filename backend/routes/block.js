@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/auth");
+const {
+    validate,
+    validateIdParam,
+    targetUserFields,
+} = require("../middleware/validate");
+const moderationController = require("../controllers/moderationController");
+
+// @route   GET /api/blocks
+// @desc    Get the users the current user has blocked
+// @access  Private
+router.get("/", protect, moderationController.getBlockedUsers);
+
+// @route   POST /api/blocks
+// @desc    Block a user, or the owner of a pet
+// @access  Private
+router.post(
+    "/",
+    protect,
+    validate(targetUserFields()),
+    moderationController.blockUser
+);
+
+// @route   DELETE /api/blocks/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete(
+    "/:userId",
+    protect,
+    validateIdParam("userId", "User ID"),
+    moderationController.unblockUser
+);
+
+module.exports = router;
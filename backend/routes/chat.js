@@ -1,26 +1,227 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { validate, validateIdParam, objectIdField } = require('../middleware/validate');
+const upload = require('../middleware/upload');
 const chatController = require('../controllers/chatController');
+const {
+    ATTACHMENT_LIMITS,
+    MESSAGE_LIMITS,
+    MESSAGE_REACTIONS,
+    SEARCH_LIMITS,
+} = require('../constants/chatConstants');
 
 // @route   GET /api/chats
 // @desc    Get all chats for the current user
 // @access  Private
 router.get('/', protect, chatController.getUserChats);
 
+// @route   GET /api/chats/unread
+// @desc    Get unread message counts for the current user's chats
+// @access  Private
+router.get('/unread', protect, chatController.getUnreadCounts);
+
+// @route   GET /api/chats/search
+// @desc    Search the current user's messages across their chats
+// @access  Private
+router.get(
+    '/search',
+    protect,
+    validate(
+        {
+            q: {
+                isString: { errorMessage: 'Search is required', bail: true },
+                trim: true,
+                isLength: {
+                    options: {
+                        min: SEARCH_LIMITS.MIN_QUERY_LENGTH,
+                        max: SEARCH_LIMITS.MAX_QUERY_LENGTH,
+                    },
+                    errorMessage: `Search must be between ${SEARCH_LIMITS.MIN_QUERY_LENGTH} and ${SEARCH_LIMITS.MAX_QUERY_LENGTH} characters`,
+                },
+            },
+            limit: {
+                optional: true,
+                isInt: {
+                    options: { min: 1, max: 50 },
+                    errorMessage: 'Limit must be between 1 and 50',
+                },
+                toInt: true,
+            },
+        },
+        ['query']
+    ),
+    chatController.searchMessages
+);
+
 // @route   GET /api/chats/:id
-// @desc    Get single chat by ID with messages
+// @desc    Get single chat by ID with messages, or the messages around one of them
 // @access  Private
-router.get('/:id', protect, chatController.getChatById);
+router.get(
+    '/:id',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validate(
+        {
+            limit: {
+                optional: true,
+                isInt: {
+                    options: { min: 1, max: 100 },
+                    errorMessage: 'Limit must be between 1 and 100',
+                },
+                toInt: true,
+            },
+            before: {
+                optional: true,
+                isISO8601: { errorMessage: 'Before must be a valid date' },
+            },
+            around: objectIdField('Message ID', { optional: true }),
+        },
+        ['query']
+    ),
+    chatController.getChatById
+);
 
 // @route   POST /api/chats/:id/messages
 // @desc    Send a message in a chat
 // @access  Private
-router.post('/:id/messages', protect, chatController.sendMessage);
+router.post(
+    '/:id/messages',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validate({
+        content: {
+            optional: { options: { values: 'null' } },
+            isString: { errorMessage: 'Message content must be text', bail: true },
+            isLength: {
+                options: { max: MESSAGE_LIMITS.MAX_LENGTH },
+                errorMessage: `Messages cannot be more than ${MESSAGE_LIMITS.MAX_LENGTH} characters`,
+            },
+        },
+        attachments: {
+            optional: true,
+            isArray: {
+                options: { max: ATTACHMENT_LIMITS.MAX_PER_MESSAGE },
+                errorMessage: `Attachments must be a list of up to ${ATTACHMENT_LIMITS.MAX_PER_MESSAGE} photos`,
+            },
+        },
+        'attachments.*': {
+            isURL: {
+                options: { protocols: ['http', 'https'], require_protocol: true },
+                errorMessage: 'Attachments must be URLs',
+            },
+        },
+        clientId: {
+            optional: true,
+            isString: { errorMessage: 'Client ID must be text', bail: true },
+            isLength: {
+                options: { max: MESSAGE_LIMITS.MAX_CLIENT_ID_LENGTH },
+                errorMessage: 'Client ID is too long',
+            },
+        },
+    }),
+    chatController.sendMessage
+);
+
+// @route   PATCH /api/chats/:id/messages/:messageId
+// @desc    Edit the text of your own message, shortly after sending it
+// @access  Private
+router.patch(
+    '/:id/messages/:messageId',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validateIdParam('messageId', 'Message ID'),
+    validate({
+        content: {
+            isString: { errorMessage: 'Message content is required', bail: true },
+            trim: true,
+            notEmpty: { errorMessage: 'Message content is required', bail: true },
+            isLength: {
+                options: { max: MESSAGE_LIMITS.MAX_LENGTH },
+                errorMessage: `Messages cannot be more than ${MESSAGE_LIMITS.MAX_LENGTH} characters`,
+            },
+        },
+    }),
+    chatController.editMessage
+);
+
+// @route   DELETE /api/chats/:id/messages/:messageId
+// @desc    Delete a message for yourself, or your own message for everyone
+// @access  Private
+router.delete(
+    '/:id/messages/:messageId',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validateIdParam('messageId', 'Message ID'),
+    validate({
+        forEveryone: {
+            optional: true,
+            isBoolean: { options: { strict: true }, errorMessage: 'For everyone must be true or false' },
+        },
+    }),
+    chatController.deleteMessage
+);
+
+// @route   PUT /api/chats/:id/messages/:messageId/reaction
+// @desc    Set your reaction to a message
+// @access  Private
+router.put(
+    '/:id/messages/:messageId/reaction',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validateIdParam('messageId', 'Message ID'),
+    validate({
+        emoji: {
+            isIn: {
+                options: [MESSAGE_REACTIONS],
+                errorMessage: `Reaction must be one of: ${MESSAGE_REACTIONS.join(' ')}`,
+            },
+        },
+    }),
+    chatController.reactToMessage
+);
+
+// @route   DELETE /api/chats/:id/messages/:messageId/reaction
+// @desc    Remove your reaction from a message
+// @access  Private
+router.delete(
+    '/:id/messages/:messageId/reaction',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validateIdParam('messageId', 'Message ID'),
+    chatController.reactToMessage
+);
+
+// @route   POST /api/chats/:id/attachments
+// @desc    Upload a photo to send in a chat
+// @access  Private
+router.post(
+    '/:id/attachments',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    upload.single('image'),
+    chatController.uploadAttachment
+);
+
+// @route   POST /api/chats/:id/read
+// @desc    Mark messages in a chat as read, up to a message
+// @access  Private
+router.post(
+    '/:id/read',
+    protect,
+    validateIdParam('id', 'Chat ID'),
+    validate({ messageId: objectIdField('Message ID', { optional: true }) }),
+    chatController.markChatRead
+);
 
 // @route   POST /api/chats/for-match
 // @desc    Get or create a chat for a specific match
 // @access  Private
-router.post('/for-match', protect, chatController.getChatForMatch);
+router.post(
+    '/for-match',
+    protect,
+    validate({ matchId: objectIdField('Match ID') }),
+    chatController.getChatForMatch
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
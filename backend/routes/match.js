@@ -1,26 +1,183 @@
 const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/auth");
+const {
+    validate,
+    validateIdParam,
+    objectIdField,
+} = require("../middleware/validate");
 const matchController = require("../controllers/matchController");
+const { isValidTimezone } = require("../services/superLikeService");
+
+// Optional IANA time zone the app reports for daily limits
+const timezoneField = (location) => ({
+    in: [location],
+    optional: true,
+    custom: {
+        options: isValidTimezone,
+        errorMessage: "Timezone must be a valid IANA time zone",
+    },
+});
+
+// Query string of a cursor-paged list
+const pageQuery = {
+    limit: {
+        optional: true,
+        isInt: {
+            options: { min: 1, max: 50 },
+            errorMessage: "Limit must be between 1 and 50",
+        },
+        toInt: true,
+    },
+    cursor: {
+        optional: true,
+        isBase64: {
+            options: { urlSafe: true },
+            errorMessage: "Cursor is invalid",
+        },
+    },
+};
+
+// Route params naming one of the user's pets and a pet that liked it
+const likeParams = validate(
+    {
+        petId: objectIdField("Pet ID"),
+        likerPetId: objectIdField("Liker pet ID"),
+    },
+    ["params"]
+);
 
 // @route   GET /api/matches/potential/:petId
 // @desc    Get potential matches for a pet
 // @access  Private
-router.get("/potential/:petId", protect, matchController.getPotentialMatches);
+router.get(
+    "/potential/:petId",
+    protect,
+    validateIdParam("petId", "Pet ID"),
+    validate(
+        {
+            ...pageQuery,
+            maxDistance: {
+                optional: true,
+                isFloat: {
+                    options: { gt: 0 },
+                    errorMessage: "Max distance must be greater than 0",
+                },
+                toFloat: true,
+            },
+        },
+        ["query"]
+    ),
+    matchController.getPotentialMatches
+);
 
 // @route   POST /api/matches/like
 // @desc    Like or dislike another pet
 // @access  Private
-router.post("/like", protect, matchController.likePet);
+router.post(
+    "/like",
+    protect,
+    validate({
+        petId: objectIdField("Pet ID"),
+        likedPetId: objectIdField("Liked pet ID"),
+        isLiked: {
+            exists: { errorMessage: "isLiked is required", bail: true },
+            isBoolean: {
+                options: { strict: true },
+                errorMessage: "isLiked must be true or false",
+            },
+        },
+        superLike: {
+            optional: true,
+            isBoolean: {
+                options: { strict: true },
+                errorMessage: "superLike must be true or false",
+                bail: true,
+            },
+            custom: {
+                options: (value, { req }) => !value || req.body.isLiked === true,
+                errorMessage: "A super like must also be a like",
+            },
+        },
+        timezone: timezoneField("body"),
+    }),
+    matchController.likePet
+);
+
+// @route   GET /api/matches/super-likes
+// @desc    Get today's super like quota
+// @access  Private
+router.get(
+    "/super-likes",
+    protect,
+    validate({ timezone: timezoneField("query") }),
+    matchController.getSuperLikeQuota
+);
+
+// @route   POST /api/matches/rewind
+// @desc    Undo the most recent like or pass of a pet
+// @access  Private
+router.post(
+    "/rewind",
+    protect,
+    validate({
+        petId: objectIdField("Pet ID"),
+    }),
+    matchController.rewindSwipe
+);
+
+// @route   GET /api/matches/:petId/likes-received
+// @desc    Get pets that liked a pet and are waiting for an answer
+// @access  Private
+router.get(
+    "/:petId/likes-received",
+    protect,
+    validateIdParam("petId", "Pet ID"),
+    validate(pageQuery, ["query"]),
+    matchController.getLikesReceived
+);
+
+// @route   POST /api/matches/:petId/likes-received/:likerPetId/accept
+// @desc    Like back a pet that liked ours
+// @access  Private
+router.post(
+    "/:petId/likes-received/:likerPetId/accept",
+    protect,
+    likeParams,
+    matchController.acceptLike
+);
+
+// @route   POST /api/matches/:petId/likes-received/:likerPetId/decline
+// @desc    Pass on a pet that liked ours
+// @access  Private
+router.post(
+    "/:petId/likes-received/:likerPetId/decline",
+    protect,
+    likeParams,
+    matchController.declineLike
+);
 
 // @route   GET /api/matches/:petId
 // @desc    Get all matches for a pet
 // @access  Private
-router.get("/:petId", protect, matchController.getPetMatches);
+router.get(
+    "/:petId",
+    protect,
+    validateIdParam("petId", "Pet ID"),
+    matchController.getPetMatches
+);
 
 // @route   POST /api/matches/unmatch
 // @desc    Unmatch a pet from another pet
 // @access  Private
-router.post('/unmatch', protect, matchController.unmatchPet);
+router.post(
+    '/unmatch',
+    protect,
+    validate({
+        petId: objectIdField("Pet ID"),
+        unmatchedPetId: objectIdField("Unmatched pet ID"),
+    }),
+    matchController.unmatchPet
+);
 
-module.exports = router;``
+module.exports = router;
@@ -2,12 +2,201 @@ const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { validate, validateIdParam } = require('../middleware/validate');
 const petController = require('../controllers/petController');
+const {
+    PET_TYPES,
+    GENDER_OPTIONS,
+    SIZE_OPTIONS,
+    ACTIVITY_LEVELS,
+    PLAYMATE_MODES,
+    VACCINATION_STATUS,
+    TEMPERAMENTS,
+    DISCOVERY_FILTER_LIMITS,
+} = require('../constants/petConstants');
+
+// Uploaded images may live on a custom S3 endpoint without a public TLD
+const IMAGE_URL_OPTIONS = {
+    protocols: ['http', 'https'],
+    require_protocol: true,
+    require_tld: false,
+};
+
+const oneOf = (label, options) => ({
+    isIn: {
+        options: [Object.values(options)],
+        errorMessage: `${label} must be one of: ${Object.values(options).join(', ')}`,
+    },
+});
+
+// Fields are required on create and optional on update
+const petSchema = ({ partial }) => {
+    const required = (message) =>
+        partial ? { optional: true } : { exists: { errorMessage: message, bail: true } };
+
+    return {
+        name: {
+            ...required("Please provide your pet's name"),
+            isString: { errorMessage: "Name must be text", bail: true },
+            trim: true,
+            notEmpty: { errorMessage: "Please provide your pet's name", bail: true },
+            isLength: {
+                options: { max: 30 },
+                errorMessage: 'Name cannot be more than 30 characters',
+            },
+        },
+        type: {
+            ...required("Please specify your pet's type (dog or cat)"),
+            ...oneOf('Type', PET_TYPES),
+        },
+        breed: {
+            ...required("Please provide your pet's breed"),
+            isString: { errorMessage: 'Breed must be text', bail: true },
+            trim: true,
+            notEmpty: { errorMessage: "Please provide your pet's breed" },
+        },
+        age: {
+            ...required("Please provide your pet's age"),
+            isFloat: {
+                options: { min: 0, max: 40 },
+                errorMessage: 'Age must be a number between 0 and 40',
+            },
+            toFloat: true,
+        },
+        gender: {
+            ...required("Please specify your pet's gender"),
+            ...oneOf('Gender', GENDER_OPTIONS),
+        },
+        size: {
+            ...required("Please specify your pet's size"),
+            ...oneOf('Size', SIZE_OPTIONS),
+        },
+        vaccinated: {
+            optional: true,
+            ...oneOf('Vaccinated', VACCINATION_STATUS),
+        },
+        photos: {
+            ...required('Please add at least 2 photos of your pet'),
+            isArray: {
+                options: { min: 2 },
+                errorMessage: 'Please add at least 2 photos of your pet',
+            },
+        },
+        'photos.*': {
+            isURL: { options: IMAGE_URL_OPTIONS, errorMessage: 'Photos must be image URLs' },
+        },
+        description: {
+            optional: { options: { values: 'null' } },
+            isString: { errorMessage: 'Description must be text', bail: true },
+            trim: true,
+            isLength: {
+                options: { max: 500 },
+                errorMessage: 'Description cannot be more than 500 characters',
+            },
+        },
+        activityLevel: {
+            optional: true,
+            ...oneOf('Activity level', ACTIVITY_LEVELS),
+        },
+        temperament: {
+            optional: true,
+            isArray: { errorMessage: 'Temperament must be a list' },
+        },
+        'temperament.*': {
+            isString: { errorMessage: 'Temperament must be a list of text', bail: true },
+            trim: true,
+        },
+        // The app still sends a flat list of playmate labels, the model
+        // stores { size: [...], ageClass: [...] }; accept either shape of
+        // string lists; the controller normalizes them into the enums
+        preferredPlaymates: {
+            optional: true,
+            custom: {
+                options: (value) => {
+                    const isTextList = (list) =>
+                        Array.isArray(list) && list.every((item) => typeof item === 'string');
+
+                    if (Array.isArray(value)) {
+                        return isTextList(value);
+                    }
+                    return (
+                        Boolean(value) &&
+                        typeof value === 'object' &&
+                        [value.size, value.ageClass].every(
+                            (list) => list === undefined || isTextList(list)
+                        )
+                    );
+                },
+                errorMessage: 'Preferred playmates must be a list of text',
+            },
+        },
+    };
+};
+
+// A list filter: an array whose entries are all one of `options`
+const listOf = (field, label, options) => ({
+    [field]: {
+        optional: true,
+        isArray: { errorMessage: `${label} filter must be a list` },
+    },
+    [`${field}.*`]: oneOf(label, options),
+});
+
+const ageBound = (name) => ({
+    optional: { options: { values: 'null' } },
+    isInt: {
+        options: { min: 0, max: DISCOVERY_FILTER_LIMITS.MAX_AGE },
+        errorMessage: `${name} must be a whole number between 0 and ${DISCOVERY_FILTER_LIMITS.MAX_AGE}`,
+    },
+    toInt: true,
+});
+
+const discoveryFiltersSchema = {
+    maxDistance: {
+        optional: true,
+        isInt: {
+            options: {
+                min: DISCOVERY_FILTER_LIMITS.MIN_DISTANCE_KM,
+                max: DISCOVERY_FILTER_LIMITS.MAX_DISTANCE_KM,
+            },
+            errorMessage: `Max distance must be between ${DISCOVERY_FILTER_LIMITS.MIN_DISTANCE_KM} and ${DISCOVERY_FILTER_LIMITS.MAX_DISTANCE_KM} km`,
+        },
+        toInt: true,
+    },
+    ...listOf('types', 'Type', PET_TYPES),
+    ...listOf('sizes', 'Size', SIZE_OPTIONS),
+    ...listOf('genders', 'Gender', GENDER_OPTIONS),
+    ...listOf('activityLevels', 'Activity level', ACTIVITY_LEVELS),
+    ...listOf('temperaments', 'Temperament', TEMPERAMENTS),
+    minAge: ageBound('Minimum age'),
+    maxAge: {
+        ...ageBound('Maximum age'),
+        custom: {
+            options: (value, { req }) =>
+                value === null ||
+                req.body.minAge === undefined ||
+                req.body.minAge === null ||
+                Number(value) >= Number(req.body.minAge),
+            errorMessage: 'Maximum age cannot be below the minimum age',
+        },
+    },
+    vaccinatedOnly: {
+        optional: true,
+        isBoolean: {
+            options: { strict: true },
+            errorMessage: 'Vaccinated only must be true or false',
+        },
+    },
+    playmateMode: {
+        optional: true,
+        ...oneOf('Playmate mode', PLAYMATE_MODES),
+    },
+};
 
 // @route   POST /api/pets
 // @desc    Create a new pet profile
 // @access  Private
-router.post('/', protect, petController.createPet);
+router.post('/', protect, validate(petSchema({ partial: false })), petController.createPet);
 
 // @route   POST /api/pets/upload
 // @desc    Upload pet image to Cloudinary
@@ -17,7 +206,18 @@ router.post('/upload', protect, upload.single('image'), petController.uploadImag
 // @route   POST /api/pets/:id/image
 // @desc    Add image to pet profile
 // @access  Private
-router.post('/:id/image', protect, petController.addImageToPet);
+router.post(
+    '/:id/image',
+    protect,
+    validateIdParam('id', 'Pet ID'),
+    validate({
+        imageUrl: {
+            exists: { errorMessage: 'No image URL provided', bail: true },
+            isURL: { options: IMAGE_URL_OPTIONS, errorMessage: 'Image URL is invalid' },
+        },
+    }),
+    petController.addImageToPet
+);
 
 // @route   GET /api/pets
 // @desc    Get all pets for the current user
@@ -27,16 +227,43 @@ router.get('/', protect, petController.getUserPets);
 // @route   GET /api/pets/:id
 // @desc    Get pet by ID
 // @access  Private
-router.get('/:id', protect, petController.getPetById);
+router.get('/:id', protect, validateIdParam('id', 'Pet ID'), petController.getPetById);
 
 // @route   PUT /api/pets/:id
 // @desc    Update a pet profile
 // @access  Private
-router.put('/:id', protect, petController.updatePet);
+router.put(
+    '/:id',
+    protect,
+    validateIdParam('id', 'Pet ID'),
+    validate(petSchema({ partial: true })),
+    petController.updatePet
+);
+
+// @route   GET /api/pets/:id/filters
+// @desc    Get a pet's saved discovery filters
+// @access  Private
+router.get(
+    '/:id/filters',
+    protect,
+    validateIdParam('id', 'Pet ID'),
+    petController.getDiscoveryFilters
+);
+
+// @route   PUT /api/pets/:id/filters
+// @desc    Replace a pet's saved discovery filters
+// @access  Private
+router.put(
+    '/:id/filters',
+    protect,
+    validateIdParam('id', 'Pet ID'),
+    validate(discoveryFiltersSchema),
+    petController.updateDiscoveryFilters
+);
 
 // @route   DELETE /api/pets/:id
 // @desc    Delete a pet profile
 // @access  Private
-router.delete('/:id', protect, petController.deletePet);
+router.delete('/:id', protect, validateIdParam('id', 'Pet ID'), petController.deletePet);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/auth");
+const {
+    validate,
+    validateIdParam,
+    objectIdField,
+} = require("../middleware/validate");
+const playdateController = require("../controllers/playdateController");
+const {
+    PLAYDATE_STATUSES,
+    PLAYDATE_LIMITS,
+} = require("../constants/playdateConstants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Body fields of a proposal or counter-proposal
+const proposalSchema = {
+    scheduledAt: {
+        exists: { errorMessage: "Date and time are required", bail: true },
+        isISO8601: { errorMessage: "Date and time must be a valid date", bail: true },
+        custom: {
+            options: (value) => {
+                const time = new Date(value).getTime();
+
+                if (time <= Date.now()) {
+                    throw new Error("Playdates must be planned for the future");
+                }
+                if (time > Date.now() + PLAYDATE_LIMITS.MAX_DAYS_AHEAD * DAY_MS) {
+                    throw new Error(
+                        `Playdates can be planned at most ${PLAYDATE_LIMITS.MAX_DAYS_AHEAD} days ahead`
+                    );
+                }
+                return true;
+            },
+        },
+        toDate: true,
+    },
+    location: {
+        isObject: { errorMessage: "A meeting point is required" },
+    },
+    "location.coordinates": {
+        isArray: {
+            options: { min: 2, max: 2 },
+            errorMessage: "A meeting point is required",
+        },
+    },
+    // GeoJSON order: [longitude, latitude]
+    "location.coordinates[0]": {
+        isFloat: {
+            options: { min: -180, max: 180 },
+            errorMessage: "Longitude must be between -180 and 180",
+        },
+        toFloat: true,
+    },
+    "location.coordinates[1]": {
+        isFloat: {
+            options: { min: -90, max: 90 },
+            errorMessage: "Latitude must be between -90 and 90",
+        },
+        toFloat: true,
+    },
+    placeName: {
+        isString: { errorMessage: "Place name is required", bail: true },
+        trim: true,
+        notEmpty: { errorMessage: "Place name is required", bail: true },
+        isLength: {
+            options: { max: PLAYDATE_LIMITS.MAX_PLACE_NAME_LENGTH },
+            errorMessage: `Place name cannot be more than ${PLAYDATE_LIMITS.MAX_PLACE_NAME_LENGTH} characters`,
+        },
+    },
+    note: {
+        optional: { options: { values: "null" } },
+        isString: { errorMessage: "Note must be text", bail: true },
+        trim: true,
+        isLength: {
+            options: { max: PLAYDATE_LIMITS.MAX_NOTE_LENGTH },
+            errorMessage: `Note cannot be more than ${PLAYDATE_LIMITS.MAX_NOTE_LENGTH} characters`,
+        },
+    },
+};
+
+// @route   GET /api/playdates
+// @desc    Get the current user's playdates
+// @access  Private
+router.get(
+    "/",
+    protect,
+    validate(
+        {
+            matchId: objectIdField("Match ID", { optional: true }),
+            status: {
+                optional: true,
+                isIn: {
+                    options: [Object.values(PLAYDATE_STATUSES)],
+                    errorMessage: `Status must be one of: ${Object.values(
+                        PLAYDATE_STATUSES
+                    ).join(", ")}`,
+                },
+            },
+            upcoming: {
+                optional: true,
+                isBoolean: { errorMessage: "Upcoming must be true or false" },
+                toBoolean: true,
+            },
+        },
+        ["query"]
+    ),
+    playdateController.getPlaydates
+);
+
+// @route   POST /api/playdates
+// @desc    Propose a playdate to a match
+// @access  Private
+router.post(
+    "/",
+    protect,
+    validate({
+        matchId: objectIdField("Match ID"),
+        ...proposalSchema,
+    }),
+    playdateController.createPlaydate
+);
+
+// @route   GET /api/playdates/:id
+// @desc    Get a playdate
+// @access  Private
+router.get(
+    "/:id",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    playdateController.getPlaydate
+);
+
+// @route   POST /api/playdates/:id/counter
+// @desc    Suggest another time or place
+// @access  Private
+router.post(
+    "/:id/counter",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    validate(proposalSchema),
+    playdateController.counterPlaydate
+);
+
+// @route   POST /api/playdates/:id/accept
+// @desc    Accept a proposed playdate
+// @access  Private
+router.post(
+    "/:id/accept",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    playdateController.acceptPlaydate
+);
+
+// @route   POST /api/playdates/:id/decline
+// @desc    Decline a proposed playdate
+// @access  Private
+router.post(
+    "/:id/decline",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    playdateController.declinePlaydate
+);
+
+// @route   POST /api/playdates/:id/cancel
+// @desc    Cancel a proposed or accepted playdate
+// @access  Private
+router.post(
+    "/:id/cancel",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    playdateController.cancelPlaydate
+);
+
+// @route   POST /api/playdates/:id/complete
+// @desc    Mark an accepted playdate as done
+// @access  Private
+router.post(
+    "/:id/complete",
+    protect,
+    validateIdParam("id", "Playdate ID"),
+    playdateController.completePlaydate
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/auth");
+const {
+    validate,
+    objectIdField,
+    targetUserFields,
+} = require("../middleware/validate");
+const moderationController = require("../controllers/moderationController");
+const {
+    REPORT_REASONS,
+    REPORT_LIMITS,
+} = require("../constants/moderationConstants");
+
+// @route   POST /api/reports
+// @desc    Report a user or pet, optionally with chat messages as evidence
+// @access  Private
+router.post(
+    "/",
+    protect,
+    validate({
+        ...targetUserFields(),
+        reason: {
+            exists: { errorMessage: "Reason is required", bail: true },
+            isIn: {
+                options: [Object.values(REPORT_REASONS)],
+                errorMessage: `Reason must be one of: ${Object.values(
+                    REPORT_REASONS
+                ).join(", ")}`,
+            },
+        },
+        details: {
+            optional: true,
+            isString: { errorMessage: "Details must be text", bail: true },
+            trim: true,
+            isLength: {
+                options: { max: REPORT_LIMITS.MAX_DETAILS_LENGTH },
+                errorMessage: `Details cannot be more than ${REPORT_LIMITS.MAX_DETAILS_LENGTH} characters`,
+            },
+        },
+        chatId: objectIdField("Chat ID", { optional: true }),
+        messageIds: {
+            optional: true,
+            isArray: {
+                options: { max: REPORT_LIMITS.MAX_EVIDENCE_MESSAGES },
+                errorMessage: `Attach at most ${REPORT_LIMITS.MAX_EVIDENCE_MESSAGES} messages`,
+                bail: true,
+            },
+            custom: {
+                options: (value, { req }) => Boolean(req.body.chatId),
+                errorMessage: "Messages can only be attached together with their chat ID",
+            },
+        },
+        "messageIds.*": {
+            isMongoId: { errorMessage: "Message IDs must be valid ids" },
+        },
+        block: {
+            optional: true,
+            isBoolean: {
+                options: { strict: true },
+                errorMessage: "Block must be true or false",
+            },
+        },
+    }),
+    moderationController.createReport
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Pet = require('../models/Pet');
+
+// Load environment variables
+dotenv.config();
+
+// Copy every owner's location onto their pets. Run once after deploying the
+// denormalized Pet.location field; updateLocation keeps it in sync afterwards
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('MongoDB connected');
+
+    await Pet.syncIndexes();
+
+    const ownerIds = await Pet.distinct('owner');
+    const owners = await User.find({ _id: { $in: ownerIds } }).select('location');
+
+    let updated = 0;
+    for (const owner of owners) {
+      const result = await Pet.syncOwnerLocation(owner._id, owner.location);
+      updated += result.modifiedCount;
+    }
+
+    console.log(`Updated location on ${updated} pets for ${owners.length} owners`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling pet locations:', error);
+    process.exit(1);
+  }
+};
+
+backfill();
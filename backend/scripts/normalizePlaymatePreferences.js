@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Pet = require('../models/Pet');
+const { normalizePlaymatePreferences } = require('../utils/playmatePreferences');
+
+// Load environment variables
+dotenv.config();
+
+// Rewrite free-text playmate labels ("Small Dogs", "Kittens"...) stored by
+// older app versions into the SIZE_OPTIONS / AGE_CLASSES enums the discovery
+// feed filters on. Safe to run more than once
+const normalize = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('MongoDB connected');
+
+    // Read raw documents so labels that fail the enum can still be loaded
+    const pets = await Pet.find({}, { preferredPlaymates: 1 }).lean();
+
+    let updated = 0;
+    for (const pet of pets) {
+      const preferences = normalizePlaymatePreferences(pet.preferredPlaymates);
+
+      if (JSON.stringify(preferences) !== JSON.stringify(pet.preferredPlaymates)) {
+        await Pet.updateOne(
+          { _id: pet._id },
+          { $set: { preferredPlaymates: preferences } }
+        );
+        updated += 1;
+      }
+    }
+
+    console.log(`Normalized playmate preferences on ${updated} of ${pets.length} pets`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error normalizing playmate preferences:', error);
+    process.exit(1);
+  }
+};
+
+normalize();
@@ -75,7 +75,9 @@ const seedDatabase = async () => {
 
     // Assign pets to users
     pets[0].owner = createdUsers[0]._id;
+    pets[0].location = Pet.pointFromLocation(createdUsers[0].location);
     pets[1].owner = createdUsers[1]._id;
+    pets[1].location = Pet.pointFromLocation(createdUsers[1].location);
 
     // Insert pets
     await Pet.insertMany(pets);
@@ -161,6 +161,7 @@ const seedDatabase = async () => {
         
         // Create pet for this user
         const petData = generatePet(user._id);
+        petData.location = Pet.pointFromLocation(user.location);
         const pet = await Pet.create(petData);
         
         // Create match record (where this pet liked your pet)
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { USER_ROLES } = require('../constants/userConstants');
+
+// Load environment variables
+dotenv.config();
+
+// Give a user a role, e.g. to create the first admin:
+//   node scripts/setUserRole.js someone@example.com admin
+// Later role changes can go through PATCH /api/admin/users/:id/role
+const setRole = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !Object.values(USER_ROLES).includes(role)) {
+    console.error(
+      `Usage: node scripts/setUserRole.js <email> <${Object.values(USER_ROLES).join('|')}>`
+    );
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      serverSelectionTimeoutMS: 10000
+    });
+    console.log('MongoDB connected');
+
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: { role } },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`No user with email ${email}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    console.log(`${user.email} is now ${user.role}`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error setting user role:', error);
+    process.exit(1);
+  }
+};
+
+setRole();
@@ -0,0 +1,221 @@
+/**
+ * Admin Service - Queries behind the admin and moderation API
+ *
+ * User and pet lists are searched by name (and email for users) with a
+ * case-insensitive substring match and paged with page/limit, which is
+ * fine for staff tools browsing a stable, filtered list. Daily stats are
+ * grouped per UTC day and padded with zeros so charts get one point per day.
+ */
+const Chat = require("../models/Chat");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Pet = require("../models/Pet");
+const Report = require("../models/Report");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { REPORT_STATUSES } = require("../constants/moderationConstants");
+
+const DEFAULT_PAGE_SIZE = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Match user input literally inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const containsText = (value) => new RegExp(escapeRegex(value), "i");
+
+// Run a paged find and count in parallel
+const findPage = async (Model, query, options) => {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sort, select, populate } = options;
+
+    let find = Model.find(query)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    if (select) {
+        find = find.select(select);
+    }
+    if (populate) {
+        find = find.populate(populate);
+    }
+
+    const [items, total] = await Promise.all([find, Model.countDocuments(query)]);
+
+    return { items, total, page, pages: Math.ceil(total / limit) };
+};
+
+/**
+ * Conditions matching users whose suspension is in effect
+ * @param {Date} [now] - Current time
+ * @returns {Object}
+ */
+const suspendedQuery = (now = new Date()) => ({
+    "suspension.suspendedAt": { $ne: null },
+    $or: [{ "suspension.until": null }, { "suspension.until": { $gt: now } }],
+});
+
+/**
+ * Search users
+ * @param {Object} [options]
+ * @param {string} [options.search] - Part of a name or email
+ * @param {string} [options.role] - Only users with this role
+ * @param {boolean} [options.suspended] - Only suspended (true) or active (false) users
+ * @param {number} [options.page=1] - 1-based page
+ * @param {number} [options.limit=20] - Page size
+ * @returns {Promise<Object>} - { items, total, page, pages }
+ */
+const searchUsers = async ({ search, role, suspended, ...paging } = {}) => {
+    const conditions = [];
+
+    if (search) {
+        conditions.push({
+            $or: [{ name: containsText(search) }, { email: containsText(search) }],
+        });
+    }
+    if (role) {
+        conditions.push({ role });
+    }
+    if (suspended !== undefined) {
+        conditions.push(suspended ? suspendedQuery() : { $nor: [suspendedQuery()] });
+    }
+
+    return findPage(User, conditions.length > 0 ? { $and: conditions } : {}, {
+        ...paging,
+        sort: { createdAt: -1, _id: -1 },
+        select: "name email role emailVerified suspension lastSeen createdAt",
+    });
+};
+
+/**
+ * Search pets
+ * @param {Object} [options]
+ * @param {string} [options.search] - Part of a pet name
+ * @param {string} [options.type] - Only pets of this type
+ * @param {string} [options.owner] - Only pets of this user
+ * @param {number} [options.page=1] - 1-based page
+ * @param {number} [options.limit=20] - Page size
+ * @returns {Promise<Object>} - { items, total, page, pages }
+ */
+const searchPets = async ({ search, type, owner, ...paging } = {}) => {
+    const query = {};
+
+    if (search) {
+        query.name = containsText(search);
+    }
+    if (type) {
+        query.type = type;
+    }
+    if (owner) {
+        query.owner = owner;
+    }
+
+    return findPage(Pet, query, {
+        ...paging,
+        sort: { createdAt: -1, _id: -1 },
+        select: "-dislikedPets -discoveryFilters -location",
+        populate: { path: "owner", select: "name email suspension" },
+    });
+};
+
+/**
+ * Suspend a user and sign them out everywhere
+ * @param {Object} user - User document to suspend
+ * @param {Object} suspension - { reason, until, suspendedBy }
+ * @returns {Promise<Array<ObjectId>>} - IDs of the sessions that were revoked
+ */
+const suspendUser = async (user, { reason, until, suspendedBy }) => {
+    user.suspension = {
+        suspendedAt: new Date(),
+        until: until || undefined,
+        reason,
+        suspendedBy,
+    };
+    await user.save({ validateBeforeSave: false });
+
+    const sessions = await Session.find({ user: user._id, revokedAt: null }).select("_id");
+    const sessionIds = sessions.map((session) => session._id);
+    await Session.updateMany(
+        { _id: { $in: sessionIds } },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    return sessionIds;
+};
+
+// Count documents per UTC day of `dateField` since `since`
+const countPerDay = async (Model, dateField, since, match = {}) => {
+    const rows = await Model.aggregate([
+        { $match: { ...match, [dateField]: { $gte: since } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: "%Y-%m-%d", date: `$${dateField}` } },
+                count: { $sum: 1 },
+            },
+        },
+    ]);
+
+    return new Map(rows.map((row) => [row._id, row.count]));
+};
+
+/**
+ * Totals and per-day activity for the admin dashboard
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Days of history, today included
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} - { totals, daily: [{ date, signups, matches, messages }] }
+ */
+const getStats = async ({ days = 30, now = new Date() } = {}) => {
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    const since = new Date(today - (days - 1) * DAY_MS);
+
+    const [signups, matches, messages, totals] = await Promise.all([
+        countPerDay(User, "createdAt", since),
+        countPerDay(Match, "matchDate", since, { isMatch: true }),
+        countPerDay(Message, "createdAt", since),
+        Promise.all([
+            User.countDocuments(),
+            User.countDocuments(suspendedQuery(now)),
+            Pet.countDocuments(),
+            Match.countDocuments({ isMatch: true }),
+            Chat.countDocuments({ isActive: true }),
+            Message.countDocuments(),
+            Report.countDocuments({ status: REPORT_STATUSES.PENDING }),
+        ]),
+    ]);
+
+    const [users, suspendedUsers, pets, totalMatches, activeChats, totalMessages, pendingReports] =
+        totals;
+
+    const daily = Array.from({ length: days }, (_, index) => {
+        const date = new Date(since.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+
+        return {
+            date,
+            signups: signups.get(date) || 0,
+            matches: matches.get(date) || 0,
+            messages: messages.get(date) || 0,
+        };
+    });
+
+    return {
+        totals: {
+            users,
+            suspendedUsers,
+            pets,
+            matches: totalMatches,
+            activeChats,
+            messages: totalMessages,
+            pendingReports,
+        },
+        daily,
+    };
+};
+
+module.exports = {
+    escapeRegex,
+    suspendedQuery,
+    searchUsers,
+    searchPets,
+    suspendUser,
+    getStats,
+};
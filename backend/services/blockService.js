@@ -0,0 +1,170 @@
+/**
+ * Block Service - Keeps blocked users apart
+ *
+ * A block is stored one way (Block.blocker -> Block.blocked) but applies both
+ * ways: neither user sees the other's pets in discovery or in their likes,
+ * and they can no longer like, match or chat with each other. Blocking ends
+ * every match between their pets, cancels open playdates and closes the
+ * chats, which are kept (inactive) so moderators can still review them.
+ */
+const Block = require("../models/Block");
+const Chat = require("../models/Chat");
+const Match = require("../models/Match");
+const Pet = require("../models/Pet");
+const Playdate = require("../models/Playdate");
+const User = require("../models/User");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
+
+/**
+ * Users a user has blocked or been blocked by
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<ObjectId>>}
+ */
+const getBlockedUserIds = async (userId) => {
+    const blocks = await Block.find({
+        $or: [{ blocker: userId }, { blocked: userId }],
+    }).lean();
+
+    return blocks.map((block) =>
+        block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+    );
+};
+
+/**
+ * Check whether either of two users has blocked the other
+ * @param {string} userA - A user ID
+ * @param {string} userB - Another user ID
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userA, userB) => {
+    const block = await Block.exists({
+        $or: [
+            { blocker: userA, blocked: userB },
+            { blocker: userB, blocked: userA },
+        ],
+    });
+
+    return Boolean(block);
+};
+
+/**
+ * Find the user a block or report is about, given their ID or a pet of theirs
+ * @param {Object} target - { userId } or { petId }
+ * @param {string} actingUserId - The user blocking or reporting
+ * @returns {Promise<Object>} - { user, pet }
+ */
+const findTargetUser = async ({ userId, petId }, actingUserId) => {
+    let pet = null;
+    let targetUserId = userId;
+
+    if (petId) {
+        pet = await Pet.findById(petId).select("owner name photos");
+        if (!pet) {
+            throw new NotFoundError("Pet not found");
+        }
+        targetUserId = pet.owner;
+    }
+
+    if (targetUserId.toString() === actingUserId.toString()) {
+        throw new BadRequestError("You can't do that to your own account", {
+            code: "TARGET_IS_SELF",
+        });
+    }
+
+    const user = await User.findById(targetUserId).select("name");
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    return { user, pet };
+};
+
+/**
+ * End all matches between two users' pets, cancel their playdates and close
+ * their chats
+ * @returns {Promise<Array<Object>>} - The chats that were closed
+ */
+const separateUsers = async (userA, userB) => {
+    const [petsA, petsB] = await Promise.all([
+        Pet.find({ owner: userA }).distinct("_id"),
+        Pet.find({ owner: userB }).distinct("_id"),
+    ]);
+
+    const between = {
+        $or: [
+            { pet1: { $in: petsA }, pet2: { $in: petsB } },
+            { pet1: { $in: petsB }, pet2: { $in: petsA } },
+        ],
+    };
+
+    // Plans they made together are off
+    const matchIds = await Match.find(between).distinct("_id");
+    await Playdate.cancelOpenForMatches(matchIds);
+
+    // Both sides count as having passed, so the pair never matches again
+    await Match.updateMany(between, {
+        $set: {
+            pet1LikedPet2: false,
+            pet2LikedPet1: false,
+            pet1SuperLikedPet2: false,
+            pet2SuperLikedPet1: false,
+            isMatch: false,
+            matchDate: null,
+        },
+    });
+
+    const chats = await Chat.find({
+        participants: { $all: [userA, userB] },
+        isActive: true,
+    });
+
+    if (chats.length > 0) {
+        await Chat.updateMany(
+            { _id: { $in: chats.map((chat) => chat._id) } },
+            { $set: { isActive: false } }
+        );
+    }
+
+    return chats;
+};
+
+/**
+ * Block a user. Blocking someone already blocked changes nothing
+ * @param {string} blockerId - The user blocking
+ * @param {string} blockedId - The user being blocked
+ * @returns {Promise<Object>} - { block, closedChats }
+ */
+const blockUser = async (blockerId, blockedId) => {
+    const block = await Block.findOneAndUpdate(
+        { blocker: blockerId, blocked: blockedId },
+        { $setOnInsert: { blocker: blockerId, blocked: blockedId } },
+        { upsert: true, new: true }
+    );
+
+    const closedChats = await separateUsers(blockerId, blockedId);
+
+    return { block, closedChats };
+};
+
+/**
+ * Lift a block. Matches and chats it ended are not restored
+ * @param {string} blockerId - The user who blocked
+ * @param {string} blockedId - The blocked user
+ * @returns {Promise<boolean>} - Whether there was a block to lift
+ */
+const unblockUser = async (blockerId, blockedId) => {
+    const { deletedCount } = await Block.deleteOne({
+        blocker: blockerId,
+        blocked: blockedId,
+    });
+
+    return deletedCount > 0;
+};
+
+module.exports = {
+    getBlockedUserIds,
+    isBlockedBetween,
+    findTargetUser,
+    blockUser,
+    unblockUser,
+};
@@ -0,0 +1,296 @@
+/**
+ * Compatibility Service - Scores how well two pets are likely to get along
+ *
+ * A score is a weighted average of independent factors. Each factor looks at
+ * one aspect of the two pets (energy, temperament, size preferences, age,
+ * distance) and returns a value between 0 and 1, or null when it has nothing
+ * to go on - missing data then neither helps nor hurts a candidate.
+ *
+ * Factors and weights are pluggable: createScorer() builds a scorer from any
+ * set of them, and the default weights can be tuned without code changes
+ * through COMPATIBILITY_WEIGHTS (e.g. "distance:3,activity:2").
+ */
+const dotenv = require("dotenv");
+const { ACTIVITY_LEVELS } = require("../constants/petConstants");
+const {
+    normalizePlaymatePreferences,
+    getAgeClass,
+} = require("../utils/playmatePreferences");
+
+dotenv.config();
+
+const DEFAULT_WEIGHTS = {
+    activity: 3,
+    temperament: 2,
+    size: 2,
+    ageClass: 1,
+    age: 1,
+    distance: 2,
+};
+
+// Age gap (in years) at which the age factor bottoms out
+const MAX_AGE_GAP = 8;
+
+// Radius used by the distance factor when the caller does not pass one
+const DEFAULT_MAX_DISTANCE_KM = 100;
+
+const ACTIVITY_ORDER = [
+    ACTIVITY_LEVELS.LOW,
+    ACTIVITY_LEVELS.MODERATE,
+    ACTIVITY_LEVELS.HIGH,
+];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Read the sizes a pet wants to play with
+ * @param {Object} pet - Pet document or plain object
+ * @returns {Array<string>|null} - Accepted sizes, or null for "any size"
+ */
+const getPreferredSizes = (pet) => {
+    const { size } = normalizePlaymatePreferences(pet.preferredPlaymates);
+    return size.length > 0 ? size : null;
+};
+
+// Accepted age classes, or null for "any age"
+const getPreferredAgeClasses = (pet) => {
+    const { ageClass } = normalizePlaymatePreferences(pet.preferredPlaymates);
+    return ageClass.length > 0 ? ageClass : null;
+};
+
+const formatList = (items, conjunction = "and") =>
+    items.length > 1
+        ? `${items.slice(0, -1).join(", ")} ${conjunction} ${items[items.length - 1]}`
+        : items[0];
+
+/**
+ * Built-in factors. Each one has:
+ * - label: short name shown in the breakdown
+ * - score(pet, candidate, context): 0..1, or null when not applicable
+ * - reason(pet, candidate, context): human readable explanation
+ */
+const FACTORS = {
+    activity: {
+        label: "Energy",
+        score: (pet, candidate) => {
+            const a = ACTIVITY_ORDER.indexOf(pet.activityLevel);
+            const b = ACTIVITY_ORDER.indexOf(candidate.activityLevel);
+
+            if (a === -1 || b === -1) {
+                return null;
+            }
+
+            return 1 - Math.abs(a - b) / (ACTIVITY_ORDER.length - 1);
+        },
+        reason: (pet, candidate) =>
+            pet.activityLevel === candidate.activityLevel
+                ? `Both have ${candidate.activityLevel} energy`
+                : `Has ${candidate.activityLevel} energy, yours has ${pet.activityLevel}`,
+    },
+
+    temperament: {
+        label: "Temperament",
+        score: (pet, candidate) => {
+            const ours = (pet.temperament || []).map((t) => t.toLowerCase());
+            const theirs = (candidate.temperament || []).map((t) => t.toLowerCase());
+
+            if (ours.length === 0 || theirs.length === 0) {
+                return null;
+            }
+
+            const shared = theirs.filter((t) => ours.includes(t)).length;
+            return shared / new Set([...ours, ...theirs]).size;
+        },
+        reason: (pet, candidate) => {
+            const ours = (pet.temperament || []).map((t) => t.toLowerCase());
+            const shared = (candidate.temperament || []).filter((t) =>
+                ours.includes(t.toLowerCase())
+            );
+
+            return shared.length > 0
+                ? `Both are ${formatList(shared)}`
+                : "Different temperaments";
+        },
+    },
+
+    size: {
+        label: "Size",
+        // Average of "they fit what we want" and "we fit what they want";
+        // a side without preferences counts as a full fit
+        score: (pet, candidate) => {
+            const ourPreference = getPreferredSizes(pet);
+            const theirPreference = getPreferredSizes(candidate);
+
+            if (!ourPreference && !theirPreference) {
+                return null;
+            }
+
+            const weAccept = !ourPreference || ourPreference.includes(candidate.size);
+            const theyAccept = !theirPreference || theirPreference.includes(pet.size);
+
+            return (Number(weAccept) + Number(theyAccept)) / 2;
+        },
+        reason: (pet, candidate) => {
+            const ourPreference = getPreferredSizes(pet);
+            const theirPreference = getPreferredSizes(candidate);
+            const weAccept = !ourPreference || ourPreference.includes(candidate.size);
+            const theyAccept = !theirPreference || theirPreference.includes(pet.size);
+
+            if (weAccept && theyAccept) {
+                return "Fits each other's playmate sizes";
+            }
+            return weAccept
+                ? `Prefers ${formatList(theirPreference, "or")} playmates`
+                : `Not the ${formatList(ourPreference, "or")} size you prefer`;
+        },
+    },
+
+    ageClass: {
+        label: "Age group",
+        // Same two-way check as size, for puppy/kitten vs. adult preferences
+        score: (pet, candidate) => {
+            const ourPreference = getPreferredAgeClasses(pet);
+            const theirPreference = getPreferredAgeClasses(candidate);
+
+            if (!ourPreference && !theirPreference) {
+                return null;
+            }
+
+            const weAccept =
+                !ourPreference || ourPreference.includes(getAgeClass(candidate.age));
+            const theyAccept =
+                !theirPreference || theirPreference.includes(getAgeClass(pet.age));
+
+            return (Number(weAccept) + Number(theyAccept)) / 2;
+        },
+        reason: (pet, candidate) => {
+            const ourPreference = getPreferredAgeClasses(pet);
+            const theirPreference = getPreferredAgeClasses(candidate);
+            const weAccept =
+                !ourPreference || ourPreference.includes(getAgeClass(candidate.age));
+            const theyAccept =
+                !theirPreference || theirPreference.includes(getAgeClass(pet.age));
+
+            if (weAccept && theyAccept) {
+                return "Fits each other's playmate age groups";
+            }
+            return weAccept
+                ? `Prefers ${formatList(theirPreference, "or")} playmates`
+                : `Not the ${formatList(ourPreference, "or")} age group you prefer`;
+        },
+    },
+
+    age: {
+        label: "Age",
+        score: (pet, candidate) => {
+            if (typeof pet.age !== "number" || typeof candidate.age !== "number") {
+                return null;
+            }
+
+            return clamp01(1 - Math.abs(pet.age - candidate.age) / MAX_AGE_GAP);
+        },
+        reason: (pet, candidate) => {
+            const gap = Math.abs(pet.age - candidate.age);
+
+            if (gap === 0) {
+                return "Same age";
+            }
+            return `${gap} year${gap === 1 ? "" : "s"} apart in age`;
+        },
+    },
+
+    distance: {
+        label: "Distance",
+        score: (pet, candidate, context) => {
+            if (typeof candidate.distance !== "number") {
+                return null;
+            }
+
+            const radius = context.maxDistance || DEFAULT_MAX_DISTANCE_KM;
+            return clamp01(1 - candidate.distance / radius);
+        },
+        reason: (pet, candidate) =>
+            candidate.distance < 1
+                ? "Less than 1 km away"
+                : `${Math.round(candidate.distance)} km away`,
+    },
+};
+
+/**
+ * Parse a "factor:weight,factor:weight" string into a weights object
+ * @param {string} value - e.g. "distance:3,activity:2"
+ * @returns {Object} - Weights keyed by factor; unknown or invalid entries are skipped
+ */
+const parseWeights = (value) => {
+    const weights = {};
+
+    (value || "").split(",").forEach((entry) => {
+        const [name, rawWeight] = entry.split(":").map((part) => part && part.trim());
+        const weight = Number(rawWeight);
+
+        if (FACTORS[name] && rawWeight !== "" && Number.isFinite(weight) && weight >= 0) {
+            weights[name] = weight;
+        }
+    });
+
+    return weights;
+};
+
+/**
+ * Build a scoring function from a set of factors and weights
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Weight per factor name; factors without a weight are skipped
+ * @param {Object} [options.factors] - Factor definitions keyed by name
+ * @returns {Function} - (pet, candidate, context) => { score, breakdown }
+ */
+const createScorer = ({
+    weights = { ...DEFAULT_WEIGHTS, ...parseWeights(process.env.COMPATIBILITY_WEIGHTS) },
+    factors = FACTORS,
+} = {}) => (pet, candidate, context = {}) => {
+    const breakdown = [];
+    let weightedTotal = 0;
+    let totalWeight = 0;
+
+    Object.entries(factors).forEach(([name, factor]) => {
+        const weight = weights[name] || 0;
+        if (weight <= 0) {
+            return;
+        }
+
+        const value = factor.score(pet, candidate, context);
+        if (value === null || value === undefined || Number.isNaN(value)) {
+            return;
+        }
+
+        weightedTotal += value * weight;
+        totalWeight += weight;
+        breakdown.push({
+            factor: name,
+            label: factor.label,
+            score: Math.round(value * 100),
+            weight,
+            reason: factor.reason(pet, candidate, context),
+        });
+    });
+
+    // Strongest contributions first so clients can show the top few
+    breakdown.sort((a, b) => b.score * b.weight - a.score * a.weight);
+
+    return {
+        // Nothing to compare on - sit in the middle rather than at the bottom
+        score: totalWeight > 0 ? Math.round((weightedTotal / totalWeight) * 100) : 50,
+        breakdown,
+    };
+};
+
+// Scorer using the default factors and configured weights
+const scoreCompatibility = createScorer();
+
+module.exports = {
+    scoreCompatibility,
+    createScorer,
+    parseWeights,
+    getPreferredSizes,
+    FACTORS,
+    DEFAULT_WEIGHTS,
+};
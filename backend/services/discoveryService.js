@@ -0,0 +1,567 @@
+/**
+ * Discovery Service - Builds the potential-match feed for a pet
+ *
+ * Candidates come from one aggregation over Pet: a $geoNear on the owner
+ * location copied onto each pet, minus pets this pet already acted on. They
+ * are then ranked with pets that super liked us first, then pets that liked
+ * us, followed by compatibility score (see compatibilityService). Pages are
+ * addressed by an opaque cursor over the rank key (interest, score,
+ * distance, _id), so results never repeat or shift between pages the way
+ * skip/limit did.
+ *
+ * Compatibility is scored in application code, so candidates leave the
+ * database in windows of at most DISCOVERY_CANDIDATE_WINDOW pets, in
+ * (interest, distance, _id) order: admirers first, then the nearest pets.
+ * Each window is ranked on its own, and once one is paged through the feed
+ * carries on with the next, so every matching pet is reached eventually.
+ *
+ * Pending likes (pets that liked this pet and still wait for an answer) can
+ * also be listed on their own, newest first, for the likes-received inbox.
+ * Pets of owners blocked either way are left out of both lists.
+ *
+ * Each pet can save search filters (Pet.discoveryFilters); they are turned
+ * into conditions on the candidate query rather than applied after ranking.
+ * In the default strict playmate mode the query also requires both pets to
+ * fit each other's preferred playmate sizes and age classes.
+ */
+const mongoose = require("mongoose");
+const Pet = require("../models/Pet");
+const Match = require("../models/Match");
+const { scoreCompatibility } = require("./compatibilityService");
+const { getBlockedUserIds } = require("./blockService");
+const { BadRequestError } = require("../utils/errors");
+const {
+    normalizePlaymatePreferences,
+    getAgeClass,
+} = require("../utils/playmatePreferences");
+const {
+    ADULT_AGE,
+    AGE_CLASSES,
+    DISCOVERY_FILTER_LIMITS,
+    PLAYMATE_MODES,
+    VACCINATION_STATUS,
+} = require("../constants/petConstants");
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_MAX_DISTANCE_KM = 100;
+
+// Candidates pulled from the database and ranked together
+const DEFAULT_CANDIDATE_WINDOW = 500;
+
+/**
+ * Size of each window of candidates ranked together
+ * @returns {number}
+ */
+const getCandidateWindow = () => {
+    const size = parseInt(process.env.DISCOVERY_CANDIDATE_WINDOW, 10);
+    return Number.isInteger(size) && size > 0 ? size : DEFAULT_CANDIDATE_WINDOW;
+};
+
+// Filter fields a client may save, with the values that mean "no filter"
+const DEFAULT_FILTERS = {
+    maxDistance: DISCOVERY_FILTER_LIMITS.DEFAULT_DISTANCE_KM,
+    types: [],
+    sizes: [],
+    genders: [],
+    minAge: null,
+    maxAge: null,
+    activityLevels: [],
+    vaccinatedOnly: false,
+    temperaments: [],
+    playmateMode: PLAYMATE_MODES.STRICT,
+};
+
+/**
+ * Build a complete filter set from client input, resetting every field the
+ * input leaves out
+ * @param {Object} input - Filter fields (already validated)
+ * @returns {Object} - Filters with every key of DEFAULT_FILTERS
+ */
+const normalizeFilters = (input = {}) =>
+    Object.keys(DEFAULT_FILTERS).reduce((filters, key) => {
+        filters[key] =
+            input[key] === undefined ? DEFAULT_FILTERS[key] : input[key];
+        return filters;
+    }, {});
+
+/**
+ * Turn saved filters into Pet query conditions
+ * @param {Object} pet - The pet the feed is for
+ * @param {Object} [filters] - Saved discovery filters
+ * @returns {Object} - Conditions to merge into the candidate query
+ */
+const buildFilterQuery = (pet, filters = {}) => {
+    const conditions = {
+        type:
+            filters.types && filters.types.length > 0
+                ? { $in: filters.types }
+                : pet.type,
+    };
+
+    const anyOf = (field, values) => {
+        if (values && values.length > 0) {
+            conditions[field] = { $in: values };
+        }
+    };
+
+    anyOf("size", filters.sizes);
+    anyOf("gender", filters.genders);
+    anyOf("activityLevel", filters.activityLevels);
+    anyOf("temperament", filters.temperaments);
+
+    const hasMin = typeof filters.minAge === "number";
+    const hasMax = typeof filters.maxAge === "number";
+    if (hasMin || hasMax) {
+        conditions.age = {};
+        if (hasMin) conditions.age.$gte = filters.minAge;
+        if (hasMax) conditions.age.$lte = filters.maxAge;
+    }
+
+    if (filters.vaccinatedOnly) {
+        conditions.vaccinated = VACCINATION_STATUS.YES;
+    }
+
+    return conditions;
+};
+
+// Conditions matching pets that list `value` in a preference list, or leave
+// that list empty (no preference)
+const acceptsValue = (field, value) => ({
+    $or: [
+        { [field]: { $exists: false } },
+        { [field]: { $size: 0 } },
+        { [field]: value },
+    ],
+});
+
+/**
+ * Conditions requiring the candidate and the pet to accept each other as
+ * playmates, by size and age class
+ * @param {Object} pet - The pet the feed is for
+ * @returns {Array<Object>} - Conditions to combine with $and
+ */
+const buildPlaymateQuery = (pet) => {
+    const ours = normalizePlaymatePreferences(pet.preferredPlaymates);
+    const conditions = [];
+
+    // Candidates we accept
+    if (ours.size.length > 0) {
+        conditions.push({ size: { $in: ours.size } });
+    }
+    if (ours.ageClass.length === 1) {
+        conditions.push({
+            age:
+                ours.ageClass[0] === AGE_CLASSES.YOUNG
+                    ? { $lt: ADULT_AGE }
+                    : { $gte: ADULT_AGE },
+        });
+    }
+
+    // Candidates that accept us
+    if (pet.size) {
+        conditions.push(acceptsValue("preferredPlaymates.size", pet.size));
+    }
+    const ageClass = getAgeClass(pet.age);
+    if (ageClass) {
+        conditions.push(acceptsValue("preferredPlaymates.ageClass", ageClass));
+    }
+
+    return conditions;
+};
+
+/**
+ * Split the pets this pet has interacted with into those to hide and those
+ * that liked it and are still waiting for an answer
+ * @param {Object} pet - The pet the feed is for
+ * @returns {Promise<Object>} - { excludedIds, likedByIds, superLikedByIds }
+ */
+const getInteractionState = async (pet) => {
+    const matches = await Match.find({
+        $or: [{ pet1: pet._id }, { pet2: pet._id }],
+    }).lean();
+
+    // Never show the pet itself or pets it unmatched
+    const excludedIds = [pet._id, ...(pet.dislikedPets || [])];
+    const likedByIds = [];
+    const superLikedByIds = [];
+
+    matches.forEach((match) => {
+        const isPet1 = match.pet1.toString() === pet._id.toString();
+        const otherPetId = isPet1 ? match.pet2 : match.pet1;
+        const ourChoice = isPet1 ? match.pet1LikedPet2 : match.pet2LikedPet1;
+        const theirChoice = isPet1 ? match.pet2LikedPet1 : match.pet1LikedPet2;
+        const theySuperLiked = isPet1
+            ? match.pet2SuperLikedPet1
+            : match.pet1SuperLikedPet2;
+
+        // Already matched, or we already swiped either way
+        if (match.isMatch || ourChoice === true || ourChoice === false) {
+            excludedIds.push(otherPetId);
+        } else if (theirChoice === true) {
+            likedByIds.push(otherPetId);
+            if (theySuperLiked) {
+                superLikedByIds.push(otherPetId);
+            }
+        }
+    });
+
+    return { excludedIds, likedByIds, superLikedByIds };
+};
+
+// How strongly a candidate has shown interest: 2 super liked, 1 liked, 0 neither
+const interestRank = (pet) => (pet.superLikedUs ? 2 : pet.likedUs ? 1 : 0);
+
+// Feed ordering: pets that super liked us, then pets that liked us, then best
+// compatibility, then nearest, then newest id as a stable tie-breaker
+const rankKey = (pet) => ({
+    l: interestRank(pet),
+    s: pet.compatibility.score,
+    d: typeof pet.distance === "number" ? pet.distance : null,
+    id: pet._id.toString(),
+});
+
+/**
+ * Compare two rank keys
+ * @returns {number} - Negative when `a` comes before `b` in the feed
+ */
+const compareRank = (a, b) => {
+    if (a.l !== b.l) {
+        return b.l - a.l;
+    }
+    if (a.s !== b.s) {
+        return b.s - a.s;
+    }
+    if (a.d !== b.d) {
+        // Unknown distances go last
+        return (a.d === null ? Infinity : a.d) - (b.d === null ? Infinity : b.d);
+    }
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+};
+
+// Database order of a raw candidate, used to start the next window after it
+const windowKey = (candidate) => ({
+    l: candidate.interest,
+    d: typeof candidate.distance === "number" ? candidate.distance : null,
+    id: candidate._id.toString(),
+});
+
+/**
+ * Encode a feed position
+ * @param {Object} position
+ * @param {Object|null} position.w - Window key of the candidate the current
+ * window starts after, null for the first window
+ * @param {Object|null} position.k - Rank key of the last pet served from
+ * the current window, null when none has been
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = ({ w, k }) =>
+    Buffer.from(JSON.stringify({ w, k })).toString("base64url");
+
+const isKeyPart = ({ l, d, id }) =>
+    [0, 1, 2].includes(l) &&
+    (d === null || typeof d === "number") &&
+    mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object} - { w, k }
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const { w, k } = JSON.parse(
+            Buffer.from(String(cursor), "base64url").toString("utf8")
+        );
+
+        if (
+            (w !== null && !isKeyPart(w)) ||
+            (k !== null && !(isKeyPart(k) && typeof k.s === "number")) ||
+            (w === null && k === null)
+        ) {
+            throw new Error("Malformed cursor");
+        }
+
+        return {
+            w: w && { l: w.l, d: w.d, id: String(w.id) },
+            k: k && { l: k.l, s: k.s, d: k.d, id: String(k.id) },
+        };
+    } catch (error) {
+        throw new BadRequestError("Invalid cursor", { code: "INVALID_CURSOR" });
+    }
+};
+
+// Candidates that come after `key` in (interest, distance, _id) order
+const afterWindowKey = (key) => {
+    const id = new mongoose.Types.ObjectId(key.id);
+    const conditions = [{ interest: { $lt: key.l } }];
+
+    if (key.d !== null) {
+        conditions.push({ interest: key.l, distance: { $gt: key.d } });
+    }
+    conditions.push({ interest: key.l, distance: key.d, _id: { $lt: id } });
+
+    return { $or: conditions };
+};
+
+// Decode a likes-received cursor into { t, id }
+const decodeLikesCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(
+            Buffer.from(String(cursor), "base64url").toString("utf8")
+        );
+
+        if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) {
+            throw new Error("Malformed cursor");
+        }
+
+        return { t, id: new mongoose.Types.ObjectId(String(id)) };
+    } catch (error) {
+        throw new BadRequestError("Invalid cursor", { code: "INVALID_CURSOR" });
+    }
+};
+
+/**
+ * Get one page of the pets that liked a pet and are waiting for an answer
+ * @param {Object} pet - The liked pet
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Page size
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @returns {Promise<Object>} - { likes, total, nextCursor }
+ */
+const getLikesReceived = async (pet, options = {}) => {
+    const limit = options.limit || DEFAULT_LIMIT;
+
+    const blockedUserIds = await getBlockedUserIds(pet.owner);
+    const blockedPetIds =
+        blockedUserIds.length > 0
+            ? await Pet.find({ owner: { $in: blockedUserIds } }).distinct("_id")
+            : [];
+
+    const pending = {
+        isMatch: false,
+        $or: [
+            {
+                pet1: pet._id,
+                pet2: { $nin: blockedPetIds },
+                pet2LikedPet1: true,
+                pet1LikedPet2: null,
+            },
+            {
+                pet2: pet._id,
+                pet1: { $nin: blockedPetIds },
+                pet1LikedPet2: true,
+                pet2LikedPet1: null,
+            },
+        ],
+    };
+
+    // Newest first; the cursor holds the last like's time and id
+    const page = { ...pending };
+    if (options.cursor) {
+        const { t, id } = decodeLikesCursor(options.cursor);
+        page.$and = [
+            {
+                $or: [
+                    { updatedAt: { $lt: new Date(t) } },
+                    { updatedAt: new Date(t), _id: { $lt: id } },
+                ],
+            },
+        ];
+    }
+
+    const publicFields = "-dislikedPets -discoveryFilters -location";
+    const [matches, total] = await Promise.all([
+        Match.find(page)
+            .sort({ updatedAt: -1, _id: -1 })
+            .limit(limit + 1)
+            .populate("pet1", publicFields)
+            .populate("pet2", publicFields)
+            .lean(),
+        Match.countDocuments(pending),
+    ]);
+
+    const pageMatches = matches.slice(0, limit);
+    const last = pageMatches[pageMatches.length - 1];
+
+    return {
+        likes: pageMatches
+            .map((match) => {
+                const isPet1 = match.pet1 && match.pet1._id.equals(pet._id);
+
+                return {
+                    matchId: match._id,
+                    likedAt: match.updatedAt,
+                    superLike: isPet1
+                        ? match.pet2SuperLikedPet1
+                        : match.pet1SuperLikedPet2,
+                    pet: isPet1 ? match.pet2 : match.pet1,
+                };
+            })
+            // The liker may have been deleted since
+            .filter((like) => like.pet),
+        total,
+        nextCursor:
+            matches.length > limit
+                ? Buffer.from(
+                      JSON.stringify({ t: last.updatedAt.getTime(), id: last._id.toString() })
+                  ).toString("base64url")
+                : null,
+    };
+};
+
+/**
+ * Get one page of potential matches for a pet
+ * @param {Object} pet - The pet the feed is for
+ * @param {Object} owner - The pet's owner (needs location)
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Page size
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {Object} [options.filters] - Saved filters, defaults to pet.discoveryFilters
+ * @param {number} [options.maxDistance] - Radius in km, overrides the saved filters
+ * @returns {Promise<Object>} - { pets, nextCursor }
+ */
+const getPotentialMatches = async (pet, owner, options = {}) => {
+    const limit = options.limit || DEFAULT_LIMIT;
+    const filters =
+        options.filters ||
+        (pet.toObject ? pet.toObject() : pet).discoveryFilters ||
+        {};
+    const maxDistance =
+        options.maxDistance || filters.maxDistance || DEFAULT_MAX_DISTANCE_KM;
+    const after = options.cursor ? decodeCursor(options.cursor) : null;
+
+    const [{ excludedIds, likedByIds, superLikedByIds }, blockedUserIds] =
+        await Promise.all([getInteractionState(pet), getBlockedUserIds(owner._id)]);
+
+    const playmateConditions =
+        filters.playmateMode === PLAYMATE_MODES.RELAXED
+            ? []
+            : buildPlaymateQuery(pet);
+
+    const query = {
+        ...buildFilterQuery(pet, filters),
+        ...(playmateConditions.length > 0 && { $and: playmateConditions }),
+        owner: { $nin: [owner._id, ...blockedUserIds] },
+        _id: { $nin: excludedIds },
+    };
+
+    const origin = Pet.pointFromLocation(owner.location);
+    const windowSize = getCandidateWindow();
+
+    // One window of candidates, starting after `windowStart`, plus one more
+    // to tell whether another window follows
+    const fetchWindow = (windowStart) => {
+        const pipeline = origin
+            ? [
+                  {
+                      $geoNear: {
+                          near: origin,
+                          key: "location",
+                          distanceField: "distance",
+                          // Distances come back in km; maxDistance stays in meters
+                          distanceMultiplier: 0.001,
+                          maxDistance: maxDistance * 1000,
+                          spherical: true,
+                          query,
+                      },
+                  },
+              ]
+            : // Without a location there is no distance to rank on
+              [{ $match: query }, { $addFields: { distance: null } }];
+
+        pipeline.push({
+            $addFields: {
+                interest: {
+                    $cond: [
+                        { $in: ["$_id", superLikedByIds] },
+                        2,
+                        { $cond: [{ $in: ["$_id", likedByIds] }, 1, 0] },
+                    ],
+                },
+            },
+        });
+
+        if (windowStart) {
+            pipeline.push({ $match: afterWindowKey(windowStart) });
+        }
+
+        pipeline.push(
+            { $sort: { interest: -1, distance: 1, _id: -1 } },
+            { $limit: windowSize + 1 },
+            { $project: { dislikedPets: 0, discoveryFilters: 0 } }
+        );
+
+        return Pet.aggregate(pipeline);
+    };
+
+    const page = [];
+    let windowStart = after ? after.w : null;
+    let lastServed = after ? after.k : null;
+    let nextCursor = null;
+
+    while (page.length < limit) {
+        const candidates = await fetchWindow(windowStart);
+        const hasNextWindow = candidates.length > windowSize;
+        const window = candidates.slice(0, windowSize);
+
+        const ranked = window
+            .map(({ interest, ...candidate }) => {
+                const rankedPet = {
+                    ...candidate,
+                    likedUs: interest > 0,
+                    superLikedUs: interest === 2,
+                    compatibility: scoreCompatibility(pet, candidate, { maxDistance }),
+                };
+                return { pet: rankedPet, key: rankKey(rankedPet) };
+            })
+            .filter(({ key }) => !lastServed || compareRank(key, lastServed) > 0)
+            .sort((a, b) => compareRank(a.key, b.key));
+
+        const room = limit - page.length;
+        page.push(...ranked.slice(0, room).map((entry) => entry.pet));
+
+        // More of this window left for the next page
+        if (ranked.length > room) {
+            nextCursor = encodeCursor({
+                w: windowStart,
+                k: rankKey(page[page.length - 1]),
+            });
+            break;
+        }
+
+        if (!hasNextWindow) {
+            break;
+        }
+
+        // This window is used up; carry on after its last candidate
+        windowStart = windowKey(window[window.length - 1]);
+        lastServed = null;
+
+        if (page.length === limit) {
+            nextCursor = encodeCursor({ w: windowStart, k: null });
+        }
+    }
+
+    return {
+        pets: page.map(({ location, ...rest }) => ({
+            ...rest,
+            // Used by the app for reverse geocoding
+            ownerLocation: location
+                ? { coordinates: location.coordinates }
+                : undefined,
+        })),
+        nextCursor,
+    };
+};
+
+module.exports = {
+    getPotentialMatches,
+    getLikesReceived,
+    normalizeFilters,
+    buildFilterQuery,
+    buildPlaymateQuery,
+    DEFAULT_FILTERS,
+    getInteractionState,
+    encodeCursor,
+    decodeCursor,
+};
@@ -0,0 +1,86 @@
+/**
+ * Google Auth Service - Verifies Google-signed ID tokens
+ *
+ * Tokens are checked for signature, audience (our OAuth client IDs), issuer
+ * and expiry. By default Google's published keys are used; a key set can be
+ * injected instead so verification works offline (e.g. in tests).
+ */
+const { OAuth2Client } = require("google-auth-library");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+
+// Comma-separated list of the web/Android/iOS client IDs tokens may be issued to
+const getClientIds = () =>
+    (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+
+class GoogleAuthService {
+    constructor(options = {}) {
+        this.client = new OAuth2Client();
+        this.clientIds = options.clientIds || getClientIds();
+        this.keySet = options.keySet || null;
+    }
+
+    /**
+     * Use a fixed key set instead of fetching Google's certificates
+     * @param {Object|null} keySet - Map of key ID to PEM certificate, or null to reset
+     */
+    setKeySet(keySet) {
+        this.keySet = keySet;
+    }
+
+    /**
+     * Set the OAuth client IDs accepted as token audience
+     * @param {Array<string>} clientIds - Accepted client IDs
+     */
+    setClientIds(clientIds) {
+        this.clientIds = clientIds;
+    }
+
+    /**
+     * Verify an ID token and return the Google identity it carries
+     * @param {string} idToken - Google-signed ID token
+     * @returns {Promise<Object>} - { googleId, email, emailVerified, name, picture }
+     */
+    async verifyIdToken(idToken) {
+        if (this.clientIds.length === 0) {
+            throw new Error("Google client IDs are not configured");
+        }
+
+        const ticket = this.keySet
+            ? await this.client.verifySignedJwtWithCertsAsync(
+                  idToken,
+                  this.keySet,
+                  this.clientIds,
+                  GOOGLE_ISSUERS
+              )
+            : await this.client.verifyIdToken({
+                  idToken,
+                  audience: this.clientIds,
+              });
+
+        const payload = ticket.getPayload();
+
+        if (!payload || !GOOGLE_ISSUERS.includes(payload.iss)) {
+            throw new Error("Invalid Google token issuer");
+        }
+
+        return {
+            googleId: payload.sub,
+            email: payload.email ? payload.email.toLowerCase() : null,
+            emailVerified: payload.email_verified === true,
+            name: payload.name,
+            picture: payload.picture,
+        };
+    }
+}
+
+// Create a singleton instance
+const googleAuthService = new GoogleAuthService();
+
+module.exports = googleAuthService;
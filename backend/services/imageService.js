@@ -118,6 +118,64 @@ class ImageService {
         }
     }
 
+    /**
+     * Check that a URL points at an image uploaded with the configured
+     * provider, directly inside `folder`
+     * @param {string} url - Image URL
+     * @param {string} folder - Folder the upload went to, e.g. 'chat_attachments/<chatId>'
+     * @returns {boolean}
+     */
+    isHostedImageUrl(url, folder) {
+        let parsed;
+        let segments;
+        try {
+            parsed = new URL(url);
+            segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            return false;
+        }
+
+        if (parsed.protocol !== 'https:') {
+            return false;
+        }
+
+        let imagePath;
+
+        if (this.provider === 'cloudinary') {
+            // res.cloudinary.com/<cloud>/image/upload/[v<version>/]<folder>/<id>
+            const cloudName = cloudinary.config().cloud_name;
+            const [cloud, resourceType, deliveryType, ...rest] = segments;
+
+            if (
+                parsed.hostname !== 'res.cloudinary.com' ||
+                !cloudName ||
+                cloud !== cloudName ||
+                resourceType !== 'image' ||
+                deliveryType !== 'upload'
+            ) {
+                return false;
+            }
+            imagePath = /^v\d+$/.test(rest[0]) ? rest.slice(1) : rest;
+        } else if (this.provider === 'aws') {
+            // <bucket>.s3[.<region>].amazonaws.com/<folder>/<file>
+            if (
+                !parsed.hostname.startsWith(`${this.bucketName}.s3.`) ||
+                !parsed.hostname.endsWith('.amazonaws.com')
+            ) {
+                return false;
+            }
+            imagePath = segments;
+        } else {
+            return false;
+        }
+
+        const folderSegments = folder.split('/');
+        return (
+            imagePath.length === folderSegments.length + 1 &&
+            folderSegments.every((segment, index) => imagePath[index] === segment)
+        );
+    }
+
     /**
      * Delete an image from the storage service
      * @param {string} publicId - The ID of the image to delete
@@ -0,0 +1,201 @@
+/**
+ * Mail Service - Abstraction layer for sending transactional email
+ *
+ * The transport is chosen with MAIL_TRANSPORT:
+ * - smtp: sends through nodemailer using the SMTP_* settings (default in production)
+ * - file: writes each email as JSON into MAIL_FILE_DIR (local dev and tests)
+ * - console: logs each email (default elsewhere)
+ *
+ * Emails carry raw reset and verification codes, so the file and console
+ * transports are refused in production, and so is SMTP without SMTP_HOST.
+ * A bad configuration is logged at startup and fails each send, rather than
+ * keeping the rest of the API from booting.
+ */
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const nodemailer = require("nodemailer");
+
+dotenv.config();
+
+const IS_PRODUCTION = process.env.NODE_ENV === "production";
+
+const MAIL_TRANSPORT =
+    process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? "smtp" : "console");
+
+// Transports that write emails, and the codes in them, where others can read them
+const DEV_TRANSPORTS = ["file", "console"];
+
+// Where the app lives, used to build links in emails
+const APP_URL = process.env.APP_URL || "com.praxcrax.boopsnoot://";
+
+class MailService {
+    constructor() {
+        this.from =
+            process.env.MAIL_FROM || "BoopSnoot <no-reply@boopsnoot.app>";
+        this.configError = null;
+
+        try {
+            this.useTransport(MAIL_TRANSPORT);
+        } catch (error) {
+            console.error(`Mail is not configured, emails will fail: ${error.message}`);
+            this.transportName = MAIL_TRANSPORT;
+            this.transport = null;
+            this.configError = error;
+        }
+    }
+
+    /**
+     * Switch to one of the built-in transports
+     * @param {string} name - smtp, file or console
+     * @param {Object} [options] - Transport options
+     * @param {string} [options.directory] - Output directory for the file transport
+     */
+    useTransport(name, options = {}) {
+        if (IS_PRODUCTION && DEV_TRANSPORTS.includes(name)) {
+            throw new Error(
+                `The ${name} mail transport is for development only; use smtp in production`
+            );
+        }
+        if (IS_PRODUCTION && name === "smtp" && !process.env.SMTP_HOST) {
+            throw new Error("SMTP_HOST must be set to send email in production");
+        }
+
+        this.transportName = name;
+        this.configError = null;
+
+        switch (name) {
+            case "smtp":
+                this.transport = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: Number(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === "true",
+                    auth: process.env.SMTP_USER
+                        ? {
+                              user: process.env.SMTP_USER,
+                              pass: process.env.SMTP_PASS,
+                          }
+                        : undefined,
+                });
+                break;
+            case "file":
+                this.transport = this._createFileTransport(
+                    options.directory ||
+                        process.env.MAIL_FILE_DIR ||
+                        path.join(__dirname, "..", "tmp", "mail")
+                );
+                break;
+            case "console":
+                this.transport = {
+                    sendMail: async (mail) => {
+                        console.log(
+                            `Email to ${mail.to}: ${mail.subject}\n${mail.text}`
+                        );
+                        return { messageId: `console-${Date.now()}` };
+                    },
+                };
+                break;
+            default:
+                throw new Error(`Unsupported mail transport: ${name}`);
+        }
+    }
+
+    /**
+     * Replace the transport with any object exposing sendMail(mail)
+     * @param {Object} transport - Custom transport
+     */
+    setTransport(transport) {
+        this.transportName = "custom";
+        this.transport = transport;
+        this.configError = null;
+    }
+
+    /**
+     * Send an email
+     * @param {Object} mail - { to, subject, text, html }
+     * @returns {Promise<Object>} - Transport result
+     */
+    async sendMail({ to, subject, text, html }) {
+        if (this.configError) {
+            throw this.configError;
+        }
+
+        try {
+            return await this.transport.sendMail({
+                from: this.from,
+                to,
+                subject,
+                text,
+                html,
+            });
+        } catch (error) {
+            console.error(
+                `Mail error with transport ${this.transportName}: ${error.message}`
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Send a password reset email
+     * @param {Object} user - The recipient
+     * @param {string} token - The raw reset token
+     */
+    async sendPasswordResetEmail(user, token) {
+        const link = `${APP_URL}reset-password?token=${token}`;
+
+        return this.sendMail({
+            to: user.email,
+            subject: "Reset your BoopSnoot password",
+            text:
+                `Hi ${user.name},\n\n` +
+                `Use this code to reset your password: ${token}\n\n` +
+                `Or open this link on your phone: ${link}\n\n` +
+                `The code expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+        });
+    }
+
+    /**
+     * Send an email address verification email
+     * @param {Object} user - The recipient
+     * @param {string} token - The raw verification token
+     */
+    async sendVerificationEmail(user, token) {
+        const link = `${APP_URL}verify-email?token=${token}`;
+
+        return this.sendMail({
+            to: user.email,
+            subject: "Verify your BoopSnoot email",
+            text:
+                `Hi ${user.name},\n\n` +
+                `Use this code to verify your email: ${token}\n\n` +
+                `Or open this link on your phone: ${link}\n\n` +
+                `The code expires in 24 hours.`,
+        });
+    }
+
+    /**
+     * Transport that writes each email to a JSON file
+     * @private
+     */
+    _createFileTransport(directory) {
+        return {
+            sendMail: async (mail) => {
+                fs.mkdirSync(directory, { recursive: true });
+
+                const messageId = `${Date.now()}-${Math.random()
+                    .toString(36)
+                    .substring(2, 10)}`;
+                const filePath = path.join(directory, `${messageId}.json`);
+
+                fs.writeFileSync(filePath, JSON.stringify(mail, null, 2));
+                return { messageId, filePath };
+            },
+        };
+    }
+}
+
+// Create a singleton instance
+const mailService = new MailService();
+
+module.exports = mailService;
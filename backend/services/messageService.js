@@ -0,0 +1,611 @@
+/**
+ * Message Service - Single pipeline for storing chat messages
+ *
+ * Both the REST endpoint and the socket `send_message` handler go through
+ * this service, so a message is only ever delivered after it has been saved.
+ * Read state lives only in each message's `readBy`; unread counts are always
+ * derived from it, so every device of a user agrees on them.
+ *
+ * Once sent, a message can be edited by its sender for a short while,
+ * deleted for one user (`deletedFor`) or for everyone (a tombstone with its
+ * content cleared), and reacted to with one emoji per user.
+ *
+ * Search uses the text index on `content`, so it matches whole (stemmed)
+ * words rather than any substring.
+ */
+const mongoose = require("mongoose");
+const Chat = require("../models/Chat");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const imageService = require("./imageService");
+const {
+    ATTACHMENT_LIMITS,
+    MESSAGE_LIMITS,
+} = require("../constants/chatConstants");
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+} = require("../utils/errors");
+
+/**
+ * Find a chat only if the given user participates in it and it is still
+ * open (chats are closed when one participant blocks the other)
+ * @param {string} chatId - The chat ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The chat, or null if not found / not a participant
+ */
+const findChatForParticipant = async (chatId, userId) => {
+    return Chat.findOne({
+        _id: chatId,
+        participants: userId,
+        isActive: true,
+    });
+};
+
+/**
+ * Check that a message payload has something to send
+ * @param {Object} payload - The message payload
+ * @returns {boolean} - Whether the payload has content or attachments
+ */
+const hasMessageBody = ({ content, attachments } = {}) => {
+    const hasContent = typeof content === "string" && content.trim().length > 0;
+    const hasAttachments = Array.isArray(attachments) && attachments.length > 0;
+    return hasContent || hasAttachments;
+};
+
+/**
+ * Folder a chat's photo attachments are uploaded to
+ * @param {string} chatId - The chat ID
+ * @returns {string}
+ */
+const attachmentFolder = (chatId) => `chat_attachments/${chatId}`;
+
+/**
+ * Check that a message payload's attachments, if any, are a short list of
+ * photos uploaded to this chat through the attachment upload endpoint
+ * @param {string} chatId - The chat the message is sent to
+ * @param {Object} payload - The message payload
+ * @returns {boolean}
+ */
+const hasValidAttachments = (chatId, { attachments } = {}) => {
+    if (attachments === undefined || attachments === null) return true;
+
+    return (
+        Array.isArray(attachments) &&
+        attachments.length <= ATTACHMENT_LIMITS.MAX_PER_MESSAGE &&
+        attachments.every(
+            (url) =>
+                typeof url === "string" &&
+                imageService.isHostedImageUrl(url, attachmentFolder(chatId))
+        )
+    );
+};
+
+/**
+ * Check a new message against the rules every send path shares, so the
+ * socket handler accepts exactly what the REST endpoint does
+ * @param {string} chatId - The chat the message is sent to
+ * @param {Object} payload - The message payload
+ * @throws {BadRequestError} - When the message can't be stored as sent
+ */
+const validateMessagePayload = (chatId, payload = {}) => {
+    const { content, clientId } = payload;
+
+    if (content !== undefined && content !== null) {
+        if (typeof content !== "string") {
+            throw new BadRequestError("Message content must be text", {
+                code: "INVALID_MESSAGE",
+            });
+        }
+        if (content.length > MESSAGE_LIMITS.MAX_LENGTH) {
+            throw new BadRequestError(
+                `Messages cannot be more than ${MESSAGE_LIMITS.MAX_LENGTH} characters`,
+                { code: "INVALID_MESSAGE" }
+            );
+        }
+    }
+
+    if (
+        clientId !== undefined &&
+        clientId !== null &&
+        (typeof clientId !== "string" || clientId.length > MESSAGE_LIMITS.MAX_CLIENT_ID_LENGTH)
+    ) {
+        throw new BadRequestError(
+            `Client ID must be text of up to ${MESSAGE_LIMITS.MAX_CLIENT_ID_LENGTH} characters`,
+            { code: "INVALID_MESSAGE" }
+        );
+    }
+
+    if (!hasMessageBody(payload)) {
+        throw new BadRequestError("Message must have content or attachments");
+    }
+
+    if (!hasValidAttachments(chatId, payload)) {
+        throw new BadRequestError(
+            `Attachments must be up to ${ATTACHMENT_LIMITS.MAX_PER_MESSAGE} photos uploaded to this chat`,
+            { code: "INVALID_ATTACHMENTS" }
+        );
+    }
+};
+
+/**
+ * Save a message and make it the chat's last message
+ *
+ * When a client-generated `clientId` is supplied the call is idempotent: a
+ * retried send returns the message that was already stored for that id. The
+ * unique index on `{chat, sender, clientId}` makes this hold for concurrent
+ * retries too.
+ *
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} senderId - The authenticated sender's user ID
+ * @param {Object} payload - The message payload
+ * @param {string} [payload.content] - Text content
+ * @param {Array<string>} [payload.attachments] - Attachment URLs
+ * @param {string} [payload.clientId] - Client-generated temp ID
+ * @returns {Promise<Object>} - The stored message
+ * @throws {BadRequestError} - When the payload fails validateMessagePayload
+ */
+const createMessage = async (chat, senderId, payload = {}) => {
+    validateMessagePayload(chat._id, payload);
+    const { content, attachments, clientId } = payload;
+
+    const message = new Message({
+        chat: chat._id,
+        sender: senderId,
+        content: content || "",
+        attachments: attachments || [],
+        clientId,
+        readBy: [
+            {
+                user: senderId,
+                readAt: new Date(),
+            },
+        ],
+    });
+
+    let savedMessage;
+    try {
+        savedMessage = await message.save();
+    } catch (error) {
+        // A retry of a send that already went through (possibly one still
+        // in flight) trips the unique clientId index; hand back that message
+        if (clientId && error.code === 11000) {
+            const existing = await Message.findOne({
+                chat: chat._id,
+                sender: senderId,
+                clientId,
+            });
+
+            if (existing) {
+                return existing;
+            }
+        }
+        throw error;
+    }
+
+    // Update last message in chat
+    chat.lastMessage = savedMessage._id;
+    await chat.save();
+
+    return savedMessage;
+};
+
+/**
+ * Format a stored message for a specific viewer
+ * @param {Object} message - The stored message
+ * @param {string} viewerId - The user the message is formatted for
+ * @returns {Object} - The message as returned to clients
+ */
+const formatMessage = (message, viewerId) => {
+    const senderId = (message.sender._id || message.sender).toString();
+
+    return {
+        _id: message._id,
+        chatId: message.chat,
+        clientId: message.clientId,
+        content: message.content,
+        createdAt: message.createdAt,
+        senderId,
+        sender: {
+            _id: senderId,
+            isCurrentUser: senderId === viewerId.toString(),
+        },
+        attachments: message.attachments || [],
+        edited: Boolean(message.editedAt),
+        editedAt: message.editedAt || null,
+        deleted: Boolean(message.deletedAt),
+        reactions: (message.reactions || []).map((reaction) => ({
+            userId: reaction.user.toString(),
+            emoji: reaction.emoji,
+        })),
+    };
+};
+
+/**
+ * Load a message of a chat that the user hasn't deleted for themselves
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} userId - The acting user
+ * @param {string} messageId - The message ID
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - MESSAGE_NOT_FOUND
+ */
+const findMessageInChat = async (chat, userId, messageId) => {
+    const message = await Message.findOne({
+        _id: messageId,
+        chat: chat._id,
+        deletedFor: { $ne: userId },
+    });
+
+    if (!message) {
+        throw new NotFoundError("Message not found", { code: "MESSAGE_NOT_FOUND" });
+    }
+
+    return message;
+};
+
+const messageDeletedError = () =>
+    new ConflictError("This message was deleted", { code: "MESSAGE_DELETED" });
+
+/**
+ * Change the text of the user's own message, within the edit window
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} userId - The acting user
+ * @param {string} messageId - The message ID
+ * @param {string} content - New text
+ * @returns {Promise<Object>} - The updated message
+ * @throws {ForbiddenError} - NOT_MESSAGE_SENDER
+ * @throws {ConflictError} - MESSAGE_DELETED, EDIT_WINDOW_CLOSED
+ */
+const editMessage = async (chat, userId, messageId, content) => {
+    const message = await findMessageInChat(chat, userId, messageId);
+
+    if (!message.sender.equals(userId)) {
+        throw new ForbiddenError("You can only edit your own messages", {
+            code: "NOT_MESSAGE_SENDER",
+        });
+    }
+    if (message.deletedAt) {
+        throw messageDeletedError();
+    }
+
+    // Conditional, so an edit can't land after the window or a delete
+    const now = new Date();
+    const updated = await Message.findOneAndUpdate(
+        {
+            _id: message._id,
+            deletedAt: null,
+            createdAt: { $gte: new Date(now.getTime() - MESSAGE_LIMITS.EDIT_WINDOW_MS) },
+        },
+        { $set: { content, editedAt: now } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ConflictError(
+            `Messages can only be edited for ${MESSAGE_LIMITS.EDIT_WINDOW_MS / 60000} minutes`,
+            { code: "EDIT_WINDOW_CLOSED" }
+        );
+    }
+
+    return updated;
+};
+
+/**
+ * Delete a message for the user only, or for everyone
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} userId - The acting user
+ * @param {string} messageId - The message ID
+ * @param {Object} [options]
+ * @param {boolean} [options.forEveryone=false] - Leave a tombstone for both
+ *   participants; only the sender can do this
+ * @returns {Promise<Object>} - The message, as a tombstone when deleted for everyone
+ * @throws {ForbiddenError} - NOT_MESSAGE_SENDER
+ */
+const deleteMessage = async (chat, userId, messageId, { forEveryone = false } = {}) => {
+    const message = await findMessageInChat(chat, userId, messageId);
+
+    if (!forEveryone) {
+        await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+        return message;
+    }
+
+    if (!message.sender.equals(userId)) {
+        throw new ForbiddenError("You can only delete your own messages for everyone", {
+            code: "NOT_MESSAGE_SENDER",
+        });
+    }
+
+    return Message.findOneAndUpdate(
+        { _id: message._id },
+        {
+            $set: {
+                deletedAt: message.deletedAt || new Date(),
+                content: "",
+                attachments: [],
+                reactions: [],
+            },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Set or clear the user's reaction to a message
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} userId - The acting user
+ * @param {string} messageId - The message ID
+ * @param {string|null} emoji - One of MESSAGE_REACTIONS, or null to remove
+ * @returns {Promise<Object>} - The updated message
+ * @throws {ConflictError} - MESSAGE_DELETED
+ */
+const reactToMessage = async (chat, userId, messageId, emoji) => {
+    const message = await findMessageInChat(chat, userId, messageId);
+    if (message.deletedAt) {
+        throw messageDeletedError();
+    }
+
+    // Swap the user's reaction in a single pipeline update, so a user can't
+    // end up with two reactions by tapping twice. Pipelines don't cast ids
+    const reactor = new mongoose.Types.ObjectId(String(userId));
+    const otherReactions = {
+        $filter: {
+            input: { $ifNull: ["$reactions", []] },
+            cond: { $ne: ["$$this.user", reactor] },
+        },
+    };
+
+    const updated = await Message.findOneAndUpdate(
+        { _id: message._id, deletedAt: null },
+        [
+            {
+                $set: {
+                    reactions: emoji
+                        ? {
+                              $concatArrays: [
+                                  otherReactions,
+                                  [{ user: reactor, emoji, createdAt: new Date() }],
+                              ],
+                          }
+                        : otherReactions,
+                },
+            },
+        ],
+        { new: true }
+    );
+
+    if (!updated) {
+        throw messageDeletedError();
+    }
+
+    return updated;
+};
+
+/**
+ * Mark the other participants' messages as read by a user, up to and
+ * including a given message
+ * @param {Object} chat - The chat document (participation already verified)
+ * @param {string} userId - The reading user
+ * @param {string} [upToMessageId] - Last message read; the latest one if omitted
+ * @returns {Promise<Object|null>} - { upTo: { _id, createdAt }, readAt, count },
+ *   or null when the message isn't in this chat (or the chat is empty)
+ */
+const markMessagesRead = async (chat, userId, upToMessageId) => {
+    const upTo = upToMessageId
+        ? await Message.findOne({ _id: upToMessageId, chat: chat._id }).select("createdAt")
+        : await Message.findOne({ chat: chat._id })
+              .sort({ createdAt: -1, _id: -1 })
+              .select("createdAt");
+
+    if (!upTo) {
+        return null;
+    }
+
+    const readAt = new Date();
+    const { modifiedCount } = await Message.updateMany(
+        {
+            chat: chat._id,
+            sender: { $ne: userId },
+            createdAt: { $lte: upTo.createdAt },
+            "readBy.user": { $ne: userId },
+        },
+        { $push: { readBy: { user: userId, readAt } } }
+    );
+
+    return {
+        upTo: { _id: upTo._id, createdAt: upTo.createdAt },
+        readAt,
+        count: modifiedCount,
+    };
+};
+
+/**
+ * Count a user's unread messages in each of their open chats. Messages
+ * deleted for everyone or hidden from the user don't count
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {Array<string>} [options.chatIds] - Only count these chats (the
+ *   user's participation already verified)
+ * @returns {Promise<Object>} - { total, chats: { [chatId]: count } }, listing
+ *   only chats with unread messages
+ */
+const getUnreadCounts = async (userId, { chatIds } = {}) => {
+    // Aggregations don't cast ids like queries do
+    const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+    const reader = toObjectId(userId);
+
+    const chats = chatIds
+        ? chatIds.map(toObjectId)
+        : (await Chat.find({ participants: userId, isActive: true }).select("_id")).map(
+              (chat) => chat._id
+          );
+
+    const rows = await Message.aggregate([
+        {
+            $match: {
+                chat: { $in: chats },
+                sender: { $ne: reader },
+                "readBy.user": { $ne: reader },
+                deletedAt: null,
+                deletedFor: { $ne: reader },
+            },
+        },
+        { $group: { _id: "$chat", count: { $sum: 1 } } },
+    ]);
+
+    return {
+        total: rows.reduce((sum, row) => sum + row.count, 0),
+        chats: Object.fromEntries(rows.map((row) => [row._id.toString(), row.count])),
+    };
+};
+
+/**
+ * Load a page of messages centred on one message, e.g. to show a search
+ * result in context
+ * @param {string} chatId - The chat ID (participation already verified)
+ * @param {string} userId - The viewing user
+ * @param {string} messageId - The message to centre on
+ * @param {number} limit - Page size
+ * @returns {Promise<Array<Object>|null>} - Newest first, like a normal page;
+ *   null when the message isn't visible to the user in this chat
+ */
+const getMessagesAround = async (chatId, userId, messageId, limit) => {
+    const visible = { chat: chatId, deletedFor: { $ne: userId } };
+    const anchor = await Message.findOne({ _id: messageId, ...visible }).select("createdAt");
+
+    if (!anchor) {
+        return null;
+    }
+
+    const half = Math.ceil(limit / 2);
+    const [older, newer] = await Promise.all([
+        Message.find({ ...visible, createdAt: { $lt: anchor.createdAt } })
+            .sort({ createdAt: -1 })
+            .limit(half),
+        Message.find({ ...visible, createdAt: { $gte: anchor.createdAt } })
+            .sort({ createdAt: 1 })
+            .limit(half),
+    ]);
+
+    return [...newer.reverse(), ...older];
+};
+
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Cut a long message down to the part around the first searched word
+ * @param {string} content - Message text
+ * @param {string} query - The search query
+ * @returns {string}
+ */
+const buildSnippet = (content, query) => {
+    if (content.length <= SNIPPET_LENGTH) {
+        return content;
+    }
+
+    const text = content.toLowerCase();
+    const positions = (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .map((word) => text.indexOf(word))
+        .filter((position) => position >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+    // Some words of context before the match, the rest after it
+    const start = Math.max(0, Math.min(first - 30, content.length - SNIPPET_LENGTH));
+    const end = start + SNIPPET_LENGTH;
+
+    return `${start > 0 ? "…" : ""}${content.slice(start, end).trim()}${
+        end < content.length ? "…" : ""
+    }`;
+};
+
+// The user's pet and the other pet of a match with populated pets
+const petsForUser = (match, userId) => {
+    const pets = [match.pet1, match.pet2].map((pet) => ({
+        _id: pet._id,
+        name: pet.name,
+        photos: pet.photos,
+        isMine: pet.owner.equals(userId),
+    }));
+    const myPet = pets.find((pet) => pet.isMine) || pets[0];
+    const otherPet = pets.find((pet) => pet !== myPet);
+
+    return {
+        myPet: { _id: myPet._id, name: myPet.name, photos: myPet.photos },
+        otherPet: { _id: otherPet._id, name: otherPet.name, photos: otherPet.photos },
+    };
+};
+
+/**
+ * Search the messages of a user's open chats, best matches first
+ * @param {string} userId - The searching user
+ * @param {string} query - Words to look for; "quoted phrases" and -excluded
+ *   words work as in MongoDB text search
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Maximum results
+ * @returns {Promise<Array<Object>>} - [{ _id, chatId, snippet, createdAt,
+ *   sender: { isCurrentUser }, myPet, otherPet }]
+ */
+const searchMessages = async (userId, query, { limit = 20 } = {}) => {
+    const chats = await Chat.find({ participants: userId, isActive: true }).select("match");
+    if (chats.length === 0) {
+        return [];
+    }
+
+    const messages = await Message.find(
+        {
+            $text: { $search: query },
+            chat: { $in: chats.map((chat) => chat._id) },
+            deletedAt: null,
+            deletedFor: { $ne: userId },
+        },
+        { score: { $meta: "textScore" } }
+    )
+        .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+        .limit(limit);
+
+    // Pets of the chats that had results, for the result rows
+    const matchIdByChat = new Map(chats.map((chat) => [chat._id.toString(), chat.match]));
+    const matches = await Match.find({
+        _id: { $in: messages.map((message) => matchIdByChat.get(message.chat.toString())) },
+    })
+        .populate("pet1", "name photos owner")
+        .populate("pet2", "name photos owner");
+    const matchById = new Map(matches.map((match) => [match._id.toString(), match]));
+
+    return messages
+        .map((message) => {
+            const match = matchById.get(String(matchIdByChat.get(message.chat.toString())));
+            if (!match || !match.pet1 || !match.pet2) {
+                return null;
+            }
+
+            return {
+                _id: message._id,
+                chatId: message.chat,
+                snippet: buildSnippet(message.content, query),
+                createdAt: message.createdAt,
+                sender: { isCurrentUser: message.sender.equals(userId) },
+                ...petsForUser(match, userId),
+            };
+        })
+        .filter(Boolean);
+};
+
+module.exports = {
+    findChatForParticipant,
+    hasMessageBody,
+    attachmentFolder,
+    hasValidAttachments,
+    validateMessagePayload,
+    createMessage,
+    formatMessage,
+    editMessage,
+    deleteMessage,
+    reactToMessage,
+    markMessagesRead,
+    getUnreadCounts,
+    getMessagesAround,
+    buildSnippet,
+    searchMessages,
+};
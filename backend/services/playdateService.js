@@ -0,0 +1,209 @@
+/**
+ * Playdate Service - Planning meetups between matched pets
+ *
+ * A playdate is a small state machine:
+ *   proposed --accept--> accepted --complete--> completed
+ *   proposed --decline--> declined
+ *   proposed | accepted --cancel--> cancelled
+ *   proposed | accepted --counter--> proposed (new time and place)
+ * Only the owner a proposal is waiting on can accept, decline or counter it.
+ * Either owner can reschedule (counter) an accepted playdate, cancel an open
+ * one, or mark it completed once its time has come. Every change is a single
+ * conditional update, so two owners acting at once can't both win.
+ */
+const Chat = require("../models/Chat");
+const Match = require("../models/Match");
+const Playdate = require("../models/Playdate");
+const { isBlockedBetween } = require("./blockService");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+const {
+    PLAYDATE_STATUSES,
+    OPEN_PLAYDATE_STATUSES,
+    PLAYDATE_ACTIONS,
+} = require("../constants/playdateConstants");
+
+// A proposal still waiting on `userId`
+const waitingOn = (userId) => ({
+    status: PLAYDATE_STATUSES.PROPOSED,
+    proposedBy: { $ne: userId },
+});
+
+// For each action: the condition a playdate must meet and its next status
+const TRANSITIONS = {
+    [PLAYDATE_ACTIONS.ACCEPT]: {
+        when: waitingOn,
+        status: PLAYDATE_STATUSES.ACCEPTED,
+    },
+    [PLAYDATE_ACTIONS.DECLINE]: {
+        when: waitingOn,
+        status: PLAYDATE_STATUSES.DECLINED,
+    },
+    [PLAYDATE_ACTIONS.COUNTER]: {
+        when: (userId) => ({
+            $or: [waitingOn(userId), { status: PLAYDATE_STATUSES.ACCEPTED }],
+        }),
+        status: PLAYDATE_STATUSES.PROPOSED,
+    },
+    [PLAYDATE_ACTIONS.CANCEL]: {
+        when: () => ({ status: { $in: OPEN_PLAYDATE_STATUSES } }),
+        status: PLAYDATE_STATUSES.CANCELLED,
+    },
+    [PLAYDATE_ACTIONS.COMPLETE]: {
+        when: (userId, now) => ({
+            status: PLAYDATE_STATUSES.ACCEPTED,
+            scheduledAt: { $lte: now },
+        }),
+        status: PLAYDATE_STATUSES.COMPLETED,
+    },
+};
+
+/**
+ * Load a live match the user is part of, with its open chat
+ * @param {string} matchId - The match ID
+ * @param {string} userId - The acting user
+ * @returns {Promise<Object>} - { match, chat, participants, pets }
+ */
+const findMatchForUser = async (matchId, userId) => {
+    const match = await Match.findOne({ _id: matchId, isMatch: true })
+        .populate("pet1", "owner")
+        .populate("pet2", "owner");
+
+    const owners =
+        match && match.pet1 && match.pet2 ? [match.pet1.owner, match.pet2.owner] : [];
+
+    if (!owners.some((owner) => owner.equals(userId))) {
+        throw new NotFoundError("Match not found");
+    }
+
+    const otherOwner = owners.find((owner) => !owner.equals(userId));
+
+    const chat = await Chat.findOne({ match: match._id, isActive: true });
+    if (!chat || (otherOwner && (await isBlockedBetween(userId, otherOwner)))) {
+        throw new NotFoundError("Match not found");
+    }
+
+    return {
+        match,
+        chat,
+        participants: owners,
+        pets: [match.pet1._id, match.pet2._id],
+    };
+};
+
+/**
+ * Propose a playdate on a match
+ * @param {string} userId - The proposing user
+ * @param {string} matchId - The match ID
+ * @param {Object} proposal - { scheduledAt, location, placeName, note }
+ * @returns {Promise<Object>} - The new playdate
+ */
+const proposePlaydate = async (userId, matchId, proposal) => {
+    const { match, chat, participants, pets } = await findMatchForUser(matchId, userId);
+    const current = { ...proposal, proposedBy: userId };
+
+    return Playdate.create({
+        match: match._id,
+        chat: chat._id,
+        participants,
+        pets,
+        ...current,
+        proposals: [current],
+    });
+};
+
+/**
+ * List a user's playdates
+ * @param {string} userId - The user ID
+ * @param {Object} [filters]
+ * @param {string} [filters.matchId] - Only this match's playdates, oldest first
+ * @param {string} [filters.status] - Only playdates with this status
+ * @param {boolean} [filters.upcoming] - Only open playdates that haven't happened yet
+ * @returns {Promise<Array<Object>>}
+ */
+const getPlaydates = async (userId, { matchId, status, upcoming } = {}) => {
+    const query = { participants: userId };
+
+    if (matchId) {
+        query.match = matchId;
+    }
+    if (status) {
+        query.status = status;
+    }
+    if (upcoming) {
+        query.status = status || { $in: OPEN_PLAYDATE_STATUSES };
+        query.scheduledAt = { $gte: new Date() };
+    }
+
+    return Playdate.find(query)
+        .sort(matchId ? { createdAt: 1 } : { scheduledAt: 1 })
+        .populate("pets", "name photos");
+};
+
+/**
+ * Load a playdate the user takes part in
+ * @param {string} playdateId - The playdate ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>}
+ */
+const findPlaydateForUser = async (playdateId, userId) => {
+    const playdate = await Playdate.findOne({
+        _id: playdateId,
+        participants: userId,
+    }).populate("pets", "name photos");
+
+    if (!playdate) {
+        throw new NotFoundError("Playdate not found");
+    }
+
+    return playdate;
+};
+
+/**
+ * Accept, decline, counter, cancel or complete a playdate
+ * @param {string} playdateId - The playdate ID
+ * @param {string} userId - The acting user
+ * @param {string} action - One of PLAYDATE_ACTIONS, except propose
+ * @param {Object} [proposal] - New { scheduledAt, location, placeName, note } for counter
+ * @returns {Promise<Object>} - The updated playdate
+ * @throws {ConflictError} - INVALID_PLAYDATE_TRANSITION when the action isn't allowed now
+ */
+const updatePlaydate = async (playdateId, userId, action, proposal) => {
+    const playdate = await findPlaydateForUser(playdateId, userId);
+    const transition = TRANSITIONS[action];
+    const now = new Date();
+
+    const update = {
+        $set: {
+            status: transition.status,
+            respondedBy: userId,
+            respondedAt: now,
+        },
+    };
+
+    if (action === PLAYDATE_ACTIONS.COUNTER) {
+        const current = { ...proposal, note: proposal.note || null, proposedBy: userId };
+        Object.assign(update.$set, current);
+        update.$push = { proposals: { ...current, createdAt: now } };
+    }
+
+    const updated = await Playdate.findOneAndUpdate(
+        { _id: playdate._id, ...transition.when(userId, now) },
+        update,
+        { new: true, runValidators: true }
+    ).populate("pets", "name photos");
+
+    if (!updated) {
+        throw new ConflictError(`Can't ${action} this playdate right now`, {
+            code: "INVALID_PLAYDATE_TRANSITION",
+        });
+    }
+
+    return updated;
+};
+
+module.exports = {
+    proposePlaydate,
+    getPlaydates,
+    findPlaydateForUser,
+    updatePlaydate,
+};
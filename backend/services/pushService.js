@@ -0,0 +1,450 @@
+/**
+ * Push Service - Delivers notifications through the Expo push API
+ *
+ * Used when a recipient has no live socket. Outgoing messages are queued
+ * for a moment and sent in batches, tickets are followed up with receipt
+ * checks (retried with backoff when Expo can't be reached), and tokens Expo
+ * reports as `DeviceNotRegistered` are removed from their users.
+ *
+ * The HTTP transport is pluggable so tests can point the service at a local
+ * fake push server instead of exp.host.
+ */
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+const DEFAULT_BASE_URL = "https://exp.host/--/api/v2/push";
+
+// Limits documented by the Expo push API
+const MAX_MESSAGES_PER_REQUEST = 100;
+const MAX_RECEIPT_IDS_PER_REQUEST = 1000;
+
+// Expo recommends waiting before fetching receipts
+const DEFAULT_RECEIPT_DELAY_MS = 15 * 60 * 1000;
+
+// A failed receipt check is retried after this, doubling up to the maximum
+const DEFAULT_RECEIPT_RETRY_MS = 60 * 1000;
+const MAX_RECEIPT_RETRY_MS = 60 * 60 * 1000;
+
+// How long queued messages wait for others to share their request
+const DEFAULT_FLUSH_DELAY_MS = 100;
+
+/**
+ * Default transport - POSTs JSON with the global fetch
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+const fetchTransport = async (url, body) => {
+    const headers = {
+        Accept: "application/json",
+        "Accept-Encoding": "gzip, deflate",
+        "Content-Type": "application/json",
+    };
+
+    if (process.env.EXPO_ACCESS_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+    }
+
+    const response = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+        throw new Error(
+            `Expo push API error: ${response.status} ${response.statusText}`
+        );
+    }
+
+    return response.json();
+};
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @private
+ */
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+class PushService {
+    constructor(options = {}) {
+        this.baseUrl =
+            options.baseUrl || process.env.EXPO_PUSH_API_URL || DEFAULT_BASE_URL;
+        this.transport = options.transport || fetchTransport;
+        this.receiptDelayMs =
+            options.receiptDelayMs !== undefined
+                ? options.receiptDelayMs
+                : Number(process.env.PUSH_RECEIPT_DELAY_MS) ||
+                  DEFAULT_RECEIPT_DELAY_MS;
+        this.receiptRetryMs =
+            options.receiptRetryMs !== undefined
+                ? options.receiptRetryMs
+                : DEFAULT_RECEIPT_RETRY_MS;
+        this.flushDelayMs =
+            options.flushDelayMs !== undefined
+                ? options.flushDelayMs
+                : DEFAULT_FLUSH_DELAY_MS;
+
+        // Ticket IDs waiting for a receipt check, mapped to the token used
+        this.pendingReceipts = new Map();
+        this.receiptTimer = null;
+        // Receipt checks that failed in a row, for the retry backoff
+        this.receiptFailures = 0;
+
+        // Messages waiting to be sent: { message, resolve }
+        this.queue = [];
+        this.flushTimer = null;
+    }
+
+    /**
+     * Replace the HTTP transport (and optionally the API base URL)
+     * @param {Function} transport - async (url, body) => parsed JSON
+     * @param {string} [baseUrl] - Push API base URL
+     */
+    setTransport(transport, baseUrl) {
+        this.transport = transport || fetchTransport;
+        if (baseUrl) {
+            this.baseUrl = baseUrl;
+        }
+    }
+
+    /**
+     * Check whether a string looks like an Expo push token
+     * @param {string} token - The token to check
+     * @returns {boolean}
+     */
+    isExpoPushToken(token) {
+        return (
+            typeof token === "string" &&
+            /^Expo(nent)?PushToken\[.+\]$/.test(token)
+        );
+    }
+
+    /**
+     * Send push messages in batches
+     * @param {Array<Object>} messages - Expo push messages ({ to, title, body, data })
+     * @returns {Promise<Array<Object>>} - One ticket per message, in order
+     */
+    async sendPushNotifications(messages) {
+        const validMessages = messages.filter((message) =>
+            this.isExpoPushToken(message.to)
+        );
+        const tickets = [];
+
+        for (const batch of chunk(validMessages, MAX_MESSAGES_PER_REQUEST)) {
+            try {
+                const response = await this.transport(
+                    `${this.baseUrl}/send`,
+                    batch
+                );
+                const batchTickets = response.data || [];
+
+                batchTickets.forEach((ticket, index) => {
+                    this._handleTicket(ticket, batch[index].to);
+                });
+                tickets.push(...batchTickets);
+            } catch (error) {
+                console.error(`Push batch failed: ${error.message}`);
+                tickets.push(
+                    ...batch.map(() => ({
+                        status: "error",
+                        message: error.message,
+                    }))
+                );
+            }
+        }
+
+        if (this.pendingReceipts.size > 0) {
+            this._scheduleReceiptCheck();
+        }
+
+        return tickets;
+    }
+
+    /**
+     * Queue a message to go out with the next batch
+     * @param {Object} message - Expo push message ({ to, title, body, data })
+     * @returns {Promise<Object>} - The message's ticket, once its batch is sent
+     */
+    enqueue(message) {
+        return new Promise((resolve) => {
+            this.queue.push({ message, resolve });
+
+            if (this.queue.length >= MAX_MESSAGES_PER_REQUEST) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+            }
+        });
+    }
+
+    /**
+     * Send every queued message now
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const queued = this.queue.splice(0);
+        if (queued.length === 0) return;
+
+        const tickets = await this.sendPushNotifications(
+            queued.map(({ message }) => message)
+        );
+        queued.forEach(({ resolve }, index) => resolve(tickets[index] || null));
+    }
+
+    /**
+     * Fetch receipts for sent tickets and prune unregistered tokens. Tickets
+     * whose receipts couldn't be fetched are checked again later
+     * @returns {Promise<Object>} - Receipts keyed by ticket ID
+     */
+    async checkReceipts() {
+        const pending = new Map(this.pendingReceipts);
+        this.pendingReceipts.clear();
+
+        const receipts = {};
+        let failed = false;
+
+        for (const ids of chunk([...pending.keys()], MAX_RECEIPT_IDS_PER_REQUEST)) {
+            try {
+                const response = await this.transport(
+                    `${this.baseUrl}/getReceipts`,
+                    { ids }
+                );
+                const batchReceipts = response.data || {};
+
+                for (const [id, receipt] of Object.entries(batchReceipts)) {
+                    receipts[id] = receipt;
+
+                    if (receipt.status === "error") {
+                        console.error(
+                            `Push receipt error for ticket ${id}: ${receipt.message}`
+                        );
+                        if (receipt.details?.error === "DeviceNotRegistered") {
+                            await this.removeToken(pending.get(id));
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error(`Push receipt check failed: ${error.message}`);
+                // Keep the tickets around for the next check
+                ids.forEach((id) => this.pendingReceipts.set(id, pending.get(id)));
+                failed = true;
+            }
+        }
+
+        if (failed) {
+            this.receiptFailures += 1;
+            this._scheduleReceiptCheck(
+                Math.min(
+                    this.receiptRetryMs * 2 ** (this.receiptFailures - 1),
+                    MAX_RECEIPT_RETRY_MS
+                )
+            );
+        } else {
+            this.receiptFailures = 0;
+        }
+
+        return receipts;
+    }
+
+    /**
+     * Remove a push token from every user that has it
+     * @param {string} token - The push token
+     */
+    async removeToken(token) {
+        if (!token) return;
+
+        await User.updateMany(
+            { pushToken: token },
+            { $unset: { pushToken: 1 } }
+        );
+        console.log(`Removed unregistered push token ${token}`);
+    }
+
+    /**
+     * Send a push to a single user if they have a registered token
+     * @param {string} userId - The recipient's user ID
+     * @param {Object} notification - { title, body, data }
+     * @returns {Promise<Object|null>} - The ticket, or null if no token
+     */
+    async sendToUser(userId, { title, body, data }) {
+        const user = await User.findById(userId).select("pushToken");
+
+        if (!user || !this.isExpoPushToken(user.pushToken)) {
+            console.log(`User ${userId} has no push token, skipping push`);
+            return null;
+        }
+
+        return this.enqueue({
+            to: user.pushToken,
+            sound: "default",
+            priority: "high",
+            title,
+            body,
+            data,
+        });
+    }
+
+    /**
+     * Push a new chat message
+     * @param {string} userId - The recipient's user ID
+     * @param {Object} message - The stored message
+     * @param {string} [senderName] - Display name of the sender
+     */
+    async sendMessagePush(userId, message, senderName) {
+        const hasAttachments =
+            message.attachments && message.attachments.length > 0;
+
+        return this.sendToUser(userId, {
+            title: `${senderName || "Someone"} sent you a message`,
+            body: message.content || (hasAttachments ? "Sent a photo" : "New message"),
+            data: {
+                type: "chat",
+                chatId: message.chat.toString(),
+                messageId: message._id.toString(),
+            },
+        });
+    }
+
+    /**
+     * Push a new match
+     * @param {string} userId - The recipient's user ID
+     * @param {Object} matchData - The match notification payload
+     */
+    async sendMatchPush(userId, matchData) {
+        const petName = matchData?.pet?.name || "Someone new";
+
+        return this.sendToUser(userId, {
+            title: "🎉 New Match!",
+            body: `${petName} liked you back!`,
+            data: {
+                type: "match",
+                matchId: matchData.matchId?.toString(),
+                chatId: matchData.chatId?.toString(),
+                petName,
+            },
+        });
+    }
+
+    /**
+     * Push a super like
+     * @param {string} userId - The recipient's user ID
+     * @param {Object} superLikeData - The super like notification payload
+     */
+    async sendSuperLikePush(userId, superLikeData) {
+        const petName = superLikeData?.pet?.name || "Someone";
+        const likedPetName = superLikeData?.likedPet?.name || "your pet";
+
+        return this.sendToUser(userId, {
+            title: "⭐ New Super Like!",
+            body: `${petName} super liked ${likedPetName}!`,
+            data: {
+                type: "super_like",
+                petId: superLikeData.pet?._id?.toString(),
+                likedPetId: superLikeData.likedPet?._id?.toString(),
+                petName,
+            },
+        });
+    }
+
+    /**
+     * Push a playdate change to the owner who didn't make it
+     * @param {string} userId - The recipient's user ID
+     * @param {Object} playdateData - { action, playdate }
+     */
+    async sendPlaydatePush(userId, { action, playdate }) {
+        const titles = {
+            propose: "📅 Playdate invite",
+            counter: "📅 New playdate time suggested",
+            accept: "🎉 Playdate confirmed!",
+            decline: "Playdate declined",
+            cancel: "Playdate cancelled",
+            complete: "Playdate completed",
+        };
+
+        return this.sendToUser(userId, {
+            title: titles[action] || "Playdate updated",
+            body: playdate.placeName,
+            data: {
+                type: "playdate",
+                action,
+                playdateId: playdate._id.toString(),
+                chatId: playdate.chat?.toString(),
+            },
+        });
+    }
+
+    /**
+     * Push a chat removal
+     * @param {string} userId - The recipient's user ID
+     * @param {string} chatId - The removed chat's ID
+     */
+    async sendChatRemovedPush(userId, chatId) {
+        return this.sendToUser(userId, {
+            title: "Chat removed",
+            body: "One of your matches is no longer available",
+            data: {
+                type: "chat_removed",
+                chatId: chatId.toString(),
+            },
+        });
+    }
+
+    /**
+     * Record a ticket for receipt checking, or prune its token right away
+     * @private
+     */
+    _handleTicket(ticket, token) {
+        if (ticket.status === "ok" && ticket.id) {
+            this.pendingReceipts.set(ticket.id, token);
+            return;
+        }
+
+        if (ticket.status === "error") {
+            console.error(`Push ticket error: ${ticket.message}`);
+            if (ticket.details?.error === "DeviceNotRegistered") {
+                this.removeToken(token).catch((error) => {
+                    console.error(`Failed to remove push token: ${error.message}`);
+                });
+            }
+        }
+    }
+
+    /**
+     * Check receipts once the delay has passed
+     * @param {number} [delayMs] - Wait this long instead of the receipt delay
+     * @private
+     */
+    _scheduleReceiptCheck(delayMs = this.receiptDelayMs) {
+        if (this.receiptTimer) return;
+
+        this.receiptTimer = setTimeout(() => {
+            this.receiptTimer = null;
+            this.checkReceipts().catch((error) => {
+                console.error(`Push receipt check failed: ${error.message}`);
+            });
+        }, delayMs);
+
+        // Never keep the process alive just to check receipts
+        if (this.receiptTimer.unref) {
+            this.receiptTimer.unref();
+        }
+    }
+}
+
+// Create a singleton instance
+const pushService = new PushService();
+
+module.exports = pushService;
+module.exports.PushService = PushService;
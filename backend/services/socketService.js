@@ -1,31 +1,276 @@
 const Chat = require("../models/Chat");
+const User = require("../models/User");
+const pushService = require("./pushService");
+const {
+    findChatForParticipant,
+    validateMessagePayload,
+    createMessage,
+    formatMessage,
+    editMessage,
+    deleteMessage,
+    reactToMessage,
+    markMessagesRead,
+} = require("./messageService");
+const {
+    protectSocket,
+    scheduleSocketExpiry,
+    requireActiveSocket,
+} = require("../middleware/auth");
+const {
+    TYPING_LIMITS,
+    MESSAGE_LIMITS,
+    MESSAGE_REACTIONS,
+} = require("../constants/chatConstants");
+const { AppError, BadRequestError } = require("../utils/errors");
 
-// Track users and their socket IDs
-const connectedUsers = new Map();
-const userSockets = new Map();
+// Every socket joins a room named after its user, so events reach all of a
+// user's devices and presence is simply "is that room non-empty"
+const userRoom = (userId) => `user:${userId}`;
+
+// Check whether a user has at least one live socket
+const isUserOnline = (userId) => {
+    const room = global.io?.sockets.adapter.rooms.get(userRoom(userId));
+    return !!room && room.size > 0;
+};
+
+// Emit an event to every active session of a user
+// Returns false when the user has no live socket
+const emitToUser = (userId, event, data) => {
+    if (!isUserOnline(userId)) {
+        return false;
+    }
+
+    global.io.to(userRoom(userId)).emit(event, data);
+    return true;
+};
+
+// Offline delivery - pushes run in the background and never fail the caller
+const sendPush = (description, pushPromise) => {
+    pushPromise.catch((error) => {
+        console.error(`Error sending ${description} push:`, error);
+    });
+};
+
+// Disconnect the sockets opened with the given (revoked) sessions
+const disconnectSessions = async (userId, sessionIds) => {
+    const revoked = sessionIds.map((id) => id.toString());
+    const sockets = await global.io.in(userRoom(userId)).fetchSockets();
+
+    sockets.forEach((socket) => {
+        if (revoked.includes(String(socket.data.sessionId))) {
+            socket.emit("session_revoked");
+            socket.disconnect(true);
+        }
+    });
+};
 
 // Helper function to emit match notifications
 const emitMatchNotification = (userId, matchData) => {
-    const socketId = connectedUsers.get(userId.toString());
-    
-    if (socketId) {
-        console.log(`Emitting match notification to user ${userId} via socket ${socketId}`);
-        global.io.to(socketId).emit('match_created', matchData);
+    if (emitToUser(userId, "match_created", matchData)) {
+        console.log(`Emitting match notification to user ${userId}`);
+    } else {
+        console.log(`User ${userId} is offline, sending match push`);
+        sendPush("match", pushService.sendMatchPush(userId, matchData));
+    }
+};
+
+// Helper function to emit super like notifications
+const emitSuperLikeNotification = (userId, superLikeData) => {
+    if (emitToUser(userId, "super_like_received", superLikeData)) {
+        console.log(`Emitting super like notification to user ${userId}`);
     } else {
-        console.log(`User ${userId} is not connected to receive match notification`);
-        // Could implement offline notifications here
+        console.log(`User ${userId} is offline, sending super like push`);
+        sendPush(
+            "super like",
+            pushService.sendSuperLikePush(userId, superLikeData)
+        );
     }
 };
 
 // Helper function to emit chat removal notifications
 const emitChatRemovalNotification = (userId, chatId) => {
-    const socketId = connectedUsers.get(userId.toString());
-    
-    if (socketId) {
-        console.log(`Emitting chat removal notification to user ${userId} via socket ${socketId}`);
-        global.io.to(socketId).emit('chat_removed', { chatId });
+    if (emitToUser(userId, "chat_removed", { chatId })) {
+        console.log(`Emitting chat removal notification to user ${userId}`);
     } else {
-        console.log(`User ${userId} is not connected to receive chat removal notification`);
+        console.log(`User ${userId} is offline, sending chat removal push`);
+        sendPush(
+            "chat removal",
+            pushService.sendChatRemovedPush(userId, chatId)
+        );
+    }
+};
+
+// Send a playdate change to both owners; the one who didn't make it gets a
+// push when offline
+const emitPlaydateUpdate = (playdate, action, actorId) => {
+    playdate.participants.forEach((userId) => {
+        const delivered = emitToUser(userId, "playdate_updated", { action, playdate });
+
+        if (!delivered && userId.toString() !== actorId.toString()) {
+            console.log(`User ${userId} is offline, sending playdate push`);
+            sendPush("playdate", pushService.sendPlaydatePush(userId, { action, playdate }));
+        }
+    });
+};
+
+// Take closed chats off every participant's devices
+const emitChatsClosed = (chats) => {
+    chats.forEach((chat) => {
+        global.io.socketsLeave(chat._id.toString());
+        chat.participants.forEach((userId) =>
+            emitChatRemovalNotification(userId, chat._id)
+        );
+    });
+};
+
+// Push a message to an offline participant, named after its sender
+const pushNewMessage = async (userId, message) => {
+    const sender = await User.findById(message.sender).select("name");
+    return pushService.sendMessagePush(userId, message, sender?.name);
+};
+
+// Helper function to broadcast a stored message to every chat participant
+const emitNewMessage = (chat, message) => {
+    chat.participants.forEach((participantId) => {
+        const delivered = emitToUser(participantId, "receive_message", {
+            ...formatMessage(message, participantId),
+            senderUserId: message.sender.toString(),
+        });
+
+        // The sender never needs a push for their own message
+        if (!delivered && participantId.toString() !== message.sender.toString()) {
+            console.log(
+                `Participant ${participantId} is offline, sending message push`
+            );
+            sendPush("message", pushNewMessage(participantId, message));
+        }
+    });
+};
+
+// Tell the other participant their messages were seen, and the reader's
+// other devices that the chat is read
+const emitMessagesRead = (chat, readerId, { upTo, readAt }) => {
+    const receipt = {
+        chatId: chat._id.toString(),
+        userId: readerId.toString(),
+        upTo,
+        readAt,
+    };
+
+    chat.participants.forEach((participantId) => {
+        emitToUser(participantId, "messages_read", receipt);
+    });
+};
+
+// Show an edited, reacted to or deleted-for-everyone message to every
+// participant
+const emitMessageUpdated = (chat, message) => {
+    chat.participants.forEach((participantId) => {
+        emitToUser(participantId, "message_updated", formatMessage(message, participantId));
+    });
+};
+
+// Hide a message the user deleted for themselves on their other devices
+const emitMessageDeleted = (userId, chatId, messageId) => {
+    emitToUser(userId, "message_deleted", {
+        chatId: chatId.toString(),
+        messageId: messageId.toString(),
+    });
+};
+
+// Find the users who share an active chat with a user
+const getChatContacts = async (userId) => {
+    const chats = await Chat.find({
+        participants: userId,
+        isActive: true,
+    }).select("participants");
+
+    const contacts = new Set();
+    chats.forEach((chat) => {
+        chat.participants.forEach((participantId) => {
+            if (participantId.toString() !== userId.toString()) {
+                contacts.add(participantId.toString());
+            }
+        });
+    });
+
+    return [...contacts];
+};
+
+// Get online / last seen state for a list of users
+const getPresence = async (userIds) => {
+    const users = await User.find({ _id: { $in: userIds } }).select("lastSeen");
+
+    return users.map((user) => {
+        const online = isUserOnline(user._id);
+        return {
+            userId: user._id.toString(),
+            online,
+            lastSeen: online ? null : user.lastSeen || null,
+        };
+    });
+};
+
+// Tell a user's chat contacts that they came online or went offline
+const broadcastPresence = async (userId, online, lastSeen = null) => {
+    try {
+        const contacts = await getChatContacts(userId);
+        const presence = { userId: userId.toString(), online, lastSeen };
+
+        contacts.forEach((contactId) => {
+            emitToUser(contactId, "presence_update", presence);
+        });
+    } catch (error) {
+        console.error("Error broadcasting presence:", error);
+    }
+};
+
+// Tell the other participants of a joined chat that this socket's user
+// started or stopped typing
+const emitTyping = (socket, chatId, event) => {
+    const participants = socket.data.joinedChats.get(chatId) || [];
+
+    participants
+        .filter((participantId) => participantId !== socket.userId.toString())
+        .forEach((participantId) => {
+            emitToUser(participantId, event, {
+                chatId,
+                userId: socket.userId.toString(),
+            });
+        });
+};
+
+const stopTyping = (socket, chatId) => {
+    const typing = socket.data.typing.get(chatId);
+    if (!typing) return;
+
+    clearTimeout(typing.timer);
+    socket.data.typing.delete(chatId);
+    emitTyping(socket, chatId, "typing_stop");
+};
+
+// Typing is only relayed for chats the socket joined (so participation is
+// already checked). Repeats within THROTTLE_MS only push the expiry back
+const startTyping = (socket, chatId) => {
+    if (!socket.rooms.has(chatId) || !socket.data.joinedChats.has(chatId)) {
+        return;
+    }
+
+    const now = Date.now();
+    const typing = socket.data.typing.get(chatId);
+    const announce = !typing || now - typing.announcedAt >= TYPING_LIMITS.THROTTLE_MS;
+
+    if (typing) {
+        clearTimeout(typing.timer);
+    }
+
+    socket.data.typing.set(chatId, {
+        announcedAt: announce ? now : typing.announcedAt,
+        timer: setTimeout(() => stopTyping(socket, chatId), TYPING_LIMITS.TIMEOUT_MS),
+    });
+
+    if (announce) {
+        emitTyping(socket, chatId, "typing_start");
     }
 };
 
@@ -33,134 +278,281 @@ const setupSocketIO = (io) => {
     // Store io instance globally to use in other functions
     global.io = io;
 
+    // Every connection must present a valid JWT in the handshake
+    io.use(protectSocket);
+
     io.on("connection", (socket) => {
-        console.log("A user connected:", socket.id);
+        console.log(`User ${socket.userId} connected with socket ${socket.id}`);
+
+        // Join the per-user room shared by all of this user's devices
+        socket.join(userRoom(socket.userId));
+
+        // Participants of the chats this socket joined, and its typing state
+        socket.data.joinedChats = new Map();
+        socket.data.typing = new Map();
+
+        // First live session - the user just came online
+        if (io.sockets.adapter.rooms.get(userRoom(socket.userId)).size === 1) {
+            broadcastPresence(socket.userId, true);
+        }
+
+        // Reject events once the token expires and drop the connection
+        socket.use(requireActiveSocket(socket));
+        scheduleSocketExpiry(socket);
+
+        // Only participants may join a chat room. The optional ack tells
+        // the client whether it got in
+        const joinChat = async (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            // Make sure chatId is a string
+            const roomId = typeof data === "object" && data ? data.chatId : data;
+
+            try {
+                const chat = await findChatForParticipant(roomId, socket.userId);
 
-        // Handle user authentication
-        socket.on("authenticate", (data) => {
-            if (data && data.userId) {
-                // Store both mappings for quick lookup
-                connectedUsers.set(data.userId, socket.id);
-                userSockets.set(socket.id, data.userId);
+                if (!chat) {
+                    console.error(
+                        `User ${socket.userId} denied access to chat: ${roomId}`
+                    );
+                    return respond({ success: false });
+                }
 
-                console.log(
-                    `User ${data.userId} authenticated with socket ${socket.id}`
+                socket.join(roomId);
+                socket.data.joinedChats.set(
+                    roomId,
+                    chat.participants.map((participantId) => participantId.toString())
                 );
-                socket.userId = data.userId; // Store userId in socket object for reference
+                console.log(`User ${socket.userId} joined chat: ${roomId}`);
+                respond({ success: true });
+            } catch (error) {
+                console.error("Error joining chat:", error);
+                respond({ success: false });
             }
-        });
+        };
 
         // Join a chat room
-        socket.on("join_chat", (chatId) => {
-            // Make sure chatId is a string
-            const roomId = typeof chatId === "object" ? chatId.chatId : chatId;
-            socket.join(roomId);
-            console.log(
-                `User ${socket.id} (userId: ${
-                    socket.userId || "unknown"
-                }) joined chat: ${roomId}`
-            );
-        });
+        socket.on("join_chat", joinChat);
 
         // Also support the alternate event name format
-        socket.on("join-chat", (data) => {
-            const roomId = typeof data === "object" ? data.chatId : data;
-            socket.join(roomId);
-            console.log(`User ${socket.id} joined chat: ${roomId} (alt format)`);
-        });
+        socket.on("join-chat", joinChat);
 
-        // Send message
-        socket.on("send_message", async (data) => {
-            // Make handler async
-            console.log("Message received from client:", data);
+        // Send message - persisted through the shared message pipeline,
+        // acknowledged to the sender, then broadcast in its stored form
+        socket.on("send_message", async (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
 
-            const senderId =
-                data.senderId || socket.userId || (data.sender && data.sender._id);
-            const chatId = data.chatId;
+            // The sender is always the authenticated user, never the payload
+            const senderId = socket.userId;
+            const chatId = data && data.chatId;
+            const clientId = data && data.clientId;
 
-            if (!chatId || !senderId) {
-                console.error("Missing chatId or senderId in send_message:", data);
-                // Optionally emit an error back to the sender
-                // socket.emit('message_error', { message: 'Missing chat or sender info' });
-                return;
+            if (!chatId) {
+                console.error("Missing chatId in send_message:", data);
+                return respond({
+                    success: false,
+                    clientId,
+                    message: "Chat ID is required",
+                });
+            }
+
+            // Same rules as the REST endpoint, checked before any lookup
+            try {
+                validateMessagePayload(chatId, data);
+            } catch (error) {
+                return respond({
+                    success: false,
+                    clientId,
+                    message: error.message,
+                    code: error.code,
+                });
             }
 
             try {
-                // Find the chat to get participants
-                const chat = await Chat.findById(chatId);
+                const chat = await findChatForParticipant(chatId, senderId);
                 if (!chat) {
-                    console.error(`Chat not found for ID: ${chatId}`);
-                    // socket.emit('message_error', { message: 'Chat room not found' });
-                    return;
+                    console.error(
+                        `Chat ${chatId} not found or user ${senderId} is not a participant`
+                    );
+                    return respond({
+                        success: false,
+                        clientId,
+                        message: "Chat not found or you are not a participant",
+                    });
                 }
 
-                // Prepare the message data to be sent
-                const messageData = {
-                    ...data,
-                    senderSocketId: socket.id,
-                    senderUserId: senderId,
-                    // Ensure sender info is consistent
-                    sender: {
-                        ...(data.sender || {}),
-                        _id: senderId, // Make sure sender ID is present
-                        isCurrentUser: false, // This will be determined by the receiver
-                    },
-                };
-
-                console.log(
-                    "Attempting to broadcast message to participants of chat:",
-                    chatId
-                );
-
-                // Iterate over participants and send to their connected sockets
-                chat.participants.forEach((participantId) => {
-                    const recipientSocketId = connectedUsers.get(
-                        participantId.toString()
-                    );
+                const message = await createMessage(chat, senderId, {
+                    content: data.content,
+                    attachments: data.attachments,
+                    clientId,
+                });
 
-                    // Don't send back to the original sender's socket immediately
-                    // The frontend ChatScreen handles adding the message locally.
-                    // However, if the sender has multiple sessions, they *should* receive it.
-                    // The frontend listener already filters messages where senderId === currentUserId.
-                    // So, we can safely emit to all participants' sockets.
-
-                    if (recipientSocketId) {
-                        console.log(
-                            `Sending message to participant ${participantId} via socket ${recipientSocketId}`
-                        );
-                        // Emit the message directly to the recipient's socket
-                        io.to(recipientSocketId).emit(
-                            "receive_message",
-                            messageData
-                        );
-                    } else {
-                        console.log(
-                            `Participant ${participantId} is not currently connected.`
-                        );
-                        // TODO: Implement offline handling / push notifications here if needed
-                        // This is where you'd trigger a push notification if the user is offline
-                    }
+                respond({
+                    success: true,
+                    clientId,
+                    message: formatMessage(message, senderId),
                 });
+
+                // Sending ends the sender's typing indicator
+                stopTyping(socket, chatId);
+
+                emitNewMessage(chat, message);
             } catch (error) {
                 console.error("Error processing send_message:", error);
-                // socket.emit('message_error', { message: 'Server error processing message' });
+                respond({
+                    success: false,
+                    clientId,
+                    message: "Server error processing message",
+                });
+            }
+        });
+
+        // Mark messages read up to `messageId` (the latest when omitted)
+        socket.on("mark_read", async (data, ack) => {
+            const respond = typeof ack === "function" ? ack : () => {};
+            const chatId = data && data.chatId;
+
+            try {
+                const chat = await findChatForParticipant(chatId, socket.userId);
+                if (!chat) {
+                    return respond({
+                        success: false,
+                        message: "Chat not found or you are not a participant",
+                    });
+                }
+
+                const receipt = await markMessagesRead(chat, socket.userId, data.messageId);
+                if (!receipt) {
+                    return respond({ success: false, message: "Message not found" });
+                }
+
+                respond({ success: true, ...receipt });
+
+                if (receipt.count > 0) {
+                    emitMessagesRead(chat, socket.userId, receipt);
+                }
+            } catch (error) {
+                console.error("Error processing mark_read:", error);
+                respond({ success: false, message: "Server error marking messages read" });
+            }
+        });
+
+        // Run an edit, delete or reaction for a chat participant and ack
+        // the outcome. Refusals carry the same codes as the REST API
+        const onMessageAction = (event, action) => {
+            socket.on(event, async (data, ack) => {
+                const respond = typeof ack === "function" ? ack : () => {};
+
+                try {
+                    const chat = await findChatForParticipant(data && data.chatId, socket.userId);
+                    if (!chat) {
+                        return respond({
+                            success: false,
+                            message: "Chat not found or you are not a participant",
+                        });
+                    }
+
+                    respond({ success: true, ...(await action(chat, data)) });
+                } catch (error) {
+                    if (error instanceof AppError) {
+                        return respond({ success: false, message: error.message, code: error.code });
+                    }
+                    console.error(`Error processing ${event}:`, error);
+                    respond({ success: false, message: "Server error updating message" });
+                }
+            });
+        };
+
+        onMessageAction("edit_message", async (chat, { messageId, content }) => {
+            const text = typeof content === "string" ? content.trim() : "";
+            if (!text || text.length > MESSAGE_LIMITS.MAX_LENGTH) {
+                throw new BadRequestError(
+                    `Messages must be 1 to ${MESSAGE_LIMITS.MAX_LENGTH} characters`
+                );
+            }
+
+            const message = await editMessage(chat, socket.userId, messageId, text);
+            emitMessageUpdated(chat, message);
+            return { message: formatMessage(message, socket.userId) };
+        });
+
+        onMessageAction("delete_message", async (chat, { messageId, forEveryone }) => {
+            const message = await deleteMessage(chat, socket.userId, messageId, {
+                forEveryone: forEveryone === true,
+            });
+
+            if (forEveryone === true) {
+                emitMessageUpdated(chat, message);
+            } else {
+                emitMessageDeleted(socket.userId, chat._id, message._id);
+            }
+            return { messageId: message._id };
+        });
+
+        onMessageAction("react_message", async (chat, { messageId, emoji }) => {
+            if (emoji !== null && !MESSAGE_REACTIONS.includes(emoji)) {
+                throw new BadRequestError(
+                    `Reaction must be one of: ${MESSAGE_REACTIONS.join(" ")}`
+                );
+            }
+
+            const message = await reactToMessage(chat, socket.userId, messageId, emoji);
+            emitMessageUpdated(chat, message);
+            return { message: formatMessage(message, socket.userId) };
+        });
+
+        // Typing indicators, scoped to joined chat rooms
+        socket.on("typing_start", (data) => {
+            if (data && typeof data.chatId === "string") {
+                startTyping(socket, data.chatId);
+            }
+        });
+
+        socket.on("typing_stop", (data) => {
+            if (data && typeof data.chatId === "string") {
+                stopTyping(socket, data.chatId);
+            }
+        });
+
+        // Presence for chat contacts only
+        socket.on("get_presence", async (data, ack) => {
+            if (typeof ack !== "function") return;
+
+            try {
+                const requested = (data && data.userIds) || [];
+                const contacts = await getChatContacts(socket.userId);
+                const allowed = requested.filter((id) =>
+                    contacts.includes(id.toString())
+                );
+
+                ack({ success: true, presence: await getPresence(allowed) });
+            } catch (error) {
+                console.error("Error getting presence:", error);
+                ack({ success: false, message: "Server error getting presence" });
             }
         });
 
         // Disconnect
-        socket.on("disconnect", () => {
+        socket.on("disconnect", async () => {
             console.log("User disconnected:", socket.id);
+            clearTimeout(socket.expiryTimer);
+            [...socket.data.typing.keys()].forEach((chatId) => stopTyping(socket, chatId));
 
-            // Remove user from connected users maps
-            if (socket.userId) {
-                connectedUsers.delete(socket.userId);
+            // Other devices are still connected - the user stays online
+            if (isUserOnline(socket.userId)) {
+                return;
             }
 
-            const userId = userSockets.get(socket.id);
-            if (userId) {
-                userSockets.delete(socket.id);
-                connectedUsers.delete(userId);
+            const lastSeen = new Date();
+
+            try {
+                await User.findByIdAndUpdate(socket.userId, {
+                    $set: { lastSeen },
+                });
+            } catch (error) {
+                console.error("Error updating last seen:", error);
             }
+
+            broadcastPresence(socket.userId, false, lastSeen);
         });
     });
 };
@@ -168,5 +560,16 @@ const setupSocketIO = (io) => {
 module.exports = {
     setupSocketIO,
     emitMatchNotification,
-    emitChatRemovalNotification
+    emitSuperLikeNotification,
+    emitChatRemovalNotification,
+    emitChatsClosed,
+    emitPlaydateUpdate,
+    emitNewMessage,
+    emitMessagesRead,
+    emitMessageUpdated,
+    emitMessageDeleted,
+    emitToUser,
+    isUserOnline,
+    disconnectSessions,
+    getPresence,
 };
\ No newline at end of file
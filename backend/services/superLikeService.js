@@ -0,0 +1,242 @@
+/**
+ * Super Like Service - Daily super like quota per user
+ *
+ * Every user may send SUPER_LIKES_PER_DAY super likes per calendar day in
+ * their own time zone (User.timezone, reported by the app). Usage is kept on
+ * the user as { count, startedAt, resetAt }: the first super like of a day
+ * fixes resetAt at the next local midnight, and the count only starts over
+ * once that instant has passed, so there is no reset job. Because resetAt is
+ * absolute, switching to a zone where it is already tomorrow doesn't hand
+ * out a fresh allowance. Spending is a single conditional update, so two
+ * super likes sent at once can never both take the last one.
+ */
+const dotenv = require("dotenv");
+const User = require("../models/User");
+const { AppError } = require("../utils/errors");
+
+dotenv.config();
+
+const DEFAULT_DAILY_LIMIT = 3;
+const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Super likes each user gets per day
+ * @returns {number}
+ */
+const getDailyLimit = () => {
+    const limit = parseInt(process.env.SUPER_LIKES_PER_DAY, 10);
+    return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_DAILY_LIMIT;
+};
+
+/**
+ * Check that a string names a time zone this runtime knows
+ * @param {string} timezone - IANA name, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== "string" || timezone.length === 0) {
+        return false;
+    }
+
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall clock parts of `date` in `timezone`, as numbers
+const getLocalParts = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+    }).formatToParts(date);
+
+    return parts.reduce((values, part) => {
+        if (part.type !== "literal") {
+            values[part.type] = Number(part.value);
+        }
+        return values;
+    }, {});
+};
+
+// How far `timezone` is ahead of UTC at `date`, in ms
+const getOffset = (date, timezone) => {
+    const local = getLocalParts(date, timezone);
+    const asUtc = Date.UTC(
+        local.year,
+        local.month - 1,
+        local.day,
+        local.hour,
+        local.minute,
+        local.second
+    );
+
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Calendar day of a moment in a time zone
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA time zone
+ * @returns {string} - YYYY-MM-DD
+ */
+const getLocalDay = (date, timezone) => {
+    const { year, month, day } = getLocalParts(date, timezone);
+    const pad = (value) => String(value).padStart(2, "0");
+
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * The next local midnight after a moment, when the quota resets
+ * @param {Date} date - The moment
+ * @param {string} timezone - IANA time zone
+ * @returns {Date}
+ */
+const getNextLocalMidnight = (date, timezone) => {
+    const { year, month, day } = getLocalParts(date, timezone);
+    const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+
+    // Correct with the offset at the result, so days that start or end a
+    // daylight saving period still reset at local midnight
+    const guess = new Date(midnightAsUtc - getOffset(new Date(midnightAsUtc), timezone));
+    return new Date(midnightAsUtc - getOffset(guess, timezone));
+};
+
+const resolveTimezone = (user) =>
+    isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+
+// Whether a stored usage window is still running at `now`
+const isCurrentWindow = (usage, now) =>
+    Boolean(usage && usage.resetAt && new Date(usage.resetAt) > now);
+
+/**
+ * Describe a user's quota for today
+ * @param {Object} user - User document (needs timezone and superLikeUsage)
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { limit, used, remaining, resetAt }
+ */
+const getQuota = (user, now = new Date()) => {
+    const timezone = resolveTimezone(user);
+    const limit = getDailyLimit();
+    const usage = user.superLikeUsage;
+
+    if (!isCurrentWindow(usage, now)) {
+        return {
+            limit,
+            used: 0,
+            remaining: limit,
+            resetAt: getNextLocalMidnight(now, timezone),
+        };
+    }
+
+    const used = usage.count || 0;
+    return {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetAt: new Date(usage.resetAt),
+    };
+};
+
+/**
+ * Spend one super like from today's quota
+ * @param {Object} user - User document (needs _id and timezone)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - The quota after spending
+ * @throws {AppError} - 429 SUPER_LIKE_QUOTA_EXCEEDED when none are left
+ */
+const consumeSuperLike = async (user, now = new Date()) => {
+    const timezone = resolveTimezone(user);
+    const limit = getDailyLimit();
+    const inWindow = { $gt: ["$superLikeUsage.resetAt", now] };
+
+    const updated = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            $or: [
+                { "superLikeUsage.resetAt": { $not: { $gt: now } } },
+                { "superLikeUsage.count": { $lt: limit } },
+            ],
+        },
+        [
+            {
+                $set: {
+                    superLikeUsage: {
+                        $cond: [
+                            inWindow,
+                            {
+                                count: { $add: [{ $ifNull: ["$superLikeUsage.count", 0] }, 1] },
+                                startedAt: "$superLikeUsage.startedAt",
+                                resetAt: "$superLikeUsage.resetAt",
+                            },
+                            {
+                                count: 1,
+                                startedAt: now,
+                                resetAt: getNextLocalMidnight(now, timezone),
+                            },
+                        ],
+                    },
+                },
+            },
+        ],
+        { new: true }
+    ).select("timezone superLikeUsage");
+
+    if (!updated) {
+        const current = await User.findById(user._id).select("timezone superLikeUsage");
+        const quota = getQuota(current || { timezone }, now);
+
+        throw new AppError("You have used all of today's super likes", {
+            statusCode: 429,
+            code: "SUPER_LIKE_QUOTA_EXCEEDED",
+            errors: [
+                {
+                    field: "superLike",
+                    location: "body",
+                    message: `Super likes reset at ${quota.resetAt.toISOString()}`,
+                },
+            ],
+        });
+    }
+
+    return getQuota(updated, now);
+};
+
+/**
+ * Give back a super like spent today, e.g. when it is rewound
+ * @param {Object} user - User document (needs _id)
+ * @param {Date} spentAt - When the super like was sent
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ */
+const refundSuperLike = async (user, spentAt, now = new Date()) => {
+    // Super likes from an earlier window are gone with that window's quota
+    await User.updateOne(
+        {
+            _id: user._id,
+            "superLikeUsage.startedAt": { $lte: spentAt },
+            "superLikeUsage.resetAt": { $gt: now },
+            "superLikeUsage.count": { $gt: 0 },
+        },
+        { $inc: { "superLikeUsage.count": -1 } }
+    );
+};
+
+module.exports = {
+    getDailyLimit,
+    isValidTimezone,
+    getLocalDay,
+    getNextLocalMidnight,
+    getQuota,
+    consumeSuperLike,
+    refundSuperLike,
+};
@@ -0,0 +1,188 @@
+const request = require("supertest");
+const app = require("../app");
+const Pet = require("../models/Pet");
+const Report = require("../models/Report");
+const {
+    DEFAULT_PASSWORD,
+    authenticate,
+    createOwner,
+    createUser,
+} = require("./helpers/factories");
+
+const createStaff = async (role) => {
+    const user = await createUser({ role });
+    const { token } = await authenticate(user);
+    return { user, token };
+};
+
+const asUser = (req, { token }) => req.set("Authorization", `Bearer ${token}`);
+
+describe("admin access", () => {
+    it("is limited to moderators and admins", async () => {
+        const owner = await createOwner();
+        const moderator = await createStaff("moderator");
+
+        const res = await asUser(request(app).get("/api/admin/users"), owner).expect(403);
+        expect(res.body.code).toBe("INSUFFICIENT_ROLE");
+
+        await asUser(request(app).get("/api/admin/users"), moderator).expect(200);
+        await request(app).get("/api/admin/users").expect(401);
+    });
+
+    it("lets only admins change roles", async () => {
+        const owner = await createOwner();
+        const moderator = await createStaff("moderator");
+        const admin = await createStaff("admin");
+
+        await asUser(
+            request(app).patch(`/api/admin/users/${owner.user._id}/role`),
+            moderator
+        )
+            .send({ role: "moderator" })
+            .expect(403);
+
+        const res = await asUser(
+            request(app).patch(`/api/admin/users/${owner.user._id}/role`),
+            admin
+        )
+            .send({ role: "moderator" })
+            .expect(200);
+        expect(res.body.user.role).toBe("moderator");
+    });
+});
+
+describe("admin users and pets", () => {
+    let moderator;
+
+    beforeEach(async () => {
+        moderator = await createStaff("moderator");
+    });
+
+    it("searches users by name or email", async () => {
+        const match = await createOwner({ name: "Priya (Dog Mom)" });
+        await createOwner({ name: "Someone Else" });
+
+        const res = await asUser(request(app).get("/api/admin/users"), moderator)
+            .query({ search: "(dog" })
+            .expect(200);
+
+        expect(res.body.total).toBe(1);
+        expect(res.body.users[0]._id).toBe(match.user._id.toString());
+    });
+
+    it("suspends a user until the suspension is lifted", async () => {
+        const owner = await createOwner();
+
+        await asUser(request(app).post(`/api/admin/users/${owner.user._id}/suspend`), moderator)
+            .send({ reason: "Repeated harassment" })
+            .expect(200);
+
+        const rejected = await asUser(request(app).get("/api/auth/me"), owner).expect(401);
+        expect(rejected.body.code).toBe("TOKEN_INVALID");
+
+        const login = await request(app)
+            .post("/api/auth/login")
+            .send({ email: owner.user.email, password: DEFAULT_PASSWORD })
+            .expect(403);
+        expect(login.body.code).toBe("ACCOUNT_SUSPENDED");
+
+        const suspended = await asUser(request(app).get("/api/admin/users"), moderator)
+            .query({ suspended: true })
+            .expect(200);
+        expect(suspended.body.users.map((user) => user._id)).toEqual([
+            owner.user._id.toString(),
+        ]);
+
+        await asUser(request(app).post(`/api/admin/users/${owner.user._id}/unsuspend`), moderator)
+            .expect(200);
+        await request(app)
+            .post("/api/auth/login")
+            .send({ email: owner.user.email, password: DEFAULT_PASSWORD })
+            .expect(200);
+    });
+
+    it("rejects tokens of a suspended user that were issued before", async () => {
+        const owner = await createOwner();
+        await owner.user.updateOne({
+            suspension: { suspendedAt: new Date(), reason: "Spam" },
+        });
+
+        const res = await asUser(request(app).get("/api/auth/me"), owner).expect(403);
+        expect(res.body.code).toBe("ACCOUNT_SUSPENDED");
+    });
+
+    it("does not let moderators suspend staff", async () => {
+        const other = await createStaff("moderator");
+
+        await asUser(request(app).post(`/api/admin/users/${other.user._id}/suspend`), moderator)
+            .send({ reason: "Testing" })
+            .expect(403);
+    });
+
+    it("removes a photo from a pet", async () => {
+        const owner = await createOwner(
+            {},
+            { photos: ["https://img.test/a.jpg", "https://img.test/b.jpg"] }
+        );
+
+        const res = await asUser(
+            request(app).delete(`/api/admin/pets/${owner.pet._id}/photos`),
+            moderator
+        )
+            .send({ photo: "https://img.test/a.jpg" })
+            .expect(200);
+
+        expect(res.body.pet.photos).toEqual(["https://img.test/b.jpg"]);
+        expect((await Pet.findById(owner.pet._id)).photos).toEqual(["https://img.test/b.jpg"]);
+
+        await asUser(request(app).delete(`/api/admin/pets/${owner.pet._id}/photos`), moderator)
+            .send({ photo: "https://img.test/a.jpg" })
+            .expect(404);
+    });
+});
+
+describe("admin reports and stats", () => {
+    let moderator;
+
+    beforeEach(async () => {
+        moderator = await createStaff("moderator");
+    });
+
+    it("reviews each pending report once", async () => {
+        const reporter = await createOwner();
+        const reported = await createOwner();
+        const report = await Report.create({
+            reporter: reporter.user._id,
+            reportedUser: reported.user._id,
+            reason: "spam",
+        });
+
+        const queue = await asUser(request(app).get("/api/admin/reports"), moderator).expect(200);
+        expect(queue.body.reports.map((item) => item._id)).toEqual([report._id.toString()]);
+
+        const res = await asUser(request(app).patch(`/api/admin/reports/${report._id}`), moderator)
+            .send({ status: "resolved", resolutionNote: "Warned the user" })
+            .expect(200);
+        expect(res.body.report).toMatchObject({
+            status: "resolved",
+            reviewedBy: moderator.user._id.toString(),
+        });
+
+        const again = await asUser(request(app).patch(`/api/admin/reports/${report._id}`), moderator)
+            .send({ status: "dismissed" })
+            .expect(409);
+        expect(again.body.code).toBe("REPORT_ALREADY_REVIEWED");
+    });
+
+    it("counts today's signups", async () => {
+        await createOwner();
+
+        const res = await asUser(request(app).get("/api/admin/stats"), moderator)
+            .query({ days: 7 })
+            .expect(200);
+
+        expect(res.body.daily).toHaveLength(7);
+        expect(res.body.daily[6].signups).toBe(2);
+        expect(res.body.totals).toMatchObject({ users: 2, pets: 1 });
+    });
+});
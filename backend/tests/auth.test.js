@@ -0,0 +1,289 @@
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const mailService = require("../services/mailService");
+const {
+    DEFAULT_PASSWORD,
+    createUser,
+    authenticate,
+} = require("./helpers/factories");
+const { useTestGoogleKeys, signGoogleToken } = require("./helpers/google");
+
+// Pull the raw code out of a captured email
+const codeFromMail = (mail) => mail.text.match(/code to [\w ]+: (\w+)/)[1];
+
+describe("POST /api/auth/register", () => {
+    it("creates the user, starts a session and sends a verification email", async () => {
+        const res = await request(app)
+            .post("/api/auth/register")
+            .send({ name: "Asha", email: "Asha@Example.com", password: "secret12" })
+            .expect(201);
+
+        expect(res.body.success).toBe(true);
+        expect(res.body.token).toEqual(expect.any(String));
+        expect(res.body.refreshToken).toEqual(expect.any(String));
+        expect(res.body.user).toMatchObject({
+            email: "asha@example.com",
+            emailVerified: false,
+        });
+
+        const user = await User.findOne({ email: "asha@example.com" });
+        expect(user.password).not.toBe("secret12");
+        expect(await Session.countDocuments({ user: user._id })).toBe(1);
+        expect(global.outbox).toHaveLength(1);
+        expect(global.outbox[0].to).toBe("asha@example.com");
+    });
+
+    it("rejects an email that is already registered", async () => {
+        await createUser({ email: "taken@example.com" });
+
+        const res = await request(app)
+            .post("/api/auth/register")
+            .send({ name: "Asha", email: "taken@example.com", password: "secret12" })
+            .expect(409);
+
+        expect(res.body).toMatchObject({ code: "CONFLICT", errorType: "email" });
+    });
+
+    it("reports invalid fields with a 422", async () => {
+        const res = await request(app)
+            .post("/api/auth/register")
+            .send({ name: "", email: "not-an-email", password: "123" })
+            .expect(422);
+
+        expect(res.body.code).toBe("VALIDATION_ERROR");
+        expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+            "email",
+            "name",
+            "password",
+        ]);
+    });
+});
+
+describe("POST /api/auth/login", () => {
+    it("returns tokens for valid credentials", async () => {
+        const user = await createUser();
+
+        const res = await request(app)
+            .post("/api/auth/login")
+            .send({ email: user.email, password: DEFAULT_PASSWORD })
+            .expect(200);
+
+        expect(res.body.user.id).toBe(user._id.toString());
+        expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it("tells the client which field was wrong", async () => {
+        const user = await createUser();
+
+        const wrongPassword = await request(app)
+            .post("/api/auth/login")
+            .send({ email: user.email, password: "wrong-password" })
+            .expect(401);
+        expect(wrongPassword.body.errorType).toBe("password");
+
+        const unknownEmail = await request(app)
+            .post("/api/auth/login")
+            .send({ email: "nobody@example.com", password: DEFAULT_PASSWORD })
+            .expect(404);
+        expect(unknownEmail.body.errorType).toBe("email");
+    });
+});
+
+describe("GET /api/auth/me", () => {
+    it("returns the current user without the password", async () => {
+        const user = await createUser();
+        const { token } = await authenticate(user);
+
+        const res = await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(res.body.user.email).toBe(user.email);
+        expect(res.body.user.password).toBeUndefined();
+    });
+
+    it("requires a token", async () => {
+        const res = await request(app).get("/api/auth/me").expect(401);
+        expect(res.body.code).toBe("TOKEN_MISSING");
+    });
+});
+
+describe("refresh tokens", () => {
+    it("rotates the refresh token", async () => {
+        const user = await createUser();
+        const { refreshToken } = await authenticate(user);
+
+        const res = await request(app)
+            .post("/api/auth/refresh")
+            .send({ refreshToken })
+            .expect(200);
+
+        expect(res.body.refreshToken).not.toBe(refreshToken);
+        expect(res.body.token).toEqual(expect.any(String));
+    });
+
+    it("revokes the session when an old refresh token is replayed", async () => {
+        const user = await createUser();
+        const { refreshToken, session } = await authenticate(user);
+
+        await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(200);
+        await request(app).post("/api/auth/refresh").send({ refreshToken }).expect(401);
+
+        const revoked = await Session.findById(session._id);
+        expect(revoked.revokedAt).toBeInstanceOf(Date);
+    });
+
+    it("stops accepting the access token after logout", async () => {
+        const user = await createUser();
+        const { token } = await authenticate(user);
+
+        await request(app)
+            .post("/api/auth/logout")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(401);
+    });
+});
+
+describe("password reset", () => {
+    it("resets the password with the emailed code and signs out everywhere", async () => {
+        const user = await createUser();
+        const { token } = await authenticate(user);
+
+        await request(app)
+            .post("/api/auth/forgot-password")
+            .send({ email: user.email })
+            .expect(200);
+        expect(global.outbox).toHaveLength(1);
+
+        await request(app)
+            .post("/api/auth/reset-password")
+            .send({ token: codeFromMail(global.outbox[0]), password: "new-secret" })
+            .expect(200);
+
+        await request(app)
+            .post("/api/auth/login")
+            .send({ email: user.email, password: "new-secret" })
+            .expect(200);
+        await request(app)
+            .get("/api/auth/me")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(401);
+    });
+
+    it("does not reveal whether an email is registered", async () => {
+        const res = await request(app)
+            .post("/api/auth/forgot-password")
+            .send({ email: "nobody@example.com" })
+            .expect(200);
+
+        expect(res.body.success).toBe(true);
+        expect(global.outbox).toHaveLength(0);
+    });
+
+    it("answers the same when the reset email can't be sent", async () => {
+        const user = await createUser();
+        const send = jest
+            .spyOn(mailService, "sendPasswordResetEmail")
+            .mockRejectedValueOnce(new Error("SMTP down"));
+        const logError = jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const res = await request(app)
+            .post("/api/auth/forgot-password")
+            .send({ email: user.email })
+            .expect(200);
+
+        expect(res.body.message).toBe(
+            "If an account exists for that email, a reset code has been sent"
+        );
+        const stored = await User.findById(user._id).select("+passwordResetTokenHash");
+        expect(stored.passwordResetTokenHash).toBeUndefined();
+        expect(logError).toHaveBeenCalled();
+
+        send.mockRestore();
+        logError.mockRestore();
+    });
+});
+
+describe("Google sign-in", () => {
+    beforeAll(useTestGoogleKeys);
+
+    const googleLogin = (claims) =>
+        request(app)
+            .post("/api/auth/google/token")
+            .send({ idToken: signGoogleToken(claims) });
+
+    it("creates a verified account from a valid token", async () => {
+        const res = await googleLogin().expect(200);
+
+        expect(res.body.token).toEqual(expect.any(String));
+        const user = await User.findById(res.body.user.id);
+        expect(user).toMatchObject({
+            email: "walker@example.com",
+            googleId: "google-user-1",
+            emailVerified: true,
+        });
+    });
+
+    it("rejects tokens for another audience or issuer", async () => {
+        await googleLogin({ aud: "someone-else" }).expect(401);
+        await googleLogin({ iss: "https://evil.example" }).expect(401);
+        expect(await User.countDocuments()).toBe(0);
+    });
+
+    it("never links an address that isn't verified on both sides", async () => {
+        const verified = await createUser({ email: "walker@example.com", emailVerified: true });
+
+        const unverifiedGoogle = await googleLogin({ email_verified: false }).expect(401);
+        expect(unverifiedGoogle.body.errorType).toBe("email");
+
+        await verified.updateOne({ emailVerified: false });
+        const unverifiedLocal = await googleLogin().expect(409);
+        expect(unverifiedLocal.body.errorType).toBe("account_exists");
+
+        expect((await User.findById(verified._id)).googleId).toBeUndefined();
+    });
+
+    it("links to a verified account with the same address", async () => {
+        const user = await createUser({ email: "walker@example.com", emailVerified: true });
+
+        const res = await googleLogin().expect(200);
+
+        expect(res.body.user.id).toBe(user._id.toString());
+        expect((await User.findById(user._id)).googleId).toBe("google-user-1");
+    });
+
+    it("links and unlinks Google from the signed-in account", async () => {
+        const user = await createUser();
+        const { token } = await authenticate(user);
+        const asUser = (req) => req.set("Authorization", `Bearer ${token}`);
+
+        await asUser(request(app).post("/api/auth/google/link"))
+            .send({ idToken: signGoogleToken({ sub: "google-user-2", email: user.email }) })
+            .expect(200);
+        const linked = await User.findById(user._id);
+        expect(linked).toMatchObject({ googleId: "google-user-2", emailVerified: true });
+
+        const login = await googleLogin({ sub: "google-user-2" }).expect(200);
+        expect(login.body.user.id).toBe(user._id.toString());
+
+        // Another account can't take the same Google identity
+        const other = await authenticate(await createUser());
+        await request(app)
+            .post("/api/auth/google/link")
+            .set("Authorization", `Bearer ${other.token}`)
+            .send({ idToken: signGoogleToken({ sub: "google-user-2" }) })
+            .expect(409);
+
+        await asUser(request(app).delete("/api/auth/google/link")).expect(200);
+        expect((await User.findById(user._id)).googleId).toBeUndefined();
+        await asUser(request(app).delete("/api/auth/google/link")).expect(400);
+    });
+});
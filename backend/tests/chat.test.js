@@ -0,0 +1,586 @@
+const request = require("supertest");
+const app = require("../app");
+const Message = require("../models/Message");
+const Chat = require("../models/Chat");
+const imageService = require("../services/imageService");
+const { createOwner, createMatchWithChat } = require("./helpers/factories");
+
+describe("chat access control", () => {
+    let alice;
+    let bob;
+    let mallory;
+    let match;
+    let chat;
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        mallory = await createOwner();
+        ({ match, chat } = await createMatchWithChat(alice.pet, bob.pet));
+    });
+
+    it("lists the chat for both participants only", async () => {
+        const aliceChats = await request(app)
+            .get("/api/chats")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(aliceChats.body.chats.map((c) => c._id)).toContain(chat._id.toString());
+
+        const malloryChats = await request(app)
+            .get("/api/chats")
+            .set("Authorization", `Bearer ${mallory.token}`)
+            .expect(200);
+        expect(malloryChats.body.chats).toHaveLength(0);
+    });
+
+    it("hides a chat from non-participants", async () => {
+        await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+
+        await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${mallory.token}`)
+            .expect(404);
+    });
+
+    it("only lets participants send messages", async () => {
+        const res = await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ content: "Park at 5?", clientId: "temp-1" })
+            .expect(201);
+
+        expect(res.body.message).toMatchObject({ content: "Park at 5?", clientId: "temp-1" });
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${mallory.token}`)
+            .send({ content: "Let me in" })
+            .expect(404);
+
+        expect(await Message.countDocuments({ chat: chat._id })).toBe(1);
+        const stored = await Chat.findById(chat._id);
+        expect(stored.lastMessage.toString()).toBe(res.body.message._id);
+    });
+
+    it("stores a retried message only once", async () => {
+        const send = () =>
+            request(app)
+                .post(`/api/chats/${chat._id}/messages`)
+                .set("Authorization", `Bearer ${alice.token}`)
+                .send({ content: "Hello", clientId: "temp-2" })
+                .expect(201);
+
+        const first = await send();
+        const second = await send();
+
+        expect(second.body.message._id).toBe(first.body.message._id);
+        expect(await Message.countDocuments({ chat: chat._id })).toBe(1);
+    });
+
+    it("stores concurrent retries only once", async () => {
+        await Message.init();
+
+        const send = () =>
+            request(app)
+                .post(`/api/chats/${chat._id}/messages`)
+                .set("Authorization", `Bearer ${alice.token}`)
+                .send({ content: "Hello", clientId: "temp-3" })
+                .expect(201);
+
+        const responses = await Promise.all([send(), send(), send()]);
+
+        const ids = new Set(responses.map((res) => res.body.message._id));
+        expect(ids.size).toBe(1);
+        expect(await Message.countDocuments({ chat: chat._id })).toBe(1);
+    });
+
+    it("refuses empty messages", async () => {
+        await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ content: "   " })
+            .expect(400);
+    });
+
+    it("does not hand a match's chat to outsiders", async () => {
+        await request(app)
+            .post("/api/chats/for-match")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ matchId: match._id.toString() })
+            .expect(200);
+
+        await request(app)
+            .post("/api/chats/for-match")
+            .set("Authorization", `Bearer ${mallory.token}`)
+            .send({ matchId: match._id.toString() })
+            .expect(403);
+    });
+
+    it("opens a match's chat with the same messages as the chat itself", async () => {
+        const send = (content) =>
+            request(app)
+                .post(`/api/chats/${chat._id}/messages`)
+                .set("Authorization", `Bearer ${alice.token}`)
+                .send({ content })
+                .expect(201);
+        const hidden = await send("Ignore this one");
+        await send("Park at 5?");
+        await Message.updateOne(
+            { _id: hidden.body.message._id },
+            { $addToSet: { deletedFor: bob.user._id } }
+        );
+
+        const forMatch = await request(app)
+            .post("/api/chats/for-match")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ matchId: match._id.toString() })
+            .expect(200);
+        const byId = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+
+        expect(forMatch.body.messages.map((message) => message.content)).toEqual(["Park at 5?"]);
+        expect(forMatch.body.messages).toEqual(byId.body.messages);
+    });
+});
+
+describe("read receipts", () => {
+    let alice;
+    let bob;
+    let chat;
+
+    const send = (owner, content) =>
+        request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${owner.token}`)
+            .send({ content })
+            .expect(201);
+
+    const unread = async (owner) => {
+        const res = await request(app)
+            .get("/api/chats/unread")
+            .set("Authorization", `Bearer ${owner.token}`)
+            .expect(200);
+        return res.body;
+    };
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ chat } = await createMatchWithChat(alice.pet, bob.pet));
+    });
+
+    it("keeps messages unread until they are marked read", async () => {
+        await send(alice, "Hi!");
+        const second = await send(alice, "Park at 5?");
+        await send(alice, "Or 6?");
+
+        // Opening the chat alone doesn't count as reading it
+        await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(await unread(bob)).toEqual({
+            success: true,
+            total: 3,
+            chats: { [chat._id.toString()]: 3 },
+        });
+        expect((await unread(alice)).total).toBe(0);
+
+        const res = await request(app)
+            .post(`/api/chats/${chat._id}/read`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ messageId: second.body.message._id })
+            .expect(200);
+        expect(res.body.count).toBe(2);
+        expect((await unread(bob)).total).toBe(1);
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/read`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect((await unread(bob)).total).toBe(0);
+    });
+
+    it("shows the sender which messages were seen", async () => {
+        const first = await send(alice, "Hi!");
+        await send(alice, "Park at 5?");
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/read`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ messageId: first.body.message._id })
+            .expect(200);
+
+        const res = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(res.body.messages.map((message) => message.seen)).toEqual([true, false]);
+    });
+
+    it("only accepts messages from the same chat", async () => {
+        const carol = await createOwner();
+        const other = await createMatchWithChat(alice.pet, carol.pet);
+        const message = await Message.create({
+            chat: other.chat._id,
+            sender: carol.user._id,
+            content: "Elsewhere",
+        });
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/read`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ messageId: message._id.toString() })
+            .expect(404);
+
+        await request(app)
+            .post(`/api/chats/${other.chat._id}/read`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(404);
+    });
+});
+
+describe("chat attachments", () => {
+    let alice;
+    let bob;
+    let chat;
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ chat } = await createMatchWithChat(alice.pet, bob.pet));
+        jest.spyOn(imageService, "uploadImage").mockResolvedValue({
+            success: true,
+            url: photoUrl(chat._id),
+            publicId: `chat_attachments/${chat._id}/photo`,
+        });
+    });
+
+    // Where the test Cloudinary account serves a chat's uploads
+    const photoUrl = (chatId) =>
+        `https://res.cloudinary.com/boopsnoot-test/image/upload/v1700000000/chat_attachments/${chatId}/photo.jpg`;
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("uploads photos for participants only", async () => {
+        const res = await request(app)
+            .post(`/api/chats/${chat._id}/attachments`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .attach("image", Buffer.from("photo"), "photo.jpg")
+            .expect(201);
+
+        expect(res.body.imageUrl).toBe(photoUrl(chat._id));
+        expect(imageService.uploadImage).toHaveBeenCalledWith(
+            expect.objectContaining({ originalname: "photo.jpg" }),
+            { folder: `chat_attachments/${chat._id}` }
+        );
+
+        const mallory = await createOwner();
+        await request(app)
+            .post(`/api/chats/${chat._id}/attachments`)
+            .set("Authorization", `Bearer ${mallory.token}`)
+            .attach("image", Buffer.from("photo"), "photo.jpg")
+            .expect(404);
+        expect(imageService.uploadImage).toHaveBeenCalledTimes(1);
+    });
+
+    it("sends a photo without text", async () => {
+        const res = await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ attachments: [photoUrl(chat._id)] })
+            .expect(201);
+        expect(res.body.message.attachments).toEqual([photoUrl(chat._id)]);
+
+        const chats = await request(app)
+            .get("/api/chats")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(chats.body.chats[0].lastMessage.attachments).toEqual([photoUrl(chat._id)]);
+    });
+
+    it("refuses too many or non-web attachments", async () => {
+        await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ attachments: Array(5).fill(photoUrl(chat._id)) })
+            .expect(422);
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ attachments: ["file:///tmp/photo.jpg"] })
+            .expect(422);
+    });
+
+    it("only accepts photos uploaded to the same chat", async () => {
+        const { chat: otherChat } = await createMatchWithChat(
+            alice.pet,
+            (await createOwner()).pet
+        );
+
+        for (const url of [
+            "https://tracker.example/photo.jpg",
+            photoUrl(otherChat._id),
+            photoUrl(chat._id).replace("boopsnoot-test", "someone-else"),
+        ]) {
+            const res = await request(app)
+                .post(`/api/chats/${chat._id}/messages`)
+                .set("Authorization", `Bearer ${alice.token}`)
+                .send({ attachments: [url] })
+                .expect(400);
+            expect(res.body.code).toBe("INVALID_ATTACHMENTS");
+        }
+    });
+});
+
+describe("editing, deleting and reacting to messages", () => {
+    let alice;
+    let bob;
+    let chat;
+    let message;
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ chat } = await createMatchWithChat(alice.pet, bob.pet));
+        message = await Message.create({
+            chat: chat._id,
+            sender: alice.user._id,
+            content: "See you at 5",
+        });
+    });
+
+    const messageUrl = () => `/api/chats/${chat._id}/messages/${message._id}`;
+
+    it("lets the sender edit a message within the edit window", async () => {
+        const res = await request(app)
+            .patch(messageUrl())
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ content: "See you at 6" })
+            .expect(200);
+        expect(res.body.message).toMatchObject({ content: "See you at 6", edited: true });
+
+        await request(app)
+            .patch(messageUrl())
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ content: "Not mine" })
+            .expect(403);
+
+        // Straight to the collection, past Mongoose's timestamp handling
+        await Message.collection.updateOne(
+            { _id: message._id },
+            { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } }
+        );
+        const late = await request(app)
+            .patch(messageUrl())
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ content: "See you at 7" })
+            .expect(409);
+        expect(late.body.code).toBe("EDIT_WINDOW_CLOSED");
+    });
+
+    it("hides a message deleted for one user from them only", async () => {
+        await request(app)
+            .delete(messageUrl())
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+
+        const bobChat = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(bobChat.body.messages).toHaveLength(0);
+
+        const unread = await request(app)
+            .get("/api/chats/unread")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(unread.body.total).toBe(0);
+
+        const aliceChat = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(aliceChat.body.messages).toHaveLength(1);
+    });
+
+    it("leaves a tombstone when the sender deletes for everyone", async () => {
+        await request(app)
+            .delete(messageUrl())
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ forEveryone: true })
+            .expect(403);
+
+        await request(app)
+            .delete(messageUrl())
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ forEveryone: true })
+            .expect(200);
+
+        const res = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(res.body.messages[0]).toMatchObject({ deleted: true, content: "" });
+        expect(res.body.chat.unreadCount).toBe(0);
+
+        const list = await request(app)
+            .get("/api/chats")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(list.body.chats[0].lastMessage).toMatchObject({ deleted: true, unreadCount: 0 });
+
+        const unread = await request(app)
+            .get("/api/chats/unread")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(unread.body.total).toBe(0);
+
+        const edit = await request(app)
+            .patch(messageUrl())
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ content: "Back again" })
+            .expect(409);
+        expect(edit.body.code).toBe("MESSAGE_DELETED");
+    });
+
+    it("keeps one reaction per user", async () => {
+        await request(app)
+            .put(`${messageUrl()}/reaction`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ emoji: "❤️" })
+            .expect(200);
+
+        const res = await request(app)
+            .put(`${messageUrl()}/reaction`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ emoji: "🐾" })
+            .expect(200);
+        expect(res.body.message.reactions).toEqual([
+            { userId: bob.user._id.toString(), emoji: "🐾" },
+        ]);
+
+        const removed = await request(app)
+            .delete(`${messageUrl()}/reaction`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(removed.body.message.reactions).toEqual([]);
+    });
+});
+
+describe("message search", () => {
+    let alice;
+    let bob;
+    let chat;
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ chat } = await createMatchWithChat(alice.pet, bob.pet));
+    });
+
+    // Messages a minute apart, oldest first
+    const createMessages = async (contents) => {
+        const start = Date.now() - contents.length * 60 * 1000;
+        const messages = [];
+
+        for (const [index, content] of contents.entries()) {
+            const message = await Message.create({
+                chat: chat._id,
+                sender: alice.user._id,
+                content,
+            });
+            // Straight to the collection, past Mongoose's timestamp handling
+            await Message.collection.updateOne(
+                { _id: message._id },
+                { $set: { createdAt: new Date(start + index * 60 * 1000) } }
+            );
+            messages.push(message);
+        }
+
+        return messages;
+    };
+
+    const search = (owner, q) =>
+        request(app)
+            .get("/api/chats/search")
+            .query({ q })
+            .set("Authorization", `Bearer ${owner.token}`);
+
+    it("finds messages in the user's own chats with pet context", async () => {
+        const [message] = await createMessages(["Meet at the dog park?", "Sounds good"]);
+
+        const outsider = await createOwner();
+        const other = await createOwner();
+        const { chat: otherChat } = await createMatchWithChat(outsider.pet, other.pet);
+        await Message.create({
+            chat: otherChat._id,
+            sender: outsider.user._id,
+            content: "Which park do you like?",
+        });
+
+        const res = await search(bob, "park").expect(200);
+        expect(res.body.count).toBe(1);
+        expect(res.body.results[0]).toMatchObject({
+            _id: message._id.toString(),
+            chatId: chat._id.toString(),
+            snippet: "Meet at the dog park?",
+            sender: { isCurrentUser: false },
+            myPet: { _id: bob.pet._id.toString() },
+            otherPet: { _id: alice.pet._id.toString(), name: alice.pet.name },
+        });
+
+        await search(bob, "p").expect(422);
+    });
+
+    it("leaves out deleted messages", async () => {
+        const [forBob, forEveryone] = await createMessages([
+            "Bring the frisbee",
+            "Bring treats too",
+        ]);
+        await forBob.updateOne({ $addToSet: { deletedFor: bob.user._id } });
+        await forEveryone.updateOne({ $set: { deletedAt: new Date() } });
+
+        const bobRes = await search(bob, "bring").expect(200);
+        expect(bobRes.body.results).toEqual([]);
+
+        const aliceRes = await search(alice, "bring").expect(200);
+        expect(aliceRes.body.results.map((result) => result._id)).toEqual([
+            forBob._id.toString(),
+        ]);
+    });
+
+    it("loads the messages around a search result", async () => {
+        const messages = await createMessages(["one", "two", "three", "four", "five", "six"]);
+
+        const res = await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .query({ around: messages[3]._id.toString(), limit: 4 })
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+        expect(res.body.messages.map((message) => message.content)).toEqual([
+            "two",
+            "three",
+            "four",
+            "five",
+        ]);
+
+        const { chat: otherChat } = await createMatchWithChat(
+            (await createOwner()).pet,
+            bob.pet
+        );
+        await request(app)
+            .get(`/api/chats/${otherChat._id}`)
+            .query({ around: messages[3]._id.toString() })
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(404);
+    });
+});
@@ -0,0 +1,311 @@
+const request = require("supertest");
+const app = require("../app");
+const Pet = require("../models/Pet");
+const { createOwner } = require("./helpers/factories");
+
+// Points roughly 1km apart heading east from central Delhi
+const DELHI = [77.2, 28.6];
+const locationAt = (km) => ({
+    type: "Point",
+    coordinates: [DELHI[0] + km * 0.0102, DELHI[1]],
+});
+
+const like = (from, to, isLiked = true) =>
+    request(app)
+        .post("/api/matches/like")
+        .set("Authorization", `Bearer ${from.token}`)
+        .send({
+            petId: from.pet._id.toString(),
+            likedPetId: to.pet._id.toString(),
+            isLiked,
+        })
+        .expect(200);
+
+// Identical profiles so only distance and what a test overrides affect ranking
+const PROFILE = {
+    type: "dog",
+    age: 3,
+    size: "medium",
+    activityLevel: "moderate",
+    temperament: ["Friendly"],
+    preferredPlaymates: { size: [] },
+};
+
+const feed = (owner, query = {}) =>
+    request(app)
+        .get(`/api/matches/potential/${owner.pet._id}`)
+        .set("Authorization", `Bearer ${owner.token}`)
+        .query(query)
+        .expect(200);
+
+describe("GET /api/matches/potential/:petId", () => {
+    let me;
+
+    beforeEach(async () => {
+        me = await createOwner({ location: locationAt(0) }, PROFILE);
+    });
+
+    const neighbour = (km, petOverrides = {}) =>
+        createOwner({ location: locationAt(km) }, { ...PROFILE, ...petOverrides });
+
+    it("orders pets that liked us first, then by compatibility", async () => {
+        const near = await neighbour(2);
+        const far = await neighbour(10);
+        const admirer = await neighbour(20);
+        await like(admirer, me);
+
+        const res = await feed(me);
+
+        expect(res.body.pets.map((pet) => pet._id)).toEqual([
+            admirer.pet._id.toString(),
+            near.pet._id.toString(),
+            far.pet._id.toString(),
+        ]);
+        expect(res.body.pets[0].likedUs).toBe(true);
+        expect(res.body.pets[1].distance).toBeCloseTo(2, 0);
+        expect(res.body.nextCursor).toBeNull();
+    });
+
+    it("puts pets that super liked us above regular admirers", async () => {
+        const admirer = await neighbour(2);
+        const superFan = await neighbour(15);
+        await like(admirer, me);
+        await request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${superFan.token}`)
+            .send({
+                petId: superFan.pet._id.toString(),
+                likedPetId: me.pet._id.toString(),
+                isLiked: true,
+                superLike: true,
+            })
+            .expect(200);
+
+        const res = await feed(me);
+
+        expect(res.body.pets.map((pet) => pet._id)).toEqual([
+            superFan.pet._id.toString(),
+            admirer.pet._id.toString(),
+        ]);
+        expect(res.body.pets[0].superLikedUs).toBe(true);
+        expect(res.body.pets[1].superLikedUs).toBe(false);
+        expect(res.body.pets[1].likedUs).toBe(true);
+    });
+
+    it("ranks a compatible pet above a nearer mismatched one", async () => {
+        const mismatch = await neighbour(1, {
+            activityLevel: "high",
+            temperament: ["Shy"],
+            age: 12,
+        });
+        const twin = await neighbour(8);
+
+        const res = await feed(me);
+
+        expect(res.body.pets.map((pet) => pet._id)).toEqual([
+            twin.pet._id.toString(),
+            mismatch.pet._id.toString(),
+        ]);
+
+        const { compatibility } = res.body.pets[0];
+        expect(compatibility.score).toBeGreaterThan(res.body.pets[1].compatibility.score);
+        expect(compatibility.breakdown.map((entry) => entry.factor)).toEqual(
+            expect.arrayContaining(["activity", "temperament", "age", "distance"])
+        );
+        expect(compatibility.breakdown[0]).toEqual(
+            expect.objectContaining({ label: expect.any(String), reason: expect.any(String) })
+        );
+    });
+
+    it("leaves out pets we swiped on, other species and pets out of range", async () => {
+        const swiped = await neighbour(1);
+        await neighbour(3, { type: "cat" });
+        await neighbour(150);
+        const fresh = await neighbour(4);
+        await like(me, swiped, false);
+
+        const res = await feed(me, { maxDistance: 100 });
+
+        expect(res.body.pets.map((pet) => pet._id)).toEqual([fresh.pet._id.toString()]);
+    });
+
+    it("pages through the feed with a cursor without repeats", async () => {
+        for (let km = 1; km <= 5; km += 1) {
+            await neighbour(km);
+        }
+
+        const first = await feed(me, { limit: 2 });
+        const second = await feed(me, { limit: 2, cursor: first.body.nextCursor });
+        const third = await feed(me, { limit: 2, cursor: second.body.nextCursor });
+
+        const ids = [first, second, third].flatMap((res) =>
+            res.body.pets.map((pet) => pet._id)
+        );
+        expect(ids).toHaveLength(5);
+        expect(new Set(ids).size).toBe(5);
+        expect(third.body.nextCursor).toBeNull();
+    });
+
+    it("carries on past the first window of candidates", async () => {
+        process.env.DISCOVERY_CANDIDATE_WINDOW = "2";
+        try {
+            for (let km = 1; km <= 5; km += 1) {
+                await neighbour(km);
+            }
+
+            const ids = [];
+            let cursor;
+            do {
+                const res = await feed(me, { limit: 2, ...(cursor && { cursor }) });
+                ids.push(...res.body.pets.map((pet) => pet._id));
+                cursor = res.body.nextCursor;
+            } while (cursor && ids.length < 10);
+
+            expect(ids).toHaveLength(5);
+            expect(new Set(ids).size).toBe(5);
+        } finally {
+            delete process.env.DISCOVERY_CANDIDATE_WINDOW;
+        }
+    });
+
+    it("rejects a tampered cursor", async () => {
+        const res = await request(app)
+            .get(`/api/matches/potential/${me.pet._id}`)
+            .set("Authorization", `Bearer ${me.token}`)
+            .query({ cursor: "bm90LWEtY3Vyc29y" })
+            .expect(400);
+
+        expect(res.body.code).toBe("INVALID_CURSOR");
+    });
+});
+
+describe("discovery filters", () => {
+    let me;
+
+    beforeEach(async () => {
+        me = await createOwner({ location: locationAt(0) }, PROFILE);
+    });
+
+    const neighbour = (km, petOverrides = {}) =>
+        createOwner({ location: locationAt(km) }, { ...PROFILE, ...petOverrides });
+
+    const saveFilters = (filters) =>
+        request(app)
+            .put(`/api/pets/${me.pet._id}/filters`)
+            .set("Authorization", `Bearer ${me.token}`)
+            .send(filters);
+
+    it("returns the defaults before anything is saved", async () => {
+        const res = await request(app)
+            .get(`/api/pets/${me.pet._id}/filters`)
+            .set("Authorization", `Bearer ${me.token}`)
+            .expect(200);
+
+        expect(res.body.filters).toEqual({
+            maxDistance: 25,
+            types: [],
+            sizes: [],
+            genders: [],
+            minAge: null,
+            maxAge: null,
+            activityLevels: [],
+            vaccinatedOnly: false,
+            temperaments: [],
+            playmateMode: "strict",
+        });
+    });
+
+    it("applies saved filters to the feed", async () => {
+        const match = await createOwner(
+            { location: locationAt(2) },
+            { ...PROFILE, size: "small", age: 4, vaccinated: "yes" }
+        );
+        await createOwner(
+            { location: locationAt(2) },
+            { ...PROFILE, size: "large", age: 4, vaccinated: "yes" }
+        );
+        await createOwner(
+            { location: locationAt(2) },
+            { ...PROFILE, size: "small", age: 9, vaccinated: "yes" }
+        );
+        await createOwner(
+            { location: locationAt(2) },
+            { ...PROFILE, size: "small", age: 4, vaccinated: "no" }
+        );
+        await createOwner({ location: locationAt(40) }, { ...PROFILE, size: "small", age: 4 });
+
+        await saveFilters({
+            maxDistance: 10,
+            sizes: ["small"],
+            minAge: 2,
+            maxAge: 6,
+            vaccinatedOnly: true,
+        }).expect(200);
+
+        const res = await feed(me);
+
+        expect(res.body.pets.map((pet) => pet._id)).toEqual([match.pet._id.toString()]);
+        expect(res.body.pets[0].discoveryFilters).toBeUndefined();
+    });
+
+    it("only shows pets that fit both sides' playmate preferences in strict mode", async () => {
+        me.pet.set({ size: "small", preferredPlaymates: { size: ["small", "medium"] } });
+        await me.pet.save();
+
+        const friend = await neighbour(2, { size: "medium", preferredPlaymates: { size: ["small"] } });
+        // Too big for us
+        await neighbour(2, { size: "large" });
+        // We are too small for them
+        await neighbour(2, { size: "medium", preferredPlaymates: { size: ["large"] } });
+        // Only wants puppies
+        await neighbour(2, { size: "small", preferredPlaymates: { ageClass: ["young"] } });
+
+        const strict = await feed(me);
+        expect(strict.body.pets.map((pet) => pet._id)).toEqual([friend.pet._id.toString()]);
+
+        await saveFilters({ playmateMode: "relaxed" }).expect(200);
+        const relaxed = await feed(me);
+
+        expect(relaxed.body.pets).toHaveLength(4);
+        expect(relaxed.body.pets[0]._id).toBe(friend.pet._id.toString());
+    });
+
+    it("resets fields left out of a later save", async () => {
+        await saveFilters({ sizes: ["small"], vaccinatedOnly: true }).expect(200);
+        const res = await saveFilters({ maxDistance: 50 }).expect(200);
+
+        expect(res.body.filters).toEqual(
+            expect.objectContaining({ maxDistance: 50, sizes: [], vaccinatedOnly: false })
+        );
+    });
+
+    it("rejects an inverted age range", async () => {
+        const res = await saveFilters({ minAge: 8, maxAge: 3 }).expect(422);
+
+        expect(res.body.errors[0].field).toBe("maxAge");
+    });
+
+    it("does not let other users read a pet's filters", async () => {
+        const stranger = await createOwner();
+
+        await request(app)
+            .get(`/api/pets/${me.pet._id}/filters`)
+            .set("Authorization", `Bearer ${stranger.token}`)
+            .expect(403);
+    });
+});
+
+describe("PUT /api/auth/update-location", () => {
+    it("moves the owner's pets with them", async () => {
+        const owner = await createOwner({ location: locationAt(0) });
+
+        await request(app)
+            .put("/api/auth/update-location")
+            .set("Authorization", `Bearer ${owner.token}`)
+            .send({ location: { type: "Point", coordinates: [72.88, 19.08] } })
+            .expect(200);
+
+        const pet = await Pet.findById(owner.pet._id);
+        expect(pet.location.coordinates).toEqual([72.88, 19.08]);
+    });
+});
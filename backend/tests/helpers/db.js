@@ -0,0 +1,50 @@
+/**
+ * Test database lifecycle
+ *
+ * Uses an in-memory mongod from mongodb-memory-server, or the server at
+ * MONGO_TEST_URI when set (e.g. a local mongod on machines where the
+ * mongod binary cannot be downloaded). Each Jest worker gets its own database.
+ */
+const mongoose = require("mongoose");
+
+let mongoServer = null;
+
+const connect = async () => {
+    let uri = process.env.MONGO_TEST_URI;
+
+    if (!uri) {
+        const { MongoMemoryServer } = require("mongodb-memory-server");
+        mongoServer = await MongoMemoryServer.create();
+        uri = mongoServer.getUri();
+    }
+
+    await mongoose.connect(uri, {
+        dbName: `boopsnoot-test-${process.env.JEST_WORKER_ID || 0}`,
+    });
+
+    // Build indexes up front (unique, 2dsphere) so tests see real constraints
+    await Promise.all(
+        Object.values(mongoose.models).map((model) => model.syncIndexes())
+    );
+};
+
+const clear = async () => {
+    const { collections } = mongoose.connection;
+    await Promise.all(
+        Object.values(collections).map((collection) => collection.deleteMany({}))
+    );
+};
+
+const close = async () => {
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+
+    if (mongoServer) {
+        await mongoServer.stop();
+        mongoServer = null;
+    }
+};
+
+module.exports = { connect, clear, close };
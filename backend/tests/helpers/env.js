@@ -0,0 +1,7 @@
+// Loaded by Jest before any module, so dotenv never overrides these
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.ACCESS_TOKEN_EXPIRES_IN = "15m";
+process.env.MAIL_TRANSPORT = "console";
+process.env.UPLOAD_PROVIDER = "cloudinary";
+process.env.CLOUDINARY_CLOUD_NAME = "boopsnoot-test";
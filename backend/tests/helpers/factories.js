@@ -0,0 +1,89 @@
+/**
+ * Test factories built on the seed data generators in utils/seedDatabase.js
+ *
+ * Every builder accepts overrides so tests only spell out what they care about.
+ */
+const {
+    createRandomUser,
+    createRandomPet,
+} = require("../../utils/seedDatabase");
+const Session = require("../../models/Session");
+const Match = require("../../models/Match");
+const Chat = require("../../models/Chat");
+
+// Password given to every seeded user
+const DEFAULT_PASSWORD = "password123";
+
+let sequence = 0;
+
+const buildUser = async (overrides = {}) => {
+    sequence += 1;
+    const user = await createRandomUser();
+    // Seed emails are random and can collide; keep them unique per test run
+    user.set({ email: `user${sequence}@example.com`, ...overrides });
+    return user;
+};
+
+const createUser = async (overrides) => (await buildUser(overrides)).save();
+
+const buildPet = (owner, overrides = {}) => {
+    const pet = createRandomPet(owner._id || owner, owner.location);
+    pet.set(overrides);
+    return pet;
+};
+
+const createPet = (owner, overrides) => buildPet(owner, overrides).save();
+
+// Start a session for the user, as login would
+const authenticate = async (user) => {
+    const session = new Session({ user: user._id });
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    return {
+        token: user.generateAuthToken(session._id),
+        refreshToken,
+        session,
+    };
+};
+
+// A user with one pet and a live session
+const createOwner = async (userOverrides, petOverrides) => {
+    const user = await createUser(userOverrides);
+    const pet = await createPet(user, petOverrides);
+    const { token } = await authenticate(user);
+    return { user, pet, token };
+};
+
+// Two pets that liked each other, plus the chat between their owners
+const createMatchWithChat = async (petA, petB) => {
+    const [pet1, pet2] =
+        petA._id.toString() < petB._id.toString() ? [petA, petB] : [petB, petA];
+
+    const match = await Match.create({
+        pet1: pet1._id,
+        pet2: pet2._id,
+        pet1LikedPet2: true,
+        pet2LikedPet1: true,
+        isMatch: true,
+        matchDate: new Date(),
+    });
+
+    const chat = await Chat.create({
+        match: match._id,
+        participants: [pet1.owner, pet2.owner],
+    });
+
+    return { match, chat };
+};
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    buildUser,
+    createUser,
+    buildPet,
+    createPet,
+    authenticate,
+    createOwner,
+    createMatchWithChat,
+};
@@ -0,0 +1,47 @@
+/**
+ * Offline Google ID tokens
+ *
+ * Tokens are signed with a local RSA key whose public half is injected into
+ * googleAuthService in place of Google's published certificates.
+ */
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const googleAuthService = require("../../services/googleAuthService");
+
+const GOOGLE_CLIENT_ID = "test-client.apps.googleusercontent.com";
+const KEY_ID = "test-key";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+});
+
+// Verify tokens against the local key and test client ID
+const useTestGoogleKeys = () => {
+    googleAuthService.setKeySet({
+        [KEY_ID]: publicKey.export({ type: "spki", format: "pem" }),
+    });
+    googleAuthService.setClientIds([GOOGLE_CLIENT_ID]);
+};
+
+// A Google ID token for a verified address; claims override the defaults
+const signGoogleToken = (claims = {}) =>
+    jwt.sign(
+        {
+            iss: "https://accounts.google.com",
+            aud: GOOGLE_CLIENT_ID,
+            sub: "google-user-1",
+            email: "walker@example.com",
+            email_verified: true,
+            name: "Dog Walker",
+            exp: Math.floor(Date.now() / 1000) + 5 * 60,
+            ...claims,
+        },
+        privateKey,
+        { algorithm: "RS256", keyid: KEY_ID }
+    );
+
+module.exports = {
+    GOOGLE_CLIENT_ID,
+    useTestGoogleKeys,
+    signGoogleToken,
+};
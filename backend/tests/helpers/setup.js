@@ -0,0 +1,35 @@
+const db = require("./db");
+const mailService = require("../../services/mailService");
+const pushService = require("../../services/pushService");
+
+// Request logging is noise in test output; errors still show
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+// Capture outgoing email instead of logging it
+global.outbox = [];
+mailService.setTransport({
+    sendMail: async (mail) => {
+        global.outbox.push(mail);
+        return { messageId: `test-${global.outbox.length}` };
+    },
+});
+
+// Never call the real Expo push API
+global.pushRequests = [];
+pushService.setTransport(async (url, body) => {
+    global.pushRequests.push({ url, body });
+    // /send takes a list of messages, /getReceipts an object of ticket ids
+    return Array.isArray(body)
+        ? { data: body.map(() => ({ status: "ok", id: "test-ticket" })) }
+        : { data: {} };
+});
+
+beforeAll(db.connect);
+
+afterEach(async () => {
+    global.outbox.length = 0;
+    global.pushRequests.length = 0;
+    await db.clear();
+});
+
+afterAll(db.close);
@@ -0,0 +1,398 @@
+const request = require("supertest");
+const app = require("../app");
+const Match = require("../models/Match");
+const Chat = require("../models/Chat");
+const Message = require("../models/Message");
+const Swipe = require("../models/Swipe");
+const User = require("../models/User");
+const { createOwner } = require("./helpers/factories");
+
+const like = (token, petId, likedPetId, isLiked = true) =>
+    request(app)
+        .post("/api/matches/like")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+            petId: petId.toString(),
+            likedPetId: likedPetId.toString(),
+            isLiked,
+        });
+
+describe("POST /api/matches/like", () => {
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        alice = await createOwner({}, { type: "dog" });
+        bob = await createOwner({}, { type: "dog" });
+    });
+
+    it("records a one-sided like without matching", async () => {
+        const res = await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+
+        expect(res.body.isMatch).toBe(false);
+        const match = await Match.findById(res.body.match._id);
+        const alicePetIsPet1 = match.pet1.toString() === alice.pet._id.toString();
+        expect(alicePetIsPet1 ? match.pet1LikedPet2 : match.pet2LikedPet1).toBe(true);
+        expect(alicePetIsPet1 ? match.pet2LikedPet1 : match.pet1LikedPet2).toBeNull();
+        expect(await Chat.countDocuments()).toBe(0);
+    });
+
+    it("matches on a mutual like and opens a chat between the owners", async () => {
+        await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+        const res = await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+
+        expect(res.body.isMatch).toBe(true);
+        expect(await Match.countDocuments()).toBe(1);
+
+        const match = await Match.findOne();
+        expect(match.isMatch).toBe(true);
+        expect(match.matchDate).toBeInstanceOf(Date);
+
+        const chat = await Chat.findOne({ match: match._id });
+        expect(chat.participants.map(String).sort()).toEqual(
+            [alice.user._id.toString(), bob.user._id.toString()].sort()
+        );
+    });
+
+    it("does not match when the other pet passed", async () => {
+        await like(bob.token, bob.pet._id, alice.pet._id, false).expect(200);
+        const res = await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+
+        expect(res.body.isMatch).toBe(false);
+        expect(await Chat.countDocuments()).toBe(0);
+    });
+
+    it("only lets owners swipe as their own pet", async () => {
+        const res = await like(alice.token, bob.pet._id, alice.pet._id).expect(404);
+        expect(res.body.code).toBe("NOT_FOUND");
+    });
+
+    it("validates the request body", async () => {
+        const res = await request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ petId: "nope", isLiked: "yes" })
+            .expect(422);
+
+        expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+            "isLiked",
+            "likedPetId",
+            "petId",
+        ]);
+    });
+});
+
+describe("POST /api/matches/rewind", () => {
+    let alice;
+    let bob;
+
+    const rewind = (owner) =>
+        request(app)
+            .post("/api/matches/rewind")
+            .set("Authorization", `Bearer ${owner.token}`)
+            .send({ petId: owner.pet._id.toString() });
+
+    beforeEach(async () => {
+        alice = await createOwner({}, { type: "dog" });
+        bob = await createOwner({}, { type: "dog" });
+    });
+
+    it("undoes a pass so the pet can be swiped again", async () => {
+        await like(alice.token, alice.pet._id, bob.pet._id, false).expect(200);
+
+        const res = await rewind(alice).expect(200);
+
+        expect(res.body.pet._id).toBe(bob.pet._id.toString());
+        expect(res.body.swipe.action).toBe("pass");
+        expect(await Match.countDocuments()).toBe(0);
+        expect(await Swipe.countDocuments({ undoneAt: null })).toBe(0);
+    });
+
+    it("only undoes the latest swipe, keeping the other side's like", async () => {
+        const carol = await createOwner({}, { type: "dog" });
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, carol.pet._id, false).expect(200);
+        await like(alice.token, alice.pet._id, bob.pet._id, false).expect(200);
+
+        await rewind(alice).expect(200);
+
+        const match = await Match.findOne({
+            pet1: { $in: [alice.pet._id, bob.pet._id] },
+            pet2: { $in: [alice.pet._id, bob.pet._id] },
+        });
+        const alicePetIsPet1 = match.pet1.equals(alice.pet._id);
+        expect(alicePetIsPet1 ? match.pet1LikedPet2 : match.pet2LikedPet1).toBeNull();
+        expect(alicePetIsPet1 ? match.pet2LikedPet1 : match.pet1LikedPet2).toBe(true);
+
+        // The pass on Carol is next in line
+        const second = await rewind(alice).expect(200);
+        expect(second.body.pet._id).toBe(carol.pet._id.toString());
+        await rewind(alice).expect(404);
+    });
+
+    it("unmatches and removes the empty chat when the like made a match", async () => {
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+        expect(await Chat.countDocuments()).toBe(1);
+
+        await rewind(alice).expect(200);
+
+        const match = await Match.findOne();
+        expect(match.isMatch).toBe(false);
+        expect(await Chat.countDocuments()).toBe(0);
+    });
+
+    it("keeps the match when the rewound swipe didn't make it", async () => {
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+
+        await rewind(bob).expect(200);
+
+        expect((await Match.findOne()).isMatch).toBe(true);
+        expect(await Chat.countDocuments()).toBe(1);
+    });
+
+    it("refuses once the match has messages", async () => {
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+        const chat = await Chat.findOne();
+        await Message.create({ chat: chat._id, sender: bob.user._id, content: "Hi!" });
+
+        const res = await rewind(alice).expect(409);
+
+        expect(res.body.code).toBe("MATCH_HAS_ACTIVITY");
+        expect((await Match.findOne()).isMatch).toBe(true);
+    });
+
+    it("refuses once the match has a playdate", async () => {
+        await like(bob.token, bob.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, bob.pet._id).expect(200);
+        const match = await Match.findOne();
+        await request(app)
+            .post("/api/playdates")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({
+                matchId: match._id.toString(),
+                scheduledAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+                location: { type: "Point", coordinates: [77.2, 28.6] },
+                placeName: "Lodhi Garden",
+            })
+            .expect(201);
+
+        const res = await rewind(alice).expect(409);
+
+        expect(res.body.code).toBe("MATCH_HAS_ACTIVITY");
+        expect(await Chat.countDocuments()).toBe(1);
+    });
+
+    it("reports when there is nothing to undo", async () => {
+        const res = await rewind(alice).expect(404);
+        expect(res.body.code).toBe("NOTHING_TO_REWIND");
+    });
+});
+
+describe("super likes", () => {
+    let alice;
+
+    const superLike = (owner, target) =>
+        request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${owner.token}`)
+            .send({
+                petId: owner.pet._id.toString(),
+                likedPetId: target.pet._id.toString(),
+                isLiked: true,
+                superLike: true,
+                timezone: "Asia/Kolkata",
+            });
+
+    beforeEach(async () => {
+        alice = await createOwner({}, { type: "dog" });
+    });
+
+    it("stores the super like on the match and reports the quota left", async () => {
+        const bob = await createOwner({}, { type: "dog" });
+
+        const res = await superLike(alice, bob).expect(200);
+
+        const match = await Match.findById(res.body.match._id);
+        const alicePetIsPet1 = match.pet1.equals(alice.pet._id);
+        expect(alicePetIsPet1 ? match.pet1SuperLikedPet2 : match.pet2SuperLikedPet1).toBe(true);
+        expect(res.body.superLikes).toMatchObject({ limit: 3, used: 1, remaining: 2 });
+        expect(new Date(res.body.superLikes.resetAt).getTime()).toBeGreaterThan(Date.now());
+        expect((await User.findById(alice.user._id)).timezone).toBe("Asia/Kolkata");
+    });
+
+    it("refuses once today's quota is used up", async () => {
+        for (let i = 0; i < 3; i += 1) {
+            const target = await createOwner({}, { type: "dog" });
+            await superLike(alice, target).expect(200);
+        }
+        const extra = await createOwner({}, { type: "dog" });
+
+        const res = await superLike(alice, extra).expect(429);
+
+        expect(res.body.code).toBe("SUPER_LIKE_QUOTA_EXCEEDED");
+        expect(await Match.countDocuments()).toBe(3);
+
+        const quota = await request(app)
+            .get("/api/matches/super-likes")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(quota.body.superLikes.remaining).toBe(0);
+    });
+
+    it("keeps the quota when the app reports a zone that is already tomorrow", async () => {
+        for (let i = 0; i < 3; i += 1) {
+            const target = await createOwner({}, { type: "dog" });
+            await superLike(alice, target).expect(200);
+        }
+        const extra = await createOwner({}, { type: "dog" });
+
+        const res = await request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({
+                petId: alice.pet._id.toString(),
+                likedPetId: extra.pet._id.toString(),
+                isLiked: true,
+                superLike: true,
+                timezone: "Pacific/Kiritimati",
+            })
+            .expect(429);
+
+        expect(res.body.code).toBe("SUPER_LIKE_QUOTA_EXCEEDED");
+    });
+
+    it("gives the super like back when it is rewound", async () => {
+        const bob = await createOwner({}, { type: "dog" });
+        await superLike(alice, bob).expect(200);
+
+        await request(app)
+            .post("/api/matches/rewind")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ petId: alice.pet._id.toString() })
+            .expect(200);
+
+        const quota = await request(app)
+            .get("/api/matches/super-likes")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(quota.body.superLikes.used).toBe(0);
+    });
+
+    it("rejects a super like that is not a like", async () => {
+        const bob = await createOwner({}, { type: "dog" });
+
+        const res = await request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({
+                petId: alice.pet._id.toString(),
+                likedPetId: bob.pet._id.toString(),
+                isLiked: false,
+                superLike: true,
+            })
+            .expect(422);
+
+        expect(res.body.errors[0].field).toBe("superLike");
+    });
+});
+
+describe("likes received", () => {
+    let alice;
+
+    const inbox = (owner, query = {}) =>
+        request(app)
+            .get(`/api/matches/${owner.pet._id}/likes-received`)
+            .set("Authorization", `Bearer ${owner.token}`)
+            .query(query);
+
+    const respond = (owner, liker, answer) =>
+        request(app)
+            .post(
+                `/api/matches/${owner.pet._id}/likes-received/${liker.pet._id}/${answer}`
+            )
+            .set("Authorization", `Bearer ${owner.token}`);
+
+    beforeEach(async () => {
+        alice = await createOwner({}, { type: "dog" });
+    });
+
+    it("lists pending likes newest first, paging with a cursor", async () => {
+        const fans = [];
+        for (let i = 0; i < 3; i += 1) {
+            const fan = await createOwner({}, { type: "dog" });
+            await like(fan.token, fan.pet._id, alice.pet._id).expect(200);
+            fans.push(fan);
+        }
+        // Answered likes and one-sided likes by Alice are not pending
+        const answered = await createOwner({}, { type: "dog" });
+        await like(answered.token, answered.pet._id, alice.pet._id).expect(200);
+        await like(alice.token, alice.pet._id, answered.pet._id, false).expect(200);
+        const crush = await createOwner({}, { type: "dog" });
+        await like(alice.token, alice.pet._id, crush.pet._id).expect(200);
+
+        const first = await inbox(alice, { limit: 2 }).expect(200);
+        expect(first.body.total).toBe(3);
+        expect(first.body.likes.map((entry) => entry.pet._id)).toEqual([
+            fans[2].pet._id.toString(),
+            fans[1].pet._id.toString(),
+        ]);
+        expect(first.body.likes[0].pet.location).toBeUndefined();
+
+        const second = await inbox(alice, { limit: 2, cursor: first.body.nextCursor }).expect(200);
+        expect(second.body.likes.map((entry) => entry.pet._id)).toEqual([
+            fans[0].pet._id.toString(),
+        ]);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    it("matches when a like is accepted", async () => {
+        const fan = await createOwner({}, { type: "dog" });
+        await like(fan.token, fan.pet._id, alice.pet._id).expect(200);
+
+        const res = await respond(alice, fan, "accept").expect(200);
+
+        expect(res.body.isMatch).toBe(true);
+        expect(await Chat.countDocuments()).toBe(1);
+        expect((await inbox(alice).expect(200)).body.total).toBe(0);
+    });
+
+    it("finds the like when the ids are sent in upper case", async () => {
+        const fan = await createOwner({}, { type: "dog" });
+        await like(fan.token, fan.pet._id, alice.pet._id).expect(200);
+
+        const res = await request(app)
+            .post(
+                `/api/matches/${alice.pet._id.toString().toUpperCase()}/likes-received/` +
+                    `${fan.pet._id.toString().toUpperCase()}/accept`
+            )
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+
+        expect(res.body.isMatch).toBe(true);
+        expect(await Match.countDocuments()).toBe(1);
+    });
+
+    it("records a pass when a like is declined", async () => {
+        const fan = await createOwner({}, { type: "dog" });
+        await like(fan.token, fan.pet._id, alice.pet._id).expect(200);
+
+        const res = await respond(alice, fan, "decline").expect(200);
+
+        expect(res.body.isMatch).toBe(false);
+        expect(await Swipe.countDocuments({ pet: alice.pet._id, action: "pass" })).toBe(1);
+        await respond(alice, fan, "accept").expect(404);
+    });
+
+    it("only answers likes that are waiting", async () => {
+        const stranger = await createOwner({}, { type: "dog" });
+
+        const res = await respond(alice, stranger, "accept").expect(404);
+
+        expect(res.body.code).toBe("LIKE_NOT_FOUND");
+        await respond(stranger, alice, "accept").expect(404);
+    });
+});
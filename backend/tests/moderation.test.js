@@ -0,0 +1,171 @@
+const request = require("supertest");
+const app = require("../app");
+const Chat = require("../models/Chat");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const { createOwner, createMatchWithChat } = require("./helpers/factories");
+
+// Identical profiles so the feed only depends on what a test does
+const PROFILE = {
+    type: "dog",
+    age: 3,
+    size: "medium",
+    activityLevel: "moderate",
+    temperament: ["Friendly"],
+    preferredPlaymates: { size: [] },
+};
+
+const LOCATION = { type: "Point", coordinates: [77.2, 28.6] };
+
+const block = (from, target) =>
+    request(app)
+        .post("/api/blocks")
+        .set("Authorization", `Bearer ${from.token}`)
+        .send(target);
+
+const feedIds = async (owner) => {
+    const res = await request(app)
+        .get(`/api/matches/potential/${owner.pet._id}`)
+        .set("Authorization", `Bearer ${owner.token}`)
+        .expect(200);
+    return res.body.pets.map((pet) => pet._id);
+};
+
+describe("blocking", () => {
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        alice = await createOwner({ location: LOCATION }, PROFILE);
+        bob = await createOwner({ location: LOCATION }, PROFILE);
+    });
+
+    it("hides both users' pets from each other's feed", async () => {
+        expect(await feedIds(alice)).toContain(bob.pet._id.toString());
+
+        await block(alice, { petId: bob.pet._id.toString() }).expect(201);
+
+        expect(await feedIds(alice)).not.toContain(bob.pet._id.toString());
+        expect(await feedIds(bob)).not.toContain(alice.pet._id.toString());
+
+        await request(app)
+            .post("/api/matches/like")
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({
+                petId: bob.pet._id.toString(),
+                likedPetId: alice.pet._id.toString(),
+                isLiked: true,
+            })
+            .expect(404);
+    });
+
+    it("ends the match and closes the chat", async () => {
+        const { match, chat } = await createMatchWithChat(alice.pet, bob.pet);
+
+        await block(alice, { userId: bob.user._id.toString() }).expect(201);
+
+        expect((await Match.findById(match._id)).isMatch).toBe(false);
+        expect((await Chat.findById(chat._id)).isActive).toBe(false);
+
+        await request(app)
+            .post(`/api/chats/${chat._id}/messages`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .send({ content: "Hello?" })
+            .expect(404);
+
+        await request(app)
+            .get(`/api/chats/${chat._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(404);
+    });
+
+    it("lists and lifts blocks", async () => {
+        await block(alice, { userId: bob.user._id.toString() }).expect(201);
+
+        const list = await request(app)
+            .get("/api/blocks")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        expect(list.body.blocks).toHaveLength(1);
+        expect(list.body.blocks[0].user._id).toBe(bob.user._id.toString());
+        expect(list.body.blocks[0].pets[0].name).toBe(bob.pet.name);
+
+        await request(app)
+            .delete(`/api/blocks/${bob.user._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(200);
+        await request(app)
+            .delete(`/api/blocks/${bob.user._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(404);
+
+        expect(await feedIds(alice)).toContain(bob.pet._id.toString());
+    });
+
+    it("refuses to block your own account", async () => {
+        const res = await block(alice, { petId: alice.pet._id.toString() }).expect(400);
+        expect(res.body.code).toBe("TARGET_IS_SELF");
+    });
+});
+
+describe("reporting", () => {
+    let alice;
+    let bob;
+    let chat;
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ chat } = await createMatchWithChat(alice.pet, bob.pet));
+    });
+
+    const report = (body) =>
+        request(app)
+            .post("/api/reports")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ userId: bob.user._id.toString(), ...body });
+
+    it("queues a report with a copy of the chat messages", async () => {
+        const message = await Message.create({
+            chat: chat._id,
+            sender: bob.user._id,
+            content: "Send me money",
+        });
+
+        const res = await report({
+            reason: "scam",
+            details: "Asked for a deposit",
+            chatId: chat._id.toString(),
+            messageIds: [message._id.toString()],
+            block: true,
+        }).expect(201);
+
+        expect(res.body).toMatchObject({ blocked: true, report: { status: "pending" } });
+
+        const stored = await Report.findById(res.body.report._id);
+        expect(stored.reportedUser.toString()).toBe(bob.user._id.toString());
+        expect(stored.evidence).toHaveLength(1);
+        expect(stored.evidence[0].content).toBe("Send me money");
+        expect((await Chat.findById(chat._id)).isActive).toBe(false);
+    });
+
+    it("rejects evidence from another chat", async () => {
+        const carol = await createOwner();
+        const { chat: otherChat } = await createMatchWithChat(alice.pet, carol.pet);
+        const message = await Message.create({
+            chat: otherChat._id,
+            sender: carol.user._id,
+            content: "Hi",
+        });
+
+        const res = await report({
+            reason: "harassment",
+            chatId: chat._id.toString(),
+            messageIds: [message._id.toString()],
+        }).expect(400);
+
+        expect(res.body.code).toBe("INVALID_EVIDENCE");
+        expect(await Report.countDocuments()).toBe(0);
+    });
+});
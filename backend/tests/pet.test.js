@@ -0,0 +1,185 @@
+const request = require("supertest");
+const app = require("../app");
+const Pet = require("../models/Pet");
+const Match = require("../models/Match");
+const Chat = require("../models/Chat");
+const {
+    createOwner,
+    createPet,
+    createMatchWithChat,
+} = require("./helpers/factories");
+
+const petPayload = (overrides = {}) => ({
+    name: "Biscuit",
+    type: "dog",
+    breed: "Beagle",
+    age: 3,
+    gender: "female",
+    size: "medium",
+    photos: ["https://example.com/1.jpg", "https://example.com/2.jpg"],
+    ...overrides,
+});
+
+describe("POST /api/pets", () => {
+    it("creates a pet owned by the current user", async () => {
+        const { user, token } = await createOwner();
+
+        const res = await request(app)
+            .post("/api/pets")
+            .set("Authorization", `Bearer ${token}`)
+            .send(petPayload({ owner: "507f1f77bcf86cd799439011" }))
+            .expect(201);
+
+        expect(res.body.pet).toMatchObject({ name: "Biscuit", breed: "Beagle" });
+        expect(res.body.pet.owner).toBe(user._id.toString());
+    });
+
+    it("stores playmate labels from the app as size and age class enums", async () => {
+        const { token } = await createOwner();
+
+        const res = await request(app)
+            .post("/api/pets")
+            .set("Authorization", `Bearer ${token}`)
+            .send(petPayload({ preferredPlaymates: ["Small Dogs", "Large Dogs", "Puppies"] }))
+            .expect(201);
+
+        expect(res.body.pet.preferredPlaymates).toEqual({
+            size: ["small", "large"],
+            ageClass: ["young"],
+        });
+    });
+
+    it("requires at least two photos and known enum values", async () => {
+        const { token } = await createOwner();
+
+        const res = await request(app)
+            .post("/api/pets")
+            .set("Authorization", `Bearer ${token}`)
+            .send(petPayload({ type: "parrot", photos: ["https://example.com/1.jpg"] }))
+            .expect(422);
+
+        const fields = res.body.errors.map((error) => error.field);
+        expect(fields).toEqual(expect.arrayContaining(["type", "photos"]));
+    });
+});
+
+describe("GET /api/pets", () => {
+    it("lists only the current user's pets", async () => {
+        const { user, token } = await createOwner();
+        await createPet(user);
+        await createOwner();
+
+        const res = await request(app)
+            .get("/api/pets")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(200);
+
+        expect(res.body.count).toBe(2);
+        res.body.pets.forEach((pet) => expect(pet.owner).toBe(user._id.toString()));
+    });
+
+    it("shows other users only the public profile", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+
+        const res = await request(app)
+            .get(`/api/pets/${alice.pet._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(200);
+
+        expect(res.body.pet.name).toBe(alice.pet.name);
+        expect(res.body.pet).not.toHaveProperty("location");
+        expect(res.body.pet).not.toHaveProperty("discoveryFilters");
+        expect(res.body.pet).not.toHaveProperty("dislikedPets");
+    });
+
+    it("hides pets across a block", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+
+        await request(app)
+            .post("/api/blocks")
+            .set("Authorization", `Bearer ${alice.token}`)
+            .send({ userId: bob.user._id.toString() })
+            .expect(201);
+
+        await request(app)
+            .get(`/api/pets/${alice.pet._id}`)
+            .set("Authorization", `Bearer ${bob.token}`)
+            .expect(404);
+        await request(app)
+            .get(`/api/pets/${bob.pet._id}`)
+            .set("Authorization", `Bearer ${alice.token}`)
+            .expect(404);
+    });
+
+    it("rejects malformed ids", async () => {
+        const { token } = await createOwner();
+
+        const res = await request(app)
+            .get("/api/pets/not-an-id")
+            .set("Authorization", `Bearer ${token}`)
+            .expect(422);
+
+        expect(res.body.errors[0]).toMatchObject({ field: "id", location: "params" });
+    });
+});
+
+describe("PUT /api/pets/:id", () => {
+    it("updates whitelisted fields and ignores the rest", async () => {
+        const { user, pet, token } = await createOwner();
+        const other = await createOwner();
+
+        const res = await request(app)
+            .put(`/api/pets/${pet._id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: "Renamed", owner: other.user._id.toString() })
+            .expect(200);
+
+        expect(res.body.pet.name).toBe("Renamed");
+        const stored = await Pet.findById(pet._id);
+        expect(stored.owner.toString()).toBe(user._id.toString());
+    });
+
+    it("forbids updating another user's pet", async () => {
+        const { token } = await createOwner();
+        const other = await createOwner();
+
+        const res = await request(app)
+            .put(`/api/pets/${other.pet._id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .send({ name: "Mine now" })
+            .expect(403);
+
+        expect(res.body.code).toBe("FORBIDDEN");
+    });
+});
+
+describe("DELETE /api/pets/:id", () => {
+    it("removes the pet with its matches and chats", async () => {
+        const owner = await createOwner();
+        const other = await createOwner();
+        const { match, chat } = await createMatchWithChat(owner.pet, other.pet);
+
+        await request(app)
+            .delete(`/api/pets/${owner.pet._id}`)
+            .set("Authorization", `Bearer ${owner.token}`)
+            .expect(200);
+
+        expect(await Pet.findById(owner.pet._id)).toBeNull();
+        expect(await Match.findById(match._id)).toBeNull();
+        expect(await Chat.findById(chat._id)).toBeNull();
+    });
+
+    it("returns 404 for someone else's pet", async () => {
+        const { token } = await createOwner();
+        const other = await createOwner();
+
+        await request(app)
+            .delete(`/api/pets/${other.pet._id}`)
+            .set("Authorization", `Bearer ${token}`)
+            .expect(404);
+
+        expect(await Pet.findById(other.pet._id)).not.toBeNull();
+    });
+});
@@ -0,0 +1,127 @@
+const request = require("supertest");
+const app = require("../app");
+const Playdate = require("../models/Playdate");
+const { createOwner, createMatchWithChat } = require("./helpers/factories");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const proposal = (overrides = {}) => ({
+    scheduledAt: new Date(Date.now() + 2 * DAY_MS).toISOString(),
+    location: { type: "Point", coordinates: [77.2, 28.6] },
+    placeName: "Lodhi Garden",
+    ...overrides,
+});
+
+const asUser = (req, { token }) => req.set("Authorization", `Bearer ${token}`);
+
+describe("playdates", () => {
+    let alice;
+    let bob;
+    let match;
+
+    const propose = (owner, overrides) =>
+        asUser(request(app).post("/api/playdates"), owner).send({
+            matchId: match._id.toString(),
+            ...proposal(overrides),
+        });
+
+    const act = (owner, playdateId, action, body) =>
+        asUser(request(app).post(`/api/playdates/${playdateId}/${action}`), owner).send(body);
+
+    beforeEach(async () => {
+        alice = await createOwner();
+        bob = await createOwner();
+        ({ match } = await createMatchWithChat(alice.pet, bob.pet));
+    });
+
+    it("is proposed by one owner and accepted by the other", async () => {
+        const created = await propose(alice, { note: "Bring a ball" }).expect(201);
+        const playdate = created.body.playdate;
+
+        expect(playdate).toMatchObject({
+            status: "proposed",
+            proposedBy: alice.user._id.toString(),
+            placeName: "Lodhi Garden",
+        });
+        expect(playdate.location.coordinates).toEqual([77.2, 28.6]);
+
+        const own = await act(alice, playdate._id, "accept").expect(409);
+        expect(own.body.code).toBe("INVALID_PLAYDATE_TRANSITION");
+
+        const res = await act(bob, playdate._id, "accept").expect(200);
+        expect(res.body.playdate.status).toBe("accepted");
+
+        const list = await asUser(request(app).get("/api/playdates"), bob)
+            .query({ upcoming: true })
+            .expect(200);
+        expect(list.body.playdates.map((item) => item._id)).toEqual([playdate._id]);
+    });
+
+    it("hands the decision back with a counter-proposal", async () => {
+        const { body } = await propose(alice).expect(201);
+
+        const countered = await act(
+            bob,
+            body.playdate._id,
+            "counter",
+            proposal({ placeName: "Nehru Park" })
+        ).expect(200);
+        expect(countered.body.playdate).toMatchObject({
+            status: "proposed",
+            proposedBy: bob.user._id.toString(),
+            placeName: "Nehru Park",
+        });
+        expect(countered.body.playdate.proposals).toHaveLength(2);
+
+        await act(bob, body.playdate._id, "accept").expect(409);
+        await act(alice, body.playdate._id, "decline").expect(200);
+    });
+
+    it("can be cancelled but only completed once its time has come", async () => {
+        const { body } = await propose(alice).expect(201);
+        await act(bob, body.playdate._id, "accept").expect(200);
+
+        await act(alice, body.playdate._id, "complete").expect(409);
+
+        const res = await act(bob, body.playdate._id, "cancel").expect(200);
+        expect(res.body.playdate.status).toBe("cancelled");
+        await act(alice, body.playdate._id, "cancel").expect(409);
+    });
+
+    it("rejects times in the past", async () => {
+        const res = await propose(alice, {
+            scheduledAt: new Date(Date.now() - DAY_MS).toISOString(),
+        }).expect(422);
+        expect(res.body.errors[0].field).toBe("scheduledAt");
+    });
+
+    it("is hidden from owners outside the match", async () => {
+        const carol = await createOwner();
+        const { body } = await propose(alice).expect(201);
+
+        await propose(carol).expect(404);
+        await asUser(request(app).get(`/api/playdates/${body.playdate._id}`), carol).expect(404);
+        await act(carol, body.playdate._id, "accept").expect(404);
+    });
+
+    it("is cancelled when the pets unmatch", async () => {
+        const { body } = await propose(alice).expect(201);
+
+        await asUser(request(app).post("/api/matches/unmatch"), bob)
+            .send({
+                petId: bob.pet._id.toString(),
+                unmatchedPetId: alice.pet._id.toString(),
+            })
+            .expect(200);
+
+        expect((await Playdate.findById(body.playdate._id)).status).toBe("cancelled");
+    });
+
+    it("is cancelled when one of the pets is deleted", async () => {
+        const { body } = await propose(alice).expect(201);
+
+        await asUser(request(app).delete(`/api/pets/${bob.pet._id}`), bob).expect(200);
+
+        expect((await Playdate.findById(body.playdate._id)).status).toBe("cancelled");
+    });
+});
@@ -0,0 +1,238 @@
+const http = require("http");
+const { Server } = require("socket.io");
+const { io: connectClient } = require("socket.io-client");
+const app = require("../app");
+const Message = require("../models/Message");
+const { setupSocketIO } = require("../services/socketService");
+const { createOwner, createMatchWithChat } = require("./helpers/factories");
+
+describe("socket message flow", () => {
+    let server;
+    let io;
+    let url;
+    const clients = [];
+
+    const connect = (token) =>
+        new Promise((resolve, reject) => {
+            const client = connectClient(url, {
+                auth: { token },
+                transports: ["websocket"],
+                reconnection: false,
+                forceNew: true,
+            });
+            clients.push(client);
+            client.once("connect", () => resolve(client));
+            client.once("connect_error", reject);
+        });
+
+    beforeAll((done) => {
+        server = http.createServer(app);
+        io = new Server(server);
+        setupSocketIO(io);
+        server.listen(0, () => {
+            url = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(() => {
+        clients.splice(0).forEach((client) => client.disconnect());
+    });
+
+    afterAll((done) => {
+        io.close();
+        server.close(done);
+    });
+
+    it("rejects connections without a valid token", async () => {
+        await expect(connect("not-a-token")).rejects.toThrow();
+    });
+
+    it("acknowledges the sender and delivers the stored message to the recipient", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+
+        const aliceSocket = await connect(alice.token);
+        const bobSocket = await connect(bob.token);
+
+        const received = new Promise((resolve) =>
+            bobSocket.once("receive_message", resolve)
+        );
+
+        const ack = await aliceSocket.timeout(5000).emitWithAck("send_message", {
+            chatId: chat._id.toString(),
+            content: "Walk tomorrow?",
+            clientId: "temp-1",
+        });
+
+        expect(ack).toMatchObject({ success: true, clientId: "temp-1" });
+        expect(ack.message.sender.isCurrentUser).toBe(true);
+
+        const message = await received;
+        expect(message).toMatchObject({
+            _id: ack.message._id,
+            chatId: chat._id.toString(),
+            content: "Walk tomorrow?",
+            senderUserId: alice.user._id.toString(),
+        });
+        expect(message.sender.isCurrentUser).toBe(false);
+        expect(await Message.countDocuments({ chat: chat._id })).toBe(1);
+    });
+
+    it("refuses messages from users outside the chat", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const mallory = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+
+        const bobSocket = await connect(bob.token);
+        const mallorySocket = await connect(mallory.token);
+        const onMessage = jest.fn();
+        bobSocket.on("receive_message", onMessage);
+
+        const ack = await mallorySocket.timeout(5000).emitWithAck("send_message", {
+            chatId: chat._id.toString(),
+            content: "Hi there",
+            clientId: "temp-2",
+        });
+
+        expect(ack).toMatchObject({ success: false, clientId: "temp-2" });
+        expect(await Message.countDocuments()).toBe(0);
+        expect(onMessage).not.toHaveBeenCalled();
+    });
+
+    it("holds socket messages to the same rules as the REST endpoint", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+        const aliceSocket = await connect(alice.token);
+
+        const send = (payload) =>
+            aliceSocket
+                .timeout(5000)
+                .emitWithAck("send_message", { chatId: chat._id.toString(), ...payload });
+
+        expect(await send({ content: "x".repeat(2001), clientId: "temp-3" })).toMatchObject({
+            success: false,
+            code: "INVALID_MESSAGE",
+        });
+        expect(await send({ content: { text: "Hi" } })).toMatchObject({
+            success: false,
+            code: "INVALID_MESSAGE",
+        });
+        expect(await send({ content: "Hi", clientId: "t".repeat(101) })).toMatchObject({
+            success: false,
+            code: "INVALID_MESSAGE",
+        });
+        expect(await Message.countDocuments()).toBe(0);
+    });
+
+    it("relays typing in joined chats, throttled, until the message is sent", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const mallory = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+        const chatId = chat._id.toString();
+
+        const aliceSocket = await connect(alice.token);
+        const bobSocket = await connect(bob.token);
+        const mallorySocket = await connect(mallory.token);
+        const onTypingStart = jest.fn();
+        bobSocket.on("typing_start", onTypingStart);
+
+        // Outsiders can't join, so their typing goes nowhere
+        expect(await mallorySocket.timeout(5000).emitWithAck("join_chat", chatId)).toEqual({
+            success: false,
+        });
+        mallorySocket.emit("typing_start", { chatId });
+
+        expect(await aliceSocket.timeout(5000).emitWithAck("join_chat", chatId)).toEqual({
+            success: true,
+        });
+        const started = new Promise((resolve) => bobSocket.once("typing_start", resolve));
+        aliceSocket.emit("typing_start", { chatId });
+        aliceSocket.emit("typing_start", { chatId });
+        expect(await started).toEqual({ chatId, userId: alice.user._id.toString() });
+
+        const stopped = new Promise((resolve) => bobSocket.once("typing_stop", resolve));
+        await aliceSocket.timeout(5000).emitWithAck("send_message", {
+            chatId,
+            content: "Here I am",
+        });
+        expect(await stopped).toEqual({ chatId, userId: alice.user._id.toString() });
+        expect(onTypingStart).toHaveBeenCalledTimes(1);
+    });
+
+    it("tells the sender when their messages are read", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+        const message = await Message.create({
+            chat: chat._id,
+            sender: alice.user._id,
+            content: "Walk tomorrow?",
+        });
+
+        const aliceSocket = await connect(alice.token);
+        const bobSocket = await connect(bob.token);
+
+        const receipt = new Promise((resolve) =>
+            aliceSocket.once("messages_read", resolve)
+        );
+
+        const ack = await bobSocket.timeout(5000).emitWithAck("mark_read", {
+            chatId: chat._id.toString(),
+            messageId: message._id.toString(),
+        });
+        expect(ack).toMatchObject({ success: true, count: 1 });
+
+        expect(await receipt).toMatchObject({
+            chatId: chat._id.toString(),
+            userId: bob.user._id.toString(),
+            upTo: { _id: message._id.toString() },
+        });
+        const stored = await Message.findById(message._id);
+        expect(stored.readBy.map((read) => read.user.toString())).toContain(
+            bob.user._id.toString()
+        );
+    });
+
+    it("updates both participants live when a message is reacted to or deleted", async () => {
+        const alice = await createOwner();
+        const bob = await createOwner();
+        const { chat } = await createMatchWithChat(alice.pet, bob.pet);
+        const message = await Message.create({
+            chat: chat._id,
+            sender: alice.user._id,
+            content: "Look at this stick",
+        });
+        const target = { chatId: chat._id.toString(), messageId: message._id.toString() };
+
+        const aliceSocket = await connect(alice.token);
+        const bobSocket = await connect(bob.token);
+
+        const reacted = new Promise((resolve) => aliceSocket.once("message_updated", resolve));
+        const reaction = await bobSocket
+            .timeout(5000)
+            .emitWithAck("react_message", { ...target, emoji: "🐾" });
+        expect(reaction.success).toBe(true);
+        expect((await reacted).reactions).toEqual([
+            { userId: bob.user._id.toString(), emoji: "🐾" },
+        ]);
+
+        const refused = await bobSocket
+            .timeout(5000)
+            .emitWithAck("delete_message", { ...target, forEveryone: true });
+        expect(refused).toMatchObject({ success: false, code: "NOT_MESSAGE_SENDER" });
+
+        const tombstone = new Promise((resolve) => bobSocket.once("message_updated", resolve));
+        await aliceSocket.timeout(5000).emitWithAck("delete_message", { ...target, forEveryone: true });
+        expect(await tombstone).toMatchObject({
+            _id: message._id.toString(),
+            deleted: true,
+            content: "",
+            reactions: [],
+        });
+    });
+});
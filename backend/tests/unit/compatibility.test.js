@@ -0,0 +1,99 @@
+const {
+    scoreCompatibility,
+    createScorer,
+    parseWeights,
+    getPreferredSizes,
+} = require("../../services/compatibilityService");
+
+const pet = (overrides = {}) => ({
+    age: 3,
+    size: "medium",
+    activityLevel: "moderate",
+    temperament: ["Friendly", "Playful"],
+    preferredPlaymates: { size: [] },
+    ...overrides,
+});
+
+describe("compatibilityService", () => {
+    it("gives identical pets next door a perfect score", () => {
+        const { score, breakdown } = scoreCompatibility(pet(), pet({ distance: 0 }));
+
+        expect(score).toBe(100);
+        expect(breakdown.map((entry) => entry.factor).sort()).toEqual([
+            "activity",
+            "age",
+            "distance",
+            "temperament",
+        ]);
+    });
+
+    it("penalises opposite energy levels and no shared temperament", () => {
+        const { breakdown } = scoreCompatibility(
+            pet({ activityLevel: "low" }),
+            pet({ activityLevel: "high", temperament: ["Shy"] })
+        );
+        const byFactor = Object.fromEntries(breakdown.map((entry) => [entry.factor, entry]));
+
+        expect(byFactor.activity.score).toBe(0);
+        expect(byFactor.temperament.score).toBe(0);
+        expect(byFactor.temperament.reason).toBe("Different temperaments");
+    });
+
+    it("scores size preferences in both directions", () => {
+        const small = pet({ size: "small", preferredPlaymates: { size: ["small"] } });
+        const large = pet({ size: "large", preferredPlaymates: { size: ["large"] } });
+
+        const mutualMiss = scoreCompatibility(small, large).breakdown.find(
+            (entry) => entry.factor === "size"
+        );
+        expect(mutualMiss.score).toBe(0);
+
+        const oneWay = scoreCompatibility(small, pet({ size: "small" })).breakdown.find(
+            (entry) => entry.factor === "size"
+        );
+        expect(oneWay.score).toBe(100);
+    });
+
+    it("skips factors it has no data for instead of scoring them as zero", () => {
+        const { score, breakdown } = scoreCompatibility(
+            pet({ temperament: [] }),
+            pet({ distance: undefined })
+        );
+
+        expect(breakdown.map((entry) => entry.factor)).not.toContain("temperament");
+        expect(breakdown.map((entry) => entry.factor)).not.toContain("distance");
+        expect(score).toBe(100);
+    });
+
+    it("uses custom weights and factors", () => {
+        const scorer = createScorer({
+            weights: { sameName: 1 },
+            factors: {
+                sameName: {
+                    label: "Name",
+                    score: (a, b) => (a.name === b.name ? 1 : 0),
+                    reason: () => "Same name",
+                },
+            },
+        });
+
+        expect(scorer({ name: "Rex" }, { name: "Rex" }).score).toBe(100);
+        expect(scorer({ name: "Rex" }, { name: "Max" }).score).toBe(0);
+    });
+
+    it("reads legacy playmate labels", () => {
+        expect(getPreferredSizes({ preferredPlaymates: ["Small Dogs", "Large Dogs"] })).toEqual([
+            "small",
+            "large",
+        ]);
+        expect(getPreferredSizes({ preferredPlaymates: { size: ["All Dogs"] } })).toBeNull();
+        expect(getPreferredSizes({ preferredPlaymates: ["Kittens"] })).toBeNull();
+    });
+
+    it("parses weight overrides and ignores unknown factors", () => {
+        expect(parseWeights("distance:3, activity:x,unknown:2,age:0")).toEqual({
+            distance: 3,
+            age: 0,
+        });
+    });
+});
@@ -0,0 +1,40 @@
+const googleAuthService = require("../../services/googleAuthService");
+const { useTestGoogleKeys, signGoogleToken } = require("../helpers/google");
+
+describe("googleAuthService", () => {
+    beforeAll(useTestGoogleKeys);
+
+    it("returns the identity in a valid token", async () => {
+        const identity = await googleAuthService.verifyIdToken(
+            signGoogleToken({ email: "Walker@Example.com" })
+        );
+
+        expect(identity).toMatchObject({
+            googleId: "google-user-1",
+            email: "walker@example.com",
+            emailVerified: true,
+            name: "Dog Walker",
+        });
+    });
+
+    it("rejects tokens for another client or from another issuer", async () => {
+        await expect(
+            googleAuthService.verifyIdToken(signGoogleToken({ aud: "someone-else" }))
+        ).rejects.toThrow(/audience/);
+        await expect(
+            googleAuthService.verifyIdToken(signGoogleToken({ iss: "https://evil.example" }))
+        ).rejects.toThrow(/issuer/);
+    });
+
+    it("rejects expired tokens and tokens signed with another key", async () => {
+        const now = Math.floor(Date.now() / 1000);
+        await expect(
+            googleAuthService.verifyIdToken(
+                signGoogleToken({ iat: now - 7200, exp: now - 3600 })
+            )
+        ).rejects.toThrow(/late/i);
+
+        const forged = `${signGoogleToken().split(".").slice(0, 2).join(".")}.c2lnbmF0dXJl`;
+        await expect(googleAuthService.verifyIdToken(forged)).rejects.toThrow();
+    });
+});
@@ -0,0 +1,59 @@
+// Load a fresh copy of the service under the given environment
+const loadMailService = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    let mailService;
+    try {
+        jest.isolateModules(() => {
+            mailService = require("../../services/mailService");
+        });
+    } finally {
+        process.env = saved;
+    }
+    return mailService;
+};
+
+describe("mailService", () => {
+    beforeEach(() => {
+        jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("loads in production without SMTP settings and fails each send", async () => {
+        const mailService = loadMailService({
+            NODE_ENV: "production",
+            MAIL_TRANSPORT: "",
+            SMTP_HOST: "",
+        });
+
+        expect(console.error).toHaveBeenCalledWith(
+            expect.stringContaining("SMTP_HOST must be set")
+        );
+        await expect(
+            mailService.sendMail({ to: "walker@example.com", subject: "Hi", text: "Hi" })
+        ).rejects.toThrow("SMTP_HOST must be set");
+    });
+
+    it("refuses the console transport in production", async () => {
+        const mailService = loadMailService({
+            NODE_ENV: "production",
+            MAIL_TRANSPORT: "console",
+        });
+
+        await expect(
+            mailService.sendMail({ to: "walker@example.com", subject: "Hi", text: "Hi" })
+        ).rejects.toThrow("development only");
+    });
+
+    it("sends through the console transport outside production", async () => {
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        const mailService = loadMailService({ MAIL_TRANSPORT: "console" });
+
+        await mailService.sendMail({ to: "walker@example.com", subject: "Hi", text: "Hi" });
+
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining("walker@example.com"));
+    });
+});
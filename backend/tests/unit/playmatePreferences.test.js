@@ -0,0 +1,33 @@
+const {
+    normalizePlaymatePreferences,
+    getAgeClass,
+} = require("../../utils/playmatePreferences");
+
+describe("playmatePreferences", () => {
+    it("maps app labels onto size and age class enums", () => {
+        expect(normalizePlaymatePreferences(["Small Dogs", "Extra Large Dogs", "Kittens"])).toEqual({
+            size: ["small", "xlarge"],
+            ageClass: ["young"],
+        });
+    });
+
+    it("treats \"All ...\" and every age class as no preference", () => {
+        const none = { size: [], ageClass: [] };
+
+        expect(normalizePlaymatePreferences(["All Dogs", "Small Dogs"])).toEqual(none);
+        expect(normalizePlaymatePreferences(["Kittens", "Adult Cats"])).toEqual(none);
+        expect(normalizePlaymatePreferences(undefined)).toEqual(none);
+    });
+
+    it("keeps already normalized values and drops unknown ones", () => {
+        expect(
+            normalizePlaymatePreferences({ size: ["medium", "giant"], ageClass: ["adult"] })
+        ).toEqual({ size: ["medium"], ageClass: ["adult"] });
+    });
+
+    it("classes pets under a year as young", () => {
+        expect(getAgeClass(0.5)).toBe("young");
+        expect(getAgeClass(1)).toBe("adult");
+        expect(getAgeClass(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,139 @@
+const User = require("../../models/User");
+const { PushService } = require("../../services/pushService");
+
+const token = (name) => `ExponentPushToken[${name}]`;
+
+// A fake Expo push API: tickets are named after their tokens, and receipts
+// come from `receipts` (or the call throws when it's an Error)
+const createFakePushServer = () => {
+    const server = {
+        sends: [],
+        receiptRequests: [],
+        receipts: {},
+        ticketErrors: {},
+        transport: async (url, body) => {
+            if (url.endsWith("/send")) {
+                server.sends.push(body);
+                return {
+                    data: body.map((message) =>
+                        server.ticketErrors[message.to]
+                            ? {
+                                  status: "error",
+                                  message: "Device gone",
+                                  details: { error: server.ticketErrors[message.to] },
+                              }
+                            : { status: "ok", id: `ticket-${message.to}` }
+                    ),
+                };
+            }
+
+            server.receiptRequests.push(body.ids);
+            if (server.receipts instanceof Error) {
+                throw server.receipts;
+            }
+            return { data: server.receipts };
+        },
+    };
+
+    return server;
+};
+
+describe("pushService", () => {
+    let server;
+    let push;
+
+    beforeEach(() => {
+        jest.spyOn(console, "log").mockImplementation(() => {});
+        jest.spyOn(console, "error").mockImplementation(() => {});
+        jest.spyOn(User, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+
+        server = createFakePushServer();
+        push = new PushService({
+            transport: server.transport,
+            baseUrl: "http://push.test",
+            receiptDelayMs: 1000,
+            receiptRetryMs: 500,
+            flushDelayMs: 10,
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        clearTimeout(push.receiptTimer);
+    });
+
+    it("sends queued messages in chunks of up to 100", async () => {
+        const tickets = await Promise.all(
+            Array.from({ length: 150 }, (_, index) =>
+                push.enqueue({ to: token(index), title: "Hi" })
+            )
+        );
+
+        expect(server.sends.map((batch) => batch.length)).toEqual([100, 50]);
+        expect(tickets[120]).toEqual({ status: "ok", id: `ticket-${token(120)}` });
+    });
+
+    it("follows tickets up with receipts and drops unregistered tokens", async () => {
+        await push.sendPushNotifications([{ to: token("a") }, { to: token("b") }]);
+        expect([...push.pendingReceipts.values()]).toEqual([token("a"), token("b")]);
+
+        server.receipts = {
+            [`ticket-${token("a")}`]: { status: "ok" },
+            [`ticket-${token("b")}`]: {
+                status: "error",
+                message: "Not registered",
+                details: { error: "DeviceNotRegistered" },
+            },
+        };
+        await push.checkReceipts();
+
+        expect(server.receiptRequests).toEqual([
+            [`ticket-${token("a")}`, `ticket-${token("b")}`],
+        ]);
+        expect(User.updateMany).toHaveBeenCalledTimes(1);
+        expect(User.updateMany).toHaveBeenCalledWith(
+            { pushToken: token("b") },
+            { $unset: { pushToken: 1 } }
+        );
+        expect(push.pendingReceipts.size).toBe(0);
+    });
+
+    it("drops a token whose ticket already says it's unregistered", async () => {
+        server.ticketErrors[token("gone")] = "DeviceNotRegistered";
+
+        await push.sendPushNotifications([{ to: token("gone") }]);
+
+        expect(User.updateMany).toHaveBeenCalledWith(
+            { pushToken: token("gone") },
+            { $unset: { pushToken: 1 } }
+        );
+        expect(push.pendingReceipts.size).toBe(0);
+    });
+
+    it("retries a failed receipt check with backoff", async () => {
+        jest.useFakeTimers();
+        server.receipts = new Error("Expo is down");
+
+        await push.sendPushNotifications([{ to: token("a") }]);
+
+        // First check, after the receipt delay, fails
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(server.receiptRequests).toHaveLength(1);
+        expect(push.pendingReceipts.size).toBe(1);
+
+        // Then again after 500ms, and 1000ms after that
+        await jest.advanceTimersByTimeAsync(500);
+        expect(server.receiptRequests).toHaveLength(2);
+
+        server.receipts = { [`ticket-${token("a")}`]: { status: "ok" } };
+        await jest.advanceTimersByTimeAsync(999);
+        expect(server.receiptRequests).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(server.receiptRequests).toHaveLength(3);
+
+        expect(push.pendingReceipts.size).toBe(0);
+        expect(push.receiptFailures).toBe(0);
+        expect(push.receiptTimer).toBeNull();
+    });
+});
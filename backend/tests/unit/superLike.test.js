@@ -0,0 +1,71 @@
+const {
+    getLocalDay,
+    getNextLocalMidnight,
+    getQuota,
+    isValidTimezone,
+} = require("../../services/superLikeService");
+
+describe("superLikeService", () => {
+    it("reads the calendar day in the user's time zone", () => {
+        const now = new Date("2024-03-10T20:30:00Z");
+
+        expect(getLocalDay(now, "UTC")).toBe("2024-03-10");
+        expect(getLocalDay(now, "Asia/Kolkata")).toBe("2024-03-11");
+        expect(getLocalDay(now, "America/Los_Angeles")).toBe("2024-03-10");
+    });
+
+    it("resets at the next local midnight", () => {
+        const now = new Date("2024-06-01T12:00:00Z");
+
+        expect(getNextLocalMidnight(now, "UTC").toISOString()).toBe(
+            "2024-06-02T00:00:00.000Z"
+        );
+        expect(getNextLocalMidnight(now, "Asia/Kolkata").toISOString()).toBe(
+            "2024-06-01T18:30:00.000Z"
+        );
+    });
+
+    it("keeps local midnight across daylight saving changes", () => {
+        // New York springs forward at 2am on March 10, 2024
+        const now = new Date("2024-03-10T12:00:00Z");
+
+        expect(getNextLocalMidnight(now, "America/New_York").toISOString()).toBe(
+            "2024-03-11T04:00:00.000Z"
+        );
+        expect(
+            getNextLocalMidnight(new Date("2024-03-09T12:00:00Z"), "America/New_York").toISOString()
+        ).toBe("2024-03-10T05:00:00.000Z");
+    });
+
+    it("starts a fresh count once the stored reset has passed", () => {
+        const user = {
+            timezone: "Asia/Kolkata",
+            superLikeUsage: { count: 3, resetAt: new Date("2024-03-10T18:30:00Z") },
+        };
+
+        expect(getQuota(user, new Date("2024-03-10T12:00:00Z")).remaining).toBe(0);
+        expect(getQuota(user, new Date("2024-03-10T19:00:00Z"))).toMatchObject({
+            used: 0,
+            remaining: 3,
+        });
+    });
+
+    it("doesn't reset early when the time zone changes", () => {
+        const user = {
+            // Already March 11 here, but the quota was started in Kolkata
+            timezone: "Pacific/Kiritimati",
+            superLikeUsage: { count: 3, resetAt: new Date("2024-03-10T18:30:00Z") },
+        };
+
+        expect(getQuota(user, new Date("2024-03-10T12:00:00Z"))).toMatchObject({
+            remaining: 0,
+            resetAt: new Date("2024-03-10T18:30:00Z"),
+        });
+    });
+
+    it("only accepts known time zones", () => {
+        expect(isValidTimezone("Europe/Berlin")).toBe(true);
+        expect(isValidTimezone("Mars/Olympus")).toBe(false);
+        expect(isValidTimezone("")).toBe(false);
+    });
+});
@@ -0,0 +1,9 @@
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} handler - async (req, res, next) => {}
+ * @returns {Function} - Express middleware
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
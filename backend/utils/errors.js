@@ -0,0 +1,80 @@
+/**
+ * Application errors
+ *
+ * Controllers throw these instead of building error responses by hand; the
+ * error middleware turns them into the standard envelope:
+ * { success: false, message, code, errorType?, errors? }
+ *
+ * `code` is a stable machine-readable identifier. `errorType` is the older,
+ * field-oriented hint (e.g. "email", "password") some screens still key off.
+ */
+class AppError extends Error {
+    /**
+     * @param {string} message - Human readable message
+     * @param {Object} [options]
+     * @param {number} [options.statusCode=500] - HTTP status
+     * @param {string} [options.code="SERVER_ERROR"] - Stable error code
+     * @param {string} [options.errorType] - Optional field hint for the client
+     * @param {Array<Object>} [options.errors] - Per-field errors ({ field, message })
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = options.statusCode || 500;
+        this.code = options.code || "SERVER_ERROR";
+        this.errorType = options.errorType;
+        this.errors = options.errors;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message = "Bad request", options = {}) {
+        super(message, { code: "BAD_REQUEST", ...options, statusCode: 400 });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = "Not authorized", options = {}) {
+        super(message, { code: "UNAUTHORIZED", ...options, statusCode: 401 });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = "Forbidden", options = {}) {
+        super(message, { code: "FORBIDDEN", ...options, statusCode: 403 });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = "Not found", options = {}) {
+        super(message, { code: "NOT_FOUND", ...options, statusCode: 404 });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = "Conflict", options = {}) {
+        super(message, { code: "CONFLICT", ...options, statusCode: 409 });
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message = "Validation failed", errors = [], options = {}) {
+        super(message, {
+            code: "VALIDATION_ERROR",
+            errorType: "validation",
+            ...options,
+            errors,
+            statusCode: 422,
+        });
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    ValidationError,
+};
@@ -0,0 +1,117 @@
+/**
+ * Playmate preferences
+ *
+ * Pets store preferred playmates as enums: { size: [SIZE_OPTIONS],
+ * ageClass: [AGE_CLASSES] }, where an empty list means "any". The app's
+ * setup screens still send the free-text labels from
+ * DOG_PLAYMATE_PREFERENCES / CAT_PLAYMATE_PREFERENCES ("Small Dogs",
+ * "Kittens", "All Cats"...), so everything is normalized through here before
+ * it is saved or compared.
+ */
+const {
+    SIZE_OPTIONS,
+    AGE_CLASSES,
+    ADULT_AGE,
+} = require("../constants/petConstants");
+
+// Words in a label that name an age class
+const AGE_CLASS_WORDS = {
+    puppy: AGE_CLASSES.YOUNG,
+    puppies: AGE_CLASSES.YOUNG,
+    kitten: AGE_CLASSES.YOUNG,
+    kittens: AGE_CLASSES.YOUNG,
+    young: AGE_CLASSES.YOUNG,
+    adult: AGE_CLASSES.ADULT,
+    adults: AGE_CLASSES.ADULT,
+};
+
+/**
+ * Age class of a pet
+ * @param {number} age - Age in years
+ * @returns {string|null} - AGE_CLASSES value, or null when the age is unknown
+ */
+const getAgeClass = (age) => {
+    if (typeof age !== "number" || Number.isNaN(age)) {
+        return null;
+    }
+
+    return age < ADULT_AGE ? AGE_CLASSES.YOUNG : AGE_CLASSES.ADULT;
+};
+
+/**
+ * Map one preference value onto { size } or { ageClass }
+ * @private
+ */
+const parsePreference = (value) => {
+    const words = String(value).toLowerCase().trim().split(/\s+/);
+
+    if (words[0] === "all" || words[0] === "any") {
+        return { any: true };
+    }
+
+    // "Extra Large Dogs" is how xlarge reads in the UI
+    if (words.includes("extra") && words.includes("large")) {
+        return { size: SIZE_OPTIONS.XLARGE };
+    }
+
+    const size = Object.values(SIZE_OPTIONS).find((option) =>
+        words.includes(option)
+    );
+    if (size) {
+        return { size };
+    }
+
+    const ageClass = words.map((word) => AGE_CLASS_WORDS[word]).find(Boolean);
+    return ageClass ? { ageClass } : {};
+};
+
+/**
+ * Normalize stored or submitted playmate preferences
+ * @param {Array<string>|Object} value - Label list, or { size, ageClass } with
+ *   enum values or labels in either list
+ * @returns {Object} - { size: [...], ageClass: [...] }; unknown values are dropped
+ */
+const normalizePlaymatePreferences = (value) => {
+    let entries = [];
+
+    if (Array.isArray(value)) {
+        entries = value;
+    } else if (value && typeof value === "object") {
+        entries = [...(value.size || []), ...(value.ageClass || [])];
+    }
+
+    const sizes = new Set();
+    const ageClasses = new Set();
+    let acceptsAll = false;
+
+    entries.forEach((entry) => {
+        const parsed = parsePreference(entry);
+
+        if (parsed.any) {
+            acceptsAll = true;
+        } else if (parsed.size) {
+            sizes.add(parsed.size);
+        } else if (parsed.ageClass) {
+            ageClasses.add(parsed.ageClass);
+        }
+    });
+
+    // "All Dogs" overrides anything picked alongside it
+    if (acceptsAll) {
+        return { size: [], ageClass: [] };
+    }
+
+    // Accepting every age class is the same as not filtering on it
+    return {
+        size: [...sizes],
+        ageClass:
+            ageClasses.size === Object.values(AGE_CLASSES).length
+                ? []
+                : [...ageClasses],
+    };
+};
+
+module.exports = {
+    normalizePlaymatePreferences,
+    getAgeClass,
+};
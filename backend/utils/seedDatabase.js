@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Pet = require('../models/Pet');
 const { 
@@ -93,23 +92,22 @@ const getRandomElements = (array, count) => {
 };
 
 // Create a random user
+// The password is stored in plain text here; User's pre-save hook hashes it
 const createRandomUser = async () => {
   const firstName = getRandomElement(names);
-  const salt = await bcrypt.genSalt(10);
-  const hashedPassword = await bcrypt.hash('password123', salt);
   
   return new User({
     name: firstName,
     email: `${firstName.toLowerCase()}${Math.floor(Math.random() * 10000)}@example.com`,
-    password: hashedPassword,
+    password: 'password123',
     phoneNumber: `+91${Math.floor(Math.random() * 9000000000) + 1000000000}`,
     location: generateRandomLocation(),
     profilePicture: `https://randomuser.me/api/portraits/${Math.random() > 0.5 ? 'men' : 'women'}/${Math.floor(Math.random() * 100)}.jpg`
   });
 };
 
-// Create a random pet for a user
-const createRandomPet = (userId) => {
+// Create a random pet for a user, located where its owner is
+const createRandomPet = (userId, ownerLocation) => {
   const randomSize = getRandomElement(Object.values(SIZE_OPTIONS));
   const preferredSizes = getRandomElements(
     Object.values(SIZE_OPTIONS).filter(size => size !== randomSize), 
@@ -118,6 +116,7 @@ const createRandomPet = (userId) => {
   
   return new Pet({
     owner: userId,
+    location: Pet.pointFromLocation(ownerLocation),
     name: getRandomElement(petNames),
     type: PET_TYPES.DOG, // Only dogs as per requirement
     breed: getRandomElement(dogBreeds),
@@ -161,7 +160,7 @@ const seedDatabase = async (userCount = 20) => {
     for (const user of users) {
       const petCount = Math.floor(Math.random() * 3) + 1;
       for (let i = 0; i < petCount; i++) {
-        const pet = createRandomPet(user._id);
+        const pet = createRandomPet(user._id, user.location);
         await pet.save();
         pets.push(pet);
         console.log(`Created pet: ${pet.name} for ${user.name}`);
@@ -192,3 +191,7 @@ const seedDatabase = async (userCount = 20) => {
 };
 
 module.exports = seedDatabase;
+// Record builders, reused by the test factories
+module.exports.createRandomUser = createRandomUser;
+module.exports.createRandomPet = createRandomPet;
+module.exports.generateRandomLocation = generateRandomLocation;
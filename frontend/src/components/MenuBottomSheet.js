@@ -11,7 +11,8 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import theme from "../styles/theme";
 
-const MenuBottomSheet = ({ visible, onClose, options, title = "Options" }) => {
+// Anything passed as children is shown between the title and the options
+const MenuBottomSheet = ({ visible, onClose, options, title = "Options", children }) => {
     const slideAnim = useRef(new Animated.Value(0)).current;
 
     useEffect(() => {
@@ -63,6 +64,8 @@ const MenuBottomSheet = ({ visible, onClose, options, title = "Options" }) => {
                             </TouchableOpacity>
                         </View>
 
+                        {children}
+
                         <FlatList
                             data={options}
                             keyExtractor={(item, index) => `menu-option-${index}`}
@@ -75,11 +78,21 @@ const MenuBottomSheet = ({ visible, onClose, options, title = "Options" }) => {
                                             <Ionicons
                                                 name={item.icon}
                                                 size={20}
-                                                color={theme.colors.textPrimary}
+                                                color={
+                                                    item.destructive
+                                                        ? theme.colors.error
+                                                        : theme.colors.textPrimary
+                                                }
                                                 style={styles.optionIcon}
                                             />
                                         )}
-                                        <Text style={styles.optionText}>{item.label}</Text>
+                                        <Text
+                                            style={[
+                                                styles.optionText,
+                                                item.destructive && styles.destructiveText,
+                                            ]}>
+                                            {item.label}
+                                        </Text>
                                     </View>
                                 </TouchableOpacity>
                             )}
@@ -135,6 +148,9 @@ const styles = StyleSheet.create({
         fontSize: theme.typography.fontSize.md,
         color: theme.colors.textPrimary,
     },
+    destructiveText: {
+        color: theme.colors.error,
+    },
 });
 
 export default MenuBottomSheet;
\ No newline at end of file
@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from "react";
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    Modal,
+    TextInput,
+    Switch,
+    ScrollView,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+    REPORT_REASON_LABELS,
+    REPORT_LIMITS,
+} from "../constants/moderationConstants";
+import theme, { withOpacity } from "../styles/theme";
+
+/**
+ * Bottom sheet for reporting a user or pet
+ *
+ * onSubmit receives { reason, details, includeMessages, block }.
+ * The "include messages" switch is only shown when canAttachMessages is set.
+ */
+const ReportSheet = ({
+    visible,
+    onClose,
+    onSubmit,
+    subjectName = "this profile",
+    canAttachMessages = false,
+    submitting = false,
+}) => {
+    const [reason, setReason] = useState(null);
+    const [details, setDetails] = useState("");
+    const [includeMessages, setIncludeMessages] = useState(true);
+    const [block, setBlock] = useState(true);
+
+    // Start from a clean form every time the sheet opens
+    useEffect(() => {
+        if (visible) {
+            setReason(null);
+            setDetails("");
+            setIncludeMessages(true);
+            setBlock(true);
+        }
+    }, [visible]);
+
+    const handleSubmit = () => {
+        if (!reason || submitting) return;
+
+        onSubmit({
+            reason,
+            details: details.trim(),
+            includeMessages: canAttachMessages && includeMessages,
+            block,
+        });
+    };
+
+    return (
+        <Modal
+            animationType="slide"
+            transparent={true}
+            visible={visible}
+            onRequestClose={onClose}>
+            <KeyboardAvoidingView
+                style={styles.modalOverlay}
+                behavior={Platform.OS === "ios" ? "padding" : undefined}>
+                <View style={styles.modalContent}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalHeaderText}>Report {subjectName}</Text>
+                        <TouchableOpacity onPress={onClose} disabled={submitting}>
+                            <Ionicons name="close" size={24} color={theme.colors.textPrimary} />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView showsVerticalScrollIndicator={false}>
+                        <Text style={styles.sectionLabel}>What's going on?</Text>
+                        {Object.entries(REPORT_REASON_LABELS).map(([value, label]) => (
+                            <TouchableOpacity
+                                key={value}
+                                style={[
+                                    styles.reasonItem,
+                                    reason === value && styles.reasonItemSelected,
+                                ]}
+                                onPress={() => setReason(value)}>
+                                <Text style={styles.reasonText}>{label}</Text>
+                                {reason === value && (
+                                    <Ionicons
+                                        name="checkmark-circle"
+                                        size={20}
+                                        color={theme.colors.primary}
+                                    />
+                                )}
+                            </TouchableOpacity>
+                        ))}
+
+                        <TextInput
+                            style={styles.detailsInput}
+                            value={details}
+                            onChangeText={setDetails}
+                            placeholder="Anything else we should know? (optional)"
+                            placeholderTextColor={theme.colors.textSecondary}
+                            maxLength={REPORT_LIMITS.MAX_DETAILS_LENGTH}
+                            multiline
+                        />
+
+                        {canAttachMessages && (
+                            <View style={styles.switchRow}>
+                                <Text style={styles.switchLabel}>
+                                    Include their recent messages
+                                </Text>
+                                <Switch
+                                    value={includeMessages}
+                                    onValueChange={setIncludeMessages}
+                                    trackColor={{ true: theme.colors.primary }}
+                                />
+                            </View>
+                        )}
+
+                        <View style={styles.switchRow}>
+                            <Text style={styles.switchLabel}>Also block {subjectName}</Text>
+                            <Switch
+                                value={block}
+                                onValueChange={setBlock}
+                                trackColor={{ true: theme.colors.primary }}
+                            />
+                        </View>
+
+                        <TouchableOpacity
+                            style={[
+                                styles.submitButton,
+                                (!reason || submitting) && styles.submitButtonDisabled,
+                            ]}
+                            onPress={handleSubmit}
+                            disabled={!reason || submitting}>
+                            {submitting ? (
+                                <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+                            ) : (
+                                <Text style={styles.submitText}>Send Report</Text>
+                            )}
+                        </TouchableOpacity>
+                    </ScrollView>
+                </View>
+            </KeyboardAvoidingView>
+        </Modal>
+    );
+};
+
+const styles = StyleSheet.create({
+    modalOverlay: {
+        flex: 1,
+        justifyContent: "flex-end",
+        backgroundColor: "rgba(0,0,0,0.5)",
+    },
+    modalContent: {
+        backgroundColor: theme.colors.background,
+        borderTopLeftRadius: theme.borderRadius.xl,
+        borderTopRightRadius: theme.borderRadius.xl,
+        padding: theme.spacing.xl,
+        paddingBottom: theme.spacing.xxxl,
+        maxHeight: "85%",
+    },
+    modalHeader: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginBottom: theme.spacing.lg,
+    },
+    modalHeaderText: {
+        fontSize: theme.typography.fontSize.lg,
+        fontWeight: theme.typography.fontWeight.bold,
+        color: theme.colors.textPrimary,
+        flexShrink: 1,
+    },
+    sectionLabel: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginBottom: theme.spacing.sm,
+    },
+    reasonItem: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        borderWidth: 1,
+        borderColor: theme.colors.divider,
+        borderRadius: theme.borderRadius.md,
+        paddingVertical: theme.spacing.md,
+        paddingHorizontal: theme.spacing.lg,
+        marginBottom: theme.spacing.sm,
+    },
+    reasonItemSelected: {
+        borderColor: theme.colors.primary,
+        backgroundColor: withOpacity(theme.colors.primary, 0.08),
+    },
+    reasonText: {
+        fontSize: theme.typography.fontSize.md,
+        color: theme.colors.textPrimary,
+    },
+    detailsInput: {
+        borderWidth: 1,
+        borderColor: theme.colors.divider,
+        borderRadius: theme.borderRadius.md,
+        padding: theme.spacing.md,
+        minHeight: 80,
+        textAlignVertical: "top",
+        fontSize: theme.typography.fontSize.md,
+        color: theme.colors.textPrimary,
+        marginTop: theme.spacing.sm,
+    },
+    switchRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginTop: theme.spacing.lg,
+    },
+    switchLabel: {
+        fontSize: theme.typography.fontSize.md,
+        color: theme.colors.textPrimary,
+        flexShrink: 1,
+        marginRight: theme.spacing.md,
+    },
+    submitButton: {
+        backgroundColor: theme.colors.error,
+        borderRadius: theme.borderRadius.md,
+        paddingVertical: theme.spacing.md,
+        alignItems: "center",
+        marginTop: theme.spacing.xl,
+    },
+    submitButtonDisabled: {
+        opacity: 0.5,
+    },
+    submitText: {
+        fontSize: theme.typography.fontSize.md,
+        fontWeight: theme.typography.fontWeight.semiBold,
+        color: theme.colors.onPrimary,
+    },
+});
+
+export default ReportSheet;
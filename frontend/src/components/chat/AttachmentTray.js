@@ -0,0 +1,105 @@
+import React from 'react';
+import { View, Image, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import theme, { withOpacity } from '../../styles/theme';
+
+const percent = (progress) => Math.round((progress || 0) * 100);
+
+/**
+ * AttachmentTray component shown above the ChatScreen input
+ * Previews the photos picked for the next message while they upload.
+ * Each attachment is { id, uri, progress, url }; url is set once the
+ * upload finished.
+ */
+const AttachmentTray = ({ attachments, onRemove }) => {
+  if (!attachments || attachments.length === 0) return null;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.container}
+    >
+      {attachments.map((attachment) => (
+        <View key={attachment.id} style={styles.item}>
+          <Image source={{ uri: attachment.uri }} style={styles.thumbnail} />
+
+          {!attachment.url && (
+            <>
+              <View style={styles.overlay}>
+                <Text style={styles.progressText}>{percent(attachment.progress)}%</Text>
+              </View>
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressBar, { width: `${percent(attachment.progress)}%` }]} />
+              </View>
+            </>
+          )}
+
+          <TouchableOpacity
+            style={styles.removeButton}
+            onPress={() => onRemove(attachment.id)}
+            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+          >
+            <Ionicons name="close" size={14} color={theme.colors.onPrimary} />
+          </TouchableOpacity>
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: theme.spacing.md,
+    paddingTop: theme.spacing.sm,
+    backgroundColor: theme.colors.surface,
+  },
+  item: {
+    width: 72,
+    height: 72,
+    marginRight: theme.spacing.sm,
+    borderRadius: theme.borderRadius.sm,
+    overflow: 'hidden',
+    backgroundColor: theme.colors.backgroundVariant,
+  },
+  thumbnail: {
+    width: '100%',
+    height: '100%',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: withOpacity(theme.colors.textPrimary, 0.4),
+  },
+  progressText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.onPrimary,
+  },
+  progressTrack: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    height: 3,
+    backgroundColor: withOpacity(theme.colors.onPrimary, 0.4),
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: theme.colors.primary,
+  },
+  removeButton: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 20,
+    height: 20,
+    borderRadius: theme.borderRadius.circle,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: withOpacity(theme.colors.textPrimary, 0.6),
+  },
+});
+
+export default AttachmentTray;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal,
+  View,
+  Image,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  StyleSheet,
+  StatusBar,
+  useWindowDimensions,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import theme, { withOpacity } from '../../styles/theme';
+
+// Photos are shown on black whatever the app theme
+const BACKDROP_COLOR = '#000000';
+
+/**
+ * ImageViewer component - full-screen viewer for chat photos
+ * Swipe between a message's images, starting at initialIndex.
+ */
+const ImageViewer = ({ visible, images = [], initialIndex = 0, onClose }) => {
+  const { width, height } = useWindowDimensions();
+  const [index, setIndex] = useState(initialIndex);
+
+  // Start at the tapped photo each time the viewer opens
+  useEffect(() => {
+    if (visible) {
+      setIndex(initialIndex);
+    }
+  }, [visible, initialIndex]);
+
+  const handleScrollEnd = (event) => {
+    setIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <StatusBar barStyle="light-content" />
+      <View style={styles.backdrop}>
+        <FlatList
+          data={images}
+          keyExtractor={(uri, itemIndex) => `${itemIndex}-${uri}`}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          initialScrollIndex={initialIndex}
+          getItemLayout={(_, itemIndex) => ({
+            length: width,
+            offset: width * itemIndex,
+            index: itemIndex,
+          })}
+          onMomentumScrollEnd={handleScrollEnd}
+          renderItem={({ item }) => (
+            <Image
+              source={{ uri: item }}
+              style={{ width, height }}
+              resizeMode="contain"
+            />
+          )}
+        />
+
+        <SafeAreaView style={styles.header} edges={['top']}>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={28} color={theme.colors.onPrimary} />
+          </TouchableOpacity>
+          {images.length > 1 && (
+            <Text style={styles.counter}>
+              {index + 1} / {images.length}
+            </Text>
+          )}
+        </SafeAreaView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: BACKDROP_COLOR,
+  },
+  header: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: theme.spacing.lg,
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: theme.borderRadius.circle,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: withOpacity(BACKDROP_COLOR, 0.4),
+  },
+  counter: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semiBold,
+    color: theme.colors.onPrimary,
+  },
+});
+
+export default ImageViewer;
@@ -0,0 +1,195 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  PLAYDATE_STATUSES,
+  PLAYDATE_ACTIONS,
+  PLAYDATE_STATUS_LABELS,
+} from '../../constants/playdateConstants';
+import theme, { withOpacity } from '../../styles/theme';
+
+const STATUS_COLORS = {
+  proposed: theme.colors.info,
+  accepted: theme.colors.success,
+  declined: theme.colors.textSecondary,
+  cancelled: theme.colors.textSecondary,
+  completed: theme.colors.primary,
+};
+
+const formatWhen = (dateString) =>
+  new Date(dateString).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * PlaydateCard component for the ChatScreen timeline
+ * Shows a playdate's time, place and status with the actions open to the
+ * current user. onAction receives (action, playdate).
+ */
+const PlaydateCard = ({ playdate, currentUserId, onAction, busy = false }) => {
+  const isMine = String(playdate.proposedBy) === String(currentUserId);
+  const isProposed = playdate.status === PLAYDATE_STATUSES.PROPOSED;
+  const isAccepted = playdate.status === PLAYDATE_STATUSES.ACCEPTED;
+  const hasHappened = new Date(playdate.scheduledAt) <= new Date();
+
+  // Buttons for the current user, primary action first
+  const actions = [];
+  if (isProposed && !isMine) {
+    actions.push(
+      { action: PLAYDATE_ACTIONS.ACCEPT, label: 'Accept', primary: true },
+      { action: PLAYDATE_ACTIONS.DECLINE, label: 'Decline' },
+      { action: PLAYDATE_ACTIONS.COUNTER, label: 'Suggest another time' }
+    );
+  } else if (isProposed) {
+    actions.push({ action: PLAYDATE_ACTIONS.CANCEL, label: 'Cancel' });
+  } else if (isAccepted && hasHappened) {
+    actions.push(
+      { action: PLAYDATE_ACTIONS.COMPLETE, label: 'Mark as done', primary: true },
+      { action: PLAYDATE_ACTIONS.CANCEL, label: 'Cancel' }
+    );
+  } else if (isAccepted) {
+    actions.push(
+      { action: PLAYDATE_ACTIONS.COUNTER, label: 'Reschedule' },
+      { action: PLAYDATE_ACTIONS.CANCEL, label: 'Cancel' }
+    );
+  }
+
+  const statusColor = STATUS_COLORS[playdate.status] || theme.colors.textSecondary;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ionicons name="paw" size={18} color={theme.colors.primary} />
+        <Text style={styles.title}>
+          {isMine ? 'You proposed a playdate' : 'Playdate proposal'}
+        </Text>
+        <View style={[styles.statusPill, { backgroundColor: withOpacity(statusColor, 0.12) }]}>
+          <Text style={[styles.statusText, { color: statusColor }]}>
+            {PLAYDATE_STATUS_LABELS[playdate.status]}
+          </Text>
+        </View>
+      </View>
+
+      <View style={styles.detailRow}>
+        <Ionicons name="calendar-outline" size={16} color={theme.colors.textSecondary} />
+        <Text style={styles.detailText}>{formatWhen(playdate.scheduledAt)}</Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Ionicons name="location-outline" size={16} color={theme.colors.textSecondary} />
+        <Text style={styles.detailText}>{playdate.placeName}</Text>
+      </View>
+      {playdate.note ? <Text style={styles.note}>{playdate.note}</Text> : null}
+
+      {isProposed && isMine && (
+        <Text style={styles.waitingText}>Waiting for a reply</Text>
+      )}
+
+      {actions.length > 0 && (
+        <View style={styles.actions}>
+          {busy ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            actions.map(({ action, label, primary }) => (
+              <TouchableOpacity
+                key={action}
+                style={[styles.actionButton, primary && styles.primaryButton]}
+                onPress={() => onAction(action, playdate)}
+              >
+                <Text style={[styles.actionText, primary && styles.primaryText]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    alignSelf: 'center',
+    width: '90%',
+    marginVertical: theme.spacing.sm,
+    padding: theme.spacing.md,
+    borderRadius: theme.borderRadius.lg,
+    borderWidth: 1,
+    borderColor: theme.colors.divider,
+    backgroundColor: theme.colors.backgroundVariant,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  title: {
+    flex: 1,
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.textPrimary,
+  },
+  statusPill: {
+    paddingHorizontal: theme.spacing.sm,
+    paddingVertical: 2,
+    borderRadius: theme.borderRadius.circle,
+  },
+  statusText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.xs,
+  },
+  detailText: {
+    flex: 1,
+    marginLeft: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.textPrimary,
+  },
+  note: {
+    marginTop: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.sm,
+    fontStyle: 'italic',
+    color: theme.colors.textSecondary,
+  },
+  waitingText: {
+    marginTop: theme.spacing.sm,
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.textSecondary,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    marginTop: theme.spacing.md,
+    gap: theme.spacing.sm,
+  },
+  actionButton: {
+    paddingVertical: theme.spacing.xs,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.circle,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+  },
+  primaryButton: {
+    backgroundColor: theme.colors.primary,
+  },
+  actionText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontWeight: theme.typography.fontWeight.medium,
+    color: theme.colors.primary,
+  },
+  primaryText: {
+    color: theme.colors.onPrimary,
+  },
+});
+
+export default PlaydateCard;
@@ -0,0 +1,360 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import LocationService from '../../services/LocationService';
+import { PLAYDATE_LIMITS } from '../../constants/playdateConstants';
+import theme, { withOpacity } from '../../styles/theme';
+
+// Days and hours offered in the picker
+const DAYS_SHOWN = 14;
+const FIRST_HOUR = 7;
+const LAST_HOUR = 21;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const upcomingDays = () => {
+  const today = startOfDay(new Date());
+  return Array.from({ length: DAYS_SHOWN }, (_, index) => {
+    const day = new Date(today);
+    day.setDate(today.getDate() + index);
+    return day;
+  });
+};
+
+const HOURS = Array.from({ length: LAST_HOUR - FIRST_HOUR + 1 }, (_, index) => FIRST_HOUR + index);
+
+const atHour = (day, hour) => {
+  const date = new Date(day);
+  date.setHours(hour, 0, 0, 0);
+  return date;
+};
+
+const dayLabel = (day, index) => {
+  if (index === 0) return 'Today';
+  if (index === 1) return 'Tomorrow';
+  return day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+};
+
+const hourLabel = (hour) =>
+  new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Bottom sheet for proposing a playdate or suggesting another time
+ *
+ * The meeting point starts at `initial` (the playdate being countered) or
+ * `defaultLocation` and can be moved to the device's position.
+ * onSubmit receives { scheduledAt, location, placeName, note }.
+ */
+const PlaydateSheet = ({
+  visible,
+  onClose,
+  onSubmit,
+  initial = null,
+  defaultLocation = null,
+  submitting = false,
+}) => {
+  const [day, setDay] = useState(null);
+  const [hour, setHour] = useState(null);
+  const [placeName, setPlaceName] = useState('');
+  const [note, setNote] = useState('');
+  const [coordinates, setCoordinates] = useState(null);
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState(null);
+
+  const days = upcomingDays();
+
+  // Start from the countered proposal, or a clean form, every time it opens
+  useEffect(() => {
+    if (!visible) return;
+
+    setDay(null);
+    setHour(null);
+    setPlaceName(initial?.placeName || '');
+    setNote('');
+    setCoordinates(initial?.location?.coordinates || defaultLocation?.coordinates || null);
+    setLocationError(null);
+  }, [visible]);
+
+  const handleUseCurrentLocation = async () => {
+    setLocating(true);
+    setLocationError(null);
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        setLocationError('Location permission is needed to use your position');
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.Balanced,
+      });
+      const { latitude, longitude } = position.coords;
+      setCoordinates([longitude, latitude]); // GeoJSON order
+
+      if (!placeName.trim()) {
+        const locality = await LocationService.getLocalityFromCoordinates(latitude, longitude);
+        if (locality !== 'Unknown location') {
+          setPlaceName(locality);
+        }
+      }
+    } catch (error) {
+      console.error('Error getting current location:', error);
+      setLocationError("Couldn't get your location. Please try again.");
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  const scheduledAt = day && hour !== null ? atHour(day, hour) : null;
+  const isPast = scheduledAt && scheduledAt <= new Date();
+  const canSubmit =
+    scheduledAt && !isPast && placeName.trim() && coordinates && !submitting && !locating;
+
+  const handleSubmit = () => {
+    if (!canSubmit) return;
+
+    onSubmit({
+      scheduledAt: scheduledAt.toISOString(),
+      location: { type: 'Point', coordinates },
+      placeName: placeName.trim(),
+      note: note.trim() || undefined,
+    });
+  };
+
+  return (
+    <Modal animationType="slide" transparent={true} visible={visible} onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        style={styles.modalOverlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      >
+        <View style={styles.modalContent}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalHeaderText}>
+              {initial ? 'Suggest another time' : 'Propose a playdate'}
+            </Text>
+            <TouchableOpacity onPress={onClose} disabled={submitting}>
+              <Ionicons name="close" size={24} color={theme.colors.textPrimary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionLabel}>Day</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {days.map((item, index) => (
+                <TouchableOpacity
+                  key={item.toISOString()}
+                  style={[styles.chip, day?.getTime() === item.getTime() && styles.chipSelected]}
+                  onPress={() => setDay(item)}
+                >
+                  <Text
+                    style={[
+                      styles.chipText,
+                      day?.getTime() === item.getTime() && styles.chipTextSelected,
+                    ]}
+                  >
+                    {dayLabel(item, index)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            <Text style={styles.sectionLabel}>Time</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {HOURS.map((item) => {
+                const disabled = day && atHour(day, item) <= new Date();
+                return (
+                  <TouchableOpacity
+                    key={item}
+                    style={[
+                      styles.chip,
+                      hour === item && styles.chipSelected,
+                      disabled && styles.chipDisabled,
+                    ]}
+                    onPress={() => setHour(item)}
+                    disabled={disabled}
+                  >
+                    <Text style={[styles.chipText, hour === item && styles.chipTextSelected]}>
+                      {hourLabel(item)}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            {isPast && <Text style={styles.errorText}>Pick a time later than now</Text>}
+
+            <Text style={styles.sectionLabel}>Where</Text>
+            <TextInput
+              style={styles.input}
+              value={placeName}
+              onChangeText={setPlaceName}
+              placeholder="Park, café or meeting point"
+              placeholderTextColor={theme.colors.placeholder}
+              maxLength={PLAYDATE_LIMITS.MAX_PLACE_NAME_LENGTH}
+            />
+            <TouchableOpacity
+              style={styles.locationButton}
+              onPress={handleUseCurrentLocation}
+              disabled={locating}
+            >
+              {locating ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+              ) : (
+                <Ionicons
+                  name={coordinates ? 'location' : 'location-outline'}
+                  size={18}
+                  color={theme.colors.primary}
+                />
+              )}
+              <Text style={styles.locationText}>Use my current location</Text>
+            </TouchableOpacity>
+            {locationError && <Text style={styles.errorText}>{locationError}</Text>}
+            {!coordinates && !locationError && (
+              <Text style={styles.hintText}>Set a meeting point to continue</Text>
+            )}
+
+            <TextInput
+              style={[styles.input, styles.noteInput]}
+              value={note}
+              onChangeText={setNote}
+              placeholder="Add a note (optional)"
+              placeholderTextColor={theme.colors.placeholder}
+              maxLength={PLAYDATE_LIMITS.MAX_NOTE_LENGTH}
+              multiline
+            />
+
+            <TouchableOpacity
+              style={[styles.submitButton, !canSubmit && styles.submitButtonDisabled]}
+              onPress={handleSubmit}
+              disabled={!canSubmit}
+            >
+              {submitting ? (
+                <ActivityIndicator size="small" color={theme.colors.onPrimary} />
+              ) : (
+                <Text style={styles.submitText}>{initial ? 'Send Suggestion' : 'Send Proposal'}</Text>
+              )}
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  modalContent: {
+    backgroundColor: theme.colors.background,
+    borderTopLeftRadius: theme.borderRadius.xl,
+    borderTopRightRadius: theme.borderRadius.xl,
+    padding: theme.spacing.xl,
+    paddingBottom: theme.spacing.xxxl,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: theme.spacing.sm,
+  },
+  modalHeaderText: {
+    fontSize: theme.typography.fontSize.lg,
+    fontWeight: theme.typography.fontWeight.bold,
+    color: theme.colors.textPrimary,
+  },
+  sectionLabel: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.lg,
+    marginBottom: theme.spacing.sm,
+  },
+  chip: {
+    paddingVertical: theme.spacing.sm,
+    paddingHorizontal: theme.spacing.md,
+    borderRadius: theme.borderRadius.circle,
+    borderWidth: 1,
+    borderColor: theme.colors.divider,
+    marginRight: theme.spacing.sm,
+  },
+  chipSelected: {
+    borderColor: theme.colors.primary,
+    backgroundColor: withOpacity(theme.colors.primary, 0.08),
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.textPrimary,
+  },
+  chipTextSelected: {
+    color: theme.colors.primary,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: theme.colors.divider,
+    borderRadius: theme.borderRadius.md,
+    padding: theme.spacing.md,
+    fontSize: theme.typography.fontSize.md,
+    color: theme.colors.textPrimary,
+  },
+  noteInput: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+    marginTop: theme.spacing.lg,
+  },
+  locationButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: theme.spacing.sm,
+    gap: theme.spacing.xs,
+  },
+  locationText: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.primary,
+    fontWeight: theme.typography.fontWeight.medium,
+  },
+  hintText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.textSecondary,
+    marginTop: theme.spacing.xs,
+  },
+  errorText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.error,
+    marginTop: theme.spacing.xs,
+  },
+  submitButton: {
+    backgroundColor: theme.colors.primary,
+    borderRadius: theme.borderRadius.md,
+    paddingVertical: theme.spacing.md,
+    alignItems: 'center',
+    marginTop: theme.spacing.xl,
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitText: {
+    fontSize: theme.typography.fontSize.md,
+    fontWeight: theme.typography.fontWeight.semiBold,
+    color: theme.colors.onPrimary,
+  },
+});
+
+export default PlaydateSheet;
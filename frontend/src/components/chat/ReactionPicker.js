@@ -0,0 +1,53 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { MESSAGE_REACTIONS } from '../../constants/chatConstants';
+import theme, { withOpacity } from '../../styles/theme';
+
+/**
+ * ReactionPicker component - the row of emoji in the message actions sheet
+ * The current reaction is highlighted; picking it again removes it, so
+ * onSelect receives the new emoji or null.
+ */
+const ReactionPicker = ({ selected, onSelect }) => (
+  <View style={styles.container}>
+    {MESSAGE_REACTIONS.map((emoji) => {
+      const isSelected = emoji === selected;
+
+      return (
+        <TouchableOpacity
+          key={emoji}
+          style={[styles.option, isSelected && styles.selectedOption]}
+          onPress={() => onSelect(isSelected ? null : emoji)}
+        >
+          <Text style={styles.emoji}>{emoji}</Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: theme.spacing.md,
+    marginBottom: theme.spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.divider,
+  },
+  option: {
+    width: 44,
+    height: 44,
+    borderRadius: theme.borderRadius.circle,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedOption: {
+    backgroundColor: withOpacity(theme.colors.primary, 0.15),
+  },
+  emoji: {
+    fontSize: theme.typography.fontSize.xxl,
+  },
+});
+
+export default ReactionPicker;
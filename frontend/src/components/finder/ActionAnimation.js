@@ -61,6 +61,22 @@ const ActionAnimation = ({ type, animationValues, onAnimationComplete }) => {
           </View>
         </View>
       );
+    } else if (type === 'superlike') {
+      return (
+        <View style={styles.iconContainer}>
+          <View style={styles.superLikeContainer}>
+            <Ionicons name="star" size={80} color="#3DA5F4" style={styles.superLikeIcon} />
+          </View>
+        </View>
+      );
+    } else if (type === 'rewind') {
+      return (
+        <View style={styles.iconContainer}>
+          <View style={styles.rewindContainer}>
+            <Ionicons name="arrow-undo" size={80} color="#F5A623" style={styles.rewindIcon} />
+          </View>
+        </View>
+      );
     } else {
       return (
         <View style={styles.iconContainer}>
@@ -129,6 +145,28 @@ const styles = StyleSheet.create({
     shadowOffset: { width: 0, height: 0 },
     shadowOpacity: 0.3,
     shadowRadius: 8,
+  },
+  superLikeContainer: {
+    padding: 10,
+    borderRadius: 50,
+    backgroundColor: 'rgba(61, 165, 244, 0.1)',
+  },
+  superLikeIcon: {
+    shadowColor: '#3DA5F4',
+    shadowOffset: { width: 0, height: 0 },
+    shadowOpacity: 0.5,
+    shadowRadius: 10,
+  },
+  rewindContainer: {
+    padding: 10,
+    borderRadius: 50,
+    backgroundColor: 'rgba(245, 166, 35, 0.1)',
+  },
+  rewindIcon: {
+    shadowColor: '#F5A623',
+    shadowOffset: { width: 0, height: 0 },
+    shadowOpacity: 0.4,
+    shadowRadius: 8,
   }
 });
 
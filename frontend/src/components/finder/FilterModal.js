@@ -6,73 +6,288 @@ import {
     TouchableOpacity,
     StyleSheet,
     Dimensions,
+    ScrollView,
+    Switch,
+    ActivityIndicator,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import Slider from "@react-native-community/slider";
 import { BlurView } from "expo-blur";
+import {
+    DISCOVERY_FILTER_LIMITS,
+    PLAYMATE_MODES,
+    TEMPERAMENTS,
+    petTypeOptions,
+    sizeOptions,
+    genderOptions,
+    activityOptions,
+} from "../../constants/petConstants";
 
-const { width } = Dimensions.get("window");
-
-const FilterModal = ({ visible, filters, onClose, onFilterChange, onApply }) => (
-    <Modal
-        visible={visible}
-        transparent={true}
-        animationType="fade"
-        onRequestClose={onClose}>
-        <BlurView intensity={80} style={styles.modalOverlay}>
-            <View style={styles.modalContainer}>
-                <View style={styles.modalHeader}>
-                    <Text style={styles.modalTitle}>Filters</Text>
-                    <TouchableOpacity
-                        onPress={onClose}
-                        style={styles.closeButton}>
-                        <Ionicons name="close" size={20} color="#333" />
-                    </TouchableOpacity>
-                </View>
+const { width, height } = Dimensions.get("window");
+
+// The age sliders top out here; the top value means "no upper limit"
+const AGE_SLIDER_MAX = 20;
+
+const temperamentOptions = TEMPERAMENTS.map((temperament) => ({
+    label: temperament,
+    value: temperament,
+}));
+
+// Multi-select row of chips; an empty selection means "any"
+const FilterChips = ({ options, selected = [], onChange }) => (
+    <View style={styles.chipsContainer}>
+        {options.map((option) => {
+            const isSelected = selected.includes(option.value);
+            return (
+                <TouchableOpacity
+                    key={option.value}
+                    style={[styles.chip, isSelected && styles.chipSelected]}
+                    onPress={() =>
+                        onChange(
+                            isSelected
+                                ? selected.filter((value) => value !== option.value)
+                                : [...selected, option.value]
+                        )
+                    }>
+                    <Text
+                        style={[
+                            styles.chipText,
+                            isSelected && styles.chipTextSelected,
+                        ]}>
+                        {option.label}
+                    </Text>
+                </TouchableOpacity>
+            );
+        })}
+    </View>
+);
+
+const formatAgeRange = (minAge, maxAge) => {
+    if (minAge === null && maxAge === null) return "Any age";
+    if (maxAge === null) return `${minAge}+ years`;
+    if (minAge === null) return `Up to ${maxAge} years`;
+    return `${minAge} - ${maxAge} years`;
+};
+
+const FilterModal = ({
+    visible,
+    filters,
+    petType,
+    saving,
+    onClose,
+    onFilterChange,
+    onReset,
+    onApply,
+}) => {
+    const minAge = typeof filters.minAge === "number" ? filters.minAge : null;
+    const maxAge = typeof filters.maxAge === "number" ? filters.maxAge : null;
+
+    return (
+        <Modal
+            visible={visible}
+            transparent={true}
+            animationType="fade"
+            onRequestClose={onClose}>
+            <BlurView intensity={80} style={styles.modalOverlay}>
+                <View style={styles.modalContainer}>
+                    <View style={styles.modalHeader}>
+                        <Text style={styles.modalTitle}>Filters</Text>
+                        <TouchableOpacity
+                            onPress={onClose}
+                            style={styles.closeButton}>
+                            <Ionicons name="close" size={20} color="#333" />
+                        </TouchableOpacity>
+                    </View>
+
+                    <ScrollView
+                        style={styles.modalScroll}
+                        contentContainerStyle={styles.modalContent}
+                        showsVerticalScrollIndicator={false}>
+                        <Text style={styles.filterLabel}>Maximum Distance</Text>
+                        <View style={styles.sliderContainer}>
+                            <Text style={styles.sliderValue}>
+                                {filters.maxDistance} km
+                            </Text>
+                            <Slider
+                                style={styles.slider}
+                                minimumValue={DISCOVERY_FILTER_LIMITS.MIN_DISTANCE_KM}
+                                maximumValue={DISCOVERY_FILTER_LIMITS.MAX_DISTANCE_KM}
+                                step={1}
+                                value={filters.maxDistance}
+                                onValueChange={(value) =>
+                                    onFilterChange("maxDistance", value)
+                                }
+                                minimumTrackTintColor="#FF6B6B"
+                                maximumTrackTintColor="#E0E0E0"
+                                thumbTintColor="#FF6B6B"
+                            />
+                            <View style={styles.sliderLabels}>
+                                <Text style={styles.sliderMinLabel}>
+                                    {DISCOVERY_FILTER_LIMITS.MIN_DISTANCE_KM} km
+                                </Text>
+                                <Text style={styles.sliderMaxLabel}>
+                                    {DISCOVERY_FILTER_LIMITS.MAX_DISTANCE_KM} km
+                                </Text>
+                            </View>
+                        </View>
+
+                        <Text style={styles.filterLabel}>Pet Type</Text>
+                        <FilterChips
+                            options={petTypeOptions}
+                            selected={filters.types}
+                            onChange={(value) => onFilterChange("types", value)}
+                        />
+                        {(!filters.types || filters.types.length === 0) && petType && (
+                            <Text style={styles.hintText}>
+                                Showing {petType}s only until you pick a type
+                            </Text>
+                        )}
 
-                <View style={styles.modalContent}>
-                    <Text style={styles.filterLabel}>Maximum Distance</Text>
-                    <View style={styles.sliderContainer}>
-                        <Text style={styles.sliderValue}>
-                            {filters.maxDistance} km
-                        </Text>
-                        <Slider
-                            style={styles.slider}
-                            minimumValue={1}
-                            maximumValue={100}
-                            step={1}
-                            value={filters.maxDistance}
-                            onValueChange={(value) =>
-                                onFilterChange("maxDistance", value)
-                            }
-                            minimumTrackTintColor="#FF6B6B"
-                            maximumTrackTintColor="#E0E0E0"
-                            thumbTintColor="#FF6B6B"
+                        <Text style={styles.filterLabel}>Size</Text>
+                        <FilterChips
+                            options={sizeOptions}
+                            selected={filters.sizes}
+                            onChange={(value) => onFilterChange("sizes", value)}
                         />
-                        <View style={styles.sliderLabels}>
-                            <Text style={styles.sliderMinLabel}>1 km</Text>
-                            <Text style={styles.sliderMaxLabel}>100 km</Text>
+
+                        <Text style={styles.filterLabel}>Gender</Text>
+                        <FilterChips
+                            options={genderOptions}
+                            selected={filters.genders}
+                            onChange={(value) => onFilterChange("genders", value)}
+                        />
+
+                        <Text style={styles.filterLabel}>Age</Text>
+                        <View style={styles.sliderContainer}>
+                            <Text style={styles.sliderValue}>
+                                {formatAgeRange(minAge, maxAge)}
+                            </Text>
+                            <Text style={styles.sliderCaption}>From</Text>
+                            <Slider
+                                style={styles.slider}
+                                minimumValue={0}
+                                maximumValue={maxAge === null ? AGE_SLIDER_MAX : Math.max(maxAge, 1)}
+                                step={1}
+                                value={minAge === null ? 0 : minAge}
+                                onValueChange={(value) =>
+                                    onFilterChange("minAge", value === 0 ? null : value)
+                                }
+                                minimumTrackTintColor="#FF6B6B"
+                                maximumTrackTintColor="#E0E0E0"
+                                thumbTintColor="#FF6B6B"
+                            />
+                            <Text style={styles.sliderCaption}>To</Text>
+                            <Slider
+                                style={styles.slider}
+                                minimumValue={minAge === null ? 0 : minAge}
+                                maximumValue={AGE_SLIDER_MAX}
+                                step={1}
+                                value={maxAge === null ? AGE_SLIDER_MAX : maxAge}
+                                onValueChange={(value) =>
+                                    onFilterChange(
+                                        "maxAge",
+                                        value === AGE_SLIDER_MAX ? null : value
+                                    )
+                                }
+                                minimumTrackTintColor="#E0E0E0"
+                                maximumTrackTintColor="#FF6B6B"
+                                thumbTintColor="#FF6B6B"
+                            />
+                            <View style={styles.sliderLabels}>
+                                <Text style={styles.sliderMinLabel}>0</Text>
+                                <Text style={styles.sliderMaxLabel}>
+                                    {AGE_SLIDER_MAX}+
+                                </Text>
+                            </View>
                         </View>
-                    </View>
 
-                    <View style={styles.infoContainer}>
-                        <Text style={styles.infoText}>
-                            Distance is calculated from your current location.
-                            Matching with pets farther away might reduce available
-                            matches.
-                        </Text>
-                    </View>
+                        <Text style={styles.filterLabel}>Activity Level</Text>
+                        <FilterChips
+                            options={activityOptions}
+                            selected={filters.activityLevels}
+                            onChange={(value) => onFilterChange("activityLevels", value)}
+                        />
+
+                        <Text style={styles.filterLabel}>Temperament</Text>
+                        <FilterChips
+                            options={temperamentOptions}
+                            selected={filters.temperaments}
+                            onChange={(value) => onFilterChange("temperaments", value)}
+                        />
+
+                        <View style={styles.switchRow}>
+                            <Text style={[styles.filterLabel, styles.switchLabel]}>
+                                Vaccinated only
+                            </Text>
+                            <Switch
+                                value={Boolean(filters.vaccinatedOnly)}
+                                onValueChange={(value) =>
+                                    onFilterChange("vaccinatedOnly", value)
+                                }
+                                trackColor={{ false: "#E0E0E0", true: "#FFB3B3" }}
+                                thumbColor={filters.vaccinatedOnly ? "#FF6B6B" : "#FFFFFF"}
+                            />
+                        </View>
+
+                        <View style={styles.switchRow}>
+                            <View style={styles.switchTextContainer}>
+                                <Text style={[styles.filterLabel, styles.switchLabel]}>
+                                    Mutual playmate preferences
+                                </Text>
+                                <Text style={styles.switchHint}>
+                                    Only show pets whose preferred playmates
+                                    include yours, and the other way round
+                                </Text>
+                            </View>
+                            <Switch
+                                value={filters.playmateMode !== PLAYMATE_MODES.RELAXED}
+                                onValueChange={(value) =>
+                                    onFilterChange(
+                                        "playmateMode",
+                                        value ? PLAYMATE_MODES.STRICT : PLAYMATE_MODES.RELAXED
+                                    )
+                                }
+                                trackColor={{ false: "#E0E0E0", true: "#FFB3B3" }}
+                                thumbColor={
+                                    filters.playmateMode !== PLAYMATE_MODES.RELAXED
+                                        ? "#FF6B6B"
+                                        : "#FFFFFF"
+                                }
+                            />
+                        </View>
+
+                        <View style={styles.infoContainer}>
+                            <Text style={styles.infoText}>
+                                Distance is calculated from your current location.
+                                Filters are saved for this pet, and narrowing them
+                                might reduce available matches.
+                            </Text>
+                        </View>
 
-                    <TouchableOpacity
-                        style={styles.applyButton}
-                        onPress={onApply}>
-                        <Text style={styles.applyButtonText}>Apply</Text>
-                    </TouchableOpacity>
+                        <View style={styles.buttonRow}>
+                            <TouchableOpacity
+                                style={styles.resetButton}
+                                onPress={onReset}
+                                disabled={saving}>
+                                <Text style={styles.resetButtonText}>Reset</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                style={styles.applyButton}
+                                onPress={onApply}
+                                disabled={saving}>
+                                {saving ? (
+                                    <ActivityIndicator size="small" color="#FFFFFF" />
+                                ) : (
+                                    <Text style={styles.applyButtonText}>Apply</Text>
+                                )}
+                            </TouchableOpacity>
+                        </View>
+                    </ScrollView>
                 </View>
-            </View>
-        </BlurView>
-    </Modal>
-);
+            </BlurView>
+        </Modal>
+    );
+};
 
 const styles = StyleSheet.create({
     modalOverlay: {
@@ -108,6 +323,9 @@ const styles = StyleSheet.create({
         alignItems: "center",
         justifyContent: "center",
     },
+    modalScroll: {
+        maxHeight: height * 0.7,
+    },
     modalContent: {
         padding: 16,
     },
@@ -120,6 +338,10 @@ const styles = StyleSheet.create({
     sliderContainer: {
         marginBottom: 24,
     },
+    sliderCaption: {
+        fontSize: 12,
+        color: "#999999",
+    },
     sliderValue: {
         fontSize: 14,
         color: "#666666",
@@ -144,6 +366,56 @@ const styles = StyleSheet.create({
         fontSize: 12,
         color: "#999999",
     },
+    chipsContainer: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: 8,
+        marginBottom: 20,
+    },
+    chip: {
+        paddingVertical: 6,
+        paddingHorizontal: 14,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: "#E0E0E0",
+        backgroundColor: "#FFFFFF",
+    },
+    chipSelected: {
+        backgroundColor: "#FF6B6B",
+        borderColor: "#FF6B6B",
+    },
+    chipText: {
+        fontSize: 14,
+        color: "#666666",
+    },
+    chipTextSelected: {
+        color: "#FFFFFF",
+        fontWeight: "600",
+    },
+    hintText: {
+        fontSize: 12,
+        color: "#999999",
+        marginTop: -12,
+        marginBottom: 20,
+    },
+    switchRow: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginBottom: 20,
+    },
+    switchLabel: {
+        marginBottom: 0,
+    },
+    switchTextContainer: {
+        flex: 1,
+        marginRight: 12,
+    },
+    switchHint: {
+        fontSize: 12,
+        color: "#999999",
+        marginTop: 4,
+    },
     infoContainer: {
         flexDirection: "row",
         alignItems: "flex-start",
@@ -162,7 +434,24 @@ const styles = StyleSheet.create({
         color: "#666666",
         lineHeight: 18,
     },
+    buttonRow: {
+        flexDirection: "row",
+        gap: 12,
+    },
+    resetButton: {
+        flex: 1,
+        paddingVertical: 12,
+        borderRadius: 12,
+        alignItems: "center",
+        backgroundColor: "#F5F5F5",
+    },
+    resetButtonText: {
+        color: "#666666",
+        fontSize: 16,
+        fontWeight: "600",
+    },
     applyButton: {
+        flex: 2,
         backgroundColor: "#FF6B6B",
         paddingVertical: 12,
         borderRadius: 12,
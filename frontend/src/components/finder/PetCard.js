@@ -11,13 +11,28 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import DetailBadge from "./DetailBadge";
-import { DISPLAY_VALUES } from "../../constants/petConstants";
+import { DISPLAY_VALUES, getPlaymateLabels } from "../../constants/petConstants";
 import LocationService from "../../services/LocationService";
 import { getBreedLabelByValue } from "../../constants/petBreeds";
 
 // Using icon.png as a placeholder image
 const PLACEHOLDER_IMAGE = "https://blocks.astratic.com/img/general-img-landscape.png"
 
+// Icons for the compatibility factors the feed explains
+const FACTOR_ICONS = {
+    activity: 'flash-outline',
+    temperament: 'happy-outline',
+    size: 'resize-outline',
+    age: 'calendar-outline',
+    distance: 'navigate-outline',
+};
+
+// How many reasons to show under "Why you're seeing this"
+const MAX_REASONS = 3;
+
+// Accent used for pets that super liked the viewer's pet
+const SUPER_LIKE_COLOR = '#3DA5F4';
+
 const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
     const [activeImageIndex, setActiveImageIndex] = useState(0);
     const [imagesLoaded, setImagesLoaded] = useState({});
@@ -103,6 +118,18 @@ const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
         setActiveImageIndex(newIndex);
     }, []);
 
+    // Strongest matching factors from the server's compatibility breakdown
+    const reasons = useMemo(() => {
+        const breakdown = pet.compatibility?.breakdown || [];
+        const matching = breakdown.filter(entry => entry.score >= 50);
+        return (matching.length ? matching : breakdown).slice(0, MAX_REASONS);
+    }, [pet.compatibility]);
+
+    const playmateLabels = useMemo(
+        () => getPlaymateLabels(pet.preferredPlaymates, pet.type),
+        [pet.preferredPlaymates, pet.type]
+    );
+
     // Memoize the pet details section to prevent unnecessary re-renders
     const petDetailsSection = useMemo(() => (
         <>
@@ -140,6 +167,40 @@ const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
                 />
             </View>
 
+            {(pet.compatibility || pet.likedUs) && (
+                <View style={styles.section}>
+                    <View style={styles.whyHeader}>
+                        <Text style={[styles.sectionTitle, styles.whyTitle]}>Why you're seeing this</Text>
+                        {pet.compatibility && (
+                            <View style={styles.scorePill}>
+                                <Text style={styles.scoreText}>{pet.compatibility.score}% match</Text>
+                            </View>
+                        )}
+                    </View>
+                    {pet.superLikedUs ? (
+                        <View style={styles.reasonRow}>
+                            <Ionicons name="star" size={16} color={SUPER_LIKE_COLOR} />
+                            <Text style={styles.reasonText}>Super liked your pet</Text>
+                        </View>
+                    ) : pet.likedUs && (
+                        <View style={styles.reasonRow}>
+                            <Ionicons name="heart" size={16} color="#FF6B6B" />
+                            <Text style={styles.reasonText}>Already likes your pet</Text>
+                        </View>
+                    )}
+                    {reasons.map(entry => (
+                        <View key={entry.factor} style={styles.reasonRow}>
+                            <Ionicons
+                                name={FACTOR_ICONS[entry.factor] || 'paw-outline'}
+                                size={16}
+                                color="#666666"
+                            />
+                            <Text style={styles.reasonText}>{entry.reason}</Text>
+                        </View>
+                    ))}
+                </View>
+            )}
+
             {pet.temperament && pet.temperament.length > 0 && (
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Temperament</Text>
@@ -153,11 +214,11 @@ const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
                 </View>
             )}
 
-            {pet.preferredPlaymates && pet.preferredPlaymates.length > 0 && (
+            {playmateLabels.length > 0 && (
                 <View style={styles.section}>
                     <Text style={styles.sectionTitle}>Preferred Play Mates</Text>
                     <View style={styles.tagsContainer}>
-                        {pet.preferredPlaymates.map((playmate, index) => (
+                        {playmateLabels.map((playmate, index) => (
                             <View key={index} style={styles.tag}>
                                 <Text style={styles.tagText}>{playmate}</Text>
                             </View>
@@ -173,7 +234,7 @@ const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
                 </View>
             )}
         </>
-    ), [pet, locality, isLoadingLocality]);
+    ), [pet, locality, isLoadingLocality, reasons, playmateLabels]);
 
     // Memoize the images carousel to prevent rendering issues
     const imageCarousel = useMemo(() => (
@@ -190,8 +251,14 @@ const PetCard = memo(({ pet, onCardPress, animationStyle }) => {
                 removeClippedSubviews={true}
             />
             {renderPagingDots}
+            {pet.superLikedUs && (
+                <View style={styles.superLikeBadge}>
+                    <Ionicons name="star" size={14} color="#FFFFFF" />
+                    <Text style={styles.superLikeBadgeText}>Super Like</Text>
+                </View>
+            )}
         </View>
-    ), [pet.photos, renderImageItem, handleScroll, renderPagingDots]);
+    ), [pet.photos, pet.superLikedUs, renderImageItem, handleScroll, renderPagingDots]);
 
     return (
         <Animated.View style={[styles.container, animationStyle]}>
@@ -225,6 +292,23 @@ const styles = StyleSheet.create({
         height: SCREEN_WIDTH,
         backgroundColor: '#f0f0f0',
     },
+    superLikeBadge: {
+        position: 'absolute',
+        top: 16,
+        left: 16,
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        borderRadius: 16,
+        backgroundColor: SUPER_LIKE_COLOR,
+    },
+    superLikeBadgeText: {
+        marginLeft: 4,
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#FFFFFF',
+    },
     imageWrapper: {
         width: SCREEN_WIDTH,
         height: SCREEN_WIDTH,
@@ -329,6 +413,38 @@ const styles = StyleSheet.create({
         includeFontPadding: false,
         textAlignVertical: 'center',
     },
+    whyHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    whyTitle: {
+        marginBottom: 0,
+    },
+    scorePill: {
+        backgroundColor: '#FFF0F0',
+        paddingVertical: 4,
+        paddingHorizontal: 12,
+        borderRadius: 12,
+    },
+    scoreText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#FF6B6B',
+    },
+    reasonRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    reasonText: {
+        fontSize: 15,
+        color: '#666666',
+        marginLeft: 8,
+        flexShrink: 1,
+        includeFontPadding: false,
+    },
     tagsContainer: {
         flexDirection: 'row',
         flexWrap: 'wrap',
@@ -0,0 +1,31 @@
+/**
+ * Chat constants shared between frontend and backend
+ */
+
+// Typing indicators. A typing user is announced at most once per
+// THROTTLE_MS, and counts as stopped after TIMEOUT_MS without a keystroke
+export const TYPING_LIMITS = {
+  THROTTLE_MS: 2000,
+  TIMEOUT_MS: 6000,
+};
+
+// Sent messages can be edited by their sender for a while
+export const MESSAGE_LIMITS = {
+  MAX_LENGTH: 2000,
+  MAX_CLIENT_ID_LENGTH: 100,
+  EDIT_WINDOW_MS: 15 * 60 * 1000,
+};
+
+// Emoji a message can be reacted with, one per user
+export const MESSAGE_REACTIONS = ['❤️', '😂', '😮', '😢', '👍', '🐾'];
+
+// Length of a message search query
+export const SEARCH_LIMITS = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+};
+
+// Photos sent in chat messages
+export const ATTACHMENT_LIMITS = {
+  MAX_PER_MESSAGE: 4,
+};
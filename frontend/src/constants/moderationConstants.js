@@ -0,0 +1,30 @@
+/**
+ * Moderation constants shared between frontend and backend
+ */
+
+// Why a user or pet was reported
+export const REPORT_REASONS = {
+  HARASSMENT: 'harassment',
+  INAPPROPRIATE_CONTENT: 'inappropriate_content',
+  SPAM: 'spam',
+  SCAM: 'scam',
+  FAKE_PROFILE: 'fake_profile',
+  ANIMAL_WELFARE: 'animal_welfare',
+  OTHER: 'other',
+};
+
+export const REPORT_REASON_LABELS = {
+  harassment: 'Harassment or bullying',
+  inappropriate_content: 'Inappropriate photos or messages',
+  spam: 'Spam',
+  scam: 'Scam or asking for money',
+  fake_profile: 'Fake profile',
+  animal_welfare: 'Concern for an animal',
+  other: 'Something else',
+};
+
+export const REPORT_LIMITS = {
+  MAX_DETAILS_LENGTH: 1000,
+  // Messages a reporter can attach as evidence
+  MAX_EVIDENCE_MESSAGES: 20,
+};
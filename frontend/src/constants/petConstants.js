@@ -32,6 +32,18 @@ export const ACTIVITY_LEVELS = {
   HIGH: 'high',
 };
 
+// Age classes used by playmate preferences
+export const AGE_CLASSES = {
+  YOUNG: 'young',
+  ADULT: 'adult',
+};
+
+// How strictly the discovery feed applies playmate preferences
+export const PLAYMATE_MODES = {
+  STRICT: 'strict',
+  RELAXED: 'relaxed',
+};
+
 // Display values for consistent UI rendering
 export const DISPLAY_VALUES = {
   GENDER: {
@@ -81,6 +93,49 @@ export const CAT_PLAYMATE_PREFERENCES = [
   'All Cats',
 ];
 
+// Bounds for the discovery filters saved on each pet
+export const DISCOVERY_FILTER_LIMITS = {
+  MIN_DISTANCE_KM: 1,
+  MAX_DISTANCE_KM: 100,
+  DEFAULT_DISTANCE_KM: 25,
+  MAX_AGE: 40,
+};
+
+// Discovery filters meaning "show everything nearby"
+export const DEFAULT_DISCOVERY_FILTERS = {
+  maxDistance: DISCOVERY_FILTER_LIMITS.DEFAULT_DISTANCE_KM,
+  types: [],
+  sizes: [],
+  genders: [],
+  minAge: null,
+  maxAge: null,
+  activityLevels: [],
+  vaccinatedOnly: false,
+  temperaments: [],
+  playmateMode: PLAYMATE_MODES.STRICT,
+};
+
+// Turn stored playmate preferences ({ size, ageClass }) back into the labels
+// the profile screens use, e.g. ['Small Dogs', 'Puppies']
+export const getPlaymateLabels = (preferredPlaymates, petType) => {
+  if (Array.isArray(preferredPlaymates)) {
+    return preferredPlaymates;
+  }
+
+  const isCat = petType === PET_TYPES.CAT;
+  const noun = isCat ? 'Cats' : 'Dogs';
+  const ageLabels = {
+    [AGE_CLASSES.YOUNG]: isCat ? 'Kittens' : 'Puppies',
+    [AGE_CLASSES.ADULT]: `Adult ${noun}`,
+  };
+
+  const { size = [], ageClass = [] } = preferredPlaymates || {};
+  return [
+    ...size.map((value) => `${DISPLAY_VALUES.SIZE[value] || value} ${noun}`),
+    ...ageClass.map((value) => ageLabels[value] || value),
+  ];
+};
+
 // Option formatters for UI
 export const petTypeOptions = [
   { label: 'Dog', value: PET_TYPES.DOG },
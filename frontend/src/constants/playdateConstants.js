@@ -0,0 +1,41 @@
+/**
+ * Playdate constants shared between frontend and backend
+ */
+
+// Where a playdate stands. A counter-proposal keeps it "proposed", now
+// waiting on the other owner
+export const PLAYDATE_STATUSES = {
+  PROPOSED: 'proposed',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+};
+
+// Statuses a playdate can still change from
+export const OPEN_PLAYDATE_STATUSES = ['proposed', 'accepted'];
+
+// What happened to a playdate, sent along with every change
+export const PLAYDATE_ACTIONS = {
+  PROPOSE: 'propose',
+  COUNTER: 'counter',
+  ACCEPT: 'accept',
+  DECLINE: 'decline',
+  CANCEL: 'cancel',
+  COMPLETE: 'complete',
+};
+
+export const PLAYDATE_STATUS_LABELS = {
+  proposed: 'Proposed',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+};
+
+export const PLAYDATE_LIMITS = {
+  MAX_PLACE_NAME_LENGTH: 120,
+  MAX_NOTE_LENGTH: 500,
+  // How far ahead a playdate can be planned
+  MAX_DAYS_AHEAD: 90,
+};
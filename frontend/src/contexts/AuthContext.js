@@ -3,12 +3,11 @@
  * This modular implementation separates concerns and improves readability
  */
 import React, { createContext, useState, useEffect } from "react";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as WebBrowser from 'expo-web-browser';
 import AuthService from "../services/AuthService";
+import { setAuthFailureHandler } from "../services/ApiClient";
 import { useGoogleAuth } from "../services/GoogleAuthService";
 import { useLocationManager } from "../hooks/useLocationManager";
-import { useUnreadMessages } from "../hooks/useUnreadMessages";
 
 // Initialize WebBrowser for OAuth flows
 WebBrowser.maybeCompleteAuthSession();
@@ -30,14 +29,13 @@ export const AuthProvider = ({ children }) => {
     const [isLoading, setIsLoading] = useState(true);
     const [authError, setAuthError] = useState(null);
     
-    // External hooks for location, messages and Google authentication
+    // External hooks for location and Google authentication
     const { 
         locationPermissionStatus, 
         requestAndUpdateLocation 
     } = useLocationManager(user, setUser);
     
-    const { checkAndUpdateUnreadMessages } = useUnreadMessages();
-    const { signIn: googleSignIn } = useGoogleAuth();
+    const { signIn: googleSignIn, link: googleLink } = useGoogleAuth();
 
     /**
      * Load user data from persistent storage on mount
@@ -46,6 +44,18 @@ export const AuthProvider = ({ children }) => {
         loadUserData();
     }, []);
 
+    /**
+     * Drop to the logged-out state when the session can't be refreshed
+     * (revoked from another device, or the refresh token expired)
+     */
+    useEffect(() => {
+        setAuthFailureHandler(() => {
+            setUser(null);
+            setIsAuthenticated(false);
+        });
+        return () => setAuthFailureHandler(null);
+    }, []);
+
     /**
      * Load user data from storage and validate authentication
      */
@@ -138,9 +148,6 @@ export const AuthProvider = ({ children }) => {
                 await requestAndUpdateLocation();
             }
             
-            // Check for unread messages
-            await checkAndUpdateUnreadMessages();
-            
             setIsAuthenticated(true);
             
             return { success: true, user: response.user };
@@ -188,9 +195,6 @@ export const AuthProvider = ({ children }) => {
                 await requestAndUpdateLocation();
             }
             
-            // Check for unread messages
-            await checkAndUpdateUnreadMessages();
-            
             setIsAuthenticated(true);
             
             return { success: true, user: userData.user };
@@ -203,6 +207,37 @@ export const AuthProvider = ({ children }) => {
         }
     };
 
+    /**
+     * Link a Google account to the signed-in user
+     * @returns {Promise<Object>} Result object with success flag or error
+     */
+    const linkGoogleAccount = async () => {
+        const result = await googleLink();
+        if (result.success) {
+            const userData = await AuthService.getCurrentUser();
+            setUser(userData.user);
+        }
+        return result;
+    };
+
+    /**
+     * Unlink the Google account from the signed-in user
+     * @returns {Promise<Object>} Result object with success flag or error
+     */
+    const unlinkGoogleAccount = async () => {
+        try {
+            await AuthService.unlinkGoogle();
+            setUser(prevUser => ({
+                ...prevUser,
+                googleId: undefined,
+                isGoogleUser: false,
+            }));
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    };
+
     /**
      * Logout the current user
      * @param {boolean} callService - Whether to call the backend logout service
@@ -221,10 +256,6 @@ export const AuthProvider = ({ children }) => {
             setUser(null);
             setIsAuthenticated(false);
             
-            // Clear unread chat data
-            await AsyncStorage.removeItem('unreadChats');
-            await AsyncStorage.removeItem('hasUnreadChats');
-            
             return { success: true };
         } catch (error) {
             console.error("Logout error:", error);
@@ -263,6 +294,8 @@ export const AuthProvider = ({ children }) => {
         login,
         logout: () => handleLogout(true),
         loginWithGoogle,
+        linkGoogleAccount,
+        unlinkGoogleAccount,
         updateUser,
         clearAuthError,
         requestAndUpdateLocation,
@@ -1,79 +1,88 @@
-import React, { createContext, useState, useEffect } from "react";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from "react";
 import { AppState } from 'react-native';
+import ChatService from "../services/ChatService";
+import { SocketContext } from "./SocketContext";
+import useSocketListener from "../hooks/useSocketListener";
 
 // Create the chat notification context
 export const ChatNotificationContext = createContext();
 
+/**
+ * Unread message counts per chat, always taken from the server so every
+ * device shows the same badges. Counts are refetched whenever something that
+ * changes them happens: a new message, this user reading a chat (on any
+ * device), a chat closing, reconnecting or the app coming to the foreground.
+ */
 export const ChatNotificationProvider = ({ children }) => {
-    const [hasUnreadChats, setHasUnreadChats] = useState(false);
-    
-    // Function to check unread status from AsyncStorage
-    const checkUnreadStatus = async () => {
-        try {
-            // Check the dedicated hasUnreadChats flag first (faster)
-            const hasUnreadFlag = await AsyncStorage.getItem('hasUnreadChats');
-            if (hasUnreadFlag) {
-                const hasUnread = JSON.parse(hasUnreadFlag);
-                setHasUnreadChats(hasUnread);
-                return;
-            }
-            
-            // Fallback: Check unread chats directly if flag is not set
-            const unreadData = await AsyncStorage.getItem('unreadChats');
-            if (unreadData) {
-                const unreadChats = JSON.parse(unreadData);
-                // If any unread chats exist, set the flag to true
-                setHasUnreadChats(Object.keys(unreadChats).length > 0);
-            }
-        } catch (error) {
-            console.error("Error checking unread chat state:", error);
+    const [unreadCounts, setUnreadCounts] = useState({});
+    const { userId, isConnected } = useContext(SocketContext);
+
+    // Only the latest request may update the counts
+    const latestRequest = useRef(0);
+
+    const refreshUnreadCounts = useCallback(async () => {
+        const requestId = ++latestRequest.current;
+
+        if (!userId) {
+            setUnreadCounts({});
+            return;
         }
-    };
 
-    // Method to update the unread status
-    const updateUnreadStatus = async (hasUnread) => {
-        setHasUnreadChats(hasUnread);
-        // Also update the AsyncStorage flag to keep it in sync
         try {
-            await AsyncStorage.setItem('hasUnreadChats', JSON.stringify(hasUnread));
+            const response = await ChatService.getUnreadCounts();
+            if (requestId === latestRequest.current) {
+                setUnreadCounts(response.chats || {});
+            }
         } catch (error) {
-            console.error("Error updating hasUnreadChats in AsyncStorage:", error);
+            console.error("Error fetching unread counts:", error);
         }
-    };
-    
-    // Load unread state when component mounts
+    }, [userId]);
+
+    // Load counts on login and after every reconnect
+    useEffect(() => {
+        refreshUnreadCounts();
+    }, [refreshUnreadCounts, isConnected]);
+
+    // Check again when the app comes to the foreground
     useEffect(() => {
-        checkUnreadStatus();
-        
-        // Set up app state listener to check for unread messages when app comes to foreground
         const subscription = AppState.addEventListener('change', nextAppState => {
             if (nextAppState === 'active') {
-                // Check unread status when app becomes active
-                checkUnreadStatus();
+                refreshUnreadCounts();
             }
         });
-        
-        // Set up an interval to periodically check for unread status
-        // This ensures the badge updates even if other mechanisms fail
-        const intervalId = setInterval(checkUnreadStatus, 2000);
-        
-        return () => {
-            subscription.remove();
-            clearInterval(intervalId);
-        };
-    }, []);
+
+        return () => subscription.remove();
+    }, [refreshUnreadCounts]);
+
+    const handleNewMessage = useCallback((message) => {
+        if (message && message.senderUserId !== userId) {
+            refreshUnreadCounts();
+        }
+    }, [userId, refreshUnreadCounts]);
+
+    // Only our own reads change our counts
+    const handleMessagesRead = useCallback((receipt) => {
+        if (receipt && receipt.userId === userId) {
+            refreshUnreadCounts();
+        }
+    }, [userId, refreshUnreadCounts]);
+
+    useSocketListener('receive_message', handleNewMessage, [handleNewMessage]);
+    useSocketListener('messages_read', handleMessagesRead, [handleMessagesRead]);
+    useSocketListener('chat_removed', refreshUnreadCounts, [refreshUnreadCounts]);
+
+    const hasUnreadChats = Object.values(unreadCounts).some((count) => count > 0);
 
     return (
         <ChatNotificationContext.Provider 
             value={{
+                unreadCounts,
                 hasUnreadChats,
-                updateUnreadStatus,
-                checkUnreadStatus
+                refreshUnreadCounts
             }}>
             {children}
         </ChatNotificationContext.Provider>
     );
 };
 
-export default ChatNotificationProvider;
\ No newline at end of file
+export default ChatNotificationProvider;
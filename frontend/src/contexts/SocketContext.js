@@ -8,13 +8,13 @@ import React, {
     useEffect,
     useContext,
     useCallback,
+    useRef,
 } from "react";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Notifications from "expo-notifications";
 import { AppState, Platform } from "react-native";
 import { AuthContext } from "./AuthContext";
 import socketService from "../services/SocketService";
-import { useUnreadMessages } from "../hooks/useUnreadMessages";
+import { TYPING_LIMITS } from "../constants/chatConstants";
 import { navigationRef } from "../../App";
 
 // Create the context
@@ -29,12 +29,15 @@ export const SocketProvider = ({ children }) => {
     const [isConnected, setIsConnected] = useState(false);
     // Track currently active chat (if any)
     const [activeChatId, setActiveChatId] = useState(null);
+    // Online / last seen state of chat contacts, keyed by user ID
+    const [presence, setPresence] = useState({});
+    // Who is typing in each chat, keyed by chat ID
+    const [typingUsers, setTypingUsers] = useState({});
+    // Fallback expiry per chat, in case a typing_stop never arrives
+    const typingTimers = useRef({});
 
     // Get authenticated user from AuthContext
     const { user, isAuthenticated } = useContext(AuthContext);
-
-    // Get unread messages functions
-    const { checkAndUpdateUnreadMessages } = useUnreadMessages();
     /**
      * Show a push notification if conditions are met
      * @param {Object} options - Notification options
@@ -133,7 +136,8 @@ export const SocketProvider = ({ children }) => {
     }, []);
 
     /**
-     * Update unread messages when a new message is received and show notification
+     * Show a notification for a new message from someone else. Unread counts
+     * come from the server (see ChatNotificationContext)
      * @param {Object} message - The received message
      */
     const handleNewMessage = useCallback(
@@ -141,12 +145,12 @@ export const SocketProvider = ({ children }) => {
             if (!message || !message.chatId || !user) return;
 
             try {
-                // Don't mark messages as unread if the user is currently viewing that chat
+                // No notification for the chat the user is looking at
                 if (activeChatId === message.chatId) {
                     return;
                 }
 
-                // Don't mark own messages as unread
+                // Nor for the user's own messages
                 if (
                     message.senderId === user._id ||
                     message.senderUserId === user._id ||
@@ -155,43 +159,13 @@ export const SocketProvider = ({ children }) => {
                     return;
                 }
 
-                // Update unread messages in AsyncStorage
-                const unreadDataJson = await AsyncStorage.getItem(
-                    "unreadChats"
-                );
-                let unreadChats = unreadDataJson
-                    ? JSON.parse(unreadDataJson)
-                    : {};
-
-                // Update or add the chat to the unread list
-                unreadChats[message.chatId] = {
-                    lastMessage: message.text || "New message",
-                    timestamp: new Date().toISOString(),
-                    count: (unreadChats[message.chatId]?.count || 0) + 1,
-                };
-
-                // Save updated unread messages
-                await AsyncStorage.setItem(
-                    "unreadChats",
-                    JSON.stringify(unreadChats)
-                );
-                await AsyncStorage.setItem(
-                    "hasUnreadChats",
-                    JSON.stringify(true)
-                );
-
-                console.log(
-                    "SocketProvider: Updated unread messages for chat",
-                    message.chatId
-                );
-
                 // Schedule notification for the new message
                 const senderName =
                     message.senderName || message.sender?.name || "Someone";
                 await scheduleLocalNotification({
                     type: "chat",
                     title: `${senderName} sent you a message`,
-                    body: message.text || "New message",
+                    body: message.content || message.text || "New message",
                     chatId: message.chatId,
                     data: {
                         type: "chat",
@@ -204,7 +178,7 @@ export const SocketProvider = ({ children }) => {
                 });
             } catch (error) {
                 console.error(
-                    "SocketProvider: Error updating unread messages:",
+                    "SocketProvider: Error notifying about message:",
                     error
                 );
             }
@@ -271,22 +245,110 @@ export const SocketProvider = ({ children }) => {
                         timestamp: new Date().toISOString(),
                     },
                 });
-
-                console.log(
-                    "SocketProvider: Match notification scheduled, updating unread messages"
+            } catch (error) {
+                console.error(
+                    "SocketProvider: Error handling new match:",
+                    error
                 );
+            }
+        },
+        [user, scheduleLocalNotification]
+    );
+    /**
+     * Tell the user right away that another pet super liked one of theirs
+     * @param {Object} superLikeData - Super like event from the server
+     */
+    const handleSuperLike = useCallback(
+        async (superLikeData) => {
+            if (!superLikeData || !user) return;
+
+            const petName = superLikeData.pet?.name || "Someone";
+            const likedPetName = superLikeData.likedPet?.name || "your pet";
 
-                // Call the service to update chats after a new match is created
-                await checkAndUpdateUnreadMessages();
+            try {
+                await scheduleLocalNotification({
+                    type: "super_like",
+                    title: "⭐ New Super Like!",
+                    body: `${petName} super liked ${likedPetName}!`,
+                    data: {
+                        type: "super_like",
+                        petId: superLikeData.pet?._id,
+                        likedPetId: superLikeData.likedPet?._id,
+                        petName,
+                        timestamp: new Date().toISOString(),
+                    },
+                });
             } catch (error) {
                 console.error(
-                    "SocketProvider: Error handling new match:",
+                    "SocketProvider: Error handling super like:",
                     error
                 );
             }
         },
-        [user, scheduleLocalNotification, checkAndUpdateUnreadMessages]
+        [user, scheduleLocalNotification]
     );
+
+    /**
+     * Store a contact's online / last seen state
+     * @param {Object} update - Presence update from the server
+     */
+    const handlePresenceUpdate = useCallback((update) => {
+        if (!update || !update.userId) return;
+
+        setPresence((prev) => ({
+            ...prev,
+            [update.userId]: {
+                online: update.online,
+                lastSeen: update.lastSeen,
+            },
+        }));
+    }, []);
+
+    /**
+     * Clear a chat's typing indicator
+     * @param {string} chatId - The chat ID
+     */
+    const clearTyping = useCallback((chatId) => {
+        clearTimeout(typingTimers.current[chatId]);
+        delete typingTimers.current[chatId];
+
+        setTypingUsers((prev) => {
+            if (!prev[chatId]) return prev;
+            const next = { ...prev };
+            delete next[chatId];
+            return next;
+        });
+    }, []);
+
+    /**
+     * Show that the other owner is typing. The server repeats typing_start
+     * while they keep typing, which pushes the local expiry back
+     * @param {Object} data - { chatId, userId } from the server
+     */
+    const handleTypingStart = useCallback(
+        (data) => {
+            if (!data || !data.chatId) return;
+
+            clearTimeout(typingTimers.current[data.chatId]);
+            typingTimers.current[data.chatId] = setTimeout(
+                () => clearTyping(data.chatId),
+                TYPING_LIMITS.TIMEOUT_MS + TYPING_LIMITS.THROTTLE_MS
+            );
+
+            setTypingUsers((prev) => ({ ...prev, [data.chatId]: data.userId }));
+        },
+        [clearTyping]
+    );
+
+    const handleTypingStop = useCallback(
+        (data) => {
+            if (data && data.chatId) {
+                clearTyping(data.chatId);
+            }
+        },
+        [clearTyping]
+    );
+
     useEffect(() => {
         let socketCleanup;
 
@@ -298,7 +360,11 @@ export const SocketProvider = ({ children }) => {
             // First, clean up any existing listeners to prevent duplicates
             socketService.off("receive_message");
             socketService.off("match_created");
+            socketService.off("super_like_received");
             socketService.off("chat_removed");
+            socketService.off("presence_update");
+            socketService.off("typing_start");
+            socketService.off("typing_stop");
             socketService.off("connect");
             socketService.off("disconnect");
 
@@ -311,9 +377,6 @@ export const SocketProvider = ({ children }) => {
                         `SocketProvider: Socket connected successfully with ID: ${socket.id}`
                     );
 
-                    // After successful connection, verify the socket is registered on the server
-                    socket.emit("authenticate", { userId: user._id });
-
                 })
                 .catch((error) => {
                     console.error(
@@ -327,9 +390,6 @@ export const SocketProvider = ({ children }) => {
             const handleConnect = () => {
                 console.log("SocketProvider: Socket connected event received");
                 setIsConnected(true);
-
-                // Re-authenticate on reconnection
-                socketService.emit("authenticate", { userId: user._id });
             };
 
             const handleDisconnect = () => {
@@ -337,6 +397,11 @@ export const SocketProvider = ({ children }) => {
                     "SocketProvider: Socket disconnected event received"
                 );
                 setIsConnected(false);
+
+                // Typing can't be relayed while offline
+                Object.values(typingTimers.current).forEach(clearTimeout);
+                typingTimers.current = {};
+                setTypingUsers({});
             };
 
             // Setup message listener at the top level
@@ -349,11 +414,21 @@ export const SocketProvider = ({ children }) => {
                 handleNewMatch(data);
             });
 
+            // Setup super like listener
+            socketService.on("super_like_received", handleSuperLike);
+
             // Setup chat removal listener
             socketService.on("chat_removed", (data) => {
                 console.log("SocketProvider: Chat removed:", data);
             });
 
+            // Setup presence listener for chat contacts
+            socketService.on("presence_update", handlePresenceUpdate);
+
+            // Setup typing listeners for chats
+            socketService.on("typing_start", handleTypingStart);
+            socketService.on("typing_stop", handleTypingStop);
+
             socketService.on("connect", handleConnect);
             socketService.on("disconnect", handleDisconnect);
 
@@ -361,7 +436,11 @@ export const SocketProvider = ({ children }) => {
             socketCleanup = () => {
                 socketService.off("receive_message", handleNewMessage);
                 socketService.off("match_created", handleNewMatch);
+                socketService.off("super_like_received", handleSuperLike);
                 socketService.off("chat_removed");
+                socketService.off("presence_update", handlePresenceUpdate);
+                socketService.off("typing_start", handleTypingStart);
+                socketService.off("typing_stop", handleTypingStop);
                 socketService.off("connect", handleConnect);
                 socketService.off("disconnect", handleDisconnect);
             };
@@ -378,7 +457,16 @@ export const SocketProvider = ({ children }) => {
         return () => {
             if (socketCleanup) socketCleanup();
         };
-    }, [isAuthenticated, user, handleNewMessage, handleNewMatch]);
+    }, [
+        isAuthenticated,
+        user,
+        handleNewMessage,
+        handleNewMatch,
+        handleSuperLike,
+        handlePresenceUpdate,
+        handleTypingStart,
+        handleTypingStop,
+    ]);
 
     // Expose emit method
     const emit = useCallback(
@@ -394,6 +482,40 @@ export const SocketProvider = ({ children }) => {
         [isConnected]
     );
 
+    // Expose acknowledged emit (resolves with the server's ack)
+    const emitWithAck = useCallback(
+        (event, payload, timeoutMs) => {
+            if (!isConnected) {
+                return Promise.reject(new Error("Socket not connected"));
+            }
+            return socketService.emitWithAck(event, payload, timeoutMs);
+        },
+        [isConnected]
+    );
+
+    /**
+     * Fetch the current presence of chat contacts from the server
+     * @param {Array<string>} userIds - User IDs to look up
+     */
+    const fetchPresence = useCallback(
+        async (userIds) => {
+            if (!isConnected || !userIds || userIds.length === 0) return;
+
+            try {
+                const response = await socketService.emitWithAck(
+                    "get_presence",
+                    { userIds }
+                );
+                if (response?.success) {
+                    response.presence.forEach(handlePresenceUpdate);
+                }
+            } catch (error) {
+                console.error("SocketProvider: Error fetching presence:", error);
+            }
+        },
+        [isConnected, handlePresenceUpdate]
+    );
+
     // Expose on method (for adding listeners)
     const on = useCallback((event, callback) => {
         socketService.on(event, callback);
@@ -418,10 +540,14 @@ export const SocketProvider = ({ children }) => {
         isConnected,
         userId: user?._id,
         emit,
+        emitWithAck,
         on,
         off,
         activeChatId,
         setActiveChat,
+        presence,
+        fetchPresence,
+        typingUsers,
     };
 
     return (
@@ -14,8 +14,8 @@ Notifications.setNotificationHandler({
         const notificationChatId = notificationData?.chatId;
 
         // Different handling based on notification type
-        if (notificationType === 'match') {
-            // For match notifications, always show alerts
+        if (notificationType === 'match' || notificationType === 'super_like') {
+            // For match and super like notifications, always show alerts
             return {
                 shouldShowAlert: true,
                 shouldPlaySound: true,
@@ -134,6 +134,16 @@ const useNotifications = (isAuthenticated) => {
                             // Navigate to the chat screen with the matched pet
                             navigationRef.current.navigate('Chat', { chatId: data.chatId, isNewMatch: true });
                         }
+                    } else if (data.type === 'super_like') {
+                        // The pet that super liked us waits at the top of the feed
+                        if (navigationRef.current && navigationRef.current.isReady()) {
+                            navigationRef.current.navigate('MainTabs', { screen: 'Finder' });
+                        }
+                    } else if (data.type === 'chat_removed') {
+                        // The chat no longer exists, show the chat list instead
+                        if (navigationRef.current && navigationRef.current.isReady()) {
+                            navigationRef.current.navigate('MainTabs', { screen: 'Chats' });
+                        }
                     } else if (data.chatId) {
                         // Handle regular chat notification tap
                         console.log('[useNotifications] Chat notification tapped:', data.chatId);
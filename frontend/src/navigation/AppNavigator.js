@@ -15,6 +15,9 @@ import SplashScreen from "../screens/auth/SplashScreen";
 import LoginScreen from "../screens/auth/LoginScreen";
 import RegisterScreen from "../screens/auth/RegisterScreen";
 import PetProfileSetupScreen from "../screens/auth/PetProfileSetupScreen";
+import ForgotPasswordScreen from "../screens/auth/ForgotPasswordScreen";
+import ResetPasswordScreen from "../screens/auth/ResetPasswordScreen";
+import VerifyEmailScreen from "../screens/auth/VerifyEmailScreen";
 
 // Main app screens
 import HomeScreen from "../screens/HomeScreen";
@@ -25,10 +28,22 @@ import ProfileScreen from "../screens/ProfileScreen";
 import PetProfileScreen from "../screens/PetProfileScreen";
 import EditPetProfileScreen from "../screens/EditPetProfileScreen";
 import SettingsScreen from "../screens/SettingsScreen";
+import LikesReceivedScreen from "../screens/LikesReceivedScreen";
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
 
+// Deep links used by the password reset and email verification emails
+const linking = {
+    prefixes: ["com.praxcrax.boopsnoot://"],
+    config: {
+        screens: {
+            ResetPassword: "reset-password",
+            VerifyEmail: "verify-email",
+        },
+    },
+};
+
 
 const AuthStack = () => {
     const { authError } = useContext(AuthContext);
@@ -40,6 +55,9 @@ const AuthStack = () => {
             <Stack.Screen name="Splash" component={SplashScreen} />
             <Stack.Screen name="Login" component={LoginScreen} />
             <Stack.Screen name="Register" component={RegisterScreen} />
+            <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+            <Stack.Screen name="ResetPassword" component={ResetPasswordScreen} />
+            <Stack.Screen name="VerifyEmail" component={VerifyEmailScreen} />
         </Stack.Navigator>
     );
 };
@@ -141,6 +159,16 @@ const MainStack = () => {
                 component={SettingsScreen}
                 options={{ headerShown: false }}
             />
+            <Stack.Screen
+                name="LikesReceived"
+                component={LikesReceivedScreen}
+                options={{ headerShown: false }}
+            />
+            <Stack.Screen
+                name="VerifyEmail"
+                component={VerifyEmailScreen}
+                options={{ headerShown: false }}
+            />
         </Stack.Navigator>
     );
 };
@@ -163,7 +191,7 @@ const AppNavigator = () => {
     }
 
     return (
-        <NavigationContainer ref={navigationRef}>
+        <NavigationContainer ref={navigationRef} linking={linking}>
             {isAuthenticated ? (
                 <MainStack />
             ) : (
@@ -15,10 +15,11 @@ import {
     StatusBar,
     Platform,
     ScrollView,
+    TextInput,
+    ActivityIndicator,
 } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Notifications from 'expo-notifications';
 import { LinearGradient } from "expo-linear-gradient";
 
@@ -33,15 +34,12 @@ import FilterChip from "../components/chat/FilterChip";
 import theme, { withOpacity } from "../styles/theme";
 import { ChatNotificationContext } from "../contexts/ChatNotificationContext";
 import { SocketContext } from "../contexts/SocketContext";
+import { formatPresence, formatTyping } from "../utils/presence";
+import { SEARCH_LIMITS } from "../constants/chatConstants";
 
 // Custom Hooks
 import useSocketListener from "../hooks/useSocketListener";
 
-// Constants
-const STORAGE_KEYS = {
-    UNREAD_CHATS: 'unreadChats',
-};
-
 /**
  * ChatListScreen component
  * 
@@ -49,27 +47,41 @@ const STORAGE_KEYS = {
  * - Unread chats at the top
  * - Recent messages in the middle
  * - Latest matches at the end (even without messages)
+ * - Who is online, last seen or typing
+ * - A search across all messages that opens the chat at the found message
  * 
  * @param {Object} props - Component props
  * @param {Object} props.navigation - React Navigation prop
  */
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
 const ChatListScreen = ({ navigation }) => {
     // =====================================================================
     // STATE MANAGEMENT
     // =====================================================================
     const [chats, setChats] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [unreadChats, setUnreadChats] = useState({});
     const [userPets, setUserPets] = useState([]);
-    const [selectedPetId, setSelectedPetId] = useState(null); // null means "All Pets"    // =====================================================================
+    const [selectedPetId, setSelectedPetId] = useState(null); // null means "All Pets"
+    const [searchQuery, setSearchQuery] = useState("");
+    const [searchResults, setSearchResults] = useState([]);
+    const [searching, setSearching] = useState(false);
+    // =====================================================================
     // REFS & CONTEXT
     // =====================================================================
     const appState = useRef(AppState.currentState);
     const notificationListener = useRef();
     const responseListener = useRef();
     const activeScreenRef = useRef('ChatList');
-    const { updateUnreadStatus } = useContext(ChatNotificationContext);
-    const { emit, isConnected } = useContext(SocketContext);
+    const { unreadCounts, refreshUnreadCounts } = useContext(ChatNotificationContext);
+    const {
+        emit,
+        isConnected,
+        presence,
+        fetchPresence,
+        typingUsers,
+    } = useContext(SocketContext);
 
     // =====================================================================
     // HELPER FUNCTIONS
@@ -79,14 +91,14 @@ const ChatListScreen = ({ navigation }) => {
      * Sorts chats by priority
      * 
      * @param {Array} chatList - List of chats to sort
-     * @param {Object} unreadState - Object tracking unread status by chatId
+     * @param {Object} counts - Unread message counts by chatId
      * @returns {Array} Sorted array of chats
      */
-    const sortChats = useCallback((chatList, unreadState) => {
+    const sortChats = useCallback((chatList, counts) => {
         return [...chatList].sort((a, b) => {
             // Priority 1: Unread chats at the top
-            const aUnread = unreadState[a._id] || (a.lastMessage && a.lastMessage.unread);
-            const bUnread = unreadState[b._id] || (b.lastMessage && b.lastMessage.unread);
+            const aUnread = counts[a._id] > 0;
+            const bUnread = counts[b._id] > 0;
             
             if (aUnread && !bUnread) return -1;
             if (!aUnread && bUnread) return 1;
@@ -148,67 +160,38 @@ const ChatListScreen = ({ navigation }) => {
     // =====================================================================
     
     /**
-     * Load unread state from AsyncStorage
-     * 
-     * @returns {Object} Unread chats state object
-     */
-    const loadUnreadState = async () => {
-        try {
-            const unreadData = await AsyncStorage.getItem(STORAGE_KEYS.UNREAD_CHATS);
-            return unreadData ? JSON.parse(unreadData) : {};
-        } catch (error) {
-            console.error("Error loading unread state:", error);
-            return {};
-        }
-    };
-    
-    /**
-     * Save unread state to AsyncStorage and update global context
-     * 
-     * @param {Object} unreadState - Unread chats state object
-     */
-    const saveUnreadState = async (unreadState) => {
-        try {
-            await AsyncStorage.setItem(STORAGE_KEYS.UNREAD_CHATS, JSON.stringify(unreadState));
-            // Update the global unread status
-            updateUnreadStatus(Object.keys(unreadState || {}).length > 0);
-        } catch (error) {
-            console.error("Error saving unread state:", error);
-        }
-    };
-    
-    /**
-     * Fetch all chats from API
+     * Fetch all chats, and their unread counts, from API
      */
     const fetchChats = useCallback(async () => {
         setLoading(true);
         try {
-            const response = await ChatService.getChats();
-            
-            // Load saved unread state
-            const unreadState = await loadUnreadState();
-            setUnreadChats(unreadState || {});
-            
-            // Process API response
-            const updatedChats = (response.chats || []).map(chat => {
-                if (chat.lastMessage && chat.lastMessage.unread) {
-                    unreadState[chat._id] = true;
-                }
-                return chat;
-            });
-            
-            // Sort and set chats state
-            const sortedChats = sortChats(updatedChats, unreadState || {});
-            setChats(sortedChats);
-            
-            // Update notification status
-            saveUnreadState(unreadState);
+            const [response] = await Promise.all([
+                ChatService.getChats(),
+                refreshUnreadCounts(),
+            ]);
+            setChats(response.chats || []);
         } catch (error) {
             console.error("Error fetching chats:", error);
         } finally {
             setLoading(false);
         }
-    }, [updateUnreadStatus, sortChats]);
+    }, [refreshUnreadCounts]);
+
+    // The other owners, as a stable key so new messages don't refetch presence
+    const contactIds = [
+        ...new Set(
+            chats
+                .map((chat) => chat.participants.find((p) => !p.isCurrentUser)?.userId)
+                .filter(Boolean)
+        ),
+    ].sort().join(",");
+
+    // Presence of the other owners; later changes arrive by themselves
+    useEffect(() => {
+        if (isConnected && contactIds) {
+            fetchPresence(contactIds.split(","));
+        }
+    }, [isConnected, contactIds, fetchPresence]);
 
     /**
      * Fetch user pets from API
@@ -233,35 +216,22 @@ const ChatListScreen = ({ navigation }) => {
     // =====================================================================
     
     /**
-     * Handle navigation to chat and mark as read
+     * Handle navigation to chat. The chat marks its messages read when it
+     * opens, which clears the badge here
      * 
      * @param {string} chatId - ID of chat to open
      */
     const handleChatPress = useCallback((chatId) => {
         navigation.navigate("Chat", { chatId });
-        
-        // Mark as read in state
-        setUnreadChats(prev => {
-            const newState = { ...prev };
-            delete newState[chatId];
-            saveUnreadState(newState);
-            return newState;
-        });
-        
-        // Update UI to remove unread indicator
-        setChats(prevChats => 
-            prevChats.map(chat => 
-                chat._id === chatId && chat.lastMessage
-                    ? {
-                        ...chat,
-                        lastMessage: {
-                            ...chat.lastMessage,
-                            unread: false
-                        }
-                    }
-                    : chat
-            )
-        );
+    }, [navigation]);
+
+    /**
+     * Open the chat of a search result, scrolled to the found message
+     * 
+     * @param {Object} result - Search result
+     */
+    const handleSearchResultPress = useCallback((result) => {
+        navigation.navigate("Chat", { chatId: result.chatId, messageId: result._id });
     }, [navigation]);
 
     // =====================================================================
@@ -347,26 +317,15 @@ const ChatListScreen = ({ navigation }) => {
             const updatedChats = [...prevChats];
             const chat = updatedChats[chatIndex];
             
-            // Update the lastMessage and unread status
+            // Update the lastMessage; the unread count comes from the server
             updatedChats[chatIndex] = {
                 ...chat,
-                lastMessage: {
-                    ...messageData,
-                    unread: true
-                }
+                lastMessage: messageData,
             };
             
-            // Mark as unread locally
-            setUnreadChats(prev => {
-                const newState = { ...prev, [chatId]: true };
-                saveUnreadState(newState);
-                return newState;
-            });
-            
-            // Return sorted chats
-            return sortChats(updatedChats, unreadChats);
+            return updatedChats;
         });
-    }, [fetchChats, sortChats, unreadChats]);
+    }, [fetchChats]);
 
     /**
      * Handle chat removed notification
@@ -379,17 +338,6 @@ const ChatListScreen = ({ navigation }) => {
         setChats(prevChats => 
             prevChats.filter(chat => chat._id !== data.chatId)
         );
-        
-        // Also remove from unread chats if present
-        setUnreadChats(prev => {
-            if (prev[data.chatId]) {
-                const newState = { ...prev };
-                delete newState[data.chatId];
-                saveUnreadState(newState);
-                return newState;
-            }
-            return prev;
-        });
     }, []);
 
     // Register socket event listeners using our custom hook
@@ -414,6 +362,41 @@ const ChatListScreen = ({ navigation }) => {
         };
     }, [navigation]);
 
+    // Search messages once the user stops typing
+    useEffect(() => {
+        const query = searchQuery.trim();
+
+        if (query.length < SEARCH_LIMITS.MIN_QUERY_LENGTH) {
+            setSearchResults([]);
+            setSearching(false);
+            return;
+        }
+
+        // Drop the answer to a query the user has typed past
+        let stale = false;
+        setSearching(true);
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await ChatService.searchMessages(query);
+                if (!stale) {
+                    setSearchResults(response.results || []);
+                }
+            } catch (error) {
+                console.error("Error searching messages:", error);
+            } finally {
+                if (!stale) {
+                    setSearching(false);
+                }
+            }
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            stale = true;
+            clearTimeout(timer);
+        };
+    }, [searchQuery]);
+
     // =====================================================================
     // RENDER HELPER FUNCTIONS
     // =====================================================================
@@ -424,21 +407,28 @@ const ChatListScreen = ({ navigation }) => {
     const renderChatItem = ({ item }) => {
         const otherPet = item.participants.find((p) => !p.isCurrentUser);
         const lastMessage = item.lastMessage || {};
-        const isUnread = unreadChats[item._id] || lastMessage.unread;
+        const unreadCount = unreadCounts[item._id] || 0;
+        const isUnread = unreadCount > 0;
         const petName = otherPet?.pet?.name || "Unknown Pet";
         const petPhoto = otherPet?.pet?.photos?.length > 0 
             ? { uri: otherPet.pet.photos[0] } 
             : require("../assets/default-pet.png");
+        const otherPresence = presence[otherPet?.userId];
+        const lastSeen = otherPresence?.online ? null : formatPresence(otherPresence);
+        const isTyping = Boolean(typingUsers[item._id]);
 
         return (
             <TouchableOpacity
                 style={styles.chatItem}
                 onPress={() => handleChatPress(item._id)}
                 activeOpacity={0.7}>
-                <Image
-                    style={styles.avatar}
-                    source={petPhoto}
-                />
+                <View>
+                    <Image
+                        style={styles.avatar}
+                        source={petPhoto}
+                    />
+                    {otherPresence?.online && <View style={styles.onlineDot} />}
+                </View>
                 <View style={styles.chatInfo}>
                     <View style={styles.chatHeader}>
                         <Text style={[
@@ -453,21 +443,170 @@ const ChatListScreen = ({ navigation }) => {
                                 : ""}
                         </Text>
                     </View>
-                    <Text
-                        style={[
-                            styles.messagePreview,
-                            isUnread ? styles.unreadMessage : null,
-                        ]}
-                        numberOfLines={1}
-                        ellipsizeMode="tail">
-                        {lastMessage.content || "No messages yet"}
+                    {isTyping ? (
+                        <Text style={[styles.messagePreview, styles.typingText]} numberOfLines={1}>
+                            {formatTyping(otherPet?.pet?.name)}
+                        </Text>
+                    ) : (
+                        <Text
+                            style={[
+                                styles.messagePreview,
+                                isUnread ? styles.unreadMessage : null,
+                            ]}
+                            numberOfLines={1}
+                            ellipsizeMode="tail">
+                            {lastMessage.deleted
+                                ? "Message deleted"
+                                : lastMessage.content ||
+                                  (lastMessage.attachments?.length > 0
+                                      ? "Sent a photo"
+                                      : "No messages yet")}
+                        </Text>
+                    )}
+                    {lastSeen && (
+                        <Text style={styles.lastSeen} numberOfLines={1}>
+                            {lastSeen}
+                        </Text>
+                    )}
+                </View>
+                {isUnread && (
+                    <View style={styles.unreadBadge}>
+                        <Text style={styles.unreadBadgeText}>
+                            {unreadCount > 99 ? "99+" : unreadCount}
+                        </Text>
+                    </View>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    /**
+     * Renders a snippet with the searched words in bold. The server matches
+     * word stems, so a word counts when it starts with a searched word
+     * 
+     * @param {string} snippet - Message snippet
+     * @returns {Array} Text parts
+     */
+    const renderHighlightedSnippet = (snippet) => {
+        const words = searchQuery.toLowerCase().match(/\w+/g) || [];
+
+        return snippet.split(/(\w+)/).map((part, index) =>
+            words.some((word) => part.toLowerCase().startsWith(word)) ? (
+                <Text key={index} style={styles.searchHighlight}>
+                    {part}
+                </Text>
+            ) : (
+                part
+            )
+        );
+    };
+
+    /**
+     * Renders a message found by search
+     */
+    const renderSearchResult = ({ item }) => {
+        const petPhoto = item.otherPet?.photos?.length > 0
+            ? { uri: item.otherPet.photos[0] }
+            : require("../assets/default-pet.png");
+
+        return (
+            <TouchableOpacity
+                style={styles.chatItem}
+                onPress={() => handleSearchResultPress(item)}
+                activeOpacity={0.7}>
+                <Image style={styles.avatar} source={petPhoto} />
+                <View style={styles.chatInfo}>
+                    <View style={styles.chatHeader}>
+                        <Text style={styles.petName}>
+                            {item.otherPet?.name || "Unknown Pet"}
+                        </Text>
+                        <Text style={styles.timestamp}>
+                            {formatTimestamp(item.createdAt)}
+                        </Text>
+                    </View>
+                    <Text style={styles.messagePreview} numberOfLines={2}>
+                        {item.sender?.isCurrentUser && "You: "}
+                        {renderHighlightedSnippet(item.snippet)}
                     </Text>
                 </View>
-                {isUnread && <View style={styles.unreadIndicator} />}
             </TouchableOpacity>
         );
     };
 
+    /**
+     * Renders the message search box
+     */
+    const renderSearchBar = () => (
+        <View style={styles.searchContainer}>
+            <Ionicons
+                name="search"
+                size={20}
+                color={theme.colors.textSecondary}
+                style={styles.searchIcon}
+            />
+            <TextInput
+                style={styles.searchInput}
+                placeholder="Search messages"
+                placeholderTextColor={theme.colors.textSecondary}
+                value={searchQuery}
+                onChangeText={setSearchQuery}
+                maxLength={SEARCH_LIMITS.MAX_QUERY_LENGTH}
+                autoCapitalize="none"
+                autoCorrect={false}
+                returnKeyType="search"
+                accessibilityLabel="Search messages"
+            />
+            {searching ? (
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : searchQuery ? (
+                <TouchableOpacity
+                    onPress={() => setSearchQuery("")}
+                    accessibilityLabel="Clear search"
+                    accessibilityRole="button"
+                    style={styles.clearButton}>
+                    <Ionicons
+                        name="close-circle"
+                        size={20}
+                        color={theme.colors.textSecondary}
+                    />
+                </TouchableOpacity>
+            ) : null}
+        </View>
+    );
+
+    /**
+     * Renders search results, or why there are none
+     */
+    const renderSearchResults = () => {
+        const query = searchQuery.trim();
+        let emptyText = null;
+
+        if (query.length < SEARCH_LIMITS.MIN_QUERY_LENGTH) {
+            emptyText = `Type at least ${SEARCH_LIMITS.MIN_QUERY_LENGTH} characters`;
+        } else if (!searching && searchResults.length === 0) {
+            emptyText = `No messages found for "${query}"`;
+        }
+
+        if (emptyText) {
+            return (
+                <View style={styles.searchEmpty}>
+                    <Text style={styles.emptyDescription}>{emptyText}</Text>
+                </View>
+            );
+        }
+
+        return (
+            <FlatList
+                data={searchResults}
+                renderItem={renderSearchResult}
+                keyExtractor={(item) => item._id}
+                contentContainerStyle={styles.listContainer}
+                keyboardShouldPersistTaps="handled"
+                showsVerticalScrollIndicator={false}
+            />
+        );
+    };
+
     /**
      * Renders empty state when no chats exist
      */
@@ -547,13 +686,16 @@ const ChatListScreen = ({ navigation }) => {
     // =====================================================================
     // MAIN RENDER
     // =====================================================================
-    const filteredChats = selectedPetId
-        ? chats.filter((chat) =>
-            chat.participants.some(
-                (participant) => participant.pet?._id === selectedPetId
+    const filteredChats = sortChats(
+        selectedPetId
+            ? chats.filter((chat) =>
+                chat.participants.some(
+                    (participant) => participant.pet?._id === selectedPetId
+                )
             )
-        )
-        : chats;
+            : chats,
+        unreadCounts
+    );
 
     return (
         <SafeAreaView style={styles.container} edges={["left", "right"]}>
@@ -564,17 +706,23 @@ const ChatListScreen = ({ navigation }) => {
             />
             
             {renderHeader()}
-            {renderPetSelector()}
-
-            {filteredChats.length > 0 ? (
-                <FlatList
-                    data={filteredChats}
-                    renderItem={renderChatItem}
-                    keyExtractor={(item) => item._id}
-                    contentContainerStyle={styles.listContainer}
-                    showsVerticalScrollIndicator={false}
-                />
-            ) : renderEmptyState()}
+            {chats.length > 0 && renderSearchBar()}
+
+            {searchQuery ? renderSearchResults() : (
+                <>
+                    {renderPetSelector()}
+
+                    {filteredChats.length > 0 ? (
+                        <FlatList
+                            data={filteredChats}
+                            renderItem={renderChatItem}
+                            keyExtractor={(item) => item._id}
+                            contentContainerStyle={styles.listContainer}
+                            showsVerticalScrollIndicator={false}
+                        />
+                    ) : renderEmptyState()}
+                </>
+            )}
         </SafeAreaView>
     );
 };
@@ -635,6 +783,36 @@ const styles = StyleSheet.create({
         flexDirection: 'row',
         alignItems: 'center',
     },
+    searchContainer: {
+        flexDirection: "row",
+        alignItems: "center",
+        marginHorizontal: theme.spacing.lg,
+        marginBottom: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.md,
+        paddingVertical: Platform.OS === "ios" ? theme.spacing.sm : 0,
+        borderRadius: theme.borderRadius.md,
+        backgroundColor: theme.colors.surface,
+    },
+    searchIcon: {
+        marginRight: theme.spacing.sm,
+    },
+    searchInput: {
+        flex: 1,
+        fontSize: theme.typography.fontSize.md,
+        color: theme.colors.textPrimary,
+        paddingVertical: theme.spacing.sm,
+    },
+    clearButton: {
+        padding: theme.spacing.xs,
+    },
+    searchEmpty: {
+        alignItems: "center",
+        padding: theme.spacing.xl,
+    },
+    searchHighlight: {
+        fontWeight: theme.typography.fontWeight.bold,
+        color: theme.colors.textPrimary,
+    },
     listContainer: {
         paddingVertical: theme.spacing.sm,
     },
@@ -654,6 +832,17 @@ const styles = StyleSheet.create({
         borderWidth: 2,
         borderColor: withOpacity(theme.colors.primary, 0.2),
     },
+    onlineDot: {
+        position: "absolute",
+        right: theme.spacing.lg,
+        bottom: 2,
+        width: 14,
+        height: 14,
+        borderRadius: 7,
+        backgroundColor: theme.colors.success,
+        borderWidth: 2,
+        borderColor: theme.colors.surface,
+    },
     chatInfo: {
         flex: 1,
         justifyContent: "center",
@@ -684,13 +873,30 @@ const styles = StyleSheet.create({
         fontWeight: theme.typography.fontWeight.medium,
         color: theme.colors.textPrimary,
     },
-    unreadIndicator: {
-        width: 10,
-        height: 10,
+    typingText: {
+        color: theme.colors.primary,
+        fontStyle: "italic",
+    },
+    lastSeen: {
+        fontSize: theme.typography.fontSize.xs,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    unreadBadge: {
+        minWidth: 20,
+        height: 20,
+        paddingHorizontal: 6,
         borderRadius: theme.borderRadius.circle,
         backgroundColor: theme.colors.primary,
+        justifyContent: "center",
+        alignItems: "center",
         marginLeft: theme.spacing.sm,
     },
+    unreadBadgeText: {
+        fontSize: theme.typography.fontSize.xs,
+        fontWeight: theme.typography.fontWeight.bold,
+        color: theme.colors.onPrimary,
+    },
     emptyContainer: {
         flex: 1,
         justifyContent: "center",
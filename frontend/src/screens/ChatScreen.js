@@ -20,18 +20,33 @@ import {
 } from "react-native";
 import { SafeAreaView } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 
 // Services
 import ChatService from "../services/ChatService";
 import MatchService from "../services/MatchService";
+import PlaydateService from "../services/PlaydateService";
+import SafetyService from "../services/SafetyService";
 
 // Components and Styles
 import MenuBottomSheet from "../components/MenuBottomSheet";
+import ReportSheet from "../components/ReportSheet";
+import PlaydateCard from "../components/chat/PlaydateCard";
+import PlaydateSheet from "../components/chat/PlaydateSheet";
+import AttachmentTray from "../components/chat/AttachmentTray";
+import ImageViewer from "../components/chat/ImageViewer";
+import ReactionPicker from "../components/chat/ReactionPicker";
+import { PLAYDATE_ACTIONS } from "../constants/playdateConstants";
+import {
+    TYPING_LIMITS,
+    ATTACHMENT_LIMITS,
+    MESSAGE_LIMITS,
+} from "../constants/chatConstants";
+import { formatPresence, formatTyping } from "../utils/presence";
 import theme, { withOpacity } from "../styles/theme";
 
 // Context
-import { ChatNotificationContext } from "../contexts/ChatNotificationContext";
 import { SocketContext } from "../contexts/SocketContext";
 
 // Custom Hooks
@@ -40,23 +55,37 @@ import useSocketListener from "../hooks/useSocketListener";
 // Constants
 const STORAGE_KEYS = {
     USER: "user",
-    UNREAD_CHATS: "unreadChats",
-    HAS_UNREAD_CHATS: "hasUnreadChats",
 };
 
 const MESSAGE_TYPES = {
     DATE_SEPARATOR: "dateSeparator",
     MESSAGE: "message",
+    PLAYDATE: "playdate",
+};
+
+// Most recent messages from the other owner attached to a report
+const MAX_EVIDENCE_MESSAGES = 20;
+
+const MESSAGE_STATUS = {
+    SENDING: "sending",
+    SENT: "sent",
+    SEEN: "seen",
+    FAILED: "failed",
 };
 
 /**
  * ChatScreen component
  *
  * Displays an individual chat conversation with:
- * - Messages with timestamps and statuses
+ * - Messages with timestamps and statuses, including when they were seen
+ * - The other owner's presence and typing status in the header
  * - Date separators for message groups
- * - Input area for sending new messages
- * - Chat options for profile viewing and unmatching
+ * - Playdate cards, inline with the messages, to accept or decline
+ * - Input area for sending new messages and photos
+ * - Photo thumbnails that open in a full-screen viewer
+ * - Long-press actions to react to, edit and delete messages
+ * - Opening at a message found by search, with the messages around it
+ * - Chat options for profile viewing, unmatching, reporting and blocking
  *
  * @param {Object} props - Component props
  * @param {Object} props.route - React Navigation route prop containing params
@@ -66,7 +95,7 @@ const ChatScreen = ({ route, navigation }) => {
     // =====================================================================
     // STATE MANAGEMENT
     // =====================================================================
-    const { chatId } = route.params;
+    const { chatId, messageId } = route.params;
     const [messages, setMessages] = useState([]);
     const [inputText, setInputText] = useState("");
     const [loading, setLoading] = useState(true);
@@ -75,12 +104,43 @@ const ChatScreen = ({ route, navigation }) => {
     const [currentUserId, setCurrentUserId] = useState(null);
     const [menuVisible, setMenuVisible] = useState(false);
     const [otherPet, setOtherPet] = useState(null);
-    const [currentPet, setCurrentPet] = useState(null);    // =====================================================================
+    const [otherUserId, setOtherUserId] = useState(null);
+    const [currentPet, setCurrentPet] = useState(null);
+    const [reportVisible, setReportVisible] = useState(false);
+    const [reporting, setReporting] = useState(false);
+    const [playdates, setPlaydates] = useState([]);
+    const [playdateSheet, setPlaydateSheet] = useState({ visible: false, initial: null });
+    const [submittingPlaydate, setSubmittingPlaydate] = useState(false);
+    const [busyPlaydateId, setBusyPlaydateId] = useState(null);
+    const [userLocation, setUserLocation] = useState(null);
+    // Photos picked for the next message: { id, uri, progress, url }
+    const [pendingAttachments, setPendingAttachments] = useState([]);
+    // Photos open in the full-screen viewer: { images, index }
+    const [viewer, setViewer] = useState(null);
+    // Message whose long-press actions are open
+    const [selectedMessage, setSelectedMessage] = useState(null);
+    // Own message being edited in the input
+    const [editingMessage, setEditingMessage] = useState(null);
+    // Message opened from search; only the messages around it are loaded
+    // until the user jumps to the latest ones
+    const [focusedMessageId, setFocusedMessageId] = useState(messageId || null);
+
+    // =====================================================================
     // REFS & CONTEXT
     // =====================================================================
     const flatListRef = useRef();
-    const { checkUnreadStatus } = useContext(ChatNotificationContext);
-    const { emit, isConnected } = useContext(SocketContext);
+    // Whether the list has been scrolled to the focused message yet
+    const focusScrolled = useRef(false);
+    // When we last told the other owner we're typing (0 = not typing)
+    const typingSentAt = useRef(0);
+    const {
+        emit,
+        emitWithAck,
+        isConnected,
+        presence,
+        fetchPresence,
+        typingUsers,
+    } = useContext(SocketContext);
 
     // =====================================================================
     // HELPER FUNCTIONS
@@ -97,6 +157,36 @@ const ChatScreen = ({ route, navigation }) => {
         }
     };
 
+    /**
+     * Scroll once to the focused message, in the middle of the list
+     *
+     * @param {Array} items - Prepared list items
+     */
+    const scrollToFocusedMessage = (items) => {
+        if (focusScrolled.current || !flatListRef.current) return;
+
+        const index = items.findIndex((item) => item._id === focusedMessageId);
+        if (index < 0) return;
+
+        focusScrolled.current = true;
+        flatListRef.current.scrollToIndex({ index, animated: false, viewPosition: 0.5 });
+    };
+
+    /**
+     * The focused message isn't laid out yet: scroll near it, then retry
+     *
+     * @param {Object} info - FlatList scroll failure info
+     */
+    const handleScrollToIndexFailed = ({ index, averageItemLength }) => {
+        flatListRef.current?.scrollToOffset({
+            offset: index * averageItemLength,
+            animated: false,
+        });
+        setTimeout(() => {
+            flatListRef.current?.scrollToIndex({ index, animated: false, viewPosition: 0.5 });
+        }, 100);
+    };
+
     /**
      * Format date for message separators
      *
@@ -144,30 +234,40 @@ const ChatScreen = ({ route, navigation }) => {
     };
 
     /**
-     * Prepare message data with date separators inserted
+     * Prepare message data with date separators inserted. Playdates sit in
+     * the timeline where they were first proposed.
      *
-     * @returns {Array} Messages with date separators
+     * @returns {Array} Messages and playdates with date separators
      */
     const prepareMessagesWithDateSeparators = () => {
         const result = [];
 
-        messages.forEach((message, index) => {
-            const prevMessage = index > 0 ? messages[index - 1] : null;
+        const timeline = [
+            ...messages.map((message) => ({
+                ...message,
+                type: MESSAGE_TYPES.MESSAGE,
+            })),
+            ...playdates.map((playdate) => ({
+                _id: `playdate-${playdate._id}`,
+                createdAt: playdate.createdAt,
+                type: MESSAGE_TYPES.PLAYDATE,
+                playdate,
+            })),
+        ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+        timeline.forEach((item, index) => {
+            const prevItem = index > 0 ? timeline[index - 1] : null;
 
             // Add date separator if needed
-            if (shouldShowDateSeparator(message, prevMessage)) {
+            if (shouldShowDateSeparator(item, prevItem)) {
                 result.push({
-                    _id: `date-${message.createdAt}`,
+                    _id: `date-${item.createdAt}`,
                     type: MESSAGE_TYPES.DATE_SEPARATOR,
-                    date: formatDate(message.createdAt),
+                    date: formatDate(item.createdAt),
                 });
             }
 
-            // Add the actual message
-            result.push({
-                ...message,
-                type: MESSAGE_TYPES.MESSAGE,
-            });
+            result.push(item);
         });
 
         return result;
@@ -189,6 +289,7 @@ const ChatScreen = ({ route, navigation }) => {
                 const user = JSON.parse(userData);
                 const userId = user.id || user._id;
                 setCurrentUserId(userId);
+                setUserLocation(user.location || null);
                 return userId;
             }
         } catch (error) {
@@ -198,44 +299,34 @@ const ChatScreen = ({ route, navigation }) => {
     };
 
     /**
-     * Mark chat as read in storage and update notification status
+     * Mark the other owner's messages read up to the given message. The
+     * server tells them (seen ticks) and our other devices (badges).
+     *
+     * @param {string} messageId - Latest message the user has seen
      */
-    const markChatAsRead = async () => {
+    const markMessagesRead = async (messageId) => {
         try {
-            // Mark as read in local storage
-            const unreadData = await AsyncStorage.getItem(STORAGE_KEYS.UNREAD_CHATS);
-            if (unreadData) {
-                const unreadChats = JSON.parse(unreadData);
-                if (unreadChats[chatId]) {
-                    delete unreadChats[chatId];
-                    await AsyncStorage.setItem(
-                        STORAGE_KEYS.UNREAD_CHATS,
-                        JSON.stringify(unreadChats)
-                    );
-
-                    // Update global notification status if needed
-                    if (Object.keys(unreadChats).length === 0) {
-                        await AsyncStorage.setItem(
-                            STORAGE_KEYS.HAS_UNREAD_CHATS,
-                            JSON.stringify(false)
-                        );
-                    }
-
-                    // Update the notification badge status
-                    checkUnreadStatus();
-                }
+            if (isConnected) {
+                await emitWithAck("mark_read", { chatId, messageId });
+            } else {
+                await ChatService.markChatRead(chatId, messageId);
             }
         } catch (error) {
-            console.error("Error marking chat as read:", error);
+            console.error("Error marking messages as read:", error);
         }
     };
 
     /**
      * Load chat data from API
+     *
+     * @param {string} [aroundMessageId] - Load the messages around this one
+     *   instead of the latest
      */
-    const loadChatData = async () => {
+    const loadChatData = async (aroundMessageId) => {
         try {
-            const chatResponse = await ChatService.getChatById(chatId);
+            const chatResponse = await ChatService.getChatById(chatId, {
+                around: aroundMessageId,
+            });
             setChatInfo(chatResponse.chat);
 
             if (chatResponse.chat && chatResponse.chat.participants) {
@@ -252,20 +343,37 @@ const ChatScreen = ({ route, navigation }) => {
 
                 if (foundOtherPet && foundOtherPet.pet) {
                     setOtherPet(foundOtherPet.pet);
-                    setupNavigationHeader(foundOtherPet.pet);
+                    setOtherUserId(foundOtherPet.userId);
                 }
             }
 
-            setMessages(chatResponse.messages || []);
+            const loadedMessages = chatResponse.messages || [];
+            setMessages(loadedMessages);
+
+            if (chatResponse.chat && chatResponse.chat.match) {
+                loadPlaydates(chatResponse.chat.match);
+            }
 
             // Mark chat as read when opened
-            markChatAsRead();
+            if (loadedMessages.some((message) => !message.read)) {
+                markMessagesRead(loadedMessages[loadedMessages.length - 1]._id);
+            }
 
-            // Scroll to bottom after loading messages
-            setTimeout(() => {
-                scrollToBottom(false);
-            }, 300);
+            // Scroll to bottom after loading messages; a focused message
+            // is scrolled to once the list has laid it out
+            if (!aroundMessageId) {
+                setTimeout(() => {
+                    scrollToBottom(false);
+                }, 300);
+            }
         } catch (error) {
+            // The found message was deleted since: open the chat as usual
+            if (aroundMessageId && error.code === "MESSAGE_NOT_FOUND") {
+                setFocusedMessageId(null);
+                await loadChatData();
+                return;
+            }
+
             console.error("Error loading chat data:", error);
             Alert.alert("Error", "Failed to load chat. Please try again.");
         } finally {
@@ -273,6 +381,43 @@ const ChatScreen = ({ route, navigation }) => {
         }
     };
 
+    /**
+     * Leave the search result and load the latest messages
+     */
+    const jumpToLatest = async () => {
+        setFocusedMessageId(null);
+        await loadChatData();
+    };
+
+    /**
+     * Load the match's playdates; the chat still works without them
+     *
+     * @param {string} matchId - Match the chat belongs to
+     */
+    const loadPlaydates = async (matchId) => {
+        try {
+            const response = await PlaydateService.getPlaydates({ matchId });
+            setPlaydates(response.playdates || []);
+        } catch (error) {
+            console.error("Error loading playdates:", error);
+        }
+    };
+
+    /**
+     * Add a playdate to the timeline, or replace our copy of it
+     *
+     * @param {Object} playdate - Playdate from the API or a socket event
+     */
+    const upsertPlaydate = (playdate) => {
+        setPlaydates((prevPlaydates) =>
+            prevPlaydates.some((item) => item._id === playdate._id)
+                ? prevPlaydates.map((item) =>
+                      item._id === playdate._id ? playdate : item
+                  )
+                : [...prevPlaydates, playdate]
+        );
+    };
+
     // =====================================================================
     // EVENT HANDLERS
     // =====================================================================
@@ -281,8 +426,10 @@ const ChatScreen = ({ route, navigation }) => {
      * Setup navigation header with pet info and action buttons
      *
      * @param {Object} pet - Pet object for header display
+     * @param {string} [status] - Typing or last seen text under the name
+     * @param {boolean} [typing] - Whether the status is a typing indicator
      */
-    const setupNavigationHeader = (pet) => {
+    const setupNavigationHeader = (pet, status, typing = false) => {
         navigation.setOptions({
             headerTitle: () => (
                 <TouchableOpacity
@@ -301,7 +448,20 @@ const ChatScreen = ({ route, navigation }) => {
                             }
                             style={styles.headerAvatar}
                         />
-                        <Text style={styles.headerTitle}>{pet.name}</Text>
+                        <View>
+                            <Text style={styles.headerTitle}>{pet.name}</Text>
+                            {status ? (
+                                <Text
+                                    style={[
+                                        styles.headerStatus,
+                                        typing && styles.headerStatusTyping,
+                                    ]}
+                                    numberOfLines={1}
+                                >
+                                    {status}
+                                </Text>
+                            ) : null}
+                        </View>
                     </View>
                 </TouchableOpacity>
             ),
@@ -371,84 +531,627 @@ const ChatScreen = ({ route, navigation }) => {
     };
 
     /**
-     * Send a new message
+     * Block the other owner; the chat closes for both sides
+     */
+    const handleBlock = () => {
+        if (!otherPet) return;
+
+        Alert.alert(
+            "Block",
+            `Block ${otherPet.name}'s owner? You won't see each other's pets and this chat will be closed.`,
+            [
+                {
+                    text: "Cancel",
+                    style: "cancel",
+                },
+                {
+                    text: "Block",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            await SafetyService.blockUser({ petId: otherPet._id });
+                            navigation.goBack();
+                        } catch (error) {
+                            console.error("Error blocking user:", error);
+                            Alert.alert(
+                                "Error",
+                                "Failed to block. Please try again."
+                            );
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Send a report about the other owner from the report sheet
+     *
+     * @param {Object} report - Reason, details and options picked in the sheet
+     */
+    const handleReport = async ({ reason, details, includeMessages, block }) => {
+        if (!otherPet) return;
+
+        // The other owner's latest messages
+        const messageIds = includeMessages
+            ? messages
+                  .filter((message) => !message.sender?.isCurrentUser)
+                  .slice(-MAX_EVIDENCE_MESSAGES)
+                  .map((message) => message._id)
+            : [];
+
+        setReporting(true);
+        try {
+            await SafetyService.reportUser({
+                petId: otherPet._id,
+                reason,
+                details: details || undefined,
+                chatId,
+                messageIds: messageIds.length > 0 ? messageIds : undefined,
+                block,
+            });
+
+            setReportVisible(false);
+            Alert.alert(
+                "Report sent",
+                "Thanks for letting us know. Our team will review it."
+            );
+            if (block) {
+                navigation.goBack();
+            }
+        } catch (error) {
+            console.error("Error reporting user:", error);
+            Alert.alert("Error", "Failed to send the report. Please try again.");
+        } finally {
+            setReporting(false);
+        }
+    };
+
+    /**
+     * Propose a playdate, or send a counter-proposal, from the playdate sheet
+     *
+     * @param {Object} proposal - Time, meeting point and note picked in the sheet
+     */
+    const handlePlaydateSubmit = async (proposal) => {
+        const countered = playdateSheet.initial;
+
+        setSubmittingPlaydate(true);
+        try {
+            const response = countered
+                ? await PlaydateService.counterPlaydate(countered._id, proposal)
+                : await PlaydateService.proposePlaydate(chatInfo.match, proposal);
+
+            upsertPlaydate(response.playdate);
+            setPlaydateSheet({ visible: false, initial: null });
+            setTimeout(() => scrollToBottom(), 100);
+        } catch (error) {
+            console.error("Error sending playdate:", error);
+            Alert.alert(
+                "Error",
+                error.message || "Failed to send the playdate. Please try again."
+            );
+        } finally {
+            setSubmittingPlaydate(false);
+        }
+    };
+
+    /**
+     * Handle a button on a playdate card
+     *
+     * @param {string} action - One of PLAYDATE_ACTIONS
+     * @param {Object} playdate - The playdate on the card
+     */
+    const handlePlaydateAction = (action, playdate) => {
+        if (action === PLAYDATE_ACTIONS.COUNTER) {
+            setPlaydateSheet({ visible: true, initial: playdate });
+            return;
+        }
+
+        const respond = async () => {
+            setBusyPlaydateId(playdate._id);
+            try {
+                const response = await PlaydateService.respondToPlaydate(
+                    playdate._id,
+                    action
+                );
+                upsertPlaydate(response.playdate);
+            } catch (error) {
+                console.error(`Error trying to ${action} playdate:`, error);
+                Alert.alert(
+                    "Error",
+                    error.message || "Failed to update the playdate. Please try again."
+                );
+                // The other owner may have changed it first
+                if (chatInfo && chatInfo.match) {
+                    loadPlaydates(chatInfo.match);
+                }
+            } finally {
+                setBusyPlaydateId(null);
+            }
+        };
+
+        if (action === PLAYDATE_ACTIONS.CANCEL) {
+            Alert.alert("Cancel Playdate", "Call off this playdate?", [
+                { text: "Keep", style: "cancel" },
+                { text: "Cancel Playdate", style: "destructive", onPress: respond },
+            ]);
+            return;
+        }
+
+        respond();
+    };
+
+    /**
+     * Replace the optimistic message with the given client ID
+     *
+     * @param {string} clientId - Client-generated temp ID
+     * @param {Object} changes - Fields to merge into the message
+     */
+    const updateMessageByClientId = (clientId, changes) => {
+        setMessages((prevMessages) =>
+            prevMessages.map((msg) =>
+                msg.clientId === clientId ? { ...msg, ...changes } : msg
+            )
+        );
+    };
+
+    /**
+     * Deliver a message to the server, over the socket when connected and
+     * over REST otherwise. Both paths store the message before it is shared,
+     * and resending the same client ID never creates a duplicate.
+     *
+     * @param {string} content - Message text
+     * @param {string} clientId - Client-generated temp ID
+     * @param {Array<string>} [attachments] - Uploaded photo URLs
+     * @returns {Promise<Object>} The stored message
+     */
+    const deliverMessage = async (content, clientId, attachments) => {
+        if (isConnected) {
+            const ack = await emitWithAck("send_message", {
+                chatId,
+                content,
+                clientId,
+                attachments,
+            });
+
+            if (!ack || !ack.success) {
+                throw new Error(ack?.message || "Failed to send message");
+            }
+
+            return ack.message;
+        }
+
+        const response = await ChatService.sendMessage(
+            chatId,
+            content,
+            clientId,
+            attachments
+        );
+
+        if (!response || !response.success) {
+            throw new Error("Failed to send message");
+        }
+
+        return response.message;
+    };
+
+    /**
+     * Send a message and reconcile its optimistic copy with the server's
+     *
+     * @param {string} content - Message text
+     * @param {string} clientId - Client-generated temp ID
+     * @param {Array<string>} [attachments] - Uploaded photo URLs
+     */
+    const sendWithStatus = async (content, clientId, attachments) => {
+        try {
+            const storedMessage = await deliverMessage(content, clientId, attachments);
+
+            // Replace temp message with the canonical stored message
+            updateMessageByClientId(clientId, {
+                ...storedMessage,
+                sender: {
+                    ...storedMessage.sender,
+                    isCurrentUser: true,
+                },
+                status: MESSAGE_STATUS.SENT,
+            });
+
+            // Ensure we scroll to bottom after sending is complete
+            setTimeout(() => scrollToBottom(), 200);
+        } catch (error) {
+            console.error("Error sending message:", error);
+
+            // Mark message as failed so it can be retried
+            updateMessageByClientId(clientId, {
+                status: MESSAGE_STATUS.FAILED,
+            });
+        }
+    };
+
+    /**
+     * Tell the other owner we stopped typing, if we told them we started
+     */
+    const stopTyping = () => {
+        if (!typingSentAt.current) return;
+
+        typingSentAt.current = 0;
+        emit("typing_stop", { chatId });
+    };
+
+    /**
+     * Update the input and let the other owner know we're typing. The
+     * server drops the indicator by itself if typing_start stops arriving
+     *
+     * @param {string} text - New input text
+     */
+    const handleChangeText = (text) => {
+        setInputText(text);
+
+        if (!isConnected || editingMessage) return;
+
+        if (!text.trim()) {
+            stopTyping();
+            return;
+        }
+
+        const now = Date.now();
+        if (now - typingSentAt.current >= TYPING_LIMITS.THROTTLE_MS) {
+            typingSentAt.current = now;
+            emit("typing_start", { chatId });
+        }
+    };
+
+    /**
+     * Merge changes into a picked photo
+     *
+     * @param {string} id - Local attachment ID
+     * @param {Object} changes - Fields to merge
+     */
+    const updateAttachment = (id, changes) => {
+        setPendingAttachments((prevAttachments) =>
+            prevAttachments.map((attachment) =>
+                attachment.id === id ? { ...attachment, ...changes } : attachment
+            )
+        );
+    };
+
+    /**
+     * Remove a picked photo from the next message
+     *
+     * @param {string} id - Local attachment ID
+     */
+    const removeAttachment = (id) => {
+        setPendingAttachments((prevAttachments) =>
+            prevAttachments.filter((attachment) => attachment.id !== id)
+        );
+    };
+
+    /**
+     * Upload a picked photo right away, so it's ready when the user sends
+     *
+     * @param {string} uri - Local image URI
+     */
+    const uploadAttachment = async (uri) => {
+        const id = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        setPendingAttachments((prevAttachments) => [
+            ...prevAttachments,
+            { id, uri, progress: 0, url: null },
+        ]);
+
+        try {
+            const response = await ChatService.uploadAttachment(chatId, uri, (progress) =>
+                updateAttachment(id, { progress })
+            );
+            updateAttachment(id, { progress: 1, url: response.imageUrl });
+        } catch (error) {
+            console.error("Error uploading attachment:", error);
+            removeAttachment(id);
+            Alert.alert("Upload Failed", "Failed to upload the photo. Please try again.");
+        }
+    };
+
+    /**
+     * Pick a photo from the library to send
+     */
+    const pickAttachment = async () => {
+        if (pendingAttachments.length >= ATTACHMENT_LIMITS.MAX_PER_MESSAGE) {
+            Alert.alert(
+                "Photo Limit",
+                `You can send up to ${ATTACHMENT_LIMITS.MAX_PER_MESSAGE} photos at a time.`
+            );
+            return;
+        }
+
+        try {
+            const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+            if (status !== "granted") {
+                Alert.alert(
+                    "Permission Required",
+                    "Allow access to your photos to send them in chat."
+                );
+                return;
+            }
+
+            const result = await ImagePicker.launchImageLibraryAsync({
+                mediaTypes: ImagePicker.MediaTypeOptions.Images,
+                quality: 0.7,
+            });
+
+            if (!result.canceled && result.assets && result.assets.length > 0) {
+                uploadAttachment(result.assets[0].uri);
+            }
+        } catch (error) {
+            console.error("Image picker error:", error);
+            Alert.alert("Error", "Failed to pick image");
+        }
+    };
+
+    const uploadedAttachments = pendingAttachments
+        .filter((attachment) => attachment.url)
+        .map((attachment) => attachment.url);
+    const isUploading = uploadedAttachments.length < pendingAttachments.length;
+    const canSend = editingMessage
+        ? inputText.trim().length > 0 && !isSending
+        : (inputText.trim().length > 0 || uploadedAttachments.length > 0) &&
+          !isUploading &&
+          !isSending;
+
+    /**
+     * Send a new message with the uploaded photos
+     */
+    const sendMessage = async () => {
+        if (!canSend) return;
+
+        if (editingMessage) {
+            await saveEdit();
+            return;
+        }
+
+        // Sending ends our typing indicator on the server
+        typingSentAt.current = 0;
+
+        // New messages go after the latest ones, not after a search result
+        if (focusedMessageId) {
+            await jumpToLatest();
+        }
+
+        const trimmedMessage = inputText.trim();
+        const attachments = uploadedAttachments;
+        const clientId = `temp-${Date.now()}-${Math.random()
+            .toString(36)
+            .substring(2, 8)}`;
+
+        setInputText("");
+        setPendingAttachments([]);
+        setIsSending(true);
+
+        // Create temporary message to show immediately
+        const tempMessage = {
+            _id: clientId,
+            clientId,
+            content: trimmedMessage,
+            attachments,
+            sender: { isCurrentUser: true },
+            createdAt: new Date().toISOString(),
+            status: MESSAGE_STATUS.SENDING,
+        };
+
+        setMessages((prevMessages) => [...prevMessages, tempMessage]);
+
+        // Scroll to bottom immediately after adding the message
+        setTimeout(() => scrollToBottom(), 50);
+
+        try {
+            await sendWithStatus(trimmedMessage, clientId, attachments);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    /**
+     * Retry a message that failed to send
+     *
+     * @param {Object} message - The failed message
+     */
+    const retryMessage = (message) => {
+        updateMessageByClientId(message.clientId, {
+            status: MESSAGE_STATUS.SENDING,
+        });
+        sendWithStatus(message.content, message.clientId, message.attachments);
+    };
+
+    /**
+     * Merge the server's copy of a changed message into ours, keeping our
+     * local read and delivery state
+     *
+     * @param {Object} updated - Message from the API or a socket event
+     */
+    const applyMessageUpdate = (updated) => {
+        setMessages((prevMessages) =>
+            prevMessages.map((msg) =>
+                msg._id === updated._id
+                    ? { ...msg, ...updated, sender: { ...msg.sender, ...updated.sender } }
+                    : msg
+            )
+        );
+    };
+
+    /**
+     * Run a message action over the socket when connected, REST otherwise
+     *
+     * @param {string} event - Socket event name
+     * @param {Object} payload - Event payload, without the chat ID
+     * @param {Function} restCall - Equivalent ChatService call
+     * @returns {Promise<Object>} The server's response
+     */
+    const runMessageAction = async (event, payload, restCall) => {
+        if (!isConnected) {
+            return restCall();
+        }
+
+        const ack = await emitWithAck(event, { chatId, ...payload });
+        if (!ack || !ack.success) {
+            throw new Error(ack?.message || "Failed to update the message");
+        }
+
+        return ack;
+    };
+
+    /**
+     * The current user's reaction to a message
+     *
+     * @param {Object} message - Message item
+     * @returns {string|undefined} The emoji
+     */
+    const getOwnReaction = (message) =>
+        (message.reactions || []).find(
+            (reaction) => reaction.userId === currentUserId
+        )?.emoji;
+
+    /**
+     * Whether the current user may still edit a message
+     *
+     * @param {Object} message - Message item
+     */
+    const canEditMessage = (message) =>
+        message.sender?.isCurrentUser &&
+        !message.deleted &&
+        !!message.content &&
+        message.status !== MESSAGE_STATUS.SENDING &&
+        message.status !== MESSAGE_STATUS.FAILED &&
+        Date.now() - new Date(message.createdAt).getTime() <
+            MESSAGE_LIMITS.EDIT_WINDOW_MS;
+
+    /**
+     * Set or clear the current user's reaction to a message
+     *
+     * @param {Object} message - Message item
+     * @param {string|null} emoji - New reaction, or null to remove it
+     */
+    const handleReact = async (message, emoji) => {
+        setSelectedMessage(null);
+
+        try {
+            const response = await runMessageAction(
+                "react_message",
+                { messageId: message._id, emoji },
+                () => ChatService.setReaction(chatId, message._id, emoji)
+            );
+            applyMessageUpdate(response.message);
+        } catch (error) {
+            console.error("Error reacting to message:", error);
+            Alert.alert("Error", error.message || "Failed to react to the message.");
+        }
+    };
+
+    /**
+     * Delete a message for the current user, or for everyone
+     *
+     * @param {Object} message - Message item
+     * @param {boolean} forEveryone - Leave a tombstone for both owners
+     */
+    const deleteMessage = async (message, forEveryone) => {
+        try {
+            await runMessageAction(
+                "delete_message",
+                { messageId: message._id, forEveryone },
+                () => ChatService.deleteMessage(chatId, message._id, forEveryone)
+            );
+
+            if (forEveryone) {
+                applyMessageUpdate({
+                    _id: message._id,
+                    deleted: true,
+                    content: "",
+                    attachments: [],
+                    reactions: [],
+                });
+            } else {
+                setMessages((prevMessages) =>
+                    prevMessages.filter((msg) => msg._id !== message._id)
+                );
+            }
+
+            if (editingMessage && editingMessage._id === message._id) {
+                cancelEditing();
+            }
+        } catch (error) {
+            console.error("Error deleting message:", error);
+            Alert.alert("Error", error.message || "Failed to delete the message.");
+        }
+    };
+
+    /**
+     * Ask how to delete a message; only the sender can delete for everyone
+     *
+     * @param {Object} message - Message item
      */
-    const sendMessage = async () => {
-        if (!inputText.trim() || isSending) return;
+    const confirmDeleteMessage = (message) => {
+        const buttons = [
+            { text: "Cancel", style: "cancel" },
+            {
+                text: "Delete for Me",
+                style: "destructive",
+                onPress: () => deleteMessage(message, false),
+            },
+        ];
 
-        try {
-            const trimmedMessage = inputText.trim();
-            setInputText("");
-            setIsSending(true);
-
-            // Create temporary message to show immediately
-            const tempMessage = {
-                _id: `temp-${Date.now()}`,
-                content: trimmedMessage,
-                sender: { isCurrentUser: true },
-                createdAt: new Date().toISOString(),
-                pending: true,
-            };
-
-            setMessages((prevMessages) => [...prevMessages, tempMessage]);
-
-            // Scroll to bottom immediately after adding the message
-            setTimeout(() => scrollToBottom(), 50);
-
-            // Send to server
-            const response = await ChatService.sendMessage(
-                chatId,
-                trimmedMessage
-            );
+        if (message.sender?.isCurrentUser && !message.deleted) {
+            buttons.push({
+                text: "Delete for Everyone",
+                style: "destructive",
+                onPress: () => deleteMessage(message, true),
+            });
+        }
 
-            if (!response || !response.success) {
-                throw new Error("Failed to send message");
-            }            // Replace temp message with confirmed message
-            const confirmedMessage = {
-                ...response.message,
-                sender: {
-                    ...response.message.sender,
-                    isCurrentUser: true,
-                },
-                pending: false,
-            };
+        Alert.alert("Delete Message", "Who should this message be deleted for?", buttons);
+    };
 
-            setMessages((prevMessages) =>
-                prevMessages.map((msg) =>
-                    msg._id === tempMessage._id ? confirmedMessage : msg
-                )
-            );
+    /**
+     * Load one of the user's messages into the input for editing
+     *
+     * @param {Object} message - Message item
+     */
+    const startEditing = (message) => {
+        stopTyping();
+        setEditingMessage(message);
+        setInputText(message.content);
+    };
 
-            // Also emit the message over the socket for real-time delivery
-            // This ensures other devices of the same user get the message too
-            if (isConnected) {
-                emit('send_message', {
-                    ...confirmedMessage,
-                    chatId,
-                    senderId: currentUserId,
-                });
-            }
+    const cancelEditing = () => {
+        setEditingMessage(null);
+        setInputText("");
+    };
 
-            // Ensure we scroll to bottom after sending is complete
-            setTimeout(() => scrollToBottom(), 200);
-        } catch (error) {
-            console.error("Error sending message:", error);
+    /**
+     * Save the edited text of the message being edited
+     */
+    const saveEdit = async () => {
+        const content = inputText.trim();
 
-            // Mark message as failed
-            setMessages((prevMessages) =>
-                prevMessages.map((msg) =>
-                    msg.pending ? { ...msg, failed: true } : msg
-                )
-            );
+        if (content === editingMessage.content) {
+            cancelEditing();
+            return;
+        }
 
-            Alert.alert(
-                "Message Failed",
-                "Unable to send your message. Please check your connection and try again."
+        setIsSending(true);
+        try {
+            const response = await runMessageAction(
+                "edit_message",
+                { messageId: editingMessage._id, content },
+                () => ChatService.editMessage(chatId, editingMessage._id, content)
             );
+            applyMessageUpdate(response.message);
+            cancelEditing();
+        } catch (error) {
+            console.error("Error editing message:", error);
+            Alert.alert("Error", error.message || "Failed to edit the message.");
         } finally {
             setIsSending(false);
         }
-    };    // =====================================================================
+    };
+
+    // =====================================================================
     // SOCKET MESSAGE HANDLER
     // =====================================================================
 
@@ -458,38 +1161,137 @@ const ChatScreen = ({ route, navigation }) => {
      * @param {Object} messageData - Message data from socket
      */
     const handleSocketMessage = useCallback((messageData) => {
-        // Skip if this message is from the current user or already exists
+        // Ignore messages for other chats or ones we already have
         if (
-            (messageData.senderUserId && messageData.senderUserId === currentUserId) ||
+            (messageData.chatId && messageData.chatId !== chatId) ||
             messages.some(msg => msg._id === messageData._id)
         ) {
             return;
         }
 
         console.log('Received message via socket:', messageData);
-        
+
+        const isOwnMessage =
+            messageData.senderUserId === currentUserId ||
+            messageData.sender?.isCurrentUser === true;
+
         // Format the incoming message in the expected format
         const formattedMessage = {
             _id: messageData._id,
+            clientId: messageData.clientId,
             content: messageData.content,
             createdAt: messageData.createdAt || new Date().toISOString(),
             sender: {
-                isCurrentUser: false,
-                ...messageData.sender
+                ...messageData.sender,
+                isCurrentUser: isOwnMessage,
             },
-            read: false,
+            attachments: messageData.attachments || [],
+            read: isOwnMessage,
+            status: isOwnMessage ? MESSAGE_STATUS.SENT : undefined,
         };
 
-        // Add message to the list
+        // The broadcast can beat the ack - reconcile our optimistic copy
+        if (
+            isOwnMessage &&
+            messageData.clientId &&
+            messages.some(msg => msg.clientId === messageData.clientId)
+        ) {
+            updateMessageByClientId(messageData.clientId, formattedMessage);
+            return;
+        }
+
+        // Showing a search result: new messages load with the latest ones
+        if (focusedMessageId) {
+            return;
+        }
+
+        // Add message to the list (own messages may come from another device)
         setMessages(prevMessages => [...prevMessages, formattedMessage]);
+
+        // The user is looking at it
+        if (!isOwnMessage) {
+            markMessagesRead(formattedMessage._id);
+        }
         
         // Scroll to bottom when a new message is received
         setTimeout(() => scrollToBottom(), 100);
-    }, [messages, currentUserId]);
+    }, [messages, currentUserId, chatId, isConnected, focusedMessageId]);
 
     // Listen for incoming messages
     useSocketListener('receive_message', handleSocketMessage, [handleSocketMessage]);
 
+    /**
+     * Show seen ticks on our messages the other owner has read
+     *
+     * @param {Object} receipt - { chatId, userId, upTo, readAt } from socket
+     */
+    const handleMessagesRead = useCallback((receipt) => {
+        if (
+            !receipt ||
+            receipt.chatId !== chatId ||
+            receipt.userId === currentUserId
+        ) {
+            return;
+        }
+
+        const readUpTo = new Date(receipt.upTo.createdAt);
+        setMessages((prevMessages) =>
+            prevMessages.map((msg) =>
+                msg.sender?.isCurrentUser &&
+                !msg.seen &&
+                msg.status !== MESSAGE_STATUS.SENDING &&
+                msg.status !== MESSAGE_STATUS.FAILED &&
+                new Date(msg.createdAt) <= readUpTo
+                    ? { ...msg, seen: true }
+                    : msg
+            )
+        );
+    }, [chatId, currentUserId]);
+
+    useSocketListener('messages_read', handleMessagesRead, [handleMessagesRead]);
+
+    /**
+     * Keep playdate cards in step with changes from either owner
+     *
+     * @param {Object} update - { action, playdate } from socket
+     */
+    const handlePlaydateUpdate = useCallback(({ playdate }) => {
+        if (!playdate || playdate.chat !== chatId) return;
+
+        upsertPlaydate(playdate);
+        setTimeout(() => scrollToBottom(), 100);
+    }, [chatId]);
+
+    useSocketListener('playdate_updated', handlePlaydateUpdate, [handlePlaydateUpdate]);
+
+    /**
+     * Show edits, reactions and deletions for everyone from either owner
+     *
+     * @param {Object} updated - Message from socket
+     */
+    const handleMessageUpdated = useCallback((updated) => {
+        if (!updated || updated.chatId !== chatId) return;
+
+        applyMessageUpdate(updated);
+    }, [chatId]);
+
+    useSocketListener('message_updated', handleMessageUpdated, [handleMessageUpdated]);
+
+    /**
+     * Drop a message the user deleted for themselves on another device
+     *
+     * @param {Object} data - { chatId, messageId } from socket
+     */
+    const handleMessageDeleted = useCallback((data) => {
+        if (!data || data.chatId !== chatId) return;
+
+        setMessages((prevMessages) =>
+            prevMessages.filter((msg) => msg._id !== data.messageId)
+        );
+    }, [chatId]);
+
+    useSocketListener('message_deleted', handleMessageDeleted, [handleMessageDeleted]);
+
     // =====================================================================
     // EFFECTS AND LIFECYCLE
     // =====================================================================
@@ -502,6 +1304,34 @@ const ChatScreen = ({ route, navigation }) => {
         }
     }, [isConnected, chatId, emit]);
 
+    // Stop our typing indicator when leaving the chat
+    useEffect(() => {
+        return () => {
+            if (typingSentAt.current) {
+                typingSentAt.current = 0;
+                emit("typing_stop", { chatId });
+            }
+        };
+    }, [chatId, emit]);
+
+    // Ask for the other owner's presence; updates then arrive by themselves
+    useEffect(() => {
+        if (isConnected && otherUserId) {
+            fetchPresence([otherUserId]);
+        }
+    }, [isConnected, otherUserId, fetchPresence]);
+
+    // Show typing, or else presence, under the other pet's name
+    useEffect(() => {
+        if (!otherPet) return;
+
+        if (typingUsers[chatId]) {
+            setupNavigationHeader(otherPet, formatTyping(otherPet.name), true);
+        } else {
+            setupNavigationHeader(otherPet, formatPresence(presence[otherUserId]));
+        }
+    }, [otherPet, otherUserId, presence, typingUsers, chatId]);
+
     useEffect(() => {
         // Setup back button in header
         navigation.setOptions({
@@ -520,14 +1350,16 @@ const ChatScreen = ({ route, navigation }) => {
             ),
         });
 
-        // Initialize chat data
+        // Initialize chat data, at the message opened from search if any
         const initializeChat = async () => {
             await getUserId();
-            await loadChatData();
+            await loadChatData(messageId);
         };
 
+        setFocusedMessageId(messageId || null);
+        focusScrolled.current = false;
         initializeChat();
-    }, [chatId, navigation, checkUnreadStatus]);
+    }, [chatId, messageId, navigation]);
 
     // =====================================================================
     // RENDER HELPER FUNCTIONS
@@ -549,6 +1381,18 @@ const ChatScreen = ({ route, navigation }) => {
             return renderDateSeparator(item);
         }
 
+        // Render playdate card
+        if (item.type === MESSAGE_TYPES.PLAYDATE) {
+            return (
+                <PlaydateCard
+                    playdate={item.playdate}
+                    currentUserId={currentUserId}
+                    onAction={handlePlaydateAction}
+                    busy={busyPlaydateId === item.playdate._id}
+                />
+            );
+        }
+
         // Render message
         return renderMessage(item, index, preparedMessages);
     };
@@ -581,6 +1425,10 @@ const ChatScreen = ({ route, navigation }) => {
         let prevMessage = null;
 
         while (prevMessageIndex >= 0) {
+            // A playdate card breaks up a run of messages
+            if (preparedMessages[prevMessageIndex].type === MESSAGE_TYPES.PLAYDATE) {
+                break;
+            }
             if (preparedMessages[prevMessageIndex].type === MESSAGE_TYPES.MESSAGE) {
                 prevMessage = preparedMessages[prevMessageIndex];
                 break;
@@ -598,6 +1446,9 @@ const ChatScreen = ({ route, navigation }) => {
             minute: "2-digit",
         });
 
+        const isSendingMessage = item.status === MESSAGE_STATUS.SENDING;
+        const isFailed = item.status === MESSAGE_STATUS.FAILED;
+
         return (
             <View
                 style={[
@@ -608,48 +1459,81 @@ const ChatScreen = ({ route, navigation }) => {
                     isConsecutive && styles.consecutiveMessage,
                 ]}
             >
-                <View
+                <TouchableOpacity
+                    activeOpacity={0.8}
+                    disabled={isSendingMessage}
+                    onPress={isFailed ? () => retryMessage(item) : undefined}
+                    onLongPress={
+                        isFailed ? undefined : () => setSelectedMessage(item)
+                    }
                     style={[
                         styles.messageBubble,
                         isCurrentUser
                             ? styles.currentUserBubble
                             : styles.otherUserBubble,
-                        item.pending && styles.pendingMessage,
-                        item.failed && styles.failedMessage,
+                        isSendingMessage && styles.pendingMessage,
+                        isFailed && styles.failedMessage,
+                        item._id === focusedMessageId && styles.focusedMessage,
                     ]}
                 >
-                    <Text
-                        style={[
-                            styles.messageText,
-                            isCurrentUser
-                                ? styles.currentUserText
-                                : styles.otherUserText,
-                        ]}
-                    >
-                        {item.content}
-                    </Text>
-
-                    <View style={styles.messageFooter}>
-                        {item.pending && (
+                    {item.deleted && (
+                        <View style={styles.deletedRow}>
                             <Ionicons
-                                name="time-outline"
-                                size={12}
+                                name="ban-outline"
+                                size={14}
                                 color={
                                     isCurrentUser
-                                        ? withOpacity(
-                                              theme.colors.onPrimary,
-                                              0.7
-                                          )
+                                        ? withOpacity(theme.colors.onPrimary, 0.8)
                                         : theme.colors.textSecondary
                                 }
                             />
+                            <Text
+                                style={[
+                                    styles.messageText,
+                                    styles.deletedText,
+                                    isCurrentUser
+                                        ? styles.currentUserText
+                                        : styles.otherUserText,
+                                ]}
+                            >
+                                This message was deleted
+                            </Text>
+                        </View>
+                    )}
+
+                    {item.attachments?.length > 0 &&
+                        renderAttachments(item.attachments)}
+
+                    {!!item.content && (
+                        <Text
+                            style={[
+                                styles.messageText,
+                                isCurrentUser
+                                    ? styles.currentUserText
+                                    : styles.otherUserText,
+                            ]}
+                        >
+                            {item.content}
+                        </Text>
+                    )}
+
+                    <View style={styles.messageFooter}>
+                        {isFailed && (
+                            <Text style={styles.failedText}>
+                                Not sent · Tap to retry
+                            </Text>
                         )}
-                        {item.failed && (
-                            <Ionicons
-                                name="alert-circle-outline"
-                                size={12}
-                                color={theme.colors.error}
-                            />
+                        {item.edited && !item.deleted && (
+                            <Text
+                                style={[
+                                    styles.messageTime,
+                                    isCurrentUser
+                                        ? styles.currentUserTime
+                                        : styles.otherUserTime,
+                                ]}
+                            >
+                                edited
+                            </Text>
                         )}
                         <Text
                             style={[
@@ -661,12 +1545,113 @@ const ChatScreen = ({ route, navigation }) => {
                         >
                             {messageTime}
                         </Text>
+                        {isCurrentUser && renderStatusIcon(item)}
                     </View>
-                </View>
+                </TouchableOpacity>
+
+                {item.reactions?.length > 0 && renderReactions(item)}
+            </View>
+        );
+    };
+
+    /**
+     * Render a message's reactions as counted pills; tapping the user's own
+     * reaction removes it, tapping another one switches to it
+     *
+     * @param {Object} item - Message item
+     */
+    const renderReactions = (item) => {
+        const counts = item.reactions.reduce((acc, { emoji }) => {
+            acc[emoji] = (acc[emoji] || 0) + 1;
+            return acc;
+        }, {});
+        const ownReaction = getOwnReaction(item);
+
+        return (
+            <View
+                style={[
+                    styles.reactionRow,
+                    item.sender?.isCurrentUser && styles.currentUserReactions,
+                ]}
+            >
+                {Object.entries(counts).map(([emoji, count]) => (
+                    <TouchableOpacity
+                        key={emoji}
+                        style={[
+                            styles.reactionPill,
+                            emoji === ownReaction && styles.ownReactionPill,
+                        ]}
+                        onPress={() =>
+                            handleReact(item, emoji === ownReaction ? null : emoji)
+                        }
+                    >
+                        <Text style={styles.reactionText}>
+                            {count > 1 ? `${emoji} ${count}` : emoji}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
             </View>
         );
     };
 
+    /**
+     * Render a message's photos as thumbnails that open the viewer
+     *
+     * @param {Array<string>} attachments - Photo URLs
+     */
+    const renderAttachments = (attachments) => (
+        <View style={styles.attachmentGrid}>
+            {attachments.map((uri, index) => (
+                <TouchableOpacity
+                    key={`${index}-${uri}`}
+                    activeOpacity={0.9}
+                    onPress={() => setViewer({ images: attachments, index })}
+                >
+                    <Image
+                        source={{ uri }}
+                        style={
+                            attachments.length === 1
+                                ? styles.attachmentSingle
+                                : styles.attachmentThumbnail
+                        }
+                    />
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+
+    /**
+     * Render the delivery status icon for the current user's messages
+     *
+     * @param {Object} item - Message item
+     */
+    const renderStatusIcon = (item) => {
+        const statusIcons = {
+            [MESSAGE_STATUS.SENDING]: {
+                name: "time-outline",
+                color: withOpacity(theme.colors.onPrimary, 0.7),
+            },
+            [MESSAGE_STATUS.SENT]: {
+                name: "checkmark",
+                color: withOpacity(theme.colors.onPrimary, 0.7),
+            },
+            [MESSAGE_STATUS.SEEN]: {
+                name: "checkmark-done",
+                color: theme.colors.onPrimary,
+            },
+            [MESSAGE_STATUS.FAILED]: {
+                name: "alert-circle-outline",
+                color: theme.colors.error,
+            },
+        };
+
+        const icon = item.seen
+            ? statusIcons[MESSAGE_STATUS.SEEN]
+            : statusIcons[item.status || MESSAGE_STATUS.SENT];
+
+        return <Ionicons name={icon.name} size={12} color={icon.color} />;
+    };
+
     /**
      * Render the empty state when no messages exist
      */
@@ -690,11 +1675,47 @@ const ChatScreen = ({ route, navigation }) => {
             behavior={Platform.OS === "ios" ? "padding" : "height"}
             keyboardVerticalOffset={Platform.OS === "ios" ? 100 : 0}
         >
+            {editingMessage && (
+                <View style={styles.editingBanner}>
+                    <Ionicons
+                        name="create-outline"
+                        size={16}
+                        color={theme.colors.primary}
+                    />
+                    <Text style={styles.editingText} numberOfLines={1}>
+                        Editing message
+                    </Text>
+                    <TouchableOpacity onPress={cancelEditing}>
+                        <Ionicons
+                            name="close"
+                            size={20}
+                            color={theme.colors.textSecondary}
+                        />
+                    </TouchableOpacity>
+                </View>
+            )}
+            <AttachmentTray
+                attachments={pendingAttachments}
+                onRemove={removeAttachment}
+            />
             <View style={styles.inputContainer}>
+                {!editingMessage && (
+                    <TouchableOpacity
+                        style={styles.attachButton}
+                        onPress={pickAttachment}
+                        disabled={isSending}
+                    >
+                        <Ionicons
+                            name="image-outline"
+                            size={24}
+                            color={theme.colors.primary}
+                        />
+                    </TouchableOpacity>
+                )}
                 <TextInput
                     style={styles.input}
                     value={inputText}
-                    onChangeText={setInputText}
+                    onChangeText={handleChangeText}
                     placeholder="Type a message..."
                     placeholderTextColor={theme.colors.placeholder}
                     multiline
@@ -703,12 +1724,10 @@ const ChatScreen = ({ route, navigation }) => {
                 <TouchableOpacity
                     style={[
                         styles.sendButton,
-                        !inputText.trim() || isSending
-                            ? styles.disabledButton
-                            : {},
+                        !canSend ? styles.disabledButton : {},
                     ]}
                     onPress={sendMessage}
-                    disabled={!inputText.trim() || isSending}
+                    disabled={!canSend}
                 >
                     {isSending ? (
                         <ActivityIndicator
@@ -717,7 +1736,7 @@ const ChatScreen = ({ route, navigation }) => {
                         />
                     ) : (
                         <Ionicons
-                            name="send"
+                            name={editingMessage ? "checkmark" : "send"}
                             size={20}
                             color={theme.colors.onPrimary}
                         />
@@ -742,11 +1761,28 @@ const ChatScreen = ({ route, navigation }) => {
                 }
             },
         },
+        {
+            label: "Propose Playdate",
+            icon: "calendar-outline",
+            onPress: () => setPlaydateSheet({ visible: true, initial: null }),
+        },
         {
             label: "Unmatch",
             icon: "close-circle-outline",
             onPress: handleUnmatch,
         },
+        {
+            label: "Report",
+            icon: "flag-outline",
+            destructive: true,
+            onPress: () => setReportVisible(true),
+        },
+        {
+            label: "Block",
+            icon: "ban-outline",
+            destructive: true,
+            onPress: handleBlock,
+        },
     ];
 
     // =====================================================================
@@ -770,7 +1806,7 @@ const ChatScreen = ({ route, navigation }) => {
             <StatusBar barStyle="dark-content" />
 
             <View style={styles.chatContainer}>
-                {messages.length === 0 ? (
+                {preparedMessages.length === 0 ? (
                     renderEmptyState()
                 ) : (
                     <FlatList
@@ -783,10 +1819,33 @@ const ChatScreen = ({ route, navigation }) => {
                         initialNumToRender={15}
                         maxToRenderPerBatch={10}
                         windowSize={10}
-                        onContentSizeChange={() => scrollToBottom(false)}
-                        onLayout={() => scrollToBottom(false)}
+                        onContentSizeChange={() =>
+                            focusedMessageId
+                                ? scrollToFocusedMessage(preparedMessages)
+                                : scrollToBottom(false)
+                        }
+                        onLayout={() =>
+                            focusedMessageId
+                                ? scrollToFocusedMessage(preparedMessages)
+                                : scrollToBottom(false)
+                        }
+                        onScrollToIndexFailed={handleScrollToIndexFailed}
                     />
                 )}
+                {focusedMessageId && (
+                    <TouchableOpacity
+                        style={styles.jumpToLatestButton}
+                        onPress={jumpToLatest}
+                        activeOpacity={0.8}
+                    >
+                        <Ionicons
+                            name="arrow-down"
+                            size={16}
+                            color={theme.colors.onPrimary}
+                        />
+                        <Text style={styles.jumpToLatestText}>Latest messages</Text>
+                    </TouchableOpacity>
+                )}
             </View>
 
             {renderMessageInput()}
@@ -797,6 +1856,63 @@ const ChatScreen = ({ route, navigation }) => {
                 options={menuOptions}
                 title="Chat Options"
             />
+
+            <PlaydateSheet
+                visible={playdateSheet.visible}
+                onClose={() => setPlaydateSheet({ visible: false, initial: null })}
+                onSubmit={handlePlaydateSubmit}
+                initial={playdateSheet.initial}
+                defaultLocation={userLocation}
+                submitting={submittingPlaydate}
+            />
+
+            <MenuBottomSheet
+                visible={!!selectedMessage}
+                onClose={() => setSelectedMessage(null)}
+                title="Message"
+                options={
+                    selectedMessage
+                        ? [
+                              canEditMessage(selectedMessage) && {
+                                  label: "Edit",
+                                  icon: "create-outline",
+                                  onPress: () => startEditing(selectedMessage),
+                              },
+                              {
+                                  label: "Delete",
+                                  icon: "trash-outline",
+                                  destructive: true,
+                                  onPress: () => confirmDeleteMessage(selectedMessage),
+                              },
+                          ].filter(Boolean)
+                        : []
+                }
+            >
+                {selectedMessage && !selectedMessage.deleted && (
+                    <ReactionPicker
+                        selected={getOwnReaction(selectedMessage)}
+                        onSelect={(emoji) => handleReact(selectedMessage, emoji)}
+                    />
+                )}
+            </MenuBottomSheet>
+
+            <ImageViewer
+                visible={!!viewer}
+                images={viewer ? viewer.images : []}
+                initialIndex={viewer ? viewer.index : 0}
+                onClose={() => setViewer(null)}
+            />
+
+            <ReportSheet
+                visible={reportVisible}
+                onClose={() => setReportVisible(false)}
+                onSubmit={handleReport}
+                subjectName={otherPet ? otherPet.name : undefined}
+                canAttachMessages={messages.some(
+                    (message) => !message.sender?.isCurrentUser
+                )}
+                submitting={reporting}
+            />
         </SafeAreaView>
     );
 };
@@ -843,6 +1959,14 @@ const styles = StyleSheet.create({
         fontWeight: theme.typography.fontWeight.bold,
         color: theme.colors.textPrimary,
     },
+    headerStatus: {
+        fontSize: theme.typography.fontSize.xs,
+        color: theme.colors.textSecondary,
+    },
+    headerStatusTyping: {
+        color: theme.colors.primary,
+        fontStyle: "italic",
+    },
     emptyContainer: {
         flex: 1,
         justifyContent: "center",
@@ -893,6 +2017,82 @@ const styles = StyleSheet.create({
         borderColor: theme.colors.divider,
         borderBottomLeftRadius: theme.borderRadius.xs,
     },
+    focusedMessage: {
+        borderWidth: 2,
+        borderColor: theme.colors.secondary,
+    },
+    jumpToLatestButton: {
+        position: "absolute",
+        bottom: theme.spacing.md,
+        alignSelf: "center",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: theme.spacing.xs,
+        paddingHorizontal: theme.spacing.lg,
+        paddingVertical: theme.spacing.sm,
+        borderRadius: theme.borderRadius.circle,
+        backgroundColor: theme.colors.primary,
+        ...theme.shadows.small,
+    },
+    jumpToLatestText: {
+        fontSize: theme.typography.fontSize.sm,
+        fontWeight: theme.typography.fontWeight.semiBold,
+        color: theme.colors.onPrimary,
+    },
+    deletedRow: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: theme.spacing.xs,
+    },
+    deletedText: {
+        fontStyle: "italic",
+        opacity: 0.8,
+    },
+    reactionRow: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        gap: theme.spacing.xs,
+        marginTop: -theme.spacing.xs,
+        paddingHorizontal: theme.spacing.sm,
+    },
+    currentUserReactions: {
+        justifyContent: "flex-end",
+    },
+    reactionPill: {
+        paddingHorizontal: theme.spacing.sm,
+        paddingVertical: 2,
+        borderRadius: theme.borderRadius.circle,
+        backgroundColor: theme.colors.surface,
+        borderWidth: 1,
+        borderColor: theme.colors.divider,
+    },
+    ownReactionPill: {
+        borderColor: theme.colors.primary,
+        backgroundColor: withOpacity(theme.colors.primary, 0.1),
+    },
+    reactionText: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textPrimary,
+    },
+    attachmentGrid: {
+        flexDirection: "row",
+        flexWrap: "wrap",
+        width: 204,
+        gap: theme.spacing.xs,
+        marginBottom: theme.spacing.xs,
+    },
+    attachmentSingle: {
+        width: 204,
+        height: 204,
+        borderRadius: theme.borderRadius.md,
+        backgroundColor: theme.colors.backgroundVariant,
+    },
+    attachmentThumbnail: {
+        width: 100,
+        height: 100,
+        borderRadius: theme.borderRadius.sm,
+        backgroundColor: theme.colors.backgroundVariant,
+    },
     messageText: {
         fontSize: theme.typography.fontSize.md,
         lineHeight:
@@ -918,6 +2118,10 @@ const styles = StyleSheet.create({
         marginTop: theme.spacing.xs,
         gap: 4,
     },
+    failedText: {
+        fontSize: theme.typography.fontSize.xs,
+        color: theme.colors.error,
+    },
     messageTime: {
         fontSize: theme.typography.fontSize.xs,
         alignSelf: "flex-end",
@@ -936,6 +2140,26 @@ const styles = StyleSheet.create({
         borderTopColor: theme.colors.divider,
         alignItems: "flex-end",
     },
+    editingBanner: {
+        flexDirection: "row",
+        alignItems: "center",
+        gap: theme.spacing.sm,
+        paddingHorizontal: theme.spacing.lg,
+        paddingVertical: theme.spacing.sm,
+        backgroundColor: theme.colors.surface,
+        borderTopWidth: 1,
+        borderTopColor: theme.colors.divider,
+    },
+    editingText: {
+        flex: 1,
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.primary,
+    },
+    attachButton: {
+        height: 44,
+        justifyContent: "center",
+        marginRight: theme.spacing.sm,
+    },
     input: {
         flex: 1,
         backgroundColor: theme.colors.backgroundVariant,
@@ -34,6 +34,7 @@ import {
     DOG_PLAYMATE_PREFERENCES,
     CAT_PLAYMATE_PREFERENCES,
     PET_TYPES,
+    getPlaymateLabels,
 } from "../constants/petConstants";
 import DOG_BREEDS, { getBreedLabelByValue } from "../constants/petBreeds";
 import InputField from "../components/InputField";
@@ -110,9 +111,8 @@ const EditPetProfileScreen = ({ route, navigation }) => {
     // Helper function to normalize pet data
     const normalizePetData = (pet) => ({
         ...pet,
-        preferredPlaymates: Array.isArray(pet.preferredPlaymates)
-            ? pet.preferredPlaymates
-            : [],
+        // Stored as { size, ageClass } enums; the form works with labels
+        preferredPlaymates: getPlaymateLabels(pet.preferredPlaymates, pet.type),
         temperament: Array.isArray(pet.temperament)
             ? pet.temperament
             : [],
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef, useContext, useCallback } from "react";
 import {
     View,
+    Text,
     StyleSheet,
     TouchableOpacity,
     StatusBar,
@@ -18,6 +19,7 @@ import PetService from "../services/PetService";
 import theme from "../styles/theme";
 import ChatService from "../services/ChatService";
 import { AuthContext } from "../contexts/AuthContext";
+import { DEFAULT_DISCOVERY_FILTERS } from "../constants/petConstants";
 
 // Import extracted components
 import Header from "../components/finder/Header";
@@ -39,17 +41,16 @@ const FinderScreen = ({ navigation }) => {
     const [potentialMatches, setPotentialMatches] = useState([]);
     const [currentIndex, setCurrentIndex] = useState(0);
     const [filterVisible, setFilterVisible] = useState(false);
-    const [activeFilters, setActiveFilters] = useState({
-        maxDistance: 25,
-    });
-    const [tempFilters, setTempFilters] = useState({
-        maxDistance: 25,
-    });
+    // Saved on the server per pet; the feed endpoint applies them itself
+    const [activeFilters, setActiveFilters] = useState(DEFAULT_DISCOVERY_FILTERS);
+    const [tempFilters, setTempFilters] = useState(DEFAULT_DISCOVERY_FILTERS);
+    const [savingFilters, setSavingFilters] = useState(false);
     const [userPets, setUserPets] = useState([]);
     const [selectedPetId, setSelectedPetId] = useState(null);
     const [selectedPet, setSelectedPet] = useState(null);
     const [petSelectorVisible, setPetSelectorVisible] = useState(false);
-    const [page, setPage] = useState(0);
+    // Cursor for the next page of the feed, from the last response
+    const [nextCursor, setNextCursor] = useState(null);
     const [hasMorePets, setHasMorePets] = useState(true);
     const [hasPets, setHasPets] = useState(true); // New state to track if user has pets
     
@@ -69,7 +70,11 @@ const FinderScreen = ({ navigation }) => {
     const actionIconScale = useRef(new Animated.Value(0)).current;
     const actionIconOpacity = useRef(new Animated.Value(0)).current;
     const actionIconPosition = useRef(new Animated.Value(100)).current;
-    const [currentAction, setCurrentAction] = useState(null); // 'like' or 'pass'
+    const [currentAction, setCurrentAction] = useState(null); // 'like', 'superlike', 'pass' or 'rewind'
+    // Whether the selected pet has a swipe from this session that can be undone
+    const [canRewind, setCanRewind] = useState(false);
+    // Today's super like quota: { limit, used, remaining, resetAt }
+    const [superLikes, setSuperLikes] = useState(null);
     const [isTransitioning, setIsTransitioning] = useState(false);
     
     // Prefetching logic
@@ -99,6 +104,7 @@ const FinderScreen = ({ navigation }) => {
         StatusBar.setBarStyle(Platform.OS === 'ios' ? "dark-content" : "light-content");
         fetchUserPets();
         checkLocationPermission();
+        fetchSuperLikeQuota();
 
         Animated.timing(fadeAnim, {
             toValue: 1,
@@ -115,14 +121,41 @@ const FinderScreen = ({ navigation }) => {
         };
     }, []);
 
+    // Load the selected pet's saved filters; setting them starts a fresh feed
+    useEffect(() => {
+        if (!selectedPetId) return;
+
+        setCanRewind(false);
+        let cancelled = false;
+        const loadSavedFilters = async () => {
+            let savedFilters = DEFAULT_DISCOVERY_FILTERS;
+            try {
+                const response = await PetService.getDiscoveryFilters(selectedPetId);
+                savedFilters = response.filters || DEFAULT_DISCOVERY_FILTERS;
+            } catch (error) {
+                console.error("Error loading saved filters:", error);
+            }
+
+            if (!cancelled) {
+                setTempFilters(savedFilters);
+                setActiveFilters({ ...savedFilters });
+            }
+        };
+
+        loadSavedFilters();
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedPetId]);
+
     useEffect(() => {
         if (selectedPetId) {
-            setPage(0);
+            setNextCursor(null);
             setHasMorePets(true);
             setPetQueue([]);
             fetchPotentialMatches(true);
         }
-    }, [selectedPetId, activeFilters]);
+    }, [activeFilters]);
 
     useEffect(() => {
         if (selectedPetId && userPets.length > 0) {
@@ -256,10 +289,11 @@ const FinderScreen = ({ navigation }) => {
         setLoading(true);
         try {
             const apiFilters = {
-                ...activeFilters,
-                skip: reset ? 0 : page * 10,
                 limit: 10,
             };
+            if (!reset && nextCursor) {
+                apiFilters.cursor = nextCursor;
+            }
 
             const response = await MatchService.getPotentialMatches(
                 apiFilters,
@@ -295,10 +329,9 @@ const FinderScreen = ({ navigation }) => {
                 });
             }
 
-            setHasMorePets(newPets.length === 10); // If we got less than requested, there are no more
-            if (newPets.length > 0) {
-                setPage(reset ? 1 : page + 1);
-            }
+            // The server only returns a cursor when another page exists
+            setNextCursor(response.nextCursor || null);
+            setHasMorePets(Boolean(response.nextCursor));
         } catch (error) {
             console.error("Error fetching potential matches:", error);
             Alert.alert(
@@ -313,14 +346,13 @@ const FinderScreen = ({ navigation }) => {
     
     // Prefetch more pets in the background
     const prefetchMorePets = async () => {
-        if (!hasMorePets || prefetchingInProgress || !selectedPetId) return;
+        if (!hasMorePets || !nextCursor || prefetchingInProgress || !selectedPetId) return;
         
         setPrefetchingInProgress(true);
         
         try {
             const apiFilters = {
-                ...activeFilters,
-                skip: page * 10,
+                cursor: nextCursor,
                 limit: 10,
             };
 
@@ -332,10 +364,10 @@ const FinderScreen = ({ navigation }) => {
             
             if (newPets.length > 0) {
                 setPetQueue(newPets);
-                setPage(page + 1);
             }
             
-            setHasMorePets(newPets.length === 10);
+            setNextCursor(response.nextCursor || null);
+            setHasMorePets(Boolean(response.nextCursor));
         } catch (error) {
             console.error("Error prefetching potential matches:", error);
         } finally {
@@ -343,11 +375,37 @@ const FinderScreen = ({ navigation }) => {
         }
     };
 
-    const handleLikeAction = useCallback(async () => {
+    const fetchSuperLikeQuota = async () => {
+        try {
+            const response = await MatchService.getSuperLikeQuota();
+            setSuperLikes(response.superLikes);
+        } catch (error) {
+            console.error("Error fetching super like quota:", error);
+        }
+    };
+
+    // Tell the user when their super likes come back, in their local time
+    const showSuperLikesUsedUp = (resetAt) => {
+        const resetTime = resetAt
+            ? new Date(resetAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+            : "midnight";
+
+        Alert.alert(
+            "No Super Likes Left",
+            `You've used all of today's super likes. You'll get more at ${resetTime}.`
+        );
+    };
+
+    const likeCurrentPet = useCallback(async (superLike) => {
         if (currentIndex >= potentialMatches.length || isTransitioning) return;
+
+        if (superLike && superLikes && superLikes.remaining <= 0) {
+            showSuperLikesUsedUp(superLikes.resetAt);
+            return;
+        }
         
         const pet = potentialMatches[currentIndex];
-        setCurrentAction('like');
+        setCurrentAction(superLike ? 'superlike' : 'like');
         setIsTransitioning(true);
         setIsCardVisible(false); // Hide card immediately to prevent old data from showing
 
@@ -368,10 +426,14 @@ const FinderScreen = ({ navigation }) => {
         ]).start();
         
         try {
-            const response = await MatchService.likeProfile(
-                selectedPetId,
-                pet._id
-            );
+            const response = superLike
+                ? await MatchService.superLikeProfile(selectedPetId, pet._id)
+                : await MatchService.likeProfile(selectedPetId, pet._id);
+            setCanRewind(true);
+
+            if (response.superLikes) {
+                setSuperLikes(response.superLikes);
+            }
 
             if (response.isMatch) {
                 // Schedule match notification to appear after animation completes
@@ -390,12 +452,24 @@ const FinderScreen = ({ navigation }) => {
             }
         } catch (error) {
             console.error("Error liking profile:", error);
+
+            if (error.code === "SUPER_LIKE_QUOTA_EXCEEDED") {
+                // Another device may have spent the last one
+                fetchSuperLikeQuota();
+                setTimeout(() => showSuperLikesUsedUp(superLikes?.resetAt), 1200);
+                return;
+            }
+
             // Still show error but after animation is complete
             setTimeout(() => {
                 Alert.alert("Error", "Failed to like profile. Please try again.");
             }, 1200);
         }
-    }, [currentIndex, potentialMatches, isTransitioning, selectedPetId]);
+    }, [currentIndex, potentialMatches, isTransitioning, selectedPetId, superLikes]);
+
+    const handleLikeAction = useCallback(() => likeCurrentPet(false), [likeCurrentPet]);
+
+    const handleSuperLikeAction = useCallback(() => likeCurrentPet(true), [likeCurrentPet]);
 
     const handlePassAction = useCallback(async () => {
         if (currentIndex >= potentialMatches.length || isTransitioning) return;
@@ -423,6 +497,7 @@ const FinderScreen = ({ navigation }) => {
         
         try {
             await MatchService.passProfile(selectedPetId, pet._id);
+            setCanRewind(true);
         } catch (error) {
             console.error("Error passing profile:", error);
             // Still show error but after animation is complete
@@ -432,7 +507,56 @@ const FinderScreen = ({ navigation }) => {
         }
     }, [currentIndex, potentialMatches, isTransitioning, selectedPetId]);
 
+    const handleRewindAction = useCallback(async () => {
+        if (!canRewind || isTransitioning || !selectedPetId) return;
+
+        setIsTransitioning(true);
+        try {
+            const response = await MatchService.rewindSwipe(selectedPetId);
+            const restoredPet = response.pet;
+            const previousPet = potentialMatches[currentIndex - 1];
+
+            // Step back to the rewound pet, or put it back on top if the
+            // deck was reloaded since the swipe
+            if (previousPet && restoredPet && previousPet._id === restoredPet._id) {
+                setCurrentIndex(currentIndex - 1);
+            } else if (restoredPet) {
+                setPotentialMatches((prev) => [
+                    ...prev.slice(0, currentIndex),
+                    restoredPet,
+                    ...prev.slice(currentIndex).filter((pet) => pet._id !== restoredPet._id),
+                ]);
+            }
+
+            setCurrentAction('rewind');
+
+            // A rewound super like is given back
+            if (response.swipe?.superLike) {
+                fetchSuperLikeQuota();
+            }
+        } catch (error) {
+            console.error("Error rewinding swipe:", error);
+            setIsTransitioning(false);
+
+            if (error.code === "NOTHING_TO_REWIND") {
+                setCanRewind(false);
+            } else {
+                Alert.alert(
+                    "Can't Undo",
+                    error.message || "Failed to undo your last swipe. Please try again."
+                );
+            }
+        }
+    }, [canRewind, isTransitioning, selectedPetId, potentialMatches, currentIndex]);
+
     const onActionComplete = useCallback(() => {
+        // A rewind already moved the deck back in handleRewindAction
+        if (currentAction === 'rewind') {
+            setIsTransitioning(false);
+            setCurrentAction(null);
+            return;
+        }
+
         // Move to next pet first, so the data is cleared
         const nextIndex = currentIndex + 1;
         setCurrentIndex(nextIndex);
@@ -447,7 +571,7 @@ const FinderScreen = ({ navigation }) => {
             setIsTransitioning(false);
             setCurrentAction(null);
         }, 100);
-    }, [currentIndex]);
+    }, [currentIndex, currentAction]);
 
     const handleFilterChange = (name, value) => {
         setTempFilters({
@@ -456,9 +580,30 @@ const FinderScreen = ({ navigation }) => {
         });
     };
 
-    const applyFilters = () => {
-        setActiveFilters(tempFilters);
-        setFilterVisible(false);
+    const resetFilters = () => {
+        setTempFilters(DEFAULT_DISCOVERY_FILTERS);
+    };
+
+    const applyFilters = async () => {
+        if (!selectedPetId) return;
+
+        setSavingFilters(true);
+        try {
+            const response = await PetService.updateDiscoveryFilters(
+                selectedPetId,
+                tempFilters
+            );
+            setActiveFilters(response.filters || tempFilters);
+            setFilterVisible(false);
+        } catch (error) {
+            console.error("Error saving filters:", error);
+            Alert.alert(
+                "Error",
+                error.message || "Failed to save your filters. Please try again."
+            );
+        } finally {
+            setSavingFilters(false);
+        }
     };
 
     const renderActionAnimation = () => {
@@ -556,6 +701,9 @@ const FinderScreen = ({ navigation }) => {
         );
     }
 
+    const hasCurrentCard =
+        potentialMatches.length > 0 && currentIndex < potentialMatches.length;
+
     return (
         <SafeAreaView style={styles.container} edges={["top"]}>
             <StatusBar 
@@ -567,7 +715,10 @@ const FinderScreen = ({ navigation }) => {
                 <Header
                     title="Find Playmates"
                     selectedPet={selectedPet}
-                    onFilterPress={() => setFilterVisible(true)}
+                    onFilterPress={() => {
+                        setTempFilters(activeFilters);
+                        setFilterVisible(true);
+                    }}
                     onPetSelectorPress={() => setPetSelectorVisible(true)}
                     showFilter={hasPets && isLocationAvailable} // Only show filter if user has pets and location is available
                 />
@@ -577,34 +728,73 @@ const FinderScreen = ({ navigation }) => {
                     {renderActionAnimation()}
                 </View>
 
-                {potentialMatches.length > 0 &&
-                    currentIndex < potentialMatches.length &&
+                {(hasCurrentCard || canRewind) &&
                     !loading &&
                     !isTransitioning && 
                     isLocationAvailable &&
                     hasPets && (
-                        <View style={styles.actionsContainer}>
-                            <TouchableOpacity
-                                style={[styles.actionButton, styles.passButton]}
-                                onPress={handlePassAction}
-                                disabled={isTransitioning}>
-                                <Ionicons name="close" size={32} color="#FF6B6B" />
-                            </TouchableOpacity>
-
-                            <TouchableOpacity
-                                style={[styles.actionButton, styles.likeButton]}
-                                onPress={handleLikeAction}
-                                disabled={isTransitioning}>
-                                <Ionicons name="heart" size={32} color="#FFFFFF" />
-                            </TouchableOpacity>
+                        <View
+                            style={[
+                                styles.actionsContainer,
+                                !hasCurrentCard && styles.actionsContainerCentered,
+                            ]}>
+                            {hasCurrentCard && (
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.passButton]}
+                                    onPress={handlePassAction}
+                                    disabled={isTransitioning}>
+                                    <Ionicons name="close" size={32} color="#FF6B6B" />
+                                </TouchableOpacity>
+                            )}
+
+                            {canRewind && (
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.rewindButton]}
+                                    onPress={handleRewindAction}
+                                    disabled={isTransitioning}>
+                                    <Ionicons name="arrow-undo" size={22} color="#F5A623" />
+                                </TouchableOpacity>
+                            )}
+
+                            {hasCurrentCard && (
+                                <TouchableOpacity
+                                    style={[
+                                        styles.actionButton,
+                                        styles.superLikeButton,
+                                        superLikes?.remaining === 0 && styles.superLikeButtonEmpty,
+                                    ]}
+                                    onPress={handleSuperLikeAction}
+                                    disabled={isTransitioning}>
+                                    <Ionicons name="star" size={24} color="#3DA5F4" />
+                                    {superLikes && (
+                                        <View style={styles.superLikeCount}>
+                                            <Text style={styles.superLikeCountText}>
+                                                {superLikes.remaining}
+                                            </Text>
+                                        </View>
+                                    )}
+                                </TouchableOpacity>
+                            )}
+
+                            {hasCurrentCard && (
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.likeButton]}
+                                    onPress={handleLikeAction}
+                                    disabled={isTransitioning}>
+                                    <Ionicons name="heart" size={32} color="#FFFFFF" />
+                                </TouchableOpacity>
+                            )}
                         </View>
                     )}
 
                 <FilterModal
                     visible={filterVisible}
                     filters={tempFilters}
+                    petType={selectedPet?.type}
+                    saving={savingFilters}
                     onClose={() => setFilterVisible(false)}
                     onFilterChange={handleFilterChange}
+                    onReset={resetFilters}
                     onApply={applyFilters}
                 />
 
@@ -648,7 +838,7 @@ const styles = StyleSheet.create({
         justifyContent: 'space-between',
         alignItems: 'center',
         zIndex: 100,
-        paddingHorizontal: 48,
+        paddingHorizontal: 32,
     },
     actionButton: {
         width: 72,
@@ -669,9 +859,42 @@ const styles = StyleSheet.create({
             },
         }),
     },
+    actionsContainerCentered: {
+        justifyContent: 'center',
+    },
     likeButton: {
         backgroundColor: '#FF6B6B',
     },
+    rewindButton: {
+        width: 52,
+        height: 52,
+        borderRadius: 26,
+    },
+    superLikeButton: {
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+    },
+    superLikeButtonEmpty: {
+        opacity: 0.5,
+    },
+    superLikeCount: {
+        position: 'absolute',
+        top: -4,
+        right: -4,
+        minWidth: 20,
+        height: 20,
+        borderRadius: 10,
+        paddingHorizontal: 4,
+        backgroundColor: '#3DA5F4',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    superLikeCountText: {
+        fontSize: 11,
+        fontWeight: '700',
+        color: '#FFFFFF',
+    },
     passButton: {
         backgroundColor: '#FFFFFF',
     },
@@ -35,10 +35,22 @@ const HomeScreen = ({ navigation, route }) => {
     const [pets, setPets] = useState([]);
     const [matches, setMatches] = useState([]);
     const [selectedPetId, setSelectedPetId] = useState(null);
+    // Pets waiting for the selected pet to answer their like
+    const [likesCount, setLikesCount] = useState(0);
 
     // Animation value for the matches section
     const matchesOpacity = new Animated.Value(1);
 
+    const fetchLikesCount = useCallback(async (petId) => {
+        try {
+            const response = await MatchService.getLikesReceived(petId, { limit: 1 });
+            setLikesCount(response.total || 0);
+        } catch (error) {
+            console.error("Error fetching likes received:", error);
+            setLikesCount(0);
+        }
+    }, []);
+
     const fetchUserData = useCallback(async () => {
         setInitialLoading(true);
         try {
@@ -56,6 +68,7 @@ const HomeScreen = ({ navigation, route }) => {
                     petsList[0]._id
                 );
                 setMatches(matchesResponse.matches || []);
+                fetchLikesCount(petsList[0]._id);
 
                 // Preload matches for other pets in the background to make switching smoother
                 if (petsList.length > 1) {
@@ -79,7 +92,7 @@ const HomeScreen = ({ navigation, route }) => {
         } finally {
             setInitialLoading(false);
         }
-    }, []);
+    }, [fetchLikesCount]);
 
     useEffect(() => {
         fetchUserData();
@@ -95,6 +108,16 @@ const HomeScreen = ({ navigation, route }) => {
         }
     }, [route.params, fetchUserData]);
 
+    // Likes may have been answered on the likes screen
+    useEffect(() => {
+        const unsubscribe = navigation.addListener("focus", () => {
+            if (selectedPetId) {
+                fetchLikesCount(selectedPetId);
+            }
+        });
+        return unsubscribe;
+    }, [navigation, selectedPetId, fetchLikesCount]);
+
     // Function to handle pet selection change with smooth transitions
     const handlePetChange = useCallback(
         async (petId) => {
@@ -102,6 +125,7 @@ const HomeScreen = ({ navigation, route }) => {
 
             setSelectedPetId(petId);
             setMatchesLoading(true);
+            fetchLikesCount(petId);
 
             // Fade out the matches section
             Animated.timing(matchesOpacity, {
@@ -136,7 +160,7 @@ const HomeScreen = ({ navigation, route }) => {
                 setMatchesLoading(false);
             }
         },
-        [selectedPetId]
+        [selectedPetId, fetchLikesCount]
     );
 
     // Function to navigate to a chat with a matched pet
@@ -335,6 +359,38 @@ const HomeScreen = ({ navigation, route }) => {
                     </View>
                 </View>
 
+                {/* Likes waiting for an answer */}
+                {selectedPet && likesCount > 0 && (
+                    <View style={styles.section}>
+                        <TouchableOpacity
+                            style={styles.likesBanner}
+                            onPress={() =>
+                                navigation.navigate("LikesReceived", {
+                                    petId: selectedPet._id,
+                                    petName: selectedPet.name,
+                                })
+                            }
+                            activeOpacity={0.8}>
+                            <View style={styles.likesIconContainer}>
+                                <Ionicons name="heart" size={22} color={theme.colors.onPrimary} />
+                            </View>
+                            <View style={styles.likesTextContainer}>
+                                <Text style={styles.likesTitle}>
+                                    {likesCount} {likesCount === 1 ? "pet likes" : "pets like"} {selectedPet.name}
+                                </Text>
+                                <Text style={styles.likesSubtitle}>
+                                    See who and like them back
+                                </Text>
+                            </View>
+                            <Ionicons
+                                name="chevron-forward"
+                                size={20}
+                                color={theme.colors.textSecondary}
+                            />
+                        </TouchableOpacity>
+                    </View>
+                )}
+
                 {/* Recent Matches */}
                 <View style={styles.section}>
                     <View style={styles.sectionTitleContainer}>
@@ -588,6 +644,35 @@ const styles = StyleSheet.create({
         color: theme.colors.textPrimary,
         textAlign: "center",
     },
+    likesBanner: {
+        flexDirection: "row",
+        alignItems: "center",
+        padding: theme.spacing.lg,
+        borderRadius: theme.borderRadius.lg,
+        backgroundColor: withOpacity(theme.colors.primary, 0.1),
+    },
+    likesIconContainer: {
+        width: 44,
+        height: 44,
+        borderRadius: 22,
+        backgroundColor: theme.colors.primary,
+        justifyContent: "center",
+        alignItems: "center",
+        marginRight: theme.spacing.md,
+    },
+    likesTextContainer: {
+        flex: 1,
+    },
+    likesTitle: {
+        fontSize: theme.typography.fontSize.md,
+        fontWeight: theme.typography.fontWeight.semiBold,
+        color: theme.colors.textPrimary,
+    },
+    likesSubtitle: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
     matchesContainer: {
         paddingVertical: theme.spacing.sm,
     },
@@ -0,0 +1,409 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    Image,
+    ActivityIndicator,
+    Alert,
+    RefreshControl,
+    StatusBar,
+    Platform,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { LinearGradient } from "expo-linear-gradient";
+import MatchService from "../services/MatchService";
+import ChatService from "../services/ChatService";
+import { DISPLAY_VALUES } from "../constants/petConstants";
+import { getBreedLabelByValue } from "../constants/petBreeds";
+import theme, { withOpacity } from "../styles/theme";
+
+const PAGE_SIZE = 20;
+
+const LikesReceivedScreen = ({ navigation, route }) => {
+    const { petId, petName } = route.params;
+    const [likes, setLikes] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [refreshing, setRefreshing] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
+    // Id of the liker whose accept/decline is in flight
+    const [respondingTo, setRespondingTo] = useState(null);
+
+    const fetchLikes = useCallback(async () => {
+        try {
+            const response = await MatchService.getLikesReceived(petId, {
+                limit: PAGE_SIZE,
+            });
+            setLikes(response.likes || []);
+            setTotal(response.total || 0);
+            setNextCursor(response.nextCursor || null);
+        } catch (error) {
+            console.error("Error fetching likes received:", error);
+            Alert.alert("Error", "Failed to load likes. Please try again.");
+        }
+    }, [petId]);
+
+    useEffect(() => {
+        fetchLikes().finally(() => setLoading(false));
+    }, [fetchLikes]);
+
+    const handleRefresh = async () => {
+        setRefreshing(true);
+        await fetchLikes();
+        setRefreshing(false);
+    };
+
+    const loadMore = async () => {
+        if (!nextCursor || loadingMore) return;
+
+        setLoadingMore(true);
+        try {
+            const response = await MatchService.getLikesReceived(petId, {
+                limit: PAGE_SIZE,
+                cursor: nextCursor,
+            });
+            setLikes((prev) => [...prev, ...(response.likes || [])]);
+            setNextCursor(response.nextCursor || null);
+        } catch (error) {
+            console.error("Error loading more likes:", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const removeLike = (likerPetId) => {
+        setLikes((prev) => prev.filter((like) => like.pet._id !== likerPetId));
+        setTotal((prev) => Math.max(0, prev - 1));
+    };
+
+    const openMatchChat = async (matchId) => {
+        try {
+            const chatResponse = await ChatService.getOrCreateChatForMatch(matchId);
+            if (chatResponse && chatResponse.chat) {
+                navigation.navigate("Chat", { chatId: chatResponse.chat._id });
+            }
+        } catch (error) {
+            console.error("Error opening match chat:", error);
+        }
+    };
+
+    const respond = async (like, accept) => {
+        const likerPetId = like.pet._id;
+        setRespondingTo(likerPetId);
+
+        try {
+            const response = accept
+                ? await MatchService.acceptLike(petId, likerPetId)
+                : await MatchService.declineLike(petId, likerPetId);
+            removeLike(likerPetId);
+
+            if (accept && response.isMatch) {
+                Alert.alert("New Match!", `You matched with ${like.pet.name}!`, [
+                    {
+                        text: "Send Message",
+                        onPress: () => openMatchChat(response.match._id),
+                    },
+                    { text: "Later", style: "cancel" },
+                ]);
+            }
+        } catch (error) {
+            if (error.code === "LIKE_NOT_FOUND") {
+                // Answered elsewhere, or the other pet is gone
+                removeLike(likerPetId);
+            } else {
+                Alert.alert(
+                    "Error",
+                    error.message || "Something went wrong. Please try again."
+                );
+            }
+        } finally {
+            setRespondingTo(null);
+        }
+    };
+
+    const renderLikeItem = ({ item }) => {
+        const { pet } = item;
+        const isResponding = respondingTo === pet._id;
+        const details = [
+            getBreedLabelByValue(pet.breed) || pet.breed,
+            pet.age !== undefined && pet.age !== null ? `${pet.age} yrs` : null,
+            DISPLAY_VALUES.SIZE[pet.size],
+        ].filter(Boolean);
+
+        return (
+            <View style={styles.likeCard}>
+                <TouchableOpacity
+                    style={styles.likeInfo}
+                    onPress={() => navigation.navigate("PetProfile", { petId: pet._id })}
+                    activeOpacity={0.7}>
+                    <Image
+                        source={
+                            pet.photos && pet.photos.length > 0
+                                ? { uri: pet.photos[0] }
+                                : require("../assets/default-pet.png")
+                        }
+                        style={[styles.petImage, item.superLike && styles.superLikeImage]}
+                    />
+                    <View style={styles.petText}>
+                        <View style={styles.nameRow}>
+                            <Text style={styles.petName} numberOfLines={1}>
+                                {pet.name}
+                            </Text>
+                            {item.superLike && (
+                                <Ionicons name="star" size={16} color="#3DA5F4" />
+                            )}
+                        </View>
+                        <Text style={styles.petDetails} numberOfLines={1}>
+                            {details.join(" · ")}
+                        </Text>
+                    </View>
+                </TouchableOpacity>
+
+                {isResponding ? (
+                    <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                    <View style={styles.actions}>
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.declineButton]}
+                            onPress={() => respond(item, false)}
+                            disabled={Boolean(respondingTo)}>
+                            <Ionicons name="close" size={22} color={theme.colors.textSecondary} />
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.acceptButton]}
+                            onPress={() => respond(item, true)}
+                            disabled={Boolean(respondingTo)}>
+                            <Ionicons name="heart" size={22} color={theme.colors.onPrimary} />
+                        </TouchableOpacity>
+                    </View>
+                )}
+            </View>
+        );
+    };
+
+    const renderEmptyState = () => (
+        <View style={styles.emptyStateContainer}>
+            <Ionicons name="heart-outline" size={48} color={withOpacity(theme.colors.primary, 0.6)} />
+            <Text style={styles.emptyStateText}>No new likes yet</Text>
+            <Text style={styles.emptyStateSubText}>
+                Pets that like {petName || "your pet"} will show up here
+            </Text>
+        </View>
+    );
+
+    return (
+        <SafeAreaView style={styles.container} edges={["left", "right"]}>
+            <StatusBar
+                barStyle="dark-content"
+                backgroundColor="transparent"
+                translucent={true}
+            />
+
+            <LinearGradient
+                colors={[theme.colors.primaryLight, theme.colors.background]}
+                style={styles.gradientHeader}
+                start={{ x: 0, y: 0 }}
+                end={{ x: 0, y: 1 }}
+            >
+                <View style={styles.headerContainer}>
+                    <TouchableOpacity
+                        style={styles.backButton}
+                        onPress={() => navigation.goBack()}
+                    >
+                        <Ionicons
+                            name="arrow-back"
+                            size={24}
+                            color={theme.colors.textPrimary}
+                        />
+                    </TouchableOpacity>
+                    <View style={styles.headerTextContainer}>
+                        <Text style={styles.headerText}>Likes</Text>
+                        {!loading && (
+                            <Text style={styles.subHeaderText}>
+                                {total} waiting for {petName || "your pet"}
+                            </Text>
+                        )}
+                    </View>
+                    <View style={{ width: 40 }} />
+                </View>
+            </LinearGradient>
+
+            {loading ? (
+                <View style={styles.loadingContainer}>
+                    <ActivityIndicator size="large" color={theme.colors.primary} />
+                </View>
+            ) : (
+                <FlatList
+                    data={likes}
+                    renderItem={renderLikeItem}
+                    keyExtractor={(item) => item.matchId}
+                    contentContainerStyle={[
+                        styles.listContainer,
+                        likes.length === 0 && styles.emptyListContainer,
+                    ]}
+                    ListEmptyComponent={renderEmptyState}
+                    ListFooterComponent={
+                        loadingMore ? (
+                            <ActivityIndicator
+                                style={styles.footerLoader}
+                                size="small"
+                                color={theme.colors.primary}
+                            />
+                        ) : null
+                    }
+                    onEndReached={loadMore}
+                    onEndReachedThreshold={0.5}
+                    refreshControl={
+                        <RefreshControl
+                            refreshing={refreshing}
+                            onRefresh={handleRefresh}
+                            tintColor={theme.colors.primary}
+                        />
+                    }
+                    showsVerticalScrollIndicator={false}
+                />
+            )}
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: theme.colors.background,
+    },
+    loadingContainer: {
+        flex: 1,
+        justifyContent: "center",
+        alignItems: "center",
+    },
+    gradientHeader: {
+        paddingTop: Platform.OS === 'ios' ? 50 : StatusBar.currentHeight + 20,
+        paddingBottom: 25,
+        borderBottomLeftRadius: 30,
+        borderBottomRightRadius: 30,
+        zIndex: 1,
+        paddingHorizontal: theme.spacing.xl,
+    },
+    headerContainer: {
+        flexDirection: "row",
+        justifyContent: "space-between",
+        alignItems: "center",
+        marginTop: Platform.OS === 'ios' ? 15 : 5,
+    },
+    headerTextContainer: {
+        alignItems: "center",
+    },
+    headerText: {
+        fontSize: theme.typography.fontSize.xxl,
+        fontWeight: theme.typography.fontWeight.bold,
+        color: theme.colors.textPrimary,
+    },
+    subHeaderText: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    backButton: {
+        padding: theme.spacing.sm,
+        borderRadius: theme.borderRadius.circle,
+        backgroundColor: withOpacity(theme.colors.surface, 0.8),
+        ...theme.shadows.small,
+    },
+    listContainer: {
+        padding: theme.spacing.lg,
+    },
+    emptyListContainer: {
+        flexGrow: 1,
+        justifyContent: "center",
+    },
+    likeCard: {
+        flexDirection: "row",
+        alignItems: "center",
+        backgroundColor: theme.colors.surface,
+        borderRadius: theme.borderRadius.lg,
+        padding: theme.spacing.md,
+        marginBottom: theme.spacing.md,
+        ...theme.shadows.small,
+    },
+    likeInfo: {
+        flex: 1,
+        flexDirection: "row",
+        alignItems: "center",
+    },
+    petImage: {
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        marginRight: theme.spacing.md,
+        borderWidth: 2,
+        borderColor: theme.colors.primary,
+    },
+    superLikeImage: {
+        borderColor: "#3DA5F4",
+    },
+    petText: {
+        flex: 1,
+        marginRight: theme.spacing.sm,
+    },
+    nameRow: {
+        flexDirection: "row",
+        alignItems: "center",
+    },
+    petName: {
+        fontSize: theme.typography.fontSize.md,
+        fontWeight: theme.typography.fontWeight.semiBold,
+        color: theme.colors.textPrimary,
+        marginRight: theme.spacing.xs,
+        flexShrink: 1,
+    },
+    petDetails: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: 2,
+    },
+    actions: {
+        flexDirection: "row",
+        alignItems: "center",
+    },
+    actionButton: {
+        width: 40,
+        height: 40,
+        borderRadius: 20,
+        justifyContent: "center",
+        alignItems: "center",
+        marginLeft: theme.spacing.sm,
+    },
+    declineButton: {
+        backgroundColor: theme.colors.backgroundVariant,
+    },
+    acceptButton: {
+        backgroundColor: theme.colors.primary,
+    },
+    footerLoader: {
+        marginVertical: theme.spacing.lg,
+    },
+    emptyStateContainer: {
+        padding: theme.spacing.xl,
+        alignItems: "center",
+    },
+    emptyStateText: {
+        fontSize: theme.typography.fontSize.lg,
+        fontWeight: theme.typography.fontWeight.semiBold,
+        color: theme.colors.textPrimary,
+        marginTop: theme.spacing.md,
+    },
+    emptyStateSubText: {
+        fontSize: theme.typography.fontSize.sm,
+        color: theme.colors.textSecondary,
+        marginTop: theme.spacing.sm,
+        textAlign: "center",
+    },
+});
+
+export default LikesReceivedScreen;
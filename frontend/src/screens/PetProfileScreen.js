@@ -17,8 +17,11 @@ import { Ionicons } from "@expo/vector-icons";
 import { SafeAreaView } from "react-native";
 import { LinearGradient } from "expo-linear-gradient";
 import PetService from "../services/PetService";
+import SafetyService from "../services/SafetyService";
 import Button from "../components/Button";
-import { DISPLAY_VALUES } from "../constants/petConstants";
+import MenuBottomSheet from "../components/MenuBottomSheet";
+import ReportSheet from "../components/ReportSheet";
+import { DISPLAY_VALUES, getPlaymateLabels } from "../constants/petConstants";
 import theme, { withOpacity } from "../styles/theme";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { getBreedLabelByValue } from "../constants/petBreeds";
@@ -32,6 +35,9 @@ const PetProfileScreen = ({ route, navigation }) => {
     const [loading, setLoading] = useState(true);
     const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0);
     const [isCurrentUserPet, setIsCurrentUserPet] = useState(false);
+    const [menuVisible, setMenuVisible] = useState(false);
+    const [reportVisible, setReportVisible] = useState(false);
+    const [reporting, setReporting] = useState(false);
 
     const scrollX = useRef(new Animated.Value(0)).current;
     const photoScrollRef = useRef(null);
@@ -92,6 +98,70 @@ const PetProfileScreen = ({ route, navigation }) => {
         navigation.goBack();
     };
 
+    const handleBlock = () => {
+        Alert.alert(
+            "Block",
+            `Block ${pet.name}'s owner? You won't see each other's pets anymore and any chats with them will be closed.`,
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Block",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            await SafetyService.blockUser({ petId });
+                            navigation.goBack();
+                        } catch (error) {
+                            console.error("Error blocking user:", error);
+                            Alert.alert("Error", "Failed to block. Please try again.");
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const handleReport = async ({ reason, details, block }) => {
+        setReporting(true);
+        try {
+            await SafetyService.reportUser({
+                petId,
+                reason,
+                details: details || undefined,
+                block,
+            });
+
+            setReportVisible(false);
+            Alert.alert(
+                "Report sent",
+                "Thanks for letting us know. Our team will review it."
+            );
+            if (block) {
+                navigation.goBack();
+            }
+        } catch (error) {
+            console.error("Error reporting pet:", error);
+            Alert.alert("Error", "Failed to send the report. Please try again.");
+        } finally {
+            setReporting(false);
+        }
+    };
+
+    const menuOptions = [
+        {
+            label: "Report",
+            icon: "flag-outline",
+            destructive: true,
+            onPress: () => setReportVisible(true),
+        },
+        {
+            label: "Block",
+            icon: "ban-outline",
+            destructive: true,
+            onPress: handleBlock,
+        },
+    ];
+
     const handlePhotoChange = (event) => {
         const contentOffsetX = event.nativeEvent.contentOffset.x;
         const newIndex = Math.round(contentOffsetX / width);
@@ -164,6 +234,8 @@ const PetProfileScreen = ({ route, navigation }) => {
         );
     }
 
+    const playmateLabels = getPlaymateLabels(pet.preferredPlaymates, pet.type);
+
     return (
         <SafeAreaView style={styles.safeArea} edges={['top']}>
             <StatusBar 
@@ -181,12 +253,22 @@ const PetProfileScreen = ({ route, navigation }) => {
                 </TouchableOpacity>
                 <Text style={styles.headerTitle}>Pet Profile</Text>
                 <View style={styles.headerRight}>
-                    {isCurrentUserPet && (
+                    {isCurrentUserPet ? (
                         <TouchableOpacity
                             style={styles.editButtonHeader}
                             onPress={() => navigation.navigate("EditPetProfile", { petId })}>
                             <Text style={styles.editButtonText}>Edit</Text>
                         </TouchableOpacity>
+                    ) : (
+                        <TouchableOpacity
+                            style={styles.menuButton}
+                            onPress={() => setMenuVisible(true)}>
+                            <Ionicons
+                                name="ellipsis-vertical"
+                                size={22}
+                                color={theme.colors.textPrimary}
+                            />
+                        </TouchableOpacity>
                     )}
                 </View>
             </View>
@@ -315,14 +397,13 @@ const PetProfileScreen = ({ route, navigation }) => {
                         </View>
                     )}
 
-                    {pet.preferredPlaymates &&
-                        pet.preferredPlaymates.length > 0 && (
+                    {playmateLabels.length > 0 && (
                             <View style={styles.section}>
                                 <Text style={styles.sectionTitle}>
                                     Preferred Playmates
                                 </Text>
                                 <View style={styles.tagsContainer}>
-                                    {pet.preferredPlaymates.map(
+                                    {playmateLabels.map(
                                         (playmate, index) => (
                                             <View key={index} style={getTagStyle('playmate', index)}>
                                                 <Text style={styles.tagText}>
@@ -336,6 +417,21 @@ const PetProfileScreen = ({ route, navigation }) => {
                         )}
                 </Animated.View>
             </ScrollView>
+
+            <MenuBottomSheet
+                visible={menuVisible}
+                onClose={() => setMenuVisible(false)}
+                options={menuOptions}
+                title={`${pet.name}'s Profile`}
+            />
+
+            <ReportSheet
+                visible={reportVisible}
+                onClose={() => setReportVisible(false)}
+                onSubmit={handleReport}
+                subjectName={pet.name}
+                submitting={reporting}
+            />
         </SafeAreaView>
     );
 };
@@ -417,6 +513,9 @@ const styles = StyleSheet.create({
         alignItems: 'flex-end',
         zIndex: 1, // Ensure buttons are above the centered title
     },
+    menuButton: {
+        padding: 8,
+    },
     editButtonHeader: {
         paddingVertical: 6,
         paddingHorizontal: 12,
@@ -13,11 +13,13 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
 import { LinearGradient } from "expo-linear-gradient";
 import { AuthContext } from "../contexts/AuthContext";
+import AuthService from "../services/AuthService";
 import Button from "../components/Button";
 import theme, { withOpacity } from "../styles/theme";
 
 const SettingsScreen = ({ navigation }) => {
-    const { user, logout } = useContext(AuthContext);
+    const { user, logout, linkGoogleAccount, unlinkGoogleAccount } =
+        useContext(AuthContext);
 
     const handleLogout = () => {
         Alert.alert("Logout", "Are you sure you want to logout?", [
@@ -31,6 +33,63 @@ const SettingsScreen = ({ navigation }) => {
         ]);
     };
 
+    const handleLogoutOtherDevices = () => {
+        Alert.alert(
+            "Log Out Other Devices",
+            "This will sign you out everywhere except on this device.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Log Out",
+                    style: "destructive",
+                    onPress: async () => {
+                        try {
+                            const result = await AuthService.revokeOtherSessions();
+                            Alert.alert(
+                                "Done",
+                                result.count > 0
+                                    ? `Signed out of ${result.count} other device${result.count === 1 ? "" : "s"}.`
+                                    : "No other devices were signed in."
+                            );
+                        } catch (error) {
+                            Alert.alert("Error", error.message);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    const handleGoogleLink = async () => {
+        if (!user?.googleId) {
+            const result = await linkGoogleAccount();
+            if (result.success) {
+                Alert.alert("Google Linked", "You can now sign in with Google.");
+            } else {
+                Alert.alert("Link Failed", result.error);
+            }
+            return;
+        }
+
+        Alert.alert(
+            "Unlink Google",
+            "You will need your password to sign in after unlinking.",
+            [
+                { text: "Cancel", style: "cancel" },
+                {
+                    text: "Unlink",
+                    style: "destructive",
+                    onPress: async () => {
+                        const result = await unlinkGoogleAccount();
+                        if (!result.success) {
+                            Alert.alert("Unlink Failed", result.error);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
     return (
         <SafeAreaView style={styles.container} edges={["left", "right"]}>
             <StatusBar
@@ -139,6 +198,67 @@ const SettingsScreen = ({ navigation }) => {
                             style={styles.settingChevron}
                         />
                     </TouchableOpacity>
+
+                    {user && !user.emailVerified && !user.isGoogleUser && (
+                        <TouchableOpacity
+                            style={styles.settingItem}
+                            onPress={() => navigation.navigate("VerifyEmail")}>
+                            <View style={styles.settingIconContainer}>
+                                <Ionicons
+                                    name="mail-unread-outline"
+                                    size={20}
+                                    color={theme.colors.warning}
+                                />
+                            </View>
+                            <Text style={styles.settingText}>Verify Email</Text>
+                            <Ionicons
+                                name="chevron-forward"
+                                size={20}
+                                color={theme.colors.textTertiary}
+                                style={styles.settingChevron}
+                            />
+                        </TouchableOpacity>
+                    )}
+
+                    <TouchableOpacity
+                        style={styles.settingItem}
+                        onPress={handleGoogleLink}>
+                        <View style={styles.settingIconContainer}>
+                            <Ionicons
+                                name="logo-google"
+                                size={20}
+                                color={theme.colors.primary}
+                            />
+                        </View>
+                        <Text style={styles.settingText}>
+                            {user?.googleId ? "Unlink Google Account" : "Link Google Account"}
+                        </Text>
+                        <Ionicons
+                            name="chevron-forward"
+                            size={20}
+                            color={theme.colors.textTertiary}
+                            style={styles.settingChevron}
+                        />
+                    </TouchableOpacity>
+
+                    <TouchableOpacity
+                        style={styles.settingItem}
+                        onPress={handleLogoutOtherDevices}>
+                        <View style={styles.settingIconContainer}>
+                            <Ionicons
+                                name="phone-portrait-outline"
+                                size={20}
+                                color={theme.colors.error}
+                            />
+                        </View>
+                        <Text style={styles.settingText}>Log Out Other Devices</Text>
+                        <Ionicons
+                            name="chevron-forward"
+                            size={20}
+                            color={theme.colors.textTertiary}
+                            style={styles.settingChevron}
+                        />
+                    </TouchableOpacity>
                 </View>
 
                 <View style={styles.settingsSection}>
@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import {
+    View,
+    Text,
+    StyleSheet,
+    KeyboardAvoidingView,
+    Platform,
+    Alert,
+} from "react-native";
+import { SafeAreaView } from "react-native";
+import AuthService from "../../services/AuthService";
+import { validateEmail } from "../../utils/validation";
+import InputField from "../../components/InputField";
+import Button from "../../components/Button";
+
+const ForgotPasswordScreen = ({ navigation, route }) => {
+    const [email, setEmail] = useState(route.params?.email || "");
+    const [touched, setTouched] = useState(false);
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleChange = (value) => {
+        setEmail(value);
+        setError(null);
+    };
+
+    const handleSubmit = async () => {
+        setTouched(true);
+        const emailError = validateEmail(email);
+        setError(emailError);
+        if (emailError) {
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const result = await AuthService.forgotPassword(email.trim());
+            Alert.alert("Check Your Email", result.message, [
+                {
+                    text: "Enter Code",
+                    onPress: () =>
+                        navigation.navigate("ResetPassword", {
+                            email: email.trim(),
+                        }),
+                },
+            ]);
+        } catch (error) {
+            Alert.alert(
+                "Request Failed",
+                error.message || "Failed to send reset code. Please try again."
+            );
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <KeyboardAvoidingView
+                style={styles.keyboardAvoidingView}
+                behavior={Platform.OS === "ios" ? "padding" : "height"}>
+                <View style={styles.headerContainer}>
+                    <Text style={styles.headerText}>Forgot Password?</Text>
+                    <Text style={styles.subHeaderText}>
+                        Enter your email and we'll send you a code to reset
+                        your password
+                    </Text>
+                </View>
+
+                <View style={styles.formContainer}>
+                    <InputField
+                        placeholder="Email"
+                        value={email}
+                        onChangeText={handleChange}
+                        keyboardType="email-address"
+                        autoCapitalize="none"
+                        error={error}
+                        touched={touched}
+                        onBlur={() => setTouched(true)}
+                        required
+                    />
+
+                    <Button
+                        title={isSubmitting ? "Sending..." : "Send Reset Code"}
+                        onPress={handleSubmit}
+                        disabled={isSubmitting}
+                        loading={isSubmitting}
+                    />
+                </View>
+
+                <View style={styles.footerContainer}>
+                    <Text style={styles.footerText}>Already have a code? </Text>
+                    <Button
+                        title="Reset Password"
+                        onPress={() =>
+                            navigation.navigate("ResetPassword", { email })
+                        }
+                        type="secondary"
+                        style={styles.textButton}
+                        textStyle={styles.footerLink}
+                    />
+                </View>
+
+                <Button
+                    title="Back to Login"
+                    onPress={() => navigation.navigate("Login")}
+                    type="secondary"
+                    style={styles.textButton}
+                    textStyle={styles.backLink}
+                />
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#FFF",
+    },
+    keyboardAvoidingView: {
+        flex: 1,
+        padding: 20,
+        justifyContent: "center",
+    },
+    headerContainer: {
+        alignItems: "center",
+        marginBottom: 40,
+    },
+    headerText: {
+        fontSize: 28,
+        fontWeight: "bold",
+        marginBottom: 10,
+        color: "#333",
+    },
+    subHeaderText: {
+        fontSize: 16,
+        color: "#666",
+        textAlign: "center",
+    },
+    formContainer: {
+        marginBottom: 30,
+    },
+    footerContainer: {
+        flexDirection: "row",
+        justifyContent: "center",
+        alignItems: "center",
+        marginBottom: 20,
+    },
+    footerText: {
+        fontSize: 16,
+        color: "#666",
+    },
+    footerLink: {
+        fontSize: 16,
+        color: "#FF6B6B",
+        fontWeight: "bold",
+    },
+    backLink: {
+        fontSize: 16,
+        color: "#666",
+    },
+    textButton: {
+        backgroundColor: "transparent",
+        padding: 0,
+        marginBottom: 0,
+        height: 20,
+    },
+});
+
+export default ForgotPasswordScreen;
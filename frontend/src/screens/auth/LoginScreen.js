@@ -125,6 +125,14 @@ const LoginScreen = ({ navigation }) => {
                     password: true
                 }));
             }
+            else if (error.fieldErrors) {
+                setErrors(prev => ({
+                    ...prev,
+                    email: error.fieldErrors.email || null,
+                    password: error.fieldErrors.password || null
+                }));
+                setTouched({ email: true, password: true });
+            }
             else {
                 // For other errors, show general alert
                 Alert.alert(
@@ -228,6 +236,18 @@ const LoginScreen = ({ navigation }) => {
                         required
                     />
 
+                    <Button
+                        title="Forgot password?"
+                        onPress={() =>
+                            navigation.navigate("ForgotPassword", {
+                                email: formData.email,
+                            })
+                        }
+                        type="secondary"
+                        style={[styles.textButton, styles.forgotPasswordButton]}
+                        textStyle={styles.forgotPasswordText}
+                    />
+
                     <Button
                         title={isSubmitting ? "Logging in..." : "Login"}
                         onPress={handleLogin}
@@ -345,6 +365,14 @@ const styles = StyleSheet.create({
         color: "#FF6B6B",
         fontWeight: "bold",
     },
+    forgotPasswordButton: {
+        alignSelf: "flex-end",
+        marginBottom: 15,
+    },
+    forgotPasswordText: {
+        fontSize: 14,
+        color: "#FF6B6B",
+    },
     textButton: {
         backgroundColor: "transparent",
         padding: 0,
@@ -309,6 +309,19 @@ const RegisterScreen = ({ navigation }) => {
                             textStyle={styles.footerLink}
                         />
                     </View>
+
+                    <View style={styles.verifyContainer}>
+                        <Text style={styles.footerText}>
+                            Got a verification code?{" "}
+                        </Text>
+                        <Button
+                            title="Verify Email"
+                            onPress={() => navigation.navigate("VerifyEmail")}
+                            type="secondary"
+                            style={styles.textButton}
+                            textStyle={styles.footerLink}
+                        />
+                    </View>
                 </KeyboardAvoidingView>
             </ScrollView>
         </SafeAreaView>
@@ -375,6 +388,12 @@ const styles = StyleSheet.create({
         justifyContent: "center",
         alignItems: "center",
     },
+    verifyContainer: {
+        flexDirection: "row",
+        justifyContent: "center",
+        alignItems: "center",
+        marginTop: 15,
+    },
     footerText: {
         fontSize: 16,
         color: "#666",
@@ -0,0 +1,217 @@
+import React, { useState } from "react";
+import {
+    View,
+    Text,
+    StyleSheet,
+    KeyboardAvoidingView,
+    Platform,
+    Alert,
+    ScrollView,
+} from "react-native";
+import { SafeAreaView } from "react-native";
+import AuthService from "../../services/AuthService";
+import {
+    validateRequired,
+    validatePassword,
+    validatePasswordMatch,
+} from "../../utils/validation";
+import InputField from "../../components/InputField";
+import Button from "../../components/Button";
+
+const ResetPasswordScreen = ({ navigation, route }) => {
+    // The token is prefilled when the screen is opened from the email link
+    const [formData, setFormData] = useState({
+        token: route.params?.token || "",
+        password: "",
+        confirmPassword: "",
+    });
+    const [touched, setTouched] = useState({
+        token: false,
+        password: false,
+        confirmPassword: false,
+    });
+    const [errors, setErrors] = useState({
+        token: null,
+        password: null,
+        confirmPassword: null,
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleChange = (field, value) => {
+        setFormData((prev) => ({
+            ...prev,
+            [field]: value,
+        }));
+        setErrors((prev) => ({
+            ...prev,
+            [field]: null,
+        }));
+    };
+
+    const validateForm = () => {
+        const newErrors = {
+            token: validateRequired(formData.token),
+            password: validatePassword(formData.password),
+            confirmPassword: validatePasswordMatch(
+                formData.password,
+                formData.confirmPassword
+            ),
+        };
+
+        setErrors(newErrors);
+        setTouched({ token: true, password: true, confirmPassword: true });
+
+        return !newErrors.token && !newErrors.password && !newErrors.confirmPassword;
+    };
+
+    const handleSubmit = async () => {
+        if (!validateForm()) {
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const result = await AuthService.resetPassword(
+                formData.token.trim(),
+                formData.password
+            );
+            Alert.alert("Password Reset", result.message, [
+                { text: "Login", onPress: () => navigation.navigate("Login") },
+            ]);
+        } catch (error) {
+            if (error.errorType === "token" || error.errorType === "password") {
+                setErrors((prev) => ({
+                    ...prev,
+                    [error.errorType]: error.message,
+                }));
+            } else if (error.fieldErrors) {
+                setErrors((prev) => ({
+                    ...prev,
+                    token: error.fieldErrors.token || null,
+                    password: error.fieldErrors.password || null,
+                }));
+            } else {
+                Alert.alert(
+                    "Reset Failed",
+                    error.message || "Failed to reset password. Please try again."
+                );
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <ScrollView contentContainerStyle={styles.scrollContainer}>
+                <KeyboardAvoidingView
+                    style={styles.keyboardAvoidingView}
+                    behavior={Platform.OS === "ios" ? "padding" : "height"}>
+                    <View style={styles.headerContainer}>
+                        <Text style={styles.headerText}>Reset Password</Text>
+                        <Text style={styles.subHeaderText}>
+                            {route.params?.email
+                                ? `Enter the code sent to ${route.params.email}`
+                                : "Enter the code from your email"}
+                        </Text>
+                    </View>
+
+                    <View style={styles.formContainer}>
+                        <InputField
+                            placeholder="Reset code"
+                            value={formData.token}
+                            onChangeText={(value) => handleChange("token", value)}
+                            error={errors.token}
+                            touched={touched.token}
+                            required
+                        />
+
+                        <InputField
+                            placeholder="New password"
+                            value={formData.password}
+                            onChangeText={(value) =>
+                                handleChange("password", value)
+                            }
+                            secureTextEntry
+                            error={errors.password}
+                            touched={touched.password}
+                            required
+                        />
+
+                        <InputField
+                            placeholder="Confirm new password"
+                            value={formData.confirmPassword}
+                            onChangeText={(value) =>
+                                handleChange("confirmPassword", value)
+                            }
+                            secureTextEntry
+                            error={errors.confirmPassword}
+                            touched={touched.confirmPassword}
+                            required
+                        />
+
+                        <Button
+                            title={isSubmitting ? "Resetting..." : "Reset Password"}
+                            onPress={handleSubmit}
+                            disabled={isSubmitting}
+                            loading={isSubmitting}
+                        />
+                    </View>
+
+                    <Button
+                        title="Back to Login"
+                        onPress={() => navigation.navigate("Login")}
+                        type="secondary"
+                        style={styles.textButton}
+                        textStyle={styles.backLink}
+                    />
+                </KeyboardAvoidingView>
+            </ScrollView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#FFF",
+    },
+    scrollContainer: {
+        flexGrow: 1,
+    },
+    keyboardAvoidingView: {
+        flex: 1,
+        padding: 20,
+        justifyContent: "center",
+    },
+    headerContainer: {
+        alignItems: "center",
+        marginBottom: 40,
+    },
+    headerText: {
+        fontSize: 28,
+        fontWeight: "bold",
+        marginBottom: 10,
+        color: "#333",
+    },
+    subHeaderText: {
+        fontSize: 16,
+        color: "#666",
+        textAlign: "center",
+    },
+    formContainer: {
+        marginBottom: 30,
+    },
+    backLink: {
+        fontSize: 16,
+        color: "#666",
+    },
+    textButton: {
+        backgroundColor: "transparent",
+        padding: 0,
+        marginBottom: 0,
+        height: 20,
+    },
+});
+
+export default ResetPasswordScreen;
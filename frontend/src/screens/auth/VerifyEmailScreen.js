@@ -0,0 +1,175 @@
+import React, { useState, useContext, useEffect } from "react";
+import {
+    View,
+    Text,
+    StyleSheet,
+    KeyboardAvoidingView,
+    Platform,
+    Alert,
+} from "react-native";
+import { SafeAreaView } from "react-native";
+import { AuthContext } from "../../contexts/AuthContext";
+import AuthService from "../../services/AuthService";
+import { validateRequired } from "../../utils/validation";
+import InputField from "../../components/InputField";
+import Button from "../../components/Button";
+
+const VerifyEmailScreen = ({ navigation, route }) => {
+    const [token, setToken] = useState(route.params?.token || "");
+    const [touched, setTouched] = useState(false);
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isResending, setIsResending] = useState(false);
+
+    const { isAuthenticated, updateUser } = useContext(AuthContext);
+
+    const handleVerify = async (codeToVerify = token) => {
+        setTouched(true);
+        const tokenError = validateRequired(codeToVerify);
+        setError(tokenError);
+        if (tokenError) {
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            const result = await AuthService.verifyEmail(codeToVerify.trim());
+            if (isAuthenticated) {
+                updateUser({ emailVerified: true });
+            }
+            Alert.alert("Email Verified", result.message, [
+                { text: "OK", onPress: () => navigation.goBack() },
+            ]);
+        } catch (error) {
+            if (error.errorType === "token") {
+                setError(error.message);
+            } else {
+                Alert.alert(
+                    "Verification Failed",
+                    error.message || "Failed to verify email. Please try again."
+                );
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    // Verify straight away when opened from the email link
+    useEffect(() => {
+        if (route.params?.token) {
+            handleVerify(route.params.token);
+        }
+    }, [route.params?.token]);
+
+    const handleResend = async () => {
+        setIsResending(true);
+        try {
+            const result = await AuthService.resendVerificationEmail();
+            Alert.alert("Email Sent", result.message);
+        } catch (error) {
+            Alert.alert(
+                "Request Failed",
+                error.message || "Failed to send verification email."
+            );
+        } finally {
+            setIsResending(false);
+        }
+    };
+
+    return (
+        <SafeAreaView style={styles.container}>
+            <KeyboardAvoidingView
+                style={styles.keyboardAvoidingView}
+                behavior={Platform.OS === "ios" ? "padding" : "height"}>
+                <View style={styles.headerContainer}>
+                    <Text style={styles.headerText}>Verify Your Email</Text>
+                    <Text style={styles.subHeaderText}>
+                        Enter the code we emailed you when you signed up
+                    </Text>
+                </View>
+
+                <View style={styles.formContainer}>
+                    <InputField
+                        placeholder="Verification code"
+                        value={token}
+                        onChangeText={(value) => {
+                            setToken(value);
+                            setError(null);
+                        }}
+                        error={error}
+                        touched={touched}
+                        required
+                    />
+
+                    <Button
+                        title={isSubmitting ? "Verifying..." : "Verify Email"}
+                        onPress={() => handleVerify()}
+                        disabled={isSubmitting}
+                        loading={isSubmitting}
+                    />
+
+                    {/* Resending needs a session to know who to email */}
+                    {isAuthenticated && (
+                        <Button
+                            title={isResending ? "Sending..." : "Resend Code"}
+                            onPress={handleResend}
+                            type="secondary"
+                            disabled={isResending}
+                            loading={isResending}
+                        />
+                    )}
+                </View>
+
+                <Button
+                    title="Back"
+                    onPress={() => navigation.goBack()}
+                    type="secondary"
+                    style={styles.textButton}
+                    textStyle={styles.backLink}
+                />
+            </KeyboardAvoidingView>
+        </SafeAreaView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: "#FFF",
+    },
+    keyboardAvoidingView: {
+        flex: 1,
+        padding: 20,
+        justifyContent: "center",
+    },
+    headerContainer: {
+        alignItems: "center",
+        marginBottom: 40,
+    },
+    headerText: {
+        fontSize: 28,
+        fontWeight: "bold",
+        marginBottom: 10,
+        color: "#333",
+    },
+    subHeaderText: {
+        fontSize: 16,
+        color: "#666",
+        textAlign: "center",
+    },
+    formContainer: {
+        marginBottom: 30,
+    },
+    backLink: {
+        fontSize: 16,
+        color: "#666",
+    },
+    textButton: {
+        backgroundColor: "transparent",
+        padding: 0,
+        marginBottom: 0,
+        height: 20,
+    },
+});
+
+export default VerifyEmailScreen;
@@ -22,16 +22,153 @@ apiClient.interceptors.request.use(
     (error) => Promise.reject(error)
 );
 
+// Public auth requests that must never trigger a token refresh. Matched on
+// the full path: /auth/google/link is protected and does need a refresh
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/google/token"];
+
+// Refresh state - one refresh at a time, other 401s wait in the queue
+let isRefreshing = false;
+let refreshQueue = [];
+let onAuthFailure = null;
+
+/**
+ * Register a callback for when the session can no longer be refreshed
+ * @param {Function|null} callback - Called after stored tokens are cleared
+ */
+export function setAuthFailureHandler(callback) {
+    onAuthFailure = callback;
+}
+
+const settleRefreshQueue = (error, token = null) => {
+    refreshQueue.forEach(({ resolve, reject }) =>
+        error ? reject(error) : resolve(token)
+    );
+    refreshQueue = [];
+};
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * Concurrent callers share a single in-flight refresh.
+ * @returns {Promise<string>} The new access token
+ */
+export async function refreshAccessToken() {
+    if (isRefreshing) {
+        return new Promise((resolve, reject) => {
+            refreshQueue.push({ resolve, reject });
+        });
+    }
+
+    isRefreshing = true;
+
+    try {
+        const refreshToken = await AsyncStorage.getItem("refreshToken");
+        if (!refreshToken) {
+            const missingError = new Error("No refresh token available");
+            missingError.sessionExpired = true;
+            throw missingError;
+        }
+
+        // Plain axios so this request skips the interceptors below
+        const response = await axios.post(`${API_URL}/auth/refresh`, {
+            refreshToken,
+        });
+
+        await AsyncStorage.setItem("token", response.data.token);
+        await AsyncStorage.setItem("refreshToken", response.data.refreshToken);
+
+        settleRefreshQueue(null, response.data.token);
+        return response.data.token;
+    } catch (error) {
+        // Only a rejected refresh token means the session is gone. Network
+        // errors, timeouts and 5xx keep the stored tokens for a later retry
+        const status = error.response?.status;
+        if (status === 401 || status === 403) {
+            error.sessionExpired = true;
+        }
+
+        if (error.sessionExpired) {
+            await AsyncStorage.multiRemove(["token", "refreshToken", "user"]);
+            if (onAuthFailure) {
+                onAuthFailure();
+            }
+        }
+
+        settleRefreshQueue(error);
+        throw error;
+    } finally {
+        isRefreshing = false;
+    }
+}
+
+// Refresh the access token on 401 and retry the original request once
+apiClient.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+        const originalRequest = error.config;
+        const isAuthEndpoint = AUTH_ENDPOINTS.includes(
+            originalRequest?.url?.split("?")[0]
+        );
+
+        if (
+            error.response?.status !== 401 ||
+            !originalRequest ||
+            originalRequest._retry ||
+            isAuthEndpoint
+        ) {
+            return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+
+        try {
+            const token = await refreshAccessToken();
+            originalRequest.headers.Authorization = `Bearer ${token}`;
+            return apiClient(originalRequest);
+        } catch (refreshError) {
+            console.error("Session refresh failed:", refreshError.message);
+
+            // Stored tokens are already cleared; tell the caller the session
+            // is gone rather than passing on a bare 401
+            if (refreshError.sessionExpired) {
+                error.sessionExpired = true;
+                return Promise.reject(error);
+            }
+
+            // The refresh itself couldn't get through - surface that instead
+            return Promise.reject(refreshError);
+        }
+    }
+);
+
 // Helper function to standardize error handling
 export function handleApiError(error) {
     let errorMessage = "An unexpected error occurred";
     let errorType = null;
+    let errorCode = null;
+    let status = null;
+    let fieldErrors = null;
 
     if (error.response) {
         // Server responded with a status code outside the 2xx range
         const serverError = error.response.data;
         errorMessage = serverError.message || String(serverError);
         errorType = serverError.errorType; // Capture the errorType from backend
+        errorCode = serverError.code; // Stable code, e.g. "NOT_FOUND" or "VALIDATION_ERROR"
+        status = error.response.status;
+
+        // 422 validation responses list one error per field
+        if (Array.isArray(serverError.errors)) {
+            fieldErrors = serverError.errors.reduce((fields, { field, message }) => {
+                fields[field] = message;
+                return fields;
+            }, {});
+        }
+
+        // The 401 couldn't be recovered by refreshing - the user is logged out
+        if (error.sessionExpired) {
+            errorMessage = "Your session has expired. Please log in again.";
+            errorCode = "SESSION_EXPIRED";
+        }
 
         // Log additional details for debugging
         console.error("API Error:", {
@@ -43,6 +180,7 @@ export function handleApiError(error) {
         // Request was made but no response received
         errorMessage =
             "No response from server. Please check your internet connection.";
+        errorCode = "NETWORK_ERROR";
         console.error("API No Response:", error.request);
     } else {
         // Request setup error
@@ -54,6 +192,15 @@ export function handleApiError(error) {
     if (errorType) {
         customError.errorType = errorType;
     }
+    if (errorCode) {
+        customError.code = errorCode;
+    }
+    if (status) {
+        customError.status = status;
+    }
+    if (fieldErrors) {
+        customError.fieldErrors = fieldErrors;
+    }
     return customError;
 }
 
@@ -8,8 +8,7 @@ class AuthService {
                 email,
                 password,
             });
-            await AsyncStorage.setItem("token", response.data.token);
-            await AsyncStorage.setItem("user", JSON.stringify(response.data.user));
+            await this.storeSession(response.data);
             return response.data;
         } catch (error) {
             throw handleApiError(error);
@@ -19,18 +18,29 @@ class AuthService {
     async register(userData) {
         try {
             const response = await apiClient.post("/auth/register", userData);
-            await AsyncStorage.setItem("token", response.data.token);
-            await AsyncStorage.setItem("user", JSON.stringify(response.data.user));
+            await this.storeSession(response.data);
             return response.data;
         } catch (error) {
             throw handleApiError(error);
         }
     }
 
+    async storeSession({ token, refreshToken, user }) {
+        await AsyncStorage.setItem("token", token);
+        await AsyncStorage.setItem("refreshToken", refreshToken);
+        await AsyncStorage.setItem("user", JSON.stringify(user));
+    }
+
     async logout() {
         try {
-            await AsyncStorage.removeItem("token");
-            await AsyncStorage.removeItem("user");
+            // Revoke the session server-side; still log out locally if offline
+            try {
+                await apiClient.post("/auth/logout");
+            } catch (error) {
+                console.error("Server logout error:", error);
+            }
+
+            await AsyncStorage.multiRemove(["token", "refreshToken", "user"]);
             return true;
         } catch (error) {
             console.error("Logout error:", error);
@@ -60,6 +70,72 @@ class AuthService {
         }
     }
     
+    async forgotPassword(email) {
+        try {
+            const response = await apiClient.post("/auth/forgot-password", { email });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async resetPassword(token, password) {
+        try {
+            const response = await apiClient.post("/auth/reset-password", {
+                token,
+                password,
+            });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async verifyEmail(token) {
+        try {
+            const response = await apiClient.post("/auth/verify-email", { token });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async resendVerificationEmail() {
+        try {
+            const response = await apiClient.post("/auth/verify-email/resend");
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async getSessions() {
+        try {
+            const response = await apiClient.get("/auth/sessions");
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async revokeSession(sessionId) {
+        try {
+            const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async revokeOtherSessions() {
+        try {
+            const response = await apiClient.delete("/auth/sessions");
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
     async updateUserLocation(locationData) {
         try {
             const response = await apiClient.put("/auth/update-location", locationData);
@@ -83,13 +159,32 @@ class AuthService {
         }
     }
 
-    async loginWithGoogle(accessToken) {
+    async loginWithGoogle(idToken) {
         try {
             const response = await apiClient.post("/auth/google/token", {
-                accessToken
+                idToken
             });
-            await AsyncStorage.setItem("token", response.data.token);
-            await AsyncStorage.setItem("user", JSON.stringify(response.data.user));
+            await this.storeSession(response.data);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async linkGoogle(idToken) {
+        try {
+            const response = await apiClient.post("/auth/google/link", {
+                idToken
+            });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async unlinkGoogle() {
+        try {
+            const response = await apiClient.delete("/auth/google/link");
             return response.data;
         } catch (error) {
             throw handleApiError(error);
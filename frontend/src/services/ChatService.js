@@ -1,25 +1,21 @@
 import apiClient, { handleApiError } from "./ApiClient";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 
 class ChatService {
     async getChats() {
         try {
             const response = await apiClient.get("/chats");
-            
-            // Update unread chats in AsyncStorage based on API response
-            if (response.data.chats) {
-                this.updateUnreadChatsStorage(response.data.chats);
-            }
-            
             return response.data;
         } catch (error) {
             throw handleApiError(error);
         }
     }
 
-    async getChatById(chatId) {
+    // Pass { around: messageId } to load the messages around one message
+    async getChatById(chatId, params = {}) {
         try {
-            const response = await apiClient.get(`/chats/${chatId}`);
+            const response = await apiClient.get(`/chats/${chatId}`, {
+                params: { around: params.around },
+            });
             return response.data;
         } catch (error) {
             throw handleApiError(error);
@@ -41,10 +37,24 @@ class ChatService {
         }
     }
 
-    async sendMessage(chatId, content) {
+    // Results: [{ _id, chatId, snippet, createdAt, sender, myPet, otherPet }]
+    async searchMessages(query) {
+        try {
+            const response = await apiClient.get("/chats/search", {
+                params: { q: query },
+            });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async sendMessage(chatId, content, clientId, attachments) {
         try {
             const response = await apiClient.post(`/chats/${chatId}/messages`, {
                 content,
+                clientId,
+                attachments,
             });
             return response.data;
         } catch (error) {
@@ -63,42 +73,99 @@ class ChatService {
             throw handleApiError(error);
         }
     }
-    
-    // Helper method to update unread chats in AsyncStorage
-    async updateUnreadChatsStorage(chats) {
+
+    async editMessage(chatId, messageId, content) {
+        try {
+            const response = await apiClient.patch(
+                `/chats/${chatId}/messages/${messageId}`,
+                { content }
+            );
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // Deletes for the current user only, or for everyone (own messages)
+    async deleteMessage(chatId, messageId, forEveryone = false) {
         try {
-            // Get existing unread state
-            const existingUnreadData = await AsyncStorage.getItem('unreadChats');
-            const existingUnread = existingUnreadData ? JSON.parse(existingUnreadData) : {};
-            
-            // Update unread status based on API response
-            let updatedUnread = { ...existingUnread };
-            let hasAnyUnread = false;
-            
-            chats.forEach(chat => {
-                if (chat.lastMessage && chat.lastMessage.unread) {
-                    updatedUnread[chat._id] = true;
-                    hasAnyUnread = true;
-                } else {
-                    // Keep chat as unread if it was already marked as such, unless API explicitly says it's read
-                    if (existingUnread[chat._id]) {
-                        hasAnyUnread = true;
-                    } else {
-                        delete updatedUnread[chat._id];
+            const response = await apiClient.delete(
+                `/chats/${chatId}/messages/${messageId}`,
+                { data: { forEveryone } }
+            );
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // Sets the current user's reaction, or removes it when emoji is null
+    async setReaction(chatId, messageId, emoji) {
+        try {
+            const url = `/chats/${chatId}/messages/${messageId}/reaction`;
+            const response = emoji
+                ? await apiClient.put(url, { emoji })
+                : await apiClient.delete(url);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // Uploads a photo to send in the chat; onProgress receives 0..1
+    async uploadAttachment(chatId, imageUri, onProgress) {
+        try {
+            const formData = new FormData();
+
+            const uriParts = imageUri.split('.');
+            const fileType = uriParts[uriParts.length - 1].toLowerCase();
+
+            formData.append('image', {
+                uri: imageUri,
+                name: `chat_image.${fileType}`,
+                type: `image/${fileType === 'jpg' ? 'jpeg' : fileType}`,
+            });
+
+            const response = await apiClient.post(`/chats/${chatId}/attachments`, formData, {
+                headers: {
+                    'Content-Type': 'multipart/form-data',
+                },
+                onUploadProgress: (event) => {
+                    if (onProgress && event.total) {
+                        onProgress(event.loaded / event.total);
                     }
-                }
+                },
             });
-            
-            // Save updated unread state
-            await AsyncStorage.setItem('unreadChats', JSON.stringify(updatedUnread));
-            
-            // Also set a separate flag for unread status (used by tab indicator)
-            await AsyncStorage.setItem('hasUnreadChats', JSON.stringify(hasAnyUnread));
-            
-            return updatedUnread;
+
+            if (!response.data || !response.data.imageUrl) {
+                throw new Error('Invalid image upload response');
+            }
+
+            return response.data;
         } catch (error) {
-            console.error("Error updating unread chats storage:", error);
-            return {};
+            throw handleApiError(error);
+        }
+    }
+
+    // { total, chats: { [chatId]: count } }
+    async getUnreadCounts() {
+        try {
+            const response = await apiClient.get("/chats/unread");
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // Marks messages read up to messageId, or all of them when omitted
+    async markChatRead(chatId, messageId) {
+        try {
+            const response = await apiClient.post(`/chats/${chatId}/read`, {
+                messageId,
+            });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
         }
     }
 }
@@ -1,7 +1,6 @@
 import React, { useEffect, useRef } from "react";
 import * as WebBrowser from "expo-web-browser";
 import * as Google from "expo-auth-session/providers/google";
-import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as AuthSession from "expo-auth-session";
 import {
     API_URL,
@@ -13,10 +12,10 @@ import AuthService from "./AuthService";
 WebBrowser.maybeCompleteAuthSession();
 
 export const useGoogleAuth = () => {
-    const accessTokenRef = useRef(null);
     const resolverRef = useRef(null);
 
-    const [request, response, promptAsync] = Google.useAuthRequest({
+    // Request a Google-signed ID token, which the backend verifies itself
+    const [request, response, promptAsync] = Google.useIdTokenAuthRequest({
         androidClientId: GOOGLE_ANDROID_CLIENT_ID,
         iosClientId: GOOGLE_ANDROID_CLIENT_ID,
         expoClientId: GOOGLE_CLIENT_ID,
@@ -27,93 +26,95 @@ export const useGoogleAuth = () => {
         }),
     });
 
+    const resolvePrompt = (result) => {
+        if (resolverRef.current) {
+            resolverRef.current(result);
+            resolverRef.current = null;
+        }
+    };
+
     // Listen to the auth response after the redirect
     useEffect(() => {
-        const handleResponse = async () => {
-            if (response?.type === "success") {
-                const { authentication } = response;
-                if (authentication?.accessToken) {
-                    accessTokenRef.current = authentication.accessToken;
-
-                    // Resolve the promise waiting in signIn()
-                    if (resolverRef.current) {
-                        resolverRef.current({
-                            success: true,
-                            accessToken: authentication.accessToken,
-                        });
-                        resolverRef.current = null;
-                    }
-                } else {
-                    console.error(
-                        "Access token missing in authentication object"
-                    );
-                    if (resolverRef.current) {
-                        resolverRef.current({
-                            success: false,
-                            error: "Missing access token",
-                        });
-                        resolverRef.current = null;
-                    }
-                }
-            } else if (response?.type === "error") {
-                console.error("Google auth error:", response.error);
-                if (resolverRef.current) {
-                    resolverRef.current({
-                        success: false,
-                        error: "Authentication error",
-                    });
-                    resolverRef.current = null;
-                }
+        if (response?.type === "success") {
+            const idToken = response.params?.id_token;
+            if (idToken) {
+                resolvePrompt({ success: true, idToken });
+            } else {
+                console.error("ID token missing in Google auth response");
+                resolvePrompt({ success: false, error: "Missing ID token" });
             }
-        };
-
-        handleResponse();
+        } else if (response?.type === "error") {
+            console.error("Google auth error:", response.error);
+            resolvePrompt({ success: false, error: "Authentication error" });
+        } else if (response?.type === "cancel" || response?.type === "dismiss") {
+            resolvePrompt({ success: false, error: "Google sign in cancelled" });
+        }
     }, [response]);
 
+    /**
+     * Open the Google consent screen and wait for an ID token
+     * @returns {Promise<Object>} - { success, idToken } or { success: false, error }
+     */
+    const promptForIdToken = async () => {
+        try {
+            const result = new Promise((resolve) => {
+                resolverRef.current = resolve;
+            });
+            await promptAsync();
+            return await result;
+        } catch (err) {
+            resolverRef.current = null;
+            console.error("Google prompt error:", err);
+            return { success: false, error: err.message || "Unknown error" };
+        }
+    };
+
     const signIn = async () => {
+        const { success, idToken, error } = await promptForIdToken();
+        if (!success) {
+            return { success: false, error };
+        }
+
         try {
-            const promptResult = await promptAsync();
+            const backendResponse = await AuthService.loginWithGoogle(idToken);
 
-            return await new Promise((resolve) => {
-                resolverRef.current = async ({
-                    success,
-                    accessToken,
-                    error,
-                }) => {
-                    if (!success) {
-                        return resolve({ success: false, error });
-                    }
+            if (!backendResponse.token) {
+                return {
+                    success: false,
+                    error: backendResponse?.error || "Backend authentication failed",
+                };
+            }
 
-                    try {
-                        const backendResponse = await AuthService.loginWithGoogle(accessToken)
+            return { success: true };
+        } catch (err) {
+            console.error("Backend auth error:", err);
+            return {
+                success: false,
+                error: err.message || "Network error",
+                errorType: err.errorType,
+            };
+        }
+    };
 
-                        if (!backendResponse.token) {
-                            return resolve({
-                                success: false,
-                                error:
-                                    backendResponse?.error ||
-                                    "Backend authentication failed",
-                            });
-                        }
+    // Attach a Google account to the user who is already signed in
+    const link = async () => {
+        const { success, idToken, error } = await promptForIdToken();
+        if (!success) {
+            return { success: false, error };
+        }
 
-                        await AsyncStorage.setItem("token", backendResponse.token);
-                        resolve({ success: true });
-                    } catch (err) {
-                        console.error("Backend auth error:", err);
-                        resolve({
-                            success: false,
-                            error: err.message || "Network error",
-                        });
-                    }
-                };
-            });
+        try {
+            await AuthService.linkGoogle(idToken);
+            return { success: true };
         } catch (err) {
-            console.error("Google login error:", err);
-            return { success: false, error: err.message || "Unknown error" };
+            console.error("Google link error:", err);
+            return { success: false, error: err.message || "Network error" };
         }
     };
 
     return {
         signIn,
+        link,
+        promptForIdToken,
     };
 };
@@ -29,6 +29,15 @@ class MatchService {
         }
     }
 
+    // Device time zone, so daily limits reset at the user's local midnight
+    _getTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
     async likeProfile(petId, likedPetId) {
         try {
             const response = await apiClient.post("/matches/like", {
@@ -46,6 +55,36 @@ class MatchService {
         }
     }
 
+    async superLikeProfile(petId, likedPetId) {
+        try {
+            const response = await apiClient.post("/matches/like", {
+                petId,
+                likedPetId,
+                isLiked: true,
+                superLike: true,
+                timezone: this._getTimezone(),
+            });
+
+            // Clear cache after liking to ensure fresh data
+            this.clearCache(petId);
+
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async getSuperLikeQuota() {
+        try {
+            const response = await apiClient.get("/matches/super-likes", {
+                params: { timezone: this._getTimezone() },
+            });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
     async passProfile(petId, likedPetId) {
         try {
             const response = await apiClient.post("/matches/like", {
@@ -59,6 +98,57 @@ class MatchService {
         }
     }
 
+    async rewindSwipe(petId) {
+        try {
+            const response = await apiClient.post("/matches/rewind", { petId });
+
+            // A rewound like may have undone a match
+            this.clearCache(petId);
+
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async getLikesReceived(petId, params = {}) {
+        try {
+            const response = await apiClient.get(
+                `/matches/${petId}/likes-received`,
+                { params }
+            );
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async acceptLike(petId, likerPetId) {
+        try {
+            const response = await apiClient.post(
+                `/matches/${petId}/likes-received/${likerPetId}/accept`
+            );
+
+            // Accepting a like makes a match
+            this.clearCache(petId);
+
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async declineLike(petId, likerPetId) {
+        try {
+            const response = await apiClient.post(
+                `/matches/${petId}/likes-received/${likerPetId}/decline`
+            );
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
     async unmatchPet(petId, unmatchedPetId) {
         try {
             const response = await apiClient.post("/matches/unmatch", {
@@ -37,6 +37,24 @@ class PetService {
         }
     }
 
+    async getDiscoveryFilters(petId) {
+        try {
+            const response = await apiClient.get(`/pets/${petId}/filters`);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async updateDiscoveryFilters(petId, filters) {
+        try {
+            const response = await apiClient.put(`/pets/${petId}/filters`, filters);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
     async deletePet(petId) {
         try {
             const response = await apiClient.delete(`/pets/${petId}`);
@@ -0,0 +1,44 @@
+import apiClient, { handleApiError } from "./ApiClient";
+
+class PlaydateService {
+    // filters: { matchId?, status?, upcoming? }
+    async getPlaydates(filters = {}) {
+        try {
+            const response = await apiClient.get("/playdates", { params: filters });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // proposal: { scheduledAt, location: { type, coordinates }, placeName, note? }
+    async proposePlaydate(matchId, proposal) {
+        try {
+            const response = await apiClient.post("/playdates", { matchId, ...proposal });
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async counterPlaydate(playdateId, proposal) {
+        try {
+            const response = await apiClient.post(`/playdates/${playdateId}/counter`, proposal);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // action: accept, decline, cancel or complete
+    async respondToPlaydate(playdateId, action) {
+        try {
+            const response = await apiClient.post(`/playdates/${playdateId}/${action}`);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+}
+
+export default new PlaydateService();
@@ -0,0 +1,43 @@
+import apiClient, { handleApiError } from "./ApiClient";
+
+class SafetyService {
+    async getBlockedUsers() {
+        try {
+            const response = await apiClient.get("/blocks");
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // target: { userId } or { petId }
+    async blockUser(target) {
+        try {
+            const response = await apiClient.post("/blocks", target);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    async unblockUser(userId) {
+        try {
+            const response = await apiClient.delete(`/blocks/${userId}`);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+
+    // report: { userId | petId, reason, details?, chatId?, messageIds?, block? }
+    async reportUser(report) {
+        try {
+            const response = await apiClient.post("/reports", report);
+            return response.data;
+        } catch (error) {
+            throw handleApiError(error);
+        }
+    }
+}
+
+export default new SafetyService();
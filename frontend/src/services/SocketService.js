@@ -3,6 +3,8 @@
  * Isolates socket.io logic and provides a clean interface
  */
 import { io } from "socket.io-client";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { refreshAccessToken } from "./ApiClient";
 import { SOCKET_URL } from "../constants/apiConfig";
 
 class SocketService {
@@ -36,8 +38,16 @@ class SocketService {
      */
     MAX_RECONNECT_ATTEMPTS = 5;
 
+    /**
+     * Whether the access token must be refreshed before reconnecting
+     * @type {boolean}
+     */
+    refreshBeforeReconnect = false;
+
     /**
      * Connect to the WebSocket server
+     * The JWT from storage is sent in the handshake `auth` payload; the
+     * server derives the user from it rather than trusting `userId`.
      * @param {string} userId - The authenticated user's ID
      * @returns {Promise<import('socket.io-client').Socket>} - The socket instance
      */
@@ -56,6 +66,13 @@ class SocketService {
                     reconnectionDelayMax: 5000,
                     timeout: 10000,
                     transports: ['websocket', 'polling'],
+                    // Read the JWT on every (re)connect so the handshake
+                    // always carries the current token
+                    auth: (callback) => {
+                        AsyncStorage.getItem('token')
+                            .then((token) => callback({ token }))
+                            .catch(() => callback({}));
+                    },
                 });
 
                 // Store userId for reconnection
@@ -66,14 +83,18 @@ class SocketService {
                     console.log('Socket connected');
                     this.isConnected = true;
                     this.reconnectAttempts = 0;
-                    
-                    // Authenticate on connection
-                    this.emit('authenticate', { userId });
                     resolve(this.socket);
                 });
 
                 this.socket.on('connect_error', (error) => {
                     console.error('Socket connection error:', error);
+
+                    // The server rejected the handshake token, retrying won't help
+                    if (!this.socket.active) {
+                        reject(error);
+                        return;
+                    }
+
                     if (this.reconnectAttempts < this.MAX_RECONNECT_ATTEMPTS) {
                         this.reconnectAttempts++;
                     } else {
@@ -81,6 +102,11 @@ class SocketService {
                     }
                 });
 
+                this.socket.on('token_expired', () => {
+                    console.log('Socket token expired');
+                    this.refreshBeforeReconnect = true;
+                });
+
                 this.socket.on('disconnect', (reason) => {
                     console.log('Socket disconnected:', reason);
                     this.isConnected = false;
@@ -108,11 +134,23 @@ class SocketService {
      * Attempt to reconnect the socket
      */
     reconnect() {
-        if (this.userId) {
-            this.connect(this.userId).catch(error => {
+        if (!this.userId) return;
+
+        // An expired access token would be rejected again by the handshake
+        const ready = this.refreshBeforeReconnect
+            ? refreshAccessToken()
+            : Promise.resolve();
+        this.refreshBeforeReconnect = false;
+
+        ready
+            .then(() => this.connect(this.userId))
+            .catch(error => {
+                // A refresh that couldn't reach the server is retried next time
+                if (!error.sessionExpired) {
+                    this.refreshBeforeReconnect = true;
+                }
                 console.error('Reconnection failed:', error);
             });
-        }
     }
 
     /**
@@ -143,6 +181,22 @@ class SocketService {
         this.socket.emit(event, payload);
     }
 
+    /**
+     * Emit an event and wait for the server's acknowledgement
+     * @param {string} event - The event name
+     * @param {any} payload - The event payload
+     * @param {number} [timeoutMs=10000] - How long to wait for the ack
+     * @returns {Promise<any>} - The acknowledgement payload
+     */
+    emitWithAck(event, payload, timeoutMs = 10000) {
+        if (!this.socket || !this.isConnected) {
+            return Promise.reject(new Error('Socket is not connected'));
+        }
+
+        console.log(`Emitting ${event} with ack`, payload);
+        return this.socket.timeout(timeoutMs).emitWithAck(event, payload);
+    }
+
     /**
      * Register an event listener
      * @param {string} event - The event name
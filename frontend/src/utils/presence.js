@@ -0,0 +1,36 @@
+// Presence display helpers
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Describe a chat contact's presence, e.g. "Online" or "Active 5m ago"
+ * @param {Object} [presence] - { online, lastSeen } from SocketContext
+ * @returns {string|null} Nothing when the state is unknown
+ */
+export const formatPresence = (presence) => {
+    if (!presence) return null;
+    if (presence.online) return "Online";
+    if (!presence.lastSeen) return null;
+
+    const elapsed = Date.now() - new Date(presence.lastSeen).getTime();
+
+    if (elapsed < MINUTE_MS) return "Active just now";
+    if (elapsed < HOUR_MS) return `Active ${Math.floor(elapsed / MINUTE_MS)}m ago`;
+    if (elapsed < DAY_MS) return `Active ${Math.floor(elapsed / HOUR_MS)}h ago`;
+    if (elapsed < 2 * DAY_MS) return "Active yesterday";
+
+    return `Active ${new Date(presence.lastSeen).toLocaleDateString([], {
+        month: "short",
+        day: "numeric",
+    })}`;
+};
+
+/**
+ * "Bella's human is typing…"
+ * @param {string} [petName] - The other owner's pet
+ * @returns {string}
+ */
+export const formatTyping = (petName) =>
+    petName ? `${petName}'s human is typing…` : "Typing…";